@@ -1,2 +1,2 @@
-python closure-tools/closure/bin/build/closurebuilder.py --root closure-tools --namespace "sylvester" --root ../src --output_mode=script --compiler_jar=closure-tools/compiler.jar > output/output.min.js
+python closure-tools/closure/bin/build/closurebuilder.py --root closure-tools --namespace "sylvester.exports" --root ../src --output_mode=script --compiler_jar=closure-tools/compiler.jar > output/output.min.js
 ./move_outputs.sh
@@ -0,0 +1,241 @@
+#!/usr/bin/env python
+"""Generates the export surface of the library from the sources in ../src.
+
+Every top-level assignment to a public name (one without a trailing
+underscore or an @private tag) becomes:
+
+  * a goog.exportSymbol/goog.exportProperty call in src/Exports.js, so the
+    name survives ADVANCED_OPTIMIZATIONS,
+  * a declaration in externs/sylvester.js, for consumers compiling their own
+    code against the compiled library,
+  * an entry in tests/spec/ExportedNames.js, checked by the export spec.
+
+Object fields (this.x = ...) and the keys of record types in JSDoc are written
+to externs/sylvester_properties.js, which the advanced build passes to the
+compiler so that they keep their names.
+
+Run from the bin directory after changing the public API:
+
+  python generate_exports.py
+"""
+
+import os
+import re
+
+ROOT = os.path.join(os.path.dirname(os.path.abspath(__file__)), '..')
+SRC = os.path.join(ROOT, 'src')
+GENERATED = 'Generated by bin/generate_exports.py; do not edit by hand.'
+
+ASSIGNMENT = re.compile(r'^(?:var )?((?:sylvester|Sylvester|\$[A-Z])[\w.$]*) = (.*)$')
+FUNCTION = re.compile(r'^function\s*\(([^)]*)\)')
+FIELD = re.compile(r'\bthis\.(\w+) = ')
+RECORD = re.compile(r'\{\??\{(.*?)\}\}', re.S)
+RECORD_KEY = re.compile(r'(\w+):')
+
+
+def source_files():
+    names = [f for f in os.listdir(SRC) if f.endswith('.js') and f != 'Exports.js']
+    return [os.path.join(SRC, f) for f in sorted(names)]
+
+
+def parse(path):
+    """Returns the public symbols, fields and record keys of a source file."""
+    symbols, fields, keys = [], [], []
+    doc, in_doc, owner = None, False, None
+    for line in open(path).read().split('\n'):
+        stripped = line.strip()
+        if stripped.startswith('/**'):
+            doc, in_doc = [], True
+        if in_doc:
+            doc.append(line)
+            if stripped.endswith('*/'):
+                in_doc = False
+            continue
+        match = ASSIGNMENT.match(line)
+        if match:
+            name, value = match.group(1), match.group(2)
+            owner = name.split('.prototype.')[0]
+            text = '\n'.join(doc or [])
+            for record in RECORD.findall(text):
+                keys.extend(RECORD_KEY.findall(record))
+            private = '@private' in text or [p for p in name.split('.') if p.endswith('_')]
+            if not private:
+                symbols.append(symbol(name, value, doc or []))
+            doc = None
+            continue
+        for field in FIELD.findall(line):
+            if not field.endswith('_') and owner:
+                fields.append((owner, field))
+        if stripped and not stripped.startswith('//'):
+            doc = None
+    return symbols, fields, keys
+
+
+def symbol(name, value, doc):
+    function = FUNCTION.match(value)
+    kind = 'value'
+    if value.startswith('{}'):
+        kind = 'namespace'
+    elif function:
+        kind = 'constructor' if '@constructor' in '\n'.join(doc) else 'function'
+    elif name.startswith('$'):
+        kind = 'alias'
+    return {
+        'name': name,
+        'kind': kind,
+        'params': function.group(1) if function else '',
+        'target': value.rstrip(';'),
+        'doc': doc,
+    }
+
+
+def write(path, text):
+    out = open(os.path.join(ROOT, path), 'w')
+    out.write(text)
+    out.close()
+
+
+def exports(symbols):
+    lines = [
+        "goog.provide('sylvester.exports');",
+        "goog.require('sylvester');",
+        '',
+        '/**',
+        ' * Exports the public API so that it keeps its names under',
+        ' * ADVANCED_OPTIMIZATIONS.',
+        ' * ' + GENERATED,
+        ' */',
+        '',
+        '/**',
+        ' * Exports a Sylvester setting as an accessor, so that changes made through',
+        ' * the exported object reach the compiled library.',
+        ' * @param {string} name Name of the setting.',
+        ' * @param {function(): *} get Returns the value.',
+        ' * @param {function(*)} set Sets the value.',
+        ' * @private',
+        ' */',
+        'sylvester.exports.exportSetting_ = function(name, get, set) {',
+        "    var exported = goog.getObjectByName('Sylvester');",
+        '    if (!exported || exported === Sylvester) {',
+        '        // Uncompiled and simple builds share the object itself',
+        '        return;',
+        '    }',
+        '    Object.defineProperty(exported, name, {get: get, set: set, enumerable: true, configurable: true});',
+        '};',
+        '',
+    ]
+    settings = []
+    for sym in symbols:
+        name = sym['name']
+        if sym['kind'] == 'namespace':
+            continue
+        if '.prototype.' in name:
+            owner, prop = name.split('.prototype.')
+            lines.append("goog.exportProperty(%s.prototype, '%s', %s);" % (owner, prop, name))
+        elif name.startswith('Sylvester.') and sym['kind'] == 'value':
+            lines.append("goog.exportSymbol('%s', %s);" % (name, name))
+            settings.append(name)
+        else:
+            lines.append("goog.exportSymbol('%s', %s);" % (name, name))
+    lines.append('')
+    for name in settings:
+        prop = name.split('.')[-1]
+        lines.append("sylvester.exports.exportSetting_('%s', function() {" % prop)
+        lines.append('    return %s;' % name)
+        lines.append('}, function(value) {')
+        lines.append('    %s = value;' % name)
+        lines.append('});')
+    return '\n'.join(lines) + '\n'
+
+
+def externs(symbols, fields):
+    lines = [
+        '/**',
+        ' * @fileoverview Externs for the public API of Sylvester, for code compiled',
+        ' * with ADVANCED_OPTIMIZATIONS against the compiled library. Pass',
+        ' * sylvester_properties.js as well to keep the keys of returned records.',
+        ' * ' + GENERATED,
+        ' * @externs',
+        ' */',
+        '',
+        '/** @const */',
+        'var sylvester = {};',
+        '',
+    ]
+    for sym in symbols:
+        name, kind = sym['name'], sym['kind']
+        doc = '\n'.join(sym['doc'])
+        if kind == 'namespace':
+            lines.append('%s\nvar %s = {};\n' % (doc, name))
+        elif kind in ('function', 'constructor'):
+            lines.append('%s\n%s = function(%s) {};\n' % (doc, name, sym['params']))
+        elif kind == 'alias':
+            target = [s for s in symbols if s['name'] == sym['target']][0]
+            lines.append('%s\nvar %s = function(%s) {};\n' % (doc, name, target['params']))
+        elif doc:
+            lines.append('%s\n%s;\n' % (doc, name))
+        else:
+            lines.append('/** @type {?} */\n%s;\n' % name)
+        if kind == 'constructor':
+            for owner, field in fields:
+                if owner == name:
+                    lines.append('/** @type {?} */\n%s.prototype.%s;\n' % (name, field))
+    return '\n'.join(lines)
+
+
+def properties(fields, keys):
+    names = sorted(set([f for o, f in fields] + keys))
+    lines = [
+        '/**',
+        ' * @fileoverview Property names that ADVANCED_OPTIMIZATIONS must not rename:',
+        " * the fields of Sylvester's objects and the keys of the records its",
+        ' * methods take and return.',
+        ' * ' + GENERATED,
+        ' * @externs',
+        ' */',
+        '',
+        '/**',
+        ' * Holder for the property names.',
+        ' * @constructor',
+        ' */',
+        'function SylvesterProperties() {}',
+        '',
+    ]
+    for name in names:
+        lines.append('/** @type {?} */\nSylvesterProperties.prototype.%s;\n' % name)
+    return '\n'.join(lines)
+
+
+def names(symbols):
+    lines = [
+        '/**',
+        ' * Public names that the compiled library must export.',
+        ' * ' + GENERATED,
+        ' */',
+        'var SYLVESTER_EXPORTED_NAMES = [',
+    ]
+    public = [s['name'] for s in symbols]
+    lines.append(',\n'.join("  '%s'" % n for n in public))
+    lines.append('];')
+    return '\n'.join(lines) + '\n'
+
+
+def main():
+    symbols, fields, keys = [], [], []
+    for path in source_files():
+        s, f, k = parse(path)
+        symbols.extend(s)
+        fields.extend(f)
+        keys.extend(k)
+    # Namespaces first, so that the externs declare them before their members
+    symbols.sort(key=lambda s: s['kind'] != 'namespace')
+    seen = set()
+    fields = [f for f in fields if not (f in seen or seen.add(f))]
+    write('src/Exports.js', exports(symbols))
+    write('externs/sylvester.js', externs(symbols, fields))
+    write('externs/sylvester_properties.js', properties(fields, keys))
+    write('tests/spec/ExportedNames.js', names(symbols))
+
+
+if __name__ == '__main__':
+    main()
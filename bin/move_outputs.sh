@@ -1 +1,5 @@
 cp output/output.min.js ../tests/sylvester.min.js
+# Keep a named copy as well, so that tests/run_node.js can test each build
+if [ -n "$1" ]; then
+    cp output/output.min.js ../tests/sylvester.$1.min.js
+fi
@@ -1,2 +1,2 @@
-python closure-tools/closure/bin/build/closurebuilder.py --root closure-tools --root ../src/ --namespace "sylvester" --output_mode=compiled --compiler_jar=closure-tools/compiler.jar > output/output.min.js
-./move_outputs.sh
+python closure-tools/closure/bin/build/closurebuilder.py --root closure-tools --root ../src/ --namespace "sylvester.exports" --output_mode=compiled --compiler_jar=closure-tools/compiler.jar > output/output.min.js
+./move_outputs.sh simple
@@ -0,0 +1,59 @@
+/**
+ * Orders the Closure sources in src/ by their goog.provide and goog.require
+ * lines, for the Node entry point and the Node test runner.
+ */
+
+var fs = require('fs');
+var path = require('path');
+
+var SRC = path.join(__dirname, '..', 'src');
+
+/**
+ * Returns the source files needed for a namespace, ordered so that every file
+ * comes after the files providing the namespaces it requires.
+ * @param {string} namespace The namespace to load.
+ * @return {Array.<string>} The file paths.
+ */
+function sourcesFor(namespace) {
+    var files = {};
+    fs.readdirSync(SRC).forEach(function(name) {
+        if (!/\.js$/.test(name)) {
+            return;
+        }
+        var file = path.join(SRC, name);
+        var text = fs.readFileSync(file, 'utf8');
+        var matches = function(re) {
+            var found = [], match;
+            while ((match = re.exec(text))) {
+                found.push(match[1]);
+            }
+            return found;
+        };
+        matches(/^goog\.provide\('([\w.]+)'\)/gm).forEach(function(provided) {
+            files[provided] = {path: file, requires: matches(/^goog\.require\('([\w.]+)'\)/gm)};
+        });
+    });
+    var ordered = [];
+    var visit = function(name) {
+        var file = files[name];
+        if (!file) {
+            throw new Error('No source provides ' + name);
+        }
+        if (ordered.indexOf(file.path) != -1 || file.visiting) {
+            return;
+        }
+        file.visiting = true;
+        file.requires.forEach(visit);
+        ordered.push(file.path);
+    };
+    visit(namespace);
+    return ordered;
+}
+
+/**
+ * Path of the Closure Library's base.js, which the sources need loaded first.
+ * @type {string}
+ */
+var BASE = path.join(__dirname, 'closure-tools', 'closure', 'goog', 'base.js');
+
+module.exports = {sourcesFor: sourcesFor, BASE: BASE};
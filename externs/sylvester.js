@@ -0,0 +1,2440 @@
+/**
+ * @fileoverview Externs for the public API of Sylvester, for code compiled
+ * with ADVANCED_OPTIMIZATIONS against the compiled library. Pass
+ * sylvester_properties.js as well to keep the keys of returned records.
+ * Generated by bin/generate_exports.py; do not edit by hand.
+ * @externs
+ */
+
+/** @const */
+var sylvester = {};
+
+/**
+ * A static class representing sylvester variables and helper functions
+ */
+var Sylvester = {};
+
+/**
+ * Base class of the errors thrown in strict mode (see Sylvester.strict). The
+ * shapes of the offending operands are kept as arrays of their dimensions:
+ * [n] for an n-vector and [rows, cols] for a matrix.
+ * @param {string} operation The method that failed, e.g. 'Vector.add'.
+ * @param {Array.<Array.<number>>} shapes Shapes of the offending operands.
+ * @param {string} message Description of the problem.
+ * @constructor
+ * @extends {Error}
+ */
+sylvester.Error = function(operation, shapes, message) {};
+
+/** @type {?} */
+sylvester.Error.prototype.operation;
+
+/** @type {?} */
+sylvester.Error.prototype.shapes;
+
+/** @type {?} */
+sylvester.Error.prototype.message;
+
+/** @type {?} */
+sylvester.Error.prototype.stack;
+
+/**
+ * Name of the error class.
+ * @type {string}
+ */
+sylvester.Error.prototype.name;
+
+/**
+ * Thrown when the dimensions of the operands do not fit the operation.
+ * @param {string} operation The method that failed.
+ * @param {Array.<Array.<number>>} shapes Shapes of the offending operands.
+ * @param {string=} message Description of the problem.
+ * @constructor
+ * @extends {sylvester.Error}
+ */
+sylvester.DimensionMismatch = function(operation, shapes, message) {};
+
+/**
+ * Name of the error class.
+ * @type {string}
+ */
+sylvester.DimensionMismatch.prototype.name;
+
+/**
+ * Thrown when an operand has the right dimensions but not the form the
+ * operation needs, such as a non-symmetric matrix where a symmetric one is
+ * required or an unknown rotation order.
+ * @param {string} operation The method that failed.
+ * @param {Array.<Array.<number>>} shapes Shapes of the offending operands.
+ * @param {string=} message Description of the problem.
+ * @constructor
+ * @extends {sylvester.Error}
+ */
+sylvester.InvalidArgument = function(operation, shapes, message) {};
+
+/**
+ * Name of the error class.
+ * @type {string}
+ */
+sylvester.InvalidArgument.prototype.name;
+
+/**
+ * Thrown when a matrix that must be invertible is singular, or nearly so
+ * within Sylvester.precision.
+ * @param {string} operation The method that failed.
+ * @param {Array.<Array.<number>>} shapes Shapes of the offending operands.
+ * @param {string=} message Description of the problem.
+ * @constructor
+ * @extends {sylvester.Error}
+ */
+sylvester.SingularMatrix = function(operation, shapes, message) {};
+
+/**
+ * Name of the error class.
+ * @type {string}
+ */
+sylvester.SingularMatrix.prototype.name;
+
+/**
+ * Thrown when geometry has no well-defined result: a zero direction or normal,
+ * collinear points, parallel lines or planes that do not meet, or a point that
+ * maps to infinity.
+ * @param {string} operation The method that failed.
+ * @param {Array.<Array.<number>>} shapes Shapes of the offending operands.
+ * @param {string=} message Description of the problem.
+ * @constructor
+ * @extends {sylvester.Error}
+ */
+sylvester.DegenerateGeometry = function(operation, shapes, message) {};
+
+/**
+ * Name of the error class.
+ * @type {string}
+ */
+sylvester.DegenerateGeometry.prototype.name;
+
+/**
+ * Thrown when an iterative method fails to converge within its iteration limit.
+ * @param {string} operation The method that failed.
+ * @param {Array.<Array.<number>>} shapes Shapes of the offending operands.
+ * @param {string=} message Description of the problem.
+ * @constructor
+ * @extends {sylvester.Error}
+ */
+sylvester.NoConvergence = function(operation, shapes, message) {};
+
+/**
+ * Name of the error class.
+ * @type {string}
+ */
+sylvester.NoConvergence.prototype.name;
+
+/**
+ * A class representing a view frustum: the region of space that a
+ * projection-view matrix maps inside the clip volume.
+ * @constructor
+ */
+sylvester.Frustum = function() {};
+
+/** @type {?} */
+sylvester.Frustum.prototype.matrix;
+
+/** @type {?} */
+sylvester.Frustum.prototype.zeroToOne;
+
+/** @type {?} */
+sylvester.Frustum.prototype.planes;
+
+/**
+ * Result of a frustum test for an object entirely outside the frustum.
+ * @type {number}
+ */
+sylvester.Frustum.OUTSIDE;
+
+/**
+ * Result of a frustum test for an object crossing the frustum boundary.
+ * @type {number}
+ */
+sylvester.Frustum.INTERSECT;
+
+/**
+ * Result of a frustum test for an object entirely inside the frustum.
+ * @type {number}
+ */
+sylvester.Frustum.INSIDE;
+
+/**
+ * Returns true iff the point is inside the frustum or on its boundary.
+ * @param {sylvester.Vector|Array.<number>} point The point.
+ * @param {number=} tolerance Distance outside a plane still counted as
+ *     inside, as for testPoint.
+ * @return {boolean} True if contained.
+ */
+sylvester.Frustum.prototype.contains = function(point, tolerance) {};
+
+/**
+ * Tests a point against the frustum. Points within Sylvester.precision of a
+ * plane count as inside.
+ * @param {sylvester.Vector|Array.<number>} point The point.
+ * @param {number=} tolerance Distance outside a plane still counted as
+ *     inside, relative to the largest coordinate of the point in relative
+ *     mode; Sylvester.precision if omitted.
+ * @return {number} sylvester.Frustum.INSIDE or sylvester.Frustum.OUTSIDE.
+ */
+sylvester.Frustum.prototype.testPoint = function(point, tolerance) {};
+
+/**
+ * Tests a sphere against the frustum. Spheres near a corner of the frustum
+ * that cross two of its planes without touching it are reported as
+ * intersecting, which is safe for culling.
+ * @param {sylvester.Vector|Array.<number>} center The centre of the sphere.
+ * @param {number} radius The radius of the sphere.
+ * @return {number} sylvester.Frustum.INSIDE, INTERSECT or OUTSIDE.
+ */
+sylvester.Frustum.prototype.testSphere = function(center, radius) {};
+
+/**
+ * Tests an axis-aligned box against the frustum, using for each plane the box
+ * corners furthest along and against its normal. As with testSphere, boxes
+ * near a corner of the frustum may be reported as intersecting when they are
+ * just outside.
+ * @param {sylvester.Vector|Array.<number>} min The minimum corner of the box.
+ * @param {sylvester.Vector|Array.<number>} max The maximum corner of the box.
+ * @return {number} sylvester.Frustum.INSIDE, INTERSECT or OUTSIDE.
+ */
+sylvester.Frustum.prototype.testBox = function(min, max) {};
+
+/**
+ * Returns the eight corners of the frustum: the four at depth 0 (the near
+ * plane, or the far plane for reversed-Z projections) followed by the four at
+ * depth 1, each in the order bottom left, bottom right, top right, top left.
+ * @return {Array.<sylvester.Vector>} The corners, or null if the matrix is
+ *     singular or a corner is at infinity.
+ */
+sylvester.Frustum.prototype.corners = function() {};
+
+/**
+ * Extracts the planes of the frustum from a projection-view matrix, using the
+ * Gribb-Hartmann method. The planes are stored in this.planes in the order
+ * left, right, bottom, top, near, far, with normals pointing into the
+ * frustum; for reversed-Z projections the near and far planes swap places.
+ * A plane at infinity, as with an infinite far plane, is stored as null and
+ * ignored by the tests.
+ * @param {sylvester.Matrix} matrix The 4x4 projection-view matrix.
+ * @param {boolean=} zeroToOne True if the projection maps depth to [0, 1]
+ *     rather than [-1, 1].
+ * @return {sylvester.Frustum} This frustum, or null if the matrix is not 4x4.
+ */
+sylvester.Frustum.prototype.setMatrix = function(matrix, zeroToOne) {};
+
+/**
+ * Constructor function.
+ * @param {sylvester.Matrix} matrix The 4x4 projection-view matrix.
+ * @param {boolean=} zeroToOne True if the projection maps depth to [0, 1].
+ * @return {sylvester.Frustum} The frustum, or null if the matrix is not 4x4.
+ */
+sylvester.Frustum.create = function(matrix, zeroToOne) {};
+
+/**
+ * A class representing a mathematical line.
+ * @constructor
+ */
+sylvester.Line = function() {};
+
+/** @type {?} */
+sylvester.Line.prototype.anchor;
+
+/** @type {?} */
+sylvester.Line.prototype.direction;
+
+/**
+ * Returns true if the argument occupies the same space as the line.
+ * @param {sylvester.Line} line Another line to compare to.
+ * @param {number=} tolerance Tolerance for the angle between the lines and
+ *     the distance between them, as for isParallelTo and contains.
+ * @return {boolean} True if equal.
+ */
+sylvester.Line.prototype.eql = function(line, tolerance) {};
+
+/**
+ * Returns a copy of the line.
+ * @return {sylvester.Line} A duplicate of this line.
+ */
+sylvester.Line.prototype.dup = function() {};
+
+/**
+ * Returns the result of translating the line by the given vector/array.
+ * @param {sylvester.Vector} vector Vector to translate by.
+ * @return {sylvester.Line} The translated line.
+ */
+sylvester.Line.prototype.translate = function(vector) {};
+
+/**
+ * Returns true if the line is parallel to the argument. Here, 'parallel to'
+ * means that the argument's direction is either parallel or antiparallel to
+ * the line's own direction. A line is parallel to a plane if the two do not
+ * have a unique intersection.
+ * @param {*} obj Object to compare to.
+ * @param {number=} tolerance Largest angle between the directions in radians;
+ *     Sylvester.precision if omitted.
+ * @return {boolean} True if parallel.
+ */
+sylvester.Line.prototype.isParallelTo = function(obj, tolerance) {};
+
+/**
+ * Returns the line's perpendicular distance from the argument,
+ * which can be a point, a line or a plane.
+ * @param {*} obj Object to compare distance from.
+ * @return {number} The distance.
+ */
+sylvester.Line.prototype.distanceFrom = function(obj) {};
+
+/**
+ * Returns true iff the argument is a point on the line.
+ * @param {*} point A point.
+ * @param {number=} tolerance Largest distance from the line, relative to the
+ *     largest coordinate of the point and the line's anchor in relative mode;
+ *     Sylvester.precision if omitted.
+ * @return {boolean} True if point is on the line.
+ */
+sylvester.Line.prototype.contains = function(point, tolerance) {};
+
+/**
+ * Returns true iff the line lies in the given plane.
+ * @param {sylvester.Plane} plane The plane to test.
+ * @return {boolean} True if line is in the plane.
+ */
+sylvester.Line.prototype.liesIn = function(plane) {};
+
+/**
+ * Returns true iff the line has a unique point of intersection with the argument.
+ * @param {*} obj The object to test intersection.
+ * @return {boolean} True if intersects.
+ */
+sylvester.Line.prototype.intersects = function(obj) {};
+
+/**
+ * Returns the unique intersection point with the argument, if one exists.
+ * @param {*} obj The object to get the intersection point.
+ * @return {*} The intersection.
+ */
+sylvester.Line.prototype.intersectionWith = function(obj) {};
+
+/**
+ * Returns the point on the line that is closest to the given point or line.
+ * @param {*} obj The object to get the point closest to.
+ * @return {sylvester.Vector} The point closest to.
+ */
+sylvester.Line.prototype.pointClosestTo = function(obj) {};
+
+/**
+ * Returns a copy of the line rotated by t radians about the given line. Works by
+ * finding the argument's closest point to this line's anchor point (call this C) and
+ * rotating the anchor about C. Also rotates the line's direction about the argument's.
+ * Be careful with this - the rotation axis' direction affects the outcome!
+ * Alternatively the line may be rotated by a unit quaternion, about an optional
+ * centre point that defaults to the origin.
+ * @param {number|sylvester.Quaternion} t Radians around a given line, or a quaternion.
+ * @param {sylvester.Line|sylvester.Vector=} line The line we are rotating around,
+ *     or the centre point when rotating by a quaternion.
+ * @return {sylvester.Line} The line rotated around a line.
+ */
+sylvester.Line.prototype.rotate = function(t, line) {};
+
+/**
+ * Returns the line's reflection in the given point or line.
+ * @param {*} obj Point or line to get a reflection of.
+ * @return {sylvester.Line} The reflection line.
+ */
+sylvester.Line.prototype.reflectionIn = function(obj) {};
+
+/**
+ * Set the line's anchor point and direction.
+ * @param {Array.<number>} anchor The anchor of a line.
+ * @param {Array.<number>} direction The direction of the line.
+ * @return {sylvester.Line} This line.
+ */
+sylvester.Line.prototype.setVectors = function(anchor, direction) {};
+
+/**
+ * Constructor function
+ * @param {Array.<number>} anchor The anchor of a line.
+ * @param {Array.<number>} direction The direction of the line.
+ * @return {sylvester.Line} This line.
+ */
+sylvester.Line.create = function(anchor, direction) {};
+
+/**
+ * X Axis sylvester.Line
+ * @type {sylvester.Line}
+ */
+sylvester.Line.X;
+
+/**
+ * Y Axis Line
+ * @type {sylvester.Line}
+ */
+sylvester.Line.Y;
+
+/**
+ * Z Axis Line
+ * @type {sylvester.Line}
+ */
+sylvester.Line.Z;
+
+/**
+ * Constructor function helper.
+ * @param {Array.<number>} anchor The anchor of a line.
+ * @param {Array.<number>} direction The direction of the line.
+ * @return {sylvester.Line} This line.
+ */
+var $L = function(anchor, direction) {};
+
+/**
+ * Class representing a mathematical Matrix
+ */
+sylvester.Matrix = function() {};
+
+/**
+ * Returns element (i,j) of the matrix.
+ * @param {number} i Row.
+ * @param {number} j Column.
+ * @return {number} Element (i,j).
+ */
+sylvester.Matrix.prototype.e = function(i, j) {};
+
+/**
+ * Returns row k of the matrix as a vector.
+ * @param {number} i Row.
+ * @return {sylvester.Vector} Row as a vector.
+ */
+sylvester.Matrix.prototype.row = function(i) {};
+
+/**
+ * Returns column k of the matrix as a vector.
+ * @param {number} j Column.
+ * @return {sylvester.Vector} Column as vector.
+ */
+sylvester.Matrix.prototype.col = function(j) {};
+
+/**
+ * Returns the number of rows/columns the matrix has
+ * @return {{rows: number, cols: number}} The dimensions.
+ */
+sylvester.Matrix.prototype.dimensions = function() {};
+
+/**
+ * Returns the number of rows in the matrix.
+ * @return {number} Number of rows.
+ */
+sylvester.Matrix.prototype.rows = function() {};
+
+/**
+ * Returns the number of columns in the matrix.
+ * @return {number} Number of columns.
+ */
+sylvester.Matrix.prototype.cols = function() {};
+
+/**
+ * Returns true iff the matrix is equal to the argument. You can supply
+ * a vector as the argument, in which case the receiver must be a
+ * one-column matrix equal to the vector.
+ * @param {sylvester.Matrix} matrix sylvester.Matrix to test equality.
+ * @param {number=} tolerance Largest difference between elements, relative to
+ *     the largest element in relative mode; Sylvester.precision if omitted.
+ * @return {boolean} True if equal.
+ */
+sylvester.Matrix.prototype.eql = function(matrix, tolerance) {};
+
+/**
+ * Returns a copy of the matrix, using the same storage as the matrix.
+ * @return {sylvester.Matrix} Duplicate of the matrix.
+ */
+sylvester.Matrix.prototype.dup = function() {};
+
+/**
+ * Maps the matrix to another matrix (of the same dimensions) according to the given function.
+ * @param {function(number,number,number)} fn Map function function(element,i,j).
+ * @return {sylvester.Matrix} sylvester.Matrix created after map operation is applied.
+ */
+sylvester.Matrix.prototype.map = function(fn) {};
+
+/**
+ * Returns true iff the argument has the same dimensions as the matrix.
+ * @param {sylvester.Matrix} matrix sylvester.Matrix to compare size against.
+ * @return {boolean} True if they are the same size.
+ */
+sylvester.Matrix.prototype.isSameSizeAs = function(matrix) {};
+
+/**
+ * Returns the result of adding the argument to the matrix.
+ * @param {sylvester.Matrix} matrix sylvester.Matrix to add.
+ * @return {sylvester.Matrix} The resultant matrix.
+ */
+sylvester.Matrix.prototype.add = function(matrix) {};
+
+/**
+ * Returns the result of subtracting the argument from the matrix.
+ * @param {sylvester.Matrix} matrix sylvester.Matrix to substract.
+ * @return {sylvester.Matrix} The resultant matrix.
+ */
+sylvester.Matrix.prototype.subtract = function(matrix) {};
+
+/**
+ * Returns true iff the matrix can multiply the argument from the left.
+ * @param {sylvester.Matrix} matrix The matrix to test if can multiply.
+ * @return {boolean} True if can multiply.
+ */
+sylvester.Matrix.prototype.canMultiplyFromLeft = function(matrix) {};
+
+/**
+ * Returns the result of multiplying the matrix from the right by the argument.
+ * If the argument is a scalar then just multiply all the elements. If the argument is
+ * a vector, a vector is returned, which saves you having to remember calling
+ * col(1) on the result.
+ * @param {sylvester.Matrix} matrix The matrix to multily.
+ * @return {sylvester.Matrix} The resultant matrix.
+ */
+sylvester.Matrix.prototype.multiply = function(matrix) {};
+
+/**
+ * Shorthand for multiply.
+ * @param {sylvester.Matrix} matrix The matrix to multily.
+ * @return {sylvester.Matrix} The resultant matrix.
+ */
+sylvester.Matrix.prototype.x = function(matrix) {};
+
+/**
+ * Returns a submatrix taken from the matrix
+ * Argument order is: start row, start col, nrows, ncols
+ * Element selection wraps if the required index is outside the matrix's bounds, so you could
+ * use this to perform row/column cycling or copy-augmenting.
+ * @param {number} startRow Starting row.
+ * @param {number} startColumn Starting column.
+ * @param {number} numberOfRows Number of rows to grab.
+ * @param {number} numberOfColumns Number of columns to grab.
+ * @return {sylvester.Matrix} The resultant matrix, using the same storage as
+ *     this matrix.
+ */
+sylvester.Matrix.prototype.minor = function(startRow, startColumn, numberOfRows, numberOfColumns) {};
+
+/**
+ * Returns the transpose of the matrix.
+ * @return {sylvester.Matrix} The transpose of this matrix.
+ */
+sylvester.Matrix.prototype.transpose = function() {};
+
+/**
+ * Writes the result of adding the argument to the matrix into out, without
+ * allocating a new matrix. out may be the receiver or the argument.
+ * @param {sylvester.Matrix} matrix sylvester.Matrix to add.
+ * @param {sylvester.Matrix} out sylvester.Matrix to write the result into.
+ * @return {sylvester.Matrix} out, or null if the dimensions do not match.
+ */
+sylvester.Matrix.prototype.addInto = function(matrix, out) {};
+
+/**
+ * Adds the argument to the matrix, modifying the matrix.
+ * @param {sylvester.Matrix} matrix sylvester.Matrix to add.
+ * @return {sylvester.Matrix} This matrix, or null if the dimensions do not match.
+ */
+sylvester.Matrix.prototype.addInPlace = function(matrix) {};
+
+/**
+ * Writes the result of subtracting the argument from the matrix into out,
+ * without allocating a new matrix. out may be the receiver or the argument.
+ * @param {sylvester.Matrix} matrix sylvester.Matrix to subtract.
+ * @param {sylvester.Matrix} out sylvester.Matrix to write the result into.
+ * @return {sylvester.Matrix} out, or null if the dimensions do not match.
+ */
+sylvester.Matrix.prototype.subtractInto = function(matrix, out) {};
+
+/**
+ * Subtracts the argument from the matrix, modifying the matrix.
+ * @param {sylvester.Matrix} matrix sylvester.Matrix to subtract.
+ * @return {sylvester.Matrix} This matrix, or null if the dimensions do not match.
+ */
+sylvester.Matrix.prototype.subtractInPlace = function(matrix) {};
+
+/**
+ * Writes the result of multiplying the matrix from the right by the argument into
+ * out, without allocating a new matrix. As with multiply, the argument may be a
+ * scalar, a vector (in which case out must be a vector) or a matrix. out may be
+ * the receiver or the argument, but for a matrix or vector product the aliased
+ * operand is then copied first, so pass a separate out to avoid any allocation.
+ * @param {sylvester.Matrix|sylvester.Vector|number} matrix The multiplier.
+ * @param {sylvester.Matrix|sylvester.Vector} out Where to write the result.
+ * @return {sylvester.Matrix|sylvester.Vector} out, or null if the dimensions do not match.
+ */
+sylvester.Matrix.prototype.multiplyInto = function(matrix, out) {};
+
+/**
+ * Multiplies the matrix from the right by the argument, modifying the matrix.
+ * The argument may be a scalar, or a square matrix with as many rows as this
+ * matrix has columns. A copy of the receiver is made for a matrix product.
+ * @param {sylvester.Matrix|number} matrix The multiplier.
+ * @return {sylvester.Matrix} This matrix, or null if the dimensions do not match.
+ */
+sylvester.Matrix.prototype.multiplyInPlace = function(matrix) {};
+
+/**
+ * Writes the transpose of the matrix into out, without allocating a new matrix.
+ * out may be the receiver if the matrix is square, but it is then copied first;
+ * use transposeInPlace instead.
+ * @param {sylvester.Matrix} out sylvester.Matrix to write the result into.
+ * @return {sylvester.Matrix} out, or null if the dimensions do not match.
+ */
+sylvester.Matrix.prototype.transposeInto = function(out) {};
+
+/**
+ * Transposes a square matrix, modifying the matrix.
+ * @return {sylvester.Matrix} This matrix, or null if the matrix is not square.
+ */
+sylvester.Matrix.prototype.transposeInPlace = function() {};
+
+/**
+ * Returns true iff the matrix is square
+ * @return {boolean} True if square matrix.
+ */
+sylvester.Matrix.prototype.isSquare = function() {};
+
+/**
+ * Returns true iff the matrix is square and equal to its transpose, to within
+ * Sylvester.precision relative to the largest element of the matrix.
+ * @param {number=} tolerance Largest difference allowed, relative to the
+ *     largest element in relative mode.
+ * @return {boolean} True if symmetric matrix.
+ */
+sylvester.Matrix.prototype.isSymmetric = function(tolerance) {};
+
+/**
+ * Returns the (absolute) largest element of the matrix
+ * @return {number} The largest element in this matrix.
+ */
+sylvester.Matrix.prototype.max = function() {};
+
+/**
+ * Returns the index of the first match found by reading row-by-row from left to right.
+ * @param {number} elementToFind Element to find.
+ * @return {?{i: number, j: number}} The 1-based row and column of the first
+ *     matching element, or null if there is none.
+ */
+sylvester.Matrix.prototype.indexOf = function(elementToFind) {};
+
+/**
+ * If the matrix is square, returns the diagonal elements as a vector.
+ * Otherwise, returns null.
+ * @return {sylvester.Vector} The diagonal of this matrix as a vector.
+ */
+sylvester.Matrix.prototype.diagonal = function() {};
+
+/**
+ * Make the matrix upper (right) triangular by Gaussian elimination.
+ * This method only adds multiples of rows to other rows. No rows are
+ * scaled up or switched, and the determinant is preserved.
+ * @return {sylvester.Matrix} A upper right triangular form of this matrix.
+ */
+sylvester.Matrix.prototype.toRightTriangular = function() {};
+
+/**
+ * Helper function to make the matrix upper (right) triangular by Gaussian elimination.
+ * @return {sylvester.Matrix} A upper right triangular form of this matrix.
+ */
+sylvester.Matrix.prototype.toUpperTriangular = function() {};
+
+/**
+ * Returns the LU decomposition of the matrix, computed by Gaussian elimination
+ * with partial (row) pivoting. The result satisfies P.x(this) == L.x(U), where
+ * P is a permutation matrix, L is unit lower triangular and U is upper
+ * triangular. For singular or non-square matrices U is in row echelon form:
+ * columns with no non-zero pivot candidate are skipped. sign is the determinant
+ * of P, i.e. -1 if an odd number of row swaps was made and 1 otherwise.
+ * @return {{L: sylvester.Matrix, U: sylvester.Matrix, P: sylvester.Matrix, sign: number}}
+ *     The decomposition.
+ */
+sylvester.Matrix.prototype.lu = function() {};
+
+/**
+ * Returns the QR decomposition of the matrix, computed with Householder
+ * reflections. The result satisfies Q.x(R) == this, where Q is orthogonal and R
+ * is upper triangular. For an m x n matrix Q is m x m and R is m x n, unless
+ * economy is set and m > n, in which case only the first n columns of Q and
+ * the first n rows of R are returned.
+ * @param {boolean=} economy True to return the economy-size decomposition.
+ * @return {{Q: sylvester.Matrix, R: sylvester.Matrix}} The decomposition.
+ */
+sylvester.Matrix.prototype.qr = function(economy) {};
+
+/**
+ * Returns the eigenvalues and eigenvectors of a symmetric matrix, computed with
+ * the cyclic Jacobi method. The eigenvalues are returned as a vector sorted from
+ * largest to smallest, and the columns of the orthonormal matrix of eigenvectors
+ * are in the same order, so that this == vectors.x(values.toDiagonalMatrix()).x(vectors.transpose()).
+ * Iteration stops once the off-diagonal part of the matrix is smaller than
+ * Sylvester.precision squared, relative to the size of the matrix.
+ * Returns null if the matrix is not symmetric.
+ * @return {{values: sylvester.Vector, vectors: sylvester.Matrix}} The eigen-decomposition.
+ */
+sylvester.Matrix.prototype.eigenSymmetric = function() {};
+
+/**
+ * Returns the eigenvalues of a square matrix. The matrix is reduced to upper
+ * Hessenberg form and then to quasi-triangular form by the shifted double QR
+ * algorithm (as in the JAMA and EISPACK hqr routines). Eigenvalues are returned
+ * as parallel vectors of real and imaginary parts, sorted by decreasing real
+ * part. Complex eigenvalues come in conjugate pairs, with the member having a
+ * positive imaginary part first. Returns null if the matrix is not square or
+ * the iteration fails to converge.
+ * @return {{real: sylvester.Vector, imag: sylvester.Vector}} The eigenvalues.
+ */
+sylvester.Matrix.prototype.eigenvalues = function() {};
+
+/**
+ * Returns the determinant for square matrices, computed from the LU decomposition.
+ * Matrices of size 2 to 4 use cofactor expansion instead.
+ * @return {number} The determinant.
+ */
+sylvester.Matrix.prototype.determinant = function() {};
+
+/**
+ * Helper function for the determinant.
+ * @return {number} The determinant.
+ */
+sylvester.Matrix.prototype.det = function() {};
+
+/**
+ * Returns true iff the matrix is singular. A matrix is treated as singular when
+ * a pivot of its LU decomposition is no larger than Sylvester.precision times
+ * the largest element of the matrix, so near-singular matrices are caught too.
+ * @param {number=} tolerance Largest negligible pivot, relative to the largest
+ *     element in relative mode.
+ * @return {boolean} True if matrix is singular.
+ */
+sylvester.Matrix.prototype.isSingular = function(tolerance) {};
+
+/**
+ * Returns the trace for square matrices.
+ * @return {number} The trace.
+ */
+sylvester.Matrix.prototype.trace = function() {};
+
+/**
+ * Helper function for finding the trace.
+ * @return {number} The trace.
+ */
+sylvester.Matrix.prototype.tr = function() {};
+
+/**
+ * Returns the numerical rank of the matrix, i.e. the number of singular values
+ * larger than the tolerance. If no tolerance is given, singular values no larger
+ * than Sylvester.precision times the largest singular value are treated as zero,
+ * so the result does not depend on how the matrix is scaled.
+ * @param {number=} tolerance Threshold for non-zero singular values, relative
+ *     to the largest singular value in relative mode.
+ * @return {number} The rank of this matrix.
+ */
+sylvester.Matrix.prototype.rank = function(tolerance) {};
+
+/**
+ * Helper function for returning rank.
+ * @param {number=} tolerance Threshold for non-zero singular values, relative
+ *     to the largest singular value in relative mode.
+ * @return {number} The rank of this matrix.
+ */
+sylvester.Matrix.prototype.rk = function(tolerance) {};
+
+/**
+ * Returns the singular value decomposition of the matrix, computed with the
+ * one-sided Jacobi method. For an m x n matrix with k = min(m, n), U is an
+ * m x k matrix and V an n x k matrix, both with orthonormal columns, and S is a
+ * vector of the k singular values sorted from largest to smallest, so that
+ * this == U.x(S.toDiagonalMatrix()).x(V.transpose()).
+ * @return {{U: sylvester.Matrix, S: sylvester.Vector, V: sylvester.Matrix}}
+ *     The decomposition.
+ */
+sylvester.Matrix.prototype.svd = function() {};
+
+/**
+ * Returns the Moore-Penrose pseudo-inverse of the matrix, computed from the
+ * singular value decomposition. Singular values treated as zero by rank() are
+ * left out.
+ * @param {number=} tolerance Threshold for non-zero singular values, relative
+ *     to the largest singular value in relative mode.
+ * @return {sylvester.Matrix} The pseudo-inverse of this matrix.
+ */
+sylvester.Matrix.prototype.pseudoInverse = function(tolerance) {};
+
+/**
+ * Returns the 2-norm condition number of the matrix, i.e. the ratio of its
+ * largest to smallest singular value. Returns Infinity for a matrix that rank()
+ * finds rank deficient, i.e. if the smallest singular value is within the
+ * tolerance of zero.
+ * @param {number=} tolerance Threshold for non-zero singular values, relative
+ *     to the largest singular value in relative mode.
+ * @return {number} The condition number.
+ */
+sylvester.Matrix.prototype.conditionNumber = function(tolerance) {};
+
+/**
+ * Returns the 2-norm (spectral norm) of the matrix, i.e. its largest singular value.
+ * @return {number} The 2-norm.
+ */
+sylvester.Matrix.prototype.norm2 = function() {};
+
+/**
+ * Returns the nuclear (trace) norm of the matrix, i.e. the sum of its singular values.
+ * @return {number} The nuclear norm.
+ */
+sylvester.Matrix.prototype.nuclearNorm = function() {};
+
+/**
+ * Returns the result of attaching the given argument to the right-hand side of the matrix.
+ * @param {sylvester.Matrix} matrix sylvester.Matrix to augment with.
+ * @return {sylvester.Matrix} The resultant augmented matrix.
+ */
+sylvester.Matrix.prototype.augment = function(matrix) {};
+
+/**
+ * Returns the inverse (if one exists), computed from the LU decomposition.
+ * Returns null if the matrix is not square or is singular (see isSingular).
+ * Matrices of size 2 to 4 are inverted from their adjugate instead, and are
+ * singular when the determinant over the largest cofactor, which estimates the
+ * smallest pivot, fails the same test.
+ * @return {sylvester.Matrix} The inverse of this matrix.
+ */
+sylvester.Matrix.prototype.inverse = function() {};
+
+/**
+ * Helper function for getting an inverse.
+ * @return {sylvester.Matrix} The inverse of this matrix.
+ */
+sylvester.Matrix.prototype.inv = function() {};
+
+/**
+ * Solves the linear system this.x(X) = B and returns X. The right-hand side may
+ * be a vector, in which case a vector is returned, or a matrix whose columns are
+ * solved for together. Square systems are solved using the LU decomposition.
+ * Non-square systems are passed on to sylvester.Matrix.leastSquares.
+ * Throws a sylvester.SingularMatrix if the system is singular or rank
+ * deficient, and returns null
+ * if the right-hand side has the wrong number of rows.
+ * @param {sylvester.Matrix|sylvester.Vector} b The right-hand side.
+ * @return {sylvester.Matrix|sylvester.Vector} The solution.
+ */
+sylvester.Matrix.prototype.solve = function(b) {};
+
+/**
+ * Returns the least squares solution X of A.x(X) = B using the QR decomposition.
+ * If A has more rows than columns X minimises the residual A.x(X) - B, and if it
+ * has fewer rows than columns X is the solution of minimum norm. Throws a
+ * sylvester.SingularMatrix if A is rank deficient, and returns null if B has
+ * the wrong number of rows.
+ * @param {sylvester.Matrix} A The coefficient matrix.
+ * @param {sylvester.Matrix|sylvester.Vector} b The right-hand side.
+ * @return {sylvester.Matrix|sylvester.Vector} The solution.
+ */
+sylvester.Matrix.leastSquares = function(A, b) {};
+
+/**
+ * Returns the Cholesky factor of a symmetric positive-definite matrix, i.e. the
+ * lower triangular matrix L with a positive diagonal such that L.x(L.transpose())
+ * equals the matrix. Returns null if the matrix is not symmetric positive-definite.
+ * Both tests use Sylvester.precision relative to the largest element, in either
+ * mode; unlike isSymmetric, this takes no tolerance of its own.
+ * @return {sylvester.Matrix} The lower triangular Cholesky factor.
+ */
+sylvester.Matrix.prototype.cholesky = function() {};
+
+/**
+ * Returns true iff the matrix is symmetric and positive-definite, using the same
+ * test as cholesky().
+ * @return {boolean} True if positive-definite.
+ */
+sylvester.Matrix.prototype.isPositiveDefinite = function() {};
+
+/**
+ * Solves this.x(X) = B for a symmetric positive-definite matrix using the
+ * Cholesky decomposition, which takes about half the work of solve(). Returns
+ * null if the matrix is not symmetric positive-definite or the right-hand side
+ * has the wrong number of rows.
+ * @param {sylvester.Matrix|sylvester.Vector} b The right-hand side.
+ * @return {sylvester.Matrix|sylvester.Vector} The solution.
+ */
+sylvester.Matrix.prototype.choleskySolve = function(b) {};
+
+/**
+ * Returns the result of rounding all the elements
+ * @return {sylvester.Matrix} The matrix with rounded element.
+ */
+sylvester.Matrix.prototype.round = function() {};
+
+/**
+ * Returns a copy of the matrix with elements set to the given value if they
+ * differ from it by less than Sylvester.precision.
+ * @param {number} x The element to snap to.
+ * @param {number=} tolerance Largest difference to snap, relative to the
+ *     largest of x and the elements in relative mode; Sylvester.precision if
+ *     omitted.
+ * @return {sylvester.Matrix} The matrix with snapped to values.
+ */
+sylvester.Matrix.prototype.snapTo = function(x, tolerance) {};
+
+/**
+ * Returns a string representation of the matrix
+ * @return {string} String form of a matrix.
+ */
+sylvester.Matrix.prototype.inspect = function() {};
+
+/**
+ * Set the matrix's elements from an array. If the argument passed
+ * is a vector, the resulting matrix will be a single column. The matrix always
+ * uses nested array storage afterwards.
+ * @param {Array.<number>} els Elements.
+ * @return {sylvester.Matrix} This.
+ */
+sylvester.Matrix.prototype.setElements = function(els) {};
+
+/**
+ * Create a new matrix from elements.
+ * @param {Array.<number>} elements Elements.
+ * @return {sylvester.Matrix} New sylvester.Matrix.
+ */
+sylvester.Matrix.create = function(elements) {};
+
+/**
+ * Create a new matrix backed by a typed array, such as a Float32Array or
+ * Float64Array, holding the elements in flat row-major order. Operations that
+ * return new matrices, like map, multiply, transpose and inverse, keep the
+ * storage type of their receiver. Use toUntyped to convert back to nested arrays.
+ * @param {Array.<number>} elements Elements.
+ * @param {Function=} type Typed array constructor, Float64Array by default.
+ * @return {sylvester.Matrix} New typed-array backed sylvester.Matrix.
+ */
+sylvester.Matrix.createTyped = function(elements, type) {};
+
+/**
+ * Returns true iff the matrix is backed by a typed array.
+ * @return {boolean} True if typed-array backed.
+ */
+sylvester.Matrix.prototype.isTyped = function() {};
+
+/**
+ * Returns a copy of the matrix backed by a typed array.
+ * @param {Function=} type Typed array constructor, Float64Array by default.
+ * @return {sylvester.Matrix} Typed-array backed copy of this matrix.
+ */
+sylvester.Matrix.prototype.toTyped = function(type) {};
+
+/**
+ * Returns a copy of the matrix backed by nested arrays.
+ * @return {sylvester.Matrix} Nested array backed copy of this matrix.
+ */
+sylvester.Matrix.prototype.toUntyped = function() {};
+
+/**
+ * Identity matrix of size n.
+ * @param {number} n Size of identity matrix.
+ * @return {sylvester.Matrix} Identity matrix.
+ */
+sylvester.Matrix.I = function(n) {};
+
+/**
+ * Diagonal matrix - all off-diagonal elements are zero.
+ * @param {Array.<number>} elements Elements to put along the diagonal.
+ * @return {sylvester.Matrix} Diagonal matrix.
+ */
+sylvester.Matrix.Diagonal = function(elements) {};
+
+/**
+ * Rotation matrix about some axis. If no axis is
+ * supplied, assume we're after a 2D transform.
+ * @param {number} theta Angle to rotate.
+ * @param {sylvester.Vector=} a Axis to rotate around.
+ * @return {sylvester.Matrix} Rotation matrix.
+ */
+sylvester.Matrix.Rotation = function(theta, a) {};
+
+/**
+ * Create an X rotation matrix.
+ * @param {number} t Angle to rotate.
+ * @return {sylvester.Matrix} Rotation matrix.
+ */
+sylvester.Matrix.RotationX = function(t) {};
+
+/**
+ * Create an Y rotation matrix.
+ * @param {number} t Angle to rotate.
+ * @return {sylvester.Matrix} Rotation matrix.
+ */
+sylvester.Matrix.RotationY = function(t) {};
+
+/**
+ * Create an Z rotation matrix.
+ * @param {number} t Angle to rotate.
+ * @return {sylvester.Matrix} Rotation matrix.
+ */
+sylvester.Matrix.RotationZ = function(t) {};
+
+/**
+ * Returns the rotation matrix for a sequence of rotations about the
+ * coordinate axes. The order names the axis of each angle, so with order
+ * 'XYZ' the result is RotationX(angles[0]).x(RotationY(angles[1])).x(RotationZ(angles[2])):
+ * rotations about the body's own axes applied from left to right, or
+ * equivalently about the fixed axes applied from right to left. Yaw, pitch
+ * and roll are the angles of the 'ZYX' order.
+ * @param {sylvester.Vector|Array.<number>} angles The three angles.
+ * @param {string=} order Any of the 6 Tait-Bryan orders (XYZ, XZY, YXZ, YZX,
+ *     ZXY, ZYX) or 6 proper Euler orders (XYX, XZX, YXY, YZY, ZXZ, ZYZ), 'XYZ'
+ *     by default.
+ * @return {sylvester.Matrix} The 3x3 rotation matrix, or null for an invalid order.
+ */
+sylvester.Matrix.fromEuler = function(angles, order) {};
+
+/**
+ * Returns the Euler angles of a rotation matrix, 3x3 or the upper left 3x3 block
+ * of a 4x4 matrix, such that sylvester.Matrix.fromEuler(angles, order) gives
+ * back the rotation. For Tait-Bryan orders the middle angle is in
+ * [-PI/2, PI/2]; for proper Euler orders it is in [0, PI]. The other angles are
+ * in [-PI, PI].
+ * At gimbal lock, where the middle angle is +-PI/2 for Tait-Bryan orders or 0 or
+ * PI for proper Euler orders, the first and last axes line up and only a
+ * combination of their angles is determined. The last angle is then returned
+ * as 0 and the whole remaining rotation is put in the first angle.
+ * Lock is detected when the cosine (Tait-Bryan) or sine (proper Euler) of the
+ * middle angle is no greater than Sylvester.precision.
+ * @param {string=} order The rotation order, as for fromEuler, 'XYZ' by default.
+ * @return {sylvester.Vector} The three angles, or null if the matrix is not
+ *     3x3 or 4x4 or the order is invalid.
+ */
+sylvester.Matrix.prototype.toEuler = function(order) {};
+
+/**
+ * Random matrix of n rows, m columns, with elements uniform in [0, 1) drawn
+ * from Sylvester.random.
+ * @param {number} n Number of rows.
+ * @param {number} m Number of columns.
+ * @return {sylvester.Matrix} Random matrix.
+ */
+sylvester.Matrix.Random = function(n, m) {};
+
+/**
+ * Random matrix of n rows, m columns, with elements uniform in [min, max).
+ * @param {number} n Number of rows.
+ * @param {number} m Number of columns.
+ * @param {number} min Lower bound.
+ * @param {number} max Upper bound.
+ * @return {sylvester.Matrix} Random matrix.
+ */
+sylvester.Matrix.RandomUniform = function(n, m, min, max) {};
+
+/**
+ * Random matrix of n rows, m columns, with normally distributed elements.
+ * @param {number} n Number of rows.
+ * @param {number} m Number of columns.
+ * @param {number=} mean The mean, 0 by default.
+ * @param {number=} sd The standard deviation, 1 by default.
+ * @return {sylvester.Matrix} Random matrix.
+ */
+sylvester.Matrix.RandomNormal = function(n, m, mean, sd) {};
+
+/**
+ * Random n x n orthogonal matrix, distributed uniformly (by Haar measure) over
+ * the orthogonal group. It is the Q factor of a matrix of normal deviates, with
+ * each column's sign fixed by the diagonal of R so that the factorization is
+ * unique.
+ * @param {number} n Size of the matrix.
+ * @return {sylvester.Matrix} Random orthogonal matrix.
+ */
+sylvester.Matrix.RandomOrthogonal = function(n) {};
+
+/**
+ * Random n x n rotation matrix, distributed uniformly over the rotations
+ * SO(n). A random orthogonal matrix that is a reflection has its first column
+ * negated. n is 3 by default.
+ * @param {number=} n Size of the matrix.
+ * @return {sylvester.Matrix} Random rotation matrix.
+ */
+sylvester.Matrix.RandomRotation = function(n) {};
+
+/**
+ * sylvester.Matrix filled with zeros
+ * @param {number} n Number of rows.
+ * @param {number} m Number of columns.
+ * @return {sylvester.Matrix} Zero matrix.
+ */
+sylvester.Matrix.Zero = function(n, m) {};
+
+/**
+ * Create a translation matrix.
+ * @param {sylvester.Vector} v sylvester.Vector to translate by.
+ * @return {sylvester.Matrix} Translation matrix.
+ */
+sylvester.Matrix.Translation = function(v) {};
+
+/**
+ * Flatten a matrix down to a 2D array.
+ * @return {Array.<number>} sylvester.Matrix as a 2d array.
+ */
+sylvester.Matrix.prototype.flatten = function() {};
+
+/**
+ * Ensure that a matrix is 4x4.
+ * @return {sylvester.Matrix} This.
+ */
+sylvester.Matrix.prototype.ensure4x4 = function() {};
+
+/**
+ * Ensure that a matrix is 3x3.
+ * @return {sylvester.Matrix} This.
+ */
+sylvester.Matrix.prototype.make3x3 = function() {};
+
+/**
+ * Decomposes an affine 4x4 matrix into translation, rotation, scale and shear,
+ * such that the matrix equals T.x(R).x(S).x(H), where T translates, R is a
+ * proper rotation, S = diag(scale) and H is the unit upper triangular shear
+ * [[1, xy, xz], [0, 1, yz], [0, 0, 1]]. A reflection, where the upper left 3x3
+ * block has a negative determinant, is reported as a negative x scale.
+ * The bottom row must be (0, 0, 0, w) with w non-zero; the matrix is divided
+ * by w first. Elements and scales no larger than Sylvester.precision relative
+ * to the largest element count as zero, in either mode.
+ * @return {{translation: sylvester.Vector, rotation: sylvester.Matrix,
+ *     scale: sylvester.Vector, shear: sylvester.Vector}} The components, with
+ *     shear given as [xy, xz, yz], or null if the matrix is not 4x4, is
+ *     projective or has a zero scale.
+ */
+sylvester.Matrix.prototype.decomposeAffine = function() {};
+
+/**
+ * Builds an affine 4x4 matrix T.x(R).x(S).x(H) from the components returned
+ * by decomposeAffine. Every component is optional.
+ * @param {{translation: (sylvester.Vector|Array.<number>|undefined),
+ *     rotation: (sylvester.Matrix|sylvester.Quaternion|undefined),
+ *     scale: (sylvester.Vector|Array.<number>|number|undefined),
+ *     shear: (sylvester.Vector|Array.<number>|undefined)}} parts The
+ *     translation, the rotation as a 3x3 or 4x4 matrix or a unit quaternion,
+ *     the scale as a vector or a single uniform factor, and the shear as
+ *     [xy, xz, yz].
+ * @return {sylvester.Matrix} The 4x4 matrix.
+ */
+sylvester.Matrix.composeAffine = function(parts) {};
+
+/**
+ * Transforms a 3D point by the 4x4 matrix, treating it as (x, y, z, 1) and
+ * dividing the result by its w component.
+ * @param {sylvester.Vector|Array.<number>} point The point.
+ * @return {sylvester.Vector} The transformed point, or null if the matrix is
+ *     not 4x4, the point is not 3D or it maps to infinity (w = 0).
+ */
+sylvester.Matrix.prototype.transformPoint = function(point) {};
+
+/**
+ * Transforms a 3D direction by the 4x4 matrix, treating it as (x, y, z, 0) so
+ * that translation does not apply. No homogeneous divide is done, so this is
+ * only meaningful for affine matrices.
+ * @param {sylvester.Vector|Array.<number>} direction The direction.
+ * @return {sylvester.Vector} The transformed direction, or null if the matrix
+ *     is not 4x4 or the direction is not 3D.
+ */
+sylvester.Matrix.prototype.transformDirection = function(direction) {};
+
+/**
+ * Transforms a surface normal by the inverse transpose of the upper left 3x3
+ * block of the 4x4 matrix, so that it stays perpendicular to transformed
+ * directions under non-uniform scale and shear. The result is not normalized.
+ * @param {sylvester.Vector|Array.<number>} normal The normal.
+ * @return {sylvester.Vector} The transformed normal, or null if the matrix is
+ *     not 4x4, its upper left 3x3 block is singular or the normal is not 3D.
+ */
+sylvester.Matrix.prototype.transformNormal = function(normal) {};
+
+/**
+ * Transforms a line by the 4x4 matrix, by transforming its anchor and a
+ * second point along it.
+ * @param {sylvester.Line} line The line.
+ * @return {sylvester.Line} The transformed line, or null if the matrix is not
+ *     4x4 or either point maps to infinity or they map to the same point.
+ */
+sylvester.Matrix.prototype.transformLine = function(line) {};
+
+/**
+ * Transforms a plane by the 4x4 matrix. The plane is treated as the row
+ * vector (n, -n.a) of its normal n and anchor a, which maps to (n, -n.a) times
+ * the inverse matrix; this handles projective matrices as well as affine ones.
+ * @param {sylvester.Plane} plane The plane.
+ * @return {sylvester.Plane} The transformed plane, or null if the matrix is not
+ *     4x4, is singular or maps the plane to the plane at infinity.
+ */
+sylvester.Matrix.prototype.transformPlane = function(plane) {};
+
+/**
+ * Shorthand for matrix creation.
+ * @param {Array.<number>} elements Elements.
+ * @return {sylvester.Matrix} New sylvester.Matrix.
+ */
+var $M = function(elements) {};
+
+/**
+ * A class representing a mathematical plane.
+ * @constructor
+ */
+sylvester.Plane = function() {};
+
+/** @type {?} */
+sylvester.Plane.prototype.anchor;
+
+/** @type {?} */
+sylvester.Plane.prototype.normal;
+
+/**
+ * Returns true iff the plane occupies the same space as the argument.
+ * @param {sylvester.Plane} plane sylvester.Plane to test equality.
+ * @param {number=} tolerance Tolerance for the angle between the planes and
+ *     the distance between them, as for isParallelTo and contains.
+ * @return {boolean} True if equal.
+ */
+sylvester.Plane.prototype.eql = function(plane, tolerance) {};
+
+/**
+ * Returns a copy of the plane
+ * @return {sylvester.Plane} A duplicate of this plane.
+ */
+sylvester.Plane.prototype.dup = function() {};
+
+/**
+ * Returns the result of translating the plane by the given vector.
+ * @param {sylvester.Vector} vector sylvester.Vector to translate plane by.
+ * @return {sylvester.Plane} A translated plane.
+ */
+sylvester.Plane.prototype.translate = function(vector) {};
+
+/**
+ * Returns true iff the plane is parallel to the argument. Will return true
+ * if the planes are equal, or if you give a line and it lies in the plane.
+ * @param {*} obj Object to test parallelism to.
+ * @param {number=} tolerance Largest angle between the planes, or deviation of
+ *     a line from the plane, in radians; Sylvester.precision if omitted.
+ * @return {boolean} True if parallel to.
+ */
+sylvester.Plane.prototype.isParallelTo = function(obj, tolerance) {};
+
+/**
+ * Returns true iff the receiver is perpendicular to the argument.
+ * @param {sylvester.Plane} plane sylvester.Plane to test perpendicularity to.
+ * @param {number=} tolerance Largest deviation from a right angle in radians;
+ *     Sylvester.precision if omitted.
+ * @return {boolean} True if perpendicular.
+ */
+sylvester.Plane.prototype.isPerpendicularTo = function(plane, tolerance) {};
+
+/**
+ * Returns the plane's distance from the given object (point, line or plane).
+ * @param {*} obj Object to get distance from.
+ * @return {number} Distance from object.
+ */
+sylvester.Plane.prototype.distanceFrom = function(obj) {};
+
+/**
+ * Returns true iff the plane contains the given point or line.
+ * @param {*} obj Object to see if contained in this plane.
+ * @param {number=} tolerance Largest distance from the plane, relative to the
+ *     largest coordinate of the point and the plane's anchor in relative mode;
+ *     Sylvester.precision if omitted.
+ * @return {boolean} True if object is contained.
+ */
+sylvester.Plane.prototype.contains = function(obj, tolerance) {};
+
+/**
+ * Returns true iff the plane has a unique point/line of intersection with the argument.
+ * @param {*} obj Object to test intersection with.
+ * @return {boolean} True if object intersects.
+ */
+sylvester.Plane.prototype.intersects = function(obj) {};
+
+/**
+ * Returns the unique intersection with the argument, if one exists. The result
+ * will be a vector if a line is supplied, and a line if a plane is supplied.
+ * @param {*} obj Object to get the intersection with.
+ * @return {*} Intersection with object.
+ */
+sylvester.Plane.prototype.intersectionWith = function(obj) {};
+
+/**
+ * Returns the point in the plane closest to the given point.
+ * @param {sylvester.Vector} point Point to get closest point to.
+ * @return {sylvester.Vector} Point on plane closest to point.
+ */
+sylvester.Plane.prototype.pointClosestTo = function(point) {};
+
+/**
+ * Returns a copy of the plane, rotated by t radians about the given line
+ * See notes on Line#rotate.
+ * @param {number} t Radians around the line.
+ * @param {sylvester.Line} line sylvester.Line to rotate about.
+ * @return {sylvester.Plane} The rotated plane.
+ */
+sylvester.Plane.prototype.rotate = function(t, line) {};
+
+/**
+ * Returns the reflection of the plane in the given point, line or plane.
+ * @param {*} obj Object to reflect against.
+ * @return {sylvester.Plane} The reflected plane.
+ */
+sylvester.Plane.prototype.reflectionIn = function(obj) {};
+
+/**
+ * Sets the anchor point and normal to the plane. If three arguments are specified,
+ * the normal is calculated by assuming the three points should lie in the same plane.
+ * If only two are sepcified, the second is taken to be the normal. Normal vector is
+ * normalised before storage.
+ * @param {Array.<number>} anchor The anchor of the plane.
+ * @param {Array.<number>} v1 See notes.
+ * @param {Array.<number>=} v2 See notes.
+ * @return {sylvester.Plane} This plane.
+ */
+sylvester.Plane.prototype.setVectors = function(anchor, v1, v2) {};
+
+/**
+ * Constructor function.
+ * @param {Array.<number>} anchor The anchor of the plane.
+ * @param {Array.<number>} v1 See notes.
+ * @param {Array.<number>=} v2 See notes.
+ * @return {sylvester.Plane} This plane.
+ */
+sylvester.Plane.create = function(anchor, v1, v2) {};
+
+/**
+ * XY Plane
+ * @type {sylvester.Plane}
+ */
+sylvester.Plane.XY;
+
+/**
+ * YZ Plane
+ * @type {sylvester.Plane}
+ */
+sylvester.Plane.YZ;
+
+/**
+ * ZX Plane
+ * @type {sylvester.Plane}
+ */
+sylvester.Plane.ZX;
+
+/**
+ * YX Plane
+ * @type {sylvester.Plane}
+ */
+sylvester.Plane.YX;
+
+/**
+ * ZY Plane
+ * @type {sylvester.Plane}
+ */
+sylvester.Plane.ZY;
+
+/**
+ * XZ Plane
+ * @type {sylvester.Plane}
+ */
+sylvester.Plane.XZ;
+
+/**
+ * Former name of sylvester.Plane, kept so that existing code keeps working.
+ * @deprecated Use sylvester.Plane instead.
+ * @const
+ */
+sylvester.Pane;
+
+/**
+ * Constructor function helper.
+ * @param {Array.<number>} anchor The anchor of the plane.
+ * @param {Array.<number>} v1 See notes.
+ * @param {Array.<number>=} v2 See notes.
+ * @return {sylvester.Plane} This plane.
+ */
+var $P = function(anchor, v1, v2) {};
+
+/**
+ * A class representing a quaternion w + xi + yj + zk. Unit quaternions
+ * represent rotations in 3D; the elements are stored as [w, x, y, z].
+ * @constructor
+ */
+sylvester.Quaternion = function() {};
+
+/** @type {?} */
+sylvester.Quaternion.prototype.elements;
+
+/**
+ * Returns element i of the quaternion, in the order w, x, y, z.
+ * @param {number} i Element index.
+ * @return {number} The ith element.
+ */
+sylvester.Quaternion.prototype.e = function(i) {};
+
+/**
+ * Returns true iff the quaternion is equal to the argument. Note that q and
+ * -q represent the same rotation but are not equal.
+ * @param {sylvester.Quaternion} quaternion The quaternion to compare to.
+ * @param {number=} tolerance Largest difference between components, relative
+ *     to the largest component in relative mode; Sylvester.precision if omitted.
+ * @return {boolean} True if they are equal.
+ */
+sylvester.Quaternion.prototype.eql = function(quaternion, tolerance) {};
+
+/**
+ * Returns a copy of the quaternion.
+ * @return {sylvester.Quaternion} Duplicate of this quaternion.
+ */
+sylvester.Quaternion.prototype.dup = function() {};
+
+/**
+ * Returns the modulus ('length') of the quaternion.
+ * @return {number} The modulus.
+ */
+sylvester.Quaternion.prototype.modulus = function() {};
+
+/**
+ * Returns the dot product of the quaternion with the argument.
+ * @param {sylvester.Quaternion} quaternion The other quaternion.
+ * @return {number} The dot product.
+ */
+sylvester.Quaternion.prototype.dot = function(quaternion) {};
+
+/**
+ * Returns the Hamilton product of the quaternion with the argument, this * q.
+ * As rotations, the result applies q first and then this quaternion.
+ * @param {sylvester.Quaternion} quaternion The quaternion to multiply by.
+ * @return {sylvester.Quaternion} The product.
+ */
+sylvester.Quaternion.prototype.multiply = function(quaternion) {};
+
+/**
+ * Shorthand for multiply.
+ * @param {sylvester.Quaternion} quaternion The quaternion to multiply by.
+ * @return {sylvester.Quaternion} The product.
+ */
+sylvester.Quaternion.prototype.x = function(quaternion) {};
+
+/**
+ * Returns the conjugate w - xi - yj - zk of the quaternion. For unit
+ * quaternions this is the inverse rotation.
+ * @return {sylvester.Quaternion} The conjugate.
+ */
+sylvester.Quaternion.prototype.conjugate = function() {};
+
+/**
+ * Returns the multiplicative inverse of the quaternion.
+ * @return {sylvester.Quaternion} The inverse, or null for the zero quaternion.
+ */
+sylvester.Quaternion.prototype.inverse = function() {};
+
+/**
+ * Returns the quaternion scaled to unit length.
+ * @return {sylvester.Quaternion} The unit quaternion, or a copy of the
+ *     quaternion if it is zero.
+ */
+sylvester.Quaternion.prototype.normalize = function() {};
+
+/**
+ * Returns the result of rotating a 3D vector by the quaternion, which is
+ * assumed to be of unit length.
+ * @param {sylvester.Vector|Array.<number>} vector The vector to rotate.
+ * @return {sylvester.Vector} The rotated vector, or null if it is not 3D.
+ */
+sylvester.Quaternion.prototype.rotateVector = function(vector) {};
+
+/**
+ * Spherical linear interpolation between the quaternion (t = 0) and the
+ * argument (t = 1), along the shorter arc. Both are assumed to be of unit length.
+ * @param {sylvester.Quaternion} quaternion The target quaternion.
+ * @param {number} t Interpolation parameter.
+ * @return {sylvester.Quaternion} The interpolated unit quaternion.
+ */
+sylvester.Quaternion.prototype.slerp = function(quaternion, t) {};
+
+/**
+ * Normalised linear interpolation between the quaternion (t = 0) and the
+ * argument (t = 1), along the shorter arc. Cheaper than slerp, but does not
+ * move at a constant angular speed.
+ * @param {sylvester.Quaternion} quaternion The target quaternion.
+ * @param {number} t Interpolation parameter.
+ * @return {sylvester.Quaternion} The interpolated unit quaternion.
+ */
+sylvester.Quaternion.prototype.nlerp = function(quaternion, t) {};
+
+/**
+ * Returns the rotation axis and angle of the unit quaternion. The angle is in
+ * [0, 2PI]; the identity rotation gives the x axis and an angle of 0.
+ * @return {{axis: sylvester.Vector, angle: number}} The axis and angle.
+ */
+sylvester.Quaternion.prototype.toAxisAngle = function() {};
+
+/**
+ * Returns the 3x3 rotation matrix of the unit quaternion.
+ * @return {sylvester.Matrix} The rotation matrix.
+ */
+sylvester.Quaternion.prototype.toMatrix3x3 = function() {};
+
+/**
+ * Returns the 4x4 homogeneous rotation matrix of the unit quaternion.
+ * @return {sylvester.Matrix} The rotation matrix.
+ */
+sylvester.Quaternion.prototype.toMatrix4x4 = function() {};
+
+/**
+ * Returns a string representation of the quaternion.
+ * @return {string} String representation.
+ */
+sylvester.Quaternion.prototype.inspect = function() {};
+
+/**
+ * Set the quaternion's elements from an array in the order w, x, y, z.
+ * @param {Array.<number>} els Elements to set.
+ * @return {sylvester.Quaternion} This quaternion.
+ */
+sylvester.Quaternion.prototype.setElements = function(els) {};
+
+/**
+ * Constructor function.
+ * @param {Array.<number>} elements Elements in the order w, x, y, z.
+ * @return {sylvester.Quaternion} The new quaternion.
+ */
+sylvester.Quaternion.create = function(elements) {};
+
+/**
+ * The identity quaternion, representing no rotation.
+ * @return {sylvester.Quaternion} The identity quaternion.
+ */
+sylvester.Quaternion.Identity = function() {};
+
+/**
+ * Returns the unit quaternion rotating by theta about the given axis, with the
+ * same handedness as sylvester.Matrix.Rotation.
+ * @param {sylvester.Vector|Array.<number>} axis Axis to rotate around.
+ * @param {number} theta Angle to rotate.
+ * @return {sylvester.Quaternion} The rotation, or null if the axis is not a
+ *     non-zero 3D vector.
+ */
+sylvester.Quaternion.fromAxisAngle = function(axis, theta) {};
+
+/**
+ * Returns the unit quaternion for a sequence of rotations about the
+ * coordinate axes. The order names the axis of each angle, so with order
+ * 'XYZ' the result is Rx(angles[0]) * Ry(angles[1]) * Rz(angles[2]): rotations
+ * about the body's own axes applied from left to right, or equivalently
+ * about the fixed axes applied from right to left, as for
+ * sylvester.Matrix.fromEuler.
+ * @param {sylvester.Vector|Array.<number>} angles The three angles.
+ * @param {string=} order Any of the 12 sequences of 'X', 'Y' and 'Z' with no
+ *     axis repeated consecutively, 'XYZ' by default.
+ * @return {sylvester.Quaternion} The rotation, or null for an invalid order.
+ */
+sylvester.Quaternion.fromEuler = function(angles, order) {};
+
+/**
+ * Returns the unit quaternion for a rotation matrix, either 3x3 or the upper
+ * left 3x3 block of a 4x4 matrix. The result has a non-negative w.
+ * @param {sylvester.Matrix} matrix The rotation matrix.
+ * @return {sylvester.Quaternion} The rotation, or null if the matrix is not 3x3 or 4x4.
+ */
+sylvester.Quaternion.fromMatrix = function(matrix) {};
+
+/**
+ * Constructor function helper.
+ * @param {Array.<number>} elements Elements in the order w, x, y, z.
+ * @return {sylvester.Quaternion} The new quaternion.
+ */
+var $Q = function(elements) {};
+
+/**
+ * A seedable pseudo-random number generator (xoshiro128**, with its state
+ * filled from the seed by a SplitMix-style hash). Generators with the same
+ * seed produce the same sequence, so simulations and tests can be replayed.
+ * To make every random constructor draw from one, use Sylvester.seedRandom or
+ * set Sylvester.random.
+ * @constructor
+ */
+sylvester.Random = function() {};
+
+/**
+ * Creates a generator from a seed.
+ * @param {number=} seed 32-bit integer seed; a random one is used if omitted.
+ * @return {sylvester.Random} The generator.
+ */
+sylvester.Random.create = function(seed) {};
+
+/**
+ * Resets the generator to the start of the sequence for a seed.
+ * @param {number=} seed 32-bit integer seed; a random one is used if omitted.
+ * @return {sylvester.Random} This generator.
+ */
+sylvester.Random.prototype.seed = function(seed) {};
+
+/**
+ * Returns the next number in the sequence, uniform in [0, 1) with 32 bits of
+ * resolution.
+ * @return {number} The number.
+ */
+sylvester.Random.prototype.next = function() {};
+
+/**
+ * Returns a function that draws from this generator, for use as Sylvester.random.
+ * @return {function(): number} The function.
+ */
+sylvester.Random.prototype.toFunction = function() {};
+
+/**
+ * Returns a number drawn uniformly from [min, max), using Sylvester.random.
+ * @param {number=} min Lower bound, 0 by default.
+ * @param {number=} max Upper bound, 1 by default.
+ * @return {number} The number.
+ */
+sylvester.Random.uniform = function(min, max) {};
+
+/**
+ * Returns a number drawn from the normal distribution, using Sylvester.random
+ * and the Box-Muller transform. Only one of the pair of normal deviates made by
+ * the transform is used, so that each call consumes exactly two uniform numbers
+ * and reseeding replays the same values.
+ * @param {number=} mean The mean, 0 by default.
+ * @param {number=} sd The standard deviation, 1 by default.
+ * @return {number} The number.
+ */
+sylvester.Random.normal = function(mean, sd) {};
+
+/**
+ * The version number of sylvester
+ * @type {string}
+ */
+Sylvester.version;
+
+/**
+ * A variable used for determining the precision of our math we use. The
+ * predicates eql, isParallelTo, contains, snapTo and rank also take a
+ * tolerance of their own, which overrides it for a single call.
+ * @type {number}
+ */
+Sylvester.precision;
+
+/**
+ * Whether tolerances are relative to the size of the values compared rather
+ * than absolute. Vectors and matrices are then equal when their elements differ
+ * by at most the tolerance times their largest element, and a point lies on a
+ * line or plane when its distance is at most the tolerance times the size of
+ * its coordinates, so that the same precision serves millimetres and
+ * kilometres alike. Angles are compared in radians in either mode.
+ * @type {boolean}
+ */
+Sylvester.relative;
+
+/**
+ * Calls a function with a different precision, and optionally tolerance mode,
+ * restoring the previous settings when it returns or throws.
+ * @param {number} precision The precision to use, see Sylvester.precision.
+ * @param {function(): *} fn The function to call.
+ * @param {boolean=} relative Whether the precision is relative, see
+ *     Sylvester.relative; the current mode is kept if omitted.
+ * @return {*} The value returned by fn.
+ */
+Sylvester.withPrecision = function(precision, fn, relative) {};
+
+/**
+ * Whether bad input raises errors. By default methods return null for input
+ * they cannot handle, such as vectors of different sizes, a singular matrix to
+ * invert or a zero direction for a line. In strict mode they throw a
+ * sylvester.DimensionMismatch, sylvester.InvalidArgument,
+ * sylvester.SingularMatrix, sylvester.DegenerateGeometry or
+ * sylvester.NoConvergence instead, carrying the shapes of the operands.
+ * Solving a singular system throws a sylvester.SingularMatrix in either mode.
+ * @type {boolean}
+ */
+Sylvester.strict;
+
+/**
+ * The source of uniform random numbers in [0, 1) that every random constructor
+ * draws from, Math.random by default. Any function returning such numbers can
+ * be plugged in; see also Sylvester.seedRandom.
+ * @type {function(): number}
+ */
+Sylvester.random;
+
+/**
+ * Makes every random constructor draw from a new seeded generator, so that the
+ * values they produce can be reproduced by seeding again with the same number.
+ * @param {number=} seed 32-bit integer seed; a random one is used if omitted.
+ * @return {sylvester.Random} The generator, now used by Sylvester.random.
+ */
+Sylvester.seedRandom = function(seed) {};
+
+/**
+ * Convert a matrix to an html formated string. Useful for quick print outs.
+ * @param {sylvester.Matrix} m The input matrix.
+ * @return {string} The html string.
+ */
+Sylvester.matrixToHtml = function(m) {};
+
+/**
+ * Helper function for making a lookout matrix similar to the functionality of gluLookAt.
+ * The result is a right-handed view matrix: the camera looks down its -z axis,
+ * as the projection builders without an LH suffix expect.
+ * @param {number} ex X coordinate of the eye.
+ * @param {number} ey Y coordinate of the eye.
+ * @param {number} ez Z coordinate of the eye.
+ * @param {number} cx X coordinate of the point looked at.
+ * @param {number} cy Y coordinate of the point looked at.
+ * @param {number} cz Z coordinate of the point looked at.
+ * @param {number} ux X component of the up direction.
+ * @param {number} uy Y component of the up direction.
+ * @param {number} uz Z component of the up direction.
+ * @return {sylvester.Matrix} The look at matrix.
+ */
+Sylvester.makeLookAt = function(ex, ey, ez, cx, cy, cz, ux, uy, uz) {};
+
+/**
+ * Inverse of makeLookAt, the camera-to-world matrix, built directly.
+ * @param {number} ex X coordinate of the eye.
+ * @param {number} ey Y coordinate of the eye.
+ * @param {number} ez Z coordinate of the eye.
+ * @param {number} cx X coordinate of the point looked at.
+ * @param {number} cy Y coordinate of the point looked at.
+ * @param {number} cz Z coordinate of the point looked at.
+ * @param {number} ux X component of the up direction.
+ * @param {number} uy Y component of the up direction.
+ * @param {number} uz Z component of the up direction.
+ * @return {sylvester.Matrix} The inverse look at matrix.
+ */
+Sylvester.makeLookAtInverse = function(ex, ey, ez, cx, cy, cz, ux, uy, uz) {};
+
+/**
+ * Left-handed variant of makeLookAt, as used with Direct3D conventions: the
+ * camera looks down its +z axis, as the LH projection builders expect.
+ * @param {number} ex X coordinate of the eye.
+ * @param {number} ey Y coordinate of the eye.
+ * @param {number} ez Z coordinate of the eye.
+ * @param {number} cx X coordinate of the point looked at.
+ * @param {number} cy Y coordinate of the point looked at.
+ * @param {number} cz Z coordinate of the point looked at.
+ * @param {number} ux X component of the up direction.
+ * @param {number} uy Y component of the up direction.
+ * @param {number} uz Z component of the up direction.
+ * @return {sylvester.Matrix} The look at matrix.
+ */
+Sylvester.makeLookAtLH = function(ex, ey, ez, cx, cy, cz, ux, uy, uz) {};
+
+/**
+ * Inverse of makeLookAtLH, built directly.
+ * @param {number} ex X coordinate of the eye.
+ * @param {number} ey Y coordinate of the eye.
+ * @param {number} ez Z coordinate of the eye.
+ * @param {number} cx X coordinate of the point looked at.
+ * @param {number} cy Y coordinate of the point looked at.
+ * @param {number} cz Z coordinate of the point looked at.
+ * @param {number} ux X component of the up direction.
+ * @param {number} uy Y component of the up direction.
+ * @param {number} uz Z component of the up direction.
+ * @return {sylvester.Matrix} The inverse look at matrix.
+ */
+Sylvester.makeLookAtLHInverse = function(ex, ey, ez, cx, cy, cz, ux, uy, uz) {};
+
+/**
+ * Make a perspective matrix similar to the functionality of gluPerspective.
+ * Like all the projection helpers without an LH suffix it is right-handed,
+ * mapping eye space with the camera looking down -z (see makeLookAt) to clip
+ * space.
+ * @param {number} fovy Vertical field of view in degrees.
+ * @param {number} aspect Aspect ratio, width over height.
+ * @param {number} znear Distance to the near clipping plane.
+ * @param {number} zfar Distance to the far clipping plane.
+ * @param {boolean=} zeroToOne True to map depth to [0, 1], as WebGPU and
+ *     Direct3D expect, instead of the OpenGL range [-1, 1].
+ * @return {sylvester.Matrix} The perspective matrix.
+ */
+Sylvester.makePerspective = function(fovy, aspect, znear, zfar, zeroToOne) {};
+
+/**
+ * Inverse of makePerspective, built directly.
+ * @param {number} fovy Vertical field of view in degrees.
+ * @param {number} aspect Aspect ratio, width over height.
+ * @param {number} znear Distance to the near clipping plane.
+ * @param {number} zfar Distance to the far clipping plane.
+ * @param {boolean=} zeroToOne True if depth is mapped to [0, 1].
+ * @return {sylvester.Matrix} The inverse perspective matrix.
+ */
+Sylvester.makePerspectiveInverse = function(fovy, aspect, znear, zfar, zeroToOne) {};
+
+/**
+ * Left-handed variant of makePerspective, as used with Direct3D conventions:
+ * it maps eye space with the camera looking down +z (see makeLookAtLH) to
+ * clip space.
+ * @param {number} fovy Vertical field of view in degrees.
+ * @param {number} aspect Aspect ratio, width over height.
+ * @param {number} znear Distance to the near clipping plane.
+ * @param {number} zfar Distance to the far clipping plane.
+ * @param {boolean=} zeroToOne True to map depth to [0, 1] instead of [-1, 1].
+ * @return {sylvester.Matrix} The perspective matrix.
+ */
+Sylvester.makePerspectiveLH = function(fovy, aspect, znear, zfar, zeroToOne) {};
+
+/**
+ * Inverse of makePerspectiveLH, built directly.
+ * @param {number} fovy Vertical field of view in degrees.
+ * @param {number} aspect Aspect ratio, width over height.
+ * @param {number} znear Distance to the near clipping plane.
+ * @param {number} zfar Distance to the far clipping plane.
+ * @param {boolean=} zeroToOne True if depth is mapped to [0, 1].
+ * @return {sylvester.Matrix} The inverse perspective matrix.
+ */
+Sylvester.makePerspectiveLHInverse = function(fovy, aspect, znear, zfar, zeroToOne) {};
+
+/**
+ * Make a right-handed perspective matrix with the far clipping plane at infinity.
+ * @param {number} fovy Vertical field of view in degrees.
+ * @param {number} aspect Aspect ratio, width over height.
+ * @param {number} znear Distance to the near clipping plane.
+ * @param {boolean=} zeroToOne True to map depth to [0, 1] instead of [-1, 1].
+ * @return {sylvester.Matrix} The perspective matrix.
+ */
+Sylvester.makeInfinitePerspective = function(fovy, aspect, znear, zeroToOne) {};
+
+/**
+ * Inverse of makeInfinitePerspective, built directly.
+ * @param {number} fovy Vertical field of view in degrees.
+ * @param {number} aspect Aspect ratio, width over height.
+ * @param {number} znear Distance to the near clipping plane.
+ * @param {boolean=} zeroToOne True if depth is mapped to [0, 1].
+ * @return {sylvester.Matrix} The inverse perspective matrix.
+ */
+Sylvester.makeInfinitePerspectiveInverse = function(fovy, aspect, znear, zeroToOne) {};
+
+/**
+ * Left-handed variant of makeInfinitePerspective, for a camera looking down +z.
+ * @param {number} fovy Vertical field of view in degrees.
+ * @param {number} aspect Aspect ratio, width over height.
+ * @param {number} znear Distance to the near clipping plane.
+ * @param {boolean=} zeroToOne True to map depth to [0, 1] instead of [-1, 1].
+ * @return {sylvester.Matrix} The perspective matrix.
+ */
+Sylvester.makeInfinitePerspectiveLH = function(fovy, aspect, znear, zeroToOne) {};
+
+/**
+ * Inverse of makeInfinitePerspectiveLH, built directly.
+ * @param {number} fovy Vertical field of view in degrees.
+ * @param {number} aspect Aspect ratio, width over height.
+ * @param {number} znear Distance to the near clipping plane.
+ * @param {boolean=} zeroToOne True if depth is mapped to [0, 1].
+ * @return {sylvester.Matrix} The inverse perspective matrix.
+ */
+Sylvester.makeInfinitePerspectiveLHInverse = function(fovy, aspect, znear, zeroToOne) {};
+
+/**
+ * Make a right-handed reversed-Z perspective matrix, which maps the near plane
+ * to depth 1 and the far plane to depth 0. This spreads floating point depth
+ * precision evenly and is always used with the [0, 1] depth range.
+ * @param {number} fovy Vertical field of view in degrees.
+ * @param {number} aspect Aspect ratio, width over height.
+ * @param {number} znear Distance to the near clipping plane.
+ * @param {number=} zfar Distance to the far clipping plane, infinite if omitted.
+ * @return {sylvester.Matrix} The perspective matrix.
+ */
+Sylvester.makeReversedZPerspective = function(fovy, aspect, znear, zfar) {};
+
+/**
+ * Inverse of makeReversedZPerspective, built directly.
+ * @param {number} fovy Vertical field of view in degrees.
+ * @param {number} aspect Aspect ratio, width over height.
+ * @param {number} znear Distance to the near clipping plane.
+ * @param {number=} zfar Distance to the far clipping plane, infinite if omitted.
+ * @return {sylvester.Matrix} The inverse perspective matrix.
+ */
+Sylvester.makeReversedZPerspectiveInverse = function(fovy, aspect, znear, zfar) {};
+
+/**
+ * Left-handed variant of makeReversedZPerspective, for a camera looking down +z.
+ * @param {number} fovy Vertical field of view in degrees.
+ * @param {number} aspect Aspect ratio, width over height.
+ * @param {number} znear Distance to the near clipping plane.
+ * @param {number=} zfar Distance to the far clipping plane, infinite if omitted.
+ * @return {sylvester.Matrix} The perspective matrix.
+ */
+Sylvester.makeReversedZPerspectiveLH = function(fovy, aspect, znear, zfar) {};
+
+/**
+ * Inverse of makeReversedZPerspectiveLH, built directly.
+ * @param {number} fovy Vertical field of view in degrees.
+ * @param {number} aspect Aspect ratio, width over height.
+ * @param {number} znear Distance to the near clipping plane.
+ * @param {number=} zfar Distance to the far clipping plane, infinite if omitted.
+ * @return {sylvester.Matrix} The inverse perspective matrix.
+ */
+Sylvester.makeReversedZPerspectiveLHInverse = function(fovy, aspect, znear, zfar) {};
+
+/**
+ * Make a frustrum matrix similar to the functionality of glFrustum. It is
+ * right-handed: the near and far planes lie at z = -znear and z = -zfar.
+ * @param {number} left Left edge of the near clipping plane.
+ * @param {number} right Right edge of the near clipping plane.
+ * @param {number} bottom Bottom edge of the near clipping plane.
+ * @param {number} top Top edge of the near clipping plane.
+ * @param {number} znear Distance to the near clipping plane.
+ * @param {number} zfar Distance to the far clipping plane, which may be Infinity.
+ * @param {boolean=} zeroToOne True to map depth to [0, 1] instead of [-1, 1].
+ * @return {sylvester.Matrix} The frustum matrix.
+ */
+Sylvester.makeFrustum = function(left, right, bottom, top, znear, zfar, zeroToOne) {};
+
+/**
+ * Inverse of makeFrustum, built directly.
+ * @param {number} left Left edge of the near clipping plane.
+ * @param {number} right Right edge of the near clipping plane.
+ * @param {number} bottom Bottom edge of the near clipping plane.
+ * @param {number} top Top edge of the near clipping plane.
+ * @param {number} znear Distance to the near clipping plane.
+ * @param {number} zfar Distance to the far clipping plane, which may be Infinity.
+ * @param {boolean=} zeroToOne True if depth is mapped to [0, 1].
+ * @return {sylvester.Matrix} The inverse frustum matrix.
+ */
+Sylvester.makeFrustumInverse = function(left, right, bottom, top, znear, zfar, zeroToOne) {};
+
+/**
+ * Left-handed variant of makeFrustum: the near and far planes lie at
+ * z = znear and z = zfar.
+ * @param {number} left Left edge of the near clipping plane.
+ * @param {number} right Right edge of the near clipping plane.
+ * @param {number} bottom Bottom edge of the near clipping plane.
+ * @param {number} top Top edge of the near clipping plane.
+ * @param {number} znear Distance to the near clipping plane.
+ * @param {number} zfar Distance to the far clipping plane, which may be Infinity.
+ * @param {boolean=} zeroToOne True to map depth to [0, 1] instead of [-1, 1].
+ * @return {sylvester.Matrix} The frustum matrix.
+ */
+Sylvester.makeFrustumLH = function(left, right, bottom, top, znear, zfar, zeroToOne) {};
+
+/**
+ * Inverse of makeFrustumLH, built directly.
+ * @param {number} left Left edge of the near clipping plane.
+ * @param {number} right Right edge of the near clipping plane.
+ * @param {number} bottom Bottom edge of the near clipping plane.
+ * @param {number} top Top edge of the near clipping plane.
+ * @param {number} znear Distance to the near clipping plane.
+ * @param {number} zfar Distance to the far clipping plane, which may be Infinity.
+ * @param {boolean=} zeroToOne True if depth is mapped to [0, 1].
+ * @return {sylvester.Matrix} The inverse frustum matrix.
+ */
+Sylvester.makeFrustumLHInverse = function(left, right, bottom, top, znear, zfar, zeroToOne) {};
+
+/**
+ * Make an orthographic projection matrix similar to the functionality of glOrtho.
+ * It is right-handed: the near and far planes lie at z = -znear and z = -zfar.
+ * @param {number} left Left clipping plane.
+ * @param {number} right Right clipping plane.
+ * @param {number} bottom Bottom clipping plane.
+ * @param {number} top Top clipping plane.
+ * @param {number} znear Distance to the near clipping plane.
+ * @param {number} zfar Distance to the far clipping plane.
+ * @param {boolean=} zeroToOne True to map depth to [0, 1] instead of [-1, 1].
+ * @return {sylvester.Matrix} The orthographic projection matrix.
+ */
+Sylvester.makeOrtho = function(left, right, bottom, top, znear, zfar, zeroToOne) {};
+
+/**
+ * Inverse of makeOrtho, built directly.
+ * @param {number} left Left clipping plane.
+ * @param {number} right Right clipping plane.
+ * @param {number} bottom Bottom clipping plane.
+ * @param {number} top Top clipping plane.
+ * @param {number} znear Distance to the near clipping plane.
+ * @param {number} zfar Distance to the far clipping plane.
+ * @param {boolean=} zeroToOne True if depth is mapped to [0, 1].
+ * @return {sylvester.Matrix} The inverse orthographic projection matrix.
+ */
+Sylvester.makeOrthoInverse = function(left, right, bottom, top, znear, zfar, zeroToOne) {};
+
+/**
+ * Left-handed variant of makeOrtho: the near and far planes lie at z = znear
+ * and z = zfar.
+ * @param {number} left Left clipping plane.
+ * @param {number} right Right clipping plane.
+ * @param {number} bottom Bottom clipping plane.
+ * @param {number} top Top clipping plane.
+ * @param {number} znear Distance to the near clipping plane.
+ * @param {number} zfar Distance to the far clipping plane.
+ * @param {boolean=} zeroToOne True to map depth to [0, 1] instead of [-1, 1].
+ * @return {sylvester.Matrix} The orthographic projection matrix.
+ */
+Sylvester.makeOrthoLH = function(left, right, bottom, top, znear, zfar, zeroToOne) {};
+
+/**
+ * Inverse of makeOrthoLH, built directly.
+ * @param {number} left Left clipping plane.
+ * @param {number} right Right clipping plane.
+ * @param {number} bottom Bottom clipping plane.
+ * @param {number} top Top clipping plane.
+ * @param {number} znear Distance to the near clipping plane.
+ * @param {number} zfar Distance to the far clipping plane.
+ * @param {boolean=} zeroToOne True if depth is mapped to [0, 1].
+ * @return {sylvester.Matrix} The inverse orthographic projection matrix.
+ */
+Sylvester.makeOrthoLHInverse = function(left, right, bottom, top, znear, zfar, zeroToOne) {};
+
+/**
+ * Maps a point from object space to window coordinates, like gluProject.
+ * Window coordinates have their origin at the bottom left of the viewport, as
+ * in OpenGL, so mouse coordinates usually need their y flipped.
+ * @param {sylvester.Vector|Array.<number>} point The 3D point.
+ * @param {sylvester.Matrix} view The 4x4 view (model-view) matrix.
+ * @param {sylvester.Matrix} proj The 4x4 projection matrix.
+ * @param {sylvester.Vector|Array.<number>} viewport The viewport as [x, y, width, height].
+ * @param {boolean=} zeroToOne True if the projection maps depth to [0, 1];
+ *     otherwise depth [-1, 1] is mapped to a window depth in [0, 1].
+ * @return {sylvester.Vector} The window coordinates [winX, winY, winZ], or null
+ *     if the point projects to infinity.
+ */
+Sylvester.project = function(point, view, proj, viewport, zeroToOne) {};
+
+/**
+ * Maps window coordinates back to object space, like gluUnProject. This is the
+ * inverse of project.
+ * @param {number} winX Window x coordinate.
+ * @param {number} winY Window y coordinate, from the bottom of the viewport.
+ * @param {number} winZ Window depth, 0 at the near plane and 1 at the far
+ *     plane (the other way around for reversed-Z projections).
+ * @param {sylvester.Matrix} view The 4x4 view (model-view) matrix.
+ * @param {sylvester.Matrix} proj The 4x4 projection matrix.
+ * @param {sylvester.Vector|Array.<number>} viewport The viewport as [x, y, width, height].
+ * @param {boolean=} zeroToOne True if the projection maps depth to [0, 1].
+ * @return {sylvester.Vector} The 3D point, or null if proj.x(view) is singular
+ *     or the point is at infinity.
+ */
+Sylvester.unproject = function(winX, winY, winZ, view, proj, viewport, zeroToOne) {};
+
+/**
+ * Returns the ray from the camera through a pixel, for mouse picking. The
+ * line is anchored on the near clipping plane, or on the nearest finite depth
+ * if that plane is at infinity, and points away from the camera. Perspective
+ * and orthographic projections, including the infinite and reversed-Z ones,
+ * are supported.
+ * @param {number} x Window x coordinate.
+ * @param {number} y Window y coordinate, from the bottom of the viewport.
+ * @param {sylvester.Matrix} view The 4x4 view matrix.
+ * @param {sylvester.Matrix} proj The 4x4 projection matrix.
+ * @param {sylvester.Vector|Array.<number>} viewport The viewport as [x, y, width, height].
+ * @param {boolean=} zeroToOne True if the projection maps depth to [0, 1].
+ * @return {sylvester.Line} The picking ray, or null if the matrices are singular.
+ */
+Sylvester.pickRay = function(x, y, view, proj, viewport, zeroToOne) {};
+
+/**
+ * Class representation of a mathematical vector.
+ * @constructor
+ */
+sylvester.Vector = function() {};
+
+/** @type {?} */
+sylvester.Vector.prototype.elements;
+
+/**
+ * Returns element i of the vector.
+ * @param {number} i Element index.
+ * @return {number} The ith element.
+ */
+sylvester.Vector.prototype.e = function(i) {};
+
+/**
+ * Returns the number of elements the vector has
+ * @return {number} The vector dimension.
+ */
+sylvester.Vector.prototype.dimensions = function() {};
+
+/**
+ * Returns the modulus ('length') of the vector
+ * @return {number} The vector modulus.
+ */
+sylvester.Vector.prototype.modulus = function() {};
+
+/**
+ * Returns true iff the vector is equal to the argument
+ * @param {sylvester.Vector} vector The vector to test equality against.
+ * @param {number=} tolerance Largest difference between elements, relative to
+ *     the largest element in relative mode; Sylvester.precision if omitted.
+ * @return {boolean} True if they are equal.
+ */
+sylvester.Vector.prototype.eql = function(vector, tolerance) {};
+
+/**
+ * Returns a copy of the vector, using the same storage as the vector.
+ * @return {sylvester.Vector} Duplicate of this vector.
+ */
+sylvester.Vector.prototype.dup = function() {};
+
+/**
+ * Maps the vector to another vector according to the given function.
+ * @param {function(number, number)} fn The map function.
+ * @return {sylvester.Vector} The result.
+ */
+sylvester.Vector.prototype.map = function(fn) {};
+
+/**
+ * Calls the iterator for each element of the vector in turn.
+ * @param {function(number, number)} fn Iterator.
+ */
+sylvester.Vector.prototype.each = function(fn) {};
+
+/**
+ * Returns a new vector created by normalizing the receiver.
+ * @return {sylvester.Vector} Unit vector form of this vector.
+ */
+sylvester.Vector.prototype.toUnitVector = function() {};
+
+/**
+ *  Returns the angle between the vector and the argument (also a vector).
+ * @param {sylvester.Vector} vector sylvester.sylvester.Vector to find the angle between.
+ * @return {number} The angle between.
+ */
+sylvester.Vector.prototype.angleFrom = function(vector) {};
+
+/**
+ * Returns true iff the vector is parallel to the argument.
+ * @param {sylvester.Vector} vector Vector to test parallelism against.
+ * @param {number=} tolerance Largest angle between them in radians;
+ *     Sylvester.precision if omitted.
+ * @return {boolean} True if parallel.
+ */
+sylvester.Vector.prototype.isParallelTo = function(vector, tolerance) {};
+
+/**
+ * Returns true iff the vector is antiparallel to the argument.
+ * @param {sylvester.Vector} vector Vector to test antiparallelism against.
+ * @param {number=} tolerance Largest deviation from an angle of pi in radians;
+ *     Sylvester.precision if omitted.
+ * @return {boolean} True of antiparallel.
+ */
+sylvester.Vector.prototype.isAntiparallelTo = function(vector, tolerance) {};
+
+/**
+ * Returns true iff the vector is perpendicular to the argument
+ * @param {sylvester.Vector} vector Vector to test perpendicularism.
+ * @param {number=} tolerance Largest magnitude of their dot product, relative
+ *     to the product of their moduli in relative mode; Sylvester.precision if
+ *     omitted.
+ * @return {boolean} True if perpendicular.
+ */
+sylvester.Vector.prototype.isPerpendicularTo = function(vector, tolerance) {};
+
+/**
+ * Returns the result of adding the argument to the vector.
+ * @param {sylvester.Vector} vector Vector to add.
+ * @return {sylvester.Vector} The added vector.
+ */
+sylvester.Vector.prototype.add = function(vector) {};
+
+/**
+ * Returns the result of subtracting the argument from the vector.
+ * @param {sylvester.Vector} vector The vector to substract.
+ * @return {sylvester.Vector} The subtracted vector.
+ */
+sylvester.Vector.prototype.subtract = function(vector) {};
+
+/**
+ * Returns the result of multiplying the elements of the vector by the argument
+ * @param {number} k Scalar to multiply the vector by.
+ * @return {sylvester.Vector} The multiplied vector.
+ */
+sylvester.Vector.prototype.multiply = function(k) {};
+
+/**
+ * Multiplication short hand.
+ * @param {number} k Scalar to multiply the vector by.
+ * @return {sylvester.Vector} The multiplied vector.
+ */
+sylvester.Vector.prototype.x = function(k) {};
+
+/**
+ * Writes the result of adding the argument to the vector into out, without
+ * allocating a new vector. out may be the receiver or the argument.
+ * @param {sylvester.Vector} vector Vector to add.
+ * @param {sylvester.Vector} out Vector to write the result into.
+ * @return {sylvester.Vector} out, or null if the dimensions do not match.
+ */
+sylvester.Vector.prototype.addInto = function(vector, out) {};
+
+/**
+ * Adds the argument to the vector, modifying the vector.
+ * @param {sylvester.Vector} vector Vector to add.
+ * @return {sylvester.Vector} This vector, or null if the dimensions do not match.
+ */
+sylvester.Vector.prototype.addInPlace = function(vector) {};
+
+/**
+ * Writes the result of subtracting the argument from the vector into out,
+ * without allocating a new vector. out may be the receiver or the argument.
+ * @param {sylvester.Vector} vector Vector to subtract.
+ * @param {sylvester.Vector} out Vector to write the result into.
+ * @return {sylvester.Vector} out, or null if the dimensions do not match.
+ */
+sylvester.Vector.prototype.subtractInto = function(vector, out) {};
+
+/**
+ * Subtracts the argument from the vector, modifying the vector.
+ * @param {sylvester.Vector} vector Vector to subtract.
+ * @return {sylvester.Vector} This vector, or null if the dimensions do not match.
+ */
+sylvester.Vector.prototype.subtractInPlace = function(vector) {};
+
+/**
+ * Writes the result of multiplying the elements of the vector by the argument
+ * into out, without allocating a new vector. out may be the receiver.
+ * @param {number} k Scalar to multiply the vector by.
+ * @param {sylvester.Vector} out Vector to write the result into.
+ * @return {sylvester.Vector} out, or null if the dimensions do not match.
+ */
+sylvester.Vector.prototype.multiplyInto = function(k, out) {};
+
+/**
+ * Multiplies the elements of the vector by the argument, modifying the vector.
+ * @param {number} k Scalar to multiply the vector by.
+ * @return {sylvester.Vector} This vector.
+ */
+sylvester.Vector.prototype.multiplyInPlace = function(k) {};
+
+/**
+ * Writes the normalized form of the vector into out, without allocating a new
+ * vector. out may be the receiver. A zero vector is copied unchanged, as with toUnitVector.
+ * @param {sylvester.Vector} out Vector to write the result into.
+ * @return {sylvester.Vector} out, or null if the dimensions do not match.
+ */
+sylvester.Vector.prototype.normalizeInto = function(out) {};
+
+/**
+ * Normalizes the vector to unit length, modifying the vector.
+ * @return {sylvester.Vector} This vector.
+ */
+sylvester.Vector.prototype.normalizeInPlace = function() {};
+
+/**
+ * Returns the scalar product of the vector with the argument
+ * Both vectors must have equal dimensionality.
+ * @param {sylvester.Vector} vector Vector to scalar product with.
+ * @return {number} The scalar product;.
+ */
+sylvester.Vector.prototype.dot = function(vector) {};
+
+/**
+ * Returns the vector product of the vector with the argument
+ * Both vectors must have dimensionality 3.
+ * @param {sylvester.Vector} vector Vector to vector product with.
+ * @return {sylvester.Vector} Vector product result.
+ */
+sylvester.Vector.prototype.cross = function(vector) {};
+
+/**
+ * Writes the vector product of the vector with the argument into out, without
+ * allocating a new vector. All three vectors must have dimensionality 3, and out
+ * may be the receiver or the argument.
+ * @param {sylvester.Vector} vector Vector to vector product with.
+ * @param {sylvester.Vector} out Vector to write the result into.
+ * @return {sylvester.Vector} out, or null if the dimensions do not match.
+ */
+sylvester.Vector.prototype.crossInto = function(vector, out) {};
+
+/**
+ * Returns the (absolute) largest element of the vector.
+ * @return {number} the max element.
+ */
+sylvester.Vector.prototype.max = function() {};
+
+/**
+ * Returns the index of the first match found.
+ * @param {number} x Element to search for.
+ * @return {number} Index of first element found.
+ */
+sylvester.Vector.prototype.indexOf = function(x) {};
+
+/**
+ * Returns a diagonal matrix with the vector's elements as its diagonal elements.
+ * @return {sylvester.Matrix} Diagonal matrix based on this vector.
+ */
+sylvester.Vector.prototype.toDiagonalMatrix = function() {};
+
+/**
+ * Returns the result of rounding the elements of the vector
+ * @return {sylvester.Vector} Vector with rounded elements.
+ */
+sylvester.Vector.prototype.round = function() {};
+
+/**
+ * Returns a copy of the vector with elements set to the given value if they
+ * differ from it by less than Sylvester.precision.
+ * @param {number} x Number to set to if less than precision.
+ * @param {number=} tolerance Largest difference to snap, relative to the
+ *     largest of x and the elements in relative mode; Sylvester.precision if
+ *     omitted.
+ * @return {sylvester.Vector} Snapped to vector.
+ */
+sylvester.Vector.prototype.snapTo = function(x, tolerance) {};
+
+/**
+ * Returns the vector's distance from the argument, when considered as a point in space.
+ * @param {*} obj Object to get the distance from.
+ * @return {number} Distance from object.
+ */
+sylvester.Vector.prototype.distanceFrom = function(obj) {};
+
+/**
+ * Returns true if the vector is point on the given line.
+ * @param {sylvester.Line} line sylvester.Line to compare to.
+ * @return {boolean} True if the vector is a point on the line.
+ */
+sylvester.Vector.prototype.liesOn = function(line) {};
+
+/**
+ * Return true iff the vector is a point in the given plane.
+ * @param {sylvester.Plane} plane sylvester.Plane to test against.
+ * @return {boolean} True if the vector is a point on the plane.
+ */
+sylvester.Vector.prototype.liesIn = function(plane) {};
+
+/**
+ * Rotates the vector about the given object. The object should be a
+ * point if the vector is 2D, and a line if it is 3D. Be careful with line directions.
+ * A 3D vector may instead be rotated by a unit quaternion, about an optional
+ * centre point that defaults to the origin.
+ * @param {number|sylvester.Quaternion} t Radians around the object, or a quaternion.
+ * @param {*=} obj The object to rotate around.
+ * @return {sylvester.Vector} Rotated vector.
+ */
+sylvester.Vector.prototype.rotate = function(t, obj) {};
+
+/**
+ * Returns the result of reflecting the point in the given point, line or plane.
+ * @param {*} obj Object to reflect against.
+ * @return {sylvester.Vector} Reflected vector.
+ */
+sylvester.Vector.prototype.reflectionIn = function(obj) {};
+
+/**
+ * Utility to make sure vectors are 3D. If they are 2D, a zero z-component is added.
+ * @return {sylvester.Vector} Vector ensured to be 3D.
+ */
+sylvester.Vector.prototype.to3D = function() {};
+
+/**
+ * Returns a string representation of the vector.
+ * @return {string} String representation.
+ */
+sylvester.Vector.prototype.inspect = function() {};
+
+/**
+ * Set vector's elements from an array. The vector always uses plain array
+ * storage afterwards, even if the elements come from a typed array.
+ * @param {Array.<number>} els Elements to set of the vector.
+ * @return {sylvester.Vector} This vector.
+ */
+sylvester.Vector.prototype.setElements = function(els) {};
+
+/**
+ * Returns true iff the vector's elements are stored in a typed array.
+ * @return {boolean} True if typed-array backed.
+ */
+sylvester.Vector.prototype.isTyped = function() {};
+
+/**
+ * Returns a copy of the vector backed by a typed array.
+ * @param {Function=} type Typed array constructor, Float64Array by default.
+ * @return {sylvester.Vector} Typed-array backed copy of this vector.
+ */
+sylvester.Vector.prototype.toTyped = function(type) {};
+
+/**
+ * Returns a copy of the vector backed by a plain array.
+ * @return {sylvester.Vector} Array backed copy of this vector.
+ */
+sylvester.Vector.prototype.toUntyped = function() {};
+
+/**
+ * Constructor function.
+ * @param {Array.<number>} elements Elements.
+ * @return {sylvester.Vector} This vector.
+ */
+sylvester.Vector.create = function(elements) {};
+
+/**
+ * Constructor function for a vector backed by a typed array, such as a
+ * Float32Array or Float64Array. Operations that return new vectors, like map,
+ * add and multiply, keep the storage type of their receiver.
+ * @param {Array.<number>} elements Elements.
+ * @param {Function=} type Typed array constructor, Float64Array by default.
+ * @return {sylvester.Vector} The typed-array backed vector.
+ */
+sylvester.Vector.createTyped = function(elements, type) {};
+
+/**
+ * I sylvester.Vector.
+ * @type {sylvester.Vector}
+ */
+sylvester.Vector.i;
+
+/**
+ * J sylvester.Vector.
+ * @type {sylvester.Vector}
+ */
+sylvester.Vector.j;
+
+/**
+ * K sylvester.Vector.
+ * @type {sylvester.Vector}
+ */
+sylvester.Vector.k;
+
+/**
+ * Random vector of size n, with elements uniform in [0, 1) drawn from Sylvester.random.
+ * @param {number} n Number of elements.
+ * @return {sylvester.Vector} Randomized vector.
+ */
+sylvester.Vector.Random = function(n) {};
+
+/**
+ * Random vector of size n, with elements uniform in [min, max).
+ * @param {number} n Number of elements.
+ * @param {number} min Lower bound.
+ * @param {number} max Upper bound.
+ * @return {sylvester.Vector} Randomized vector.
+ */
+sylvester.Vector.RandomUniform = function(n, min, max) {};
+
+/**
+ * Random vector of size n, with normally distributed elements.
+ * @param {number} n Number of elements.
+ * @param {number=} mean The mean, 0 by default.
+ * @param {number=} sd The standard deviation, 1 by default.
+ * @return {sylvester.Vector} Randomized vector.
+ */
+sylvester.Vector.RandomNormal = function(n, mean, sd) {};
+
+/**
+ * Random unit vector of size n, distributed uniformly over the sphere. A vector
+ * of normal deviates has no preferred direction, so it is normalized.
+ * @param {number} n Number of elements.
+ * @return {sylvester.Vector} Randomized unit vector.
+ */
+sylvester.Vector.RandomUnit = function(n) {};
+
+/**
+ * Vector filled with zeros.
+ * @param {number} n Number of elements.
+ * @return {sylvester.Vector} Vector filled with zeroes.
+ */
+sylvester.Vector.Zero = function(n) {};
+
+/**
+ * Flatten vector to array.
+ * @return {Array.<number>} Array of numbers.
+ */
+sylvester.Vector.prototype.flatten = function() {};
+
+/**
+ * Constructor function helper.
+ * @param {Array.<number>} elements Elements.
+ * @return {sylvester.Vector} This vector.
+ */
+var $V = function(elements) {};
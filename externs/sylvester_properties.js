@@ -0,0 +1,115 @@
+/**
+ * @fileoverview Property names that ADVANCED_OPTIMIZATIONS must not rename:
+ * the fields of Sylvester's objects and the keys of the records its
+ * methods take and return.
+ * Generated by bin/generate_exports.py; do not edit by hand.
+ * @externs
+ */
+
+/**
+ * Holder for the property names.
+ * @constructor
+ */
+function SylvesterProperties() {}
+
+/** @type {?} */
+SylvesterProperties.prototype.L;
+
+/** @type {?} */
+SylvesterProperties.prototype.P;
+
+/** @type {?} */
+SylvesterProperties.prototype.Q;
+
+/** @type {?} */
+SylvesterProperties.prototype.R;
+
+/** @type {?} */
+SylvesterProperties.prototype.S;
+
+/** @type {?} */
+SylvesterProperties.prototype.U;
+
+/** @type {?} */
+SylvesterProperties.prototype.V;
+
+/** @type {?} */
+SylvesterProperties.prototype.anchor;
+
+/** @type {?} */
+SylvesterProperties.prototype.angle;
+
+/** @type {?} */
+SylvesterProperties.prototype.axis;
+
+/** @type {?} */
+SylvesterProperties.prototype.cols;
+
+/** @type {?} */
+SylvesterProperties.prototype.data;
+
+/** @type {?} */
+SylvesterProperties.prototype.direction;
+
+/** @type {?} */
+SylvesterProperties.prototype.elements;
+
+/** @type {?} */
+SylvesterProperties.prototype.i;
+
+/** @type {?} */
+SylvesterProperties.prototype.imag;
+
+/** @type {?} */
+SylvesterProperties.prototype.j;
+
+/** @type {?} */
+SylvesterProperties.prototype.matrix;
+
+/** @type {?} */
+SylvesterProperties.prototype.message;
+
+/** @type {?} */
+SylvesterProperties.prototype.normal;
+
+/** @type {?} */
+SylvesterProperties.prototype.operation;
+
+/** @type {?} */
+SylvesterProperties.prototype.planes;
+
+/** @type {?} */
+SylvesterProperties.prototype.real;
+
+/** @type {?} */
+SylvesterProperties.prototype.rotation;
+
+/** @type {?} */
+SylvesterProperties.prototype.rows;
+
+/** @type {?} */
+SylvesterProperties.prototype.scale;
+
+/** @type {?} */
+SylvesterProperties.prototype.shapes;
+
+/** @type {?} */
+SylvesterProperties.prototype.shear;
+
+/** @type {?} */
+SylvesterProperties.prototype.sign;
+
+/** @type {?} */
+SylvesterProperties.prototype.stack;
+
+/** @type {?} */
+SylvesterProperties.prototype.translation;
+
+/** @type {?} */
+SylvesterProperties.prototype.values;
+
+/** @type {?} */
+SylvesterProperties.prototype.vectors;
+
+/** @type {?} */
+SylvesterProperties.prototype.zeroToOne;
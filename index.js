@@ -0,0 +1,55 @@
+/**
+ * CommonJS entry point for Node. Loads the Closure sources into a private
+ * scope, so that no globals are defined, and exports the public API. Closure
+ * users keep using the sylvester namespaces from src/ directly.
+ *
+ *   var sylvester = require('sylvester-closure');
+ *   var v = sylvester.Vector.create([1, 2, 3]);
+ */
+
+var fs = require('fs');
+var vm = require('vm');
+
+var sources = require('./bin/sources');
+
+// The sources assign to the free names goog, sylvester, Sylvester and the $
+// shortcuts, so they are concatenated into one function body that declares
+// them. base.js provides namespaces on goog.global, which is a private object
+// here; sylvester is created on it up front, and marked as implicitly
+// declared so that goog.provide('sylvester') is still allowed.
+var code = [
+    '(function() {',
+    fs.readFileSync(sources.BASE, 'utf8'),
+    'var sylvester = goog.global.sylvester = {};',
+    'goog.implicitNamespaces_.sylvester = true;'
+].concat(sources.sourcesFor('sylvester').map(function(file) {
+    return fs.readFileSync(file, 'utf8');
+})).concat([
+    'return {sylvester: sylvester, Sylvester: Sylvester, $V: $V, $M: $M, $L: $L, $P: $P, $Q: $Q};',
+    '})'
+]).join('\n');
+
+var loaded = vm.runInThisContext(code, {filename: 'sylvester'}).call({CLOSURE_NO_DEPS: true});
+var sylvester = loaded.sylvester;
+
+module.exports = {
+    Vector: sylvester.Vector,
+    Matrix: sylvester.Matrix,
+    Line: sylvester.Line,
+    Plane: sylvester.Plane,
+    Quaternion: sylvester.Quaternion,
+    Frustum: sylvester.Frustum,
+    Random: sylvester.Random,
+    DimensionMismatch: sylvester.DimensionMismatch,
+    InvalidArgument: sylvester.InvalidArgument,
+    SingularMatrix: sylvester.SingularMatrix,
+    DegenerateGeometry: sylvester.DegenerateGeometry,
+    NoConvergence: sylvester.NoConvergence,
+    Sylvester: loaded.Sylvester,
+    sylvester: sylvester,
+    $V: loaded.$V,
+    $M: loaded.$M,
+    $L: loaded.$L,
+    $P: loaded.$P,
+    $Q: loaded.$Q
+};
@@ -0,0 +1,29 @@
+/**
+ * ES module entry point for Node, re-exporting the CommonJS entry point.
+ *
+ *   import {Vector, Matrix} from 'sylvester-closure';
+ */
+
+import api from './index.js';
+
+export const Vector = api.Vector;
+export const Matrix = api.Matrix;
+export const Line = api.Line;
+export const Plane = api.Plane;
+export const Quaternion = api.Quaternion;
+export const Frustum = api.Frustum;
+export const Random = api.Random;
+export const DimensionMismatch = api.DimensionMismatch;
+export const InvalidArgument = api.InvalidArgument;
+export const SingularMatrix = api.SingularMatrix;
+export const DegenerateGeometry = api.DegenerateGeometry;
+export const NoConvergence = api.NoConvergence;
+export const Sylvester = api.Sylvester;
+export const sylvester = api.sylvester;
+export const $V = api.$V;
+export const $M = api.$M;
+export const $L = api.$L;
+export const $P = api.$P;
+export const $Q = api.$Q;
+
+export default api;
@@ -0,0 +1,206 @@
+goog.provide('sylvester.DegenerateGeometry');
+goog.provide('sylvester.DimensionMismatch');
+goog.provide('sylvester.Error');
+goog.provide('sylvester.InvalidArgument');
+goog.provide('sylvester.NoConvergence');
+goog.provide('sylvester.SingularMatrix');
+
+/**
+ * === Sylvester ===
+ * Vector and Matrix mathematics modules for JavaScript
+ * Copyright (c) 2007 James Coglan
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining
+ * a copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ *  the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ *  Software is furnished to do so, subject to the following conditions:
+ *
+ *  The above copyright notice and this permission notice shall be included
+ * in all copies or substantial portions of the Software.
+ *
+ *  THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+ *  OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL
+ *  THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ *  LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ *  FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ * Modified by Richard Anaya for Google Closure compilation.
+ */
+
+/**
+ * Base class of the errors thrown in strict mode (see Sylvester.strict). The
+ * shapes of the offending operands are kept as arrays of their dimensions:
+ * [n] for an n-vector and [rows, cols] for a matrix.
+ * @param {string} operation The method that failed, e.g. 'Vector.add'.
+ * @param {Array.<Array.<number>>} shapes Shapes of the offending operands.
+ * @param {string} message Description of the problem.
+ * @constructor
+ * @extends {Error}
+ */
+sylvester.Error = function(operation, shapes, message) {
+    this.operation = operation;
+    this.shapes = shapes;
+    this.message = operation + ': ' + message + (shapes.length ? ' (' + shapes.map(function(shape) {
+        return shape.length ? shape.join('x') : 'scalar';
+    }).join(', ') + ')' : '');
+    this.stack = new Error(this.message).stack;
+};
+goog.inherits(sylvester.Error, Error);
+
+/**
+ * Name of the error class.
+ * @type {string}
+ */
+sylvester.Error.prototype.name = 'sylvester.Error';
+
+/**
+ * Thrown when the dimensions of the operands do not fit the operation.
+ * @param {string} operation The method that failed.
+ * @param {Array.<Array.<number>>} shapes Shapes of the offending operands.
+ * @param {string=} message Description of the problem.
+ * @constructor
+ * @extends {sylvester.Error}
+ */
+sylvester.DimensionMismatch = function(operation, shapes, message) {
+    sylvester.Error.call(this, operation, shapes, message || 'dimensions do not match');
+};
+goog.inherits(sylvester.DimensionMismatch, sylvester.Error);
+
+/**
+ * Name of the error class.
+ * @type {string}
+ */
+sylvester.DimensionMismatch.prototype.name = 'sylvester.DimensionMismatch';
+
+/**
+ * Thrown when an operand has the right dimensions but not the form the
+ * operation needs, such as a non-symmetric matrix where a symmetric one is
+ * required or an unknown rotation order.
+ * @param {string} operation The method that failed.
+ * @param {Array.<Array.<number>>} shapes Shapes of the offending operands.
+ * @param {string=} message Description of the problem.
+ * @constructor
+ * @extends {sylvester.Error}
+ */
+sylvester.InvalidArgument = function(operation, shapes, message) {
+    sylvester.Error.call(this, operation, shapes, message || 'invalid argument');
+};
+goog.inherits(sylvester.InvalidArgument, sylvester.Error);
+
+/**
+ * Name of the error class.
+ * @type {string}
+ */
+sylvester.InvalidArgument.prototype.name = 'sylvester.InvalidArgument';
+
+/**
+ * Thrown when a matrix that must be invertible is singular, or nearly so
+ * within Sylvester.precision.
+ * @param {string} operation The method that failed.
+ * @param {Array.<Array.<number>>} shapes Shapes of the offending operands.
+ * @param {string=} message Description of the problem.
+ * @constructor
+ * @extends {sylvester.Error}
+ */
+sylvester.SingularMatrix = function(operation, shapes, message) {
+    sylvester.Error.call(this, operation, shapes, message || 'matrix is singular');
+};
+goog.inherits(sylvester.SingularMatrix, sylvester.Error);
+
+/**
+ * Name of the error class.
+ * @type {string}
+ */
+sylvester.SingularMatrix.prototype.name = 'sylvester.SingularMatrix';
+
+/**
+ * Thrown when geometry has no well-defined result: a zero direction or normal,
+ * collinear points, parallel lines or planes that do not meet, or a point that
+ * maps to infinity.
+ * @param {string} operation The method that failed.
+ * @param {Array.<Array.<number>>} shapes Shapes of the offending operands.
+ * @param {string=} message Description of the problem.
+ * @constructor
+ * @extends {sylvester.Error}
+ */
+sylvester.DegenerateGeometry = function(operation, shapes, message) {
+    sylvester.Error.call(this, operation, shapes, message || 'geometry is degenerate');
+};
+goog.inherits(sylvester.DegenerateGeometry, sylvester.Error);
+
+/**
+ * Name of the error class.
+ * @type {string}
+ */
+sylvester.DegenerateGeometry.prototype.name = 'sylvester.DegenerateGeometry';
+
+/**
+ * Thrown when an iterative method fails to converge within its iteration limit.
+ * @param {string} operation The method that failed.
+ * @param {Array.<Array.<number>>} shapes Shapes of the offending operands.
+ * @param {string=} message Description of the problem.
+ * @constructor
+ * @extends {sylvester.Error}
+ */
+sylvester.NoConvergence = function(operation, shapes, message) {
+    sylvester.Error.call(this, operation, shapes, message || 'iteration did not converge');
+};
+goog.inherits(sylvester.NoConvergence, sylvester.Error);
+
+/**
+ * Name of the error class.
+ * @type {string}
+ */
+sylvester.NoConvergence.prototype.name = 'sylvester.NoConvergence';
+
+/**
+ * Returns the shape of an operand: [n] for a vector or array, [rows, cols]
+ * for a matrix or nested array, and [] for anything else.
+ * @param {*} obj The operand.
+ * @return {Array.<number>} The shape.
+ * @private
+ */
+sylvester.Error.shapeOf_ = function(obj) {
+    var E = (obj && obj.elements) || obj;
+    if (!E || typeof(E) != 'object' || typeof(E.length) != 'number') {
+        return [];
+    }
+    return (E.length && typeof(E[0]) == 'object') ? [E.length, E[0].length] : [E.length];
+};
+
+/**
+ * Handles bad input to a method that returns null for it: in strict mode an
+ * error of the given type is thrown, otherwise null is returned for the
+ * method to pass on.
+ * @param {function(new:sylvester.Error, string, Array.<Array.<number>>, string=)} type
+ *     The error class.
+ * @param {string} operation The method that failed.
+ * @param {Array} operands The offending operands.
+ * @param {string=} message Description of the problem.
+ * @return {null} Null, when not in strict mode.
+ * @private
+ */
+sylvester.Error.raise_ = function(type, operation, operands, message) {
+    if (!Sylvester.strict) {
+        return null;
+    }
+    throw new type(operation, operands.map(sylvester.Error.shapeOf_), message);
+};
+
+/**
+ * Handles bad input to a method that has no result to return for it, by
+ * throwing an error of the given type whether or not strict mode is on.
+ * @param {function(new:sylvester.Error, string, Array.<Array.<number>>, string=)} type
+ *     The error class.
+ * @param {string} operation The method that failed.
+ * @param {Array} operands The offending operands.
+ * @param {string=} message Description of the problem.
+ * @private
+ */
+sylvester.Error.throw_ = function(type, operation, operands, message) {
+    throw new type(operation, operands.map(sylvester.Error.shapeOf_), message);
+};
@@ -0,0 +1,332 @@
+goog.provide('sylvester.exports');
+goog.require('sylvester');
+
+/**
+ * Exports the public API so that it keeps its names under
+ * ADVANCED_OPTIMIZATIONS.
+ * Generated by bin/generate_exports.py; do not edit by hand.
+ */
+
+/**
+ * Exports a Sylvester setting as an accessor, so that changes made through
+ * the exported object reach the compiled library.
+ * @param {string} name Name of the setting.
+ * @param {function(): *} get Returns the value.
+ * @param {function(*)} set Sets the value.
+ * @private
+ */
+sylvester.exports.exportSetting_ = function(name, get, set) {
+    var exported = goog.getObjectByName('Sylvester');
+    if (!exported || exported === Sylvester) {
+        // Uncompiled and simple builds share the object itself
+        return;
+    }
+    Object.defineProperty(exported, name, {get: get, set: set, enumerable: true, configurable: true});
+};
+
+goog.exportSymbol('sylvester.Error', sylvester.Error);
+goog.exportProperty(sylvester.Error.prototype, 'name', sylvester.Error.prototype.name);
+goog.exportSymbol('sylvester.DimensionMismatch', sylvester.DimensionMismatch);
+goog.exportProperty(sylvester.DimensionMismatch.prototype, 'name', sylvester.DimensionMismatch.prototype.name);
+goog.exportSymbol('sylvester.InvalidArgument', sylvester.InvalidArgument);
+goog.exportProperty(sylvester.InvalidArgument.prototype, 'name', sylvester.InvalidArgument.prototype.name);
+goog.exportSymbol('sylvester.SingularMatrix', sylvester.SingularMatrix);
+goog.exportProperty(sylvester.SingularMatrix.prototype, 'name', sylvester.SingularMatrix.prototype.name);
+goog.exportSymbol('sylvester.DegenerateGeometry', sylvester.DegenerateGeometry);
+goog.exportProperty(sylvester.DegenerateGeometry.prototype, 'name', sylvester.DegenerateGeometry.prototype.name);
+goog.exportSymbol('sylvester.NoConvergence', sylvester.NoConvergence);
+goog.exportProperty(sylvester.NoConvergence.prototype, 'name', sylvester.NoConvergence.prototype.name);
+goog.exportSymbol('sylvester.Frustum', sylvester.Frustum);
+goog.exportSymbol('sylvester.Frustum.OUTSIDE', sylvester.Frustum.OUTSIDE);
+goog.exportSymbol('sylvester.Frustum.INTERSECT', sylvester.Frustum.INTERSECT);
+goog.exportSymbol('sylvester.Frustum.INSIDE', sylvester.Frustum.INSIDE);
+goog.exportProperty(sylvester.Frustum.prototype, 'contains', sylvester.Frustum.prototype.contains);
+goog.exportProperty(sylvester.Frustum.prototype, 'testPoint', sylvester.Frustum.prototype.testPoint);
+goog.exportProperty(sylvester.Frustum.prototype, 'testSphere', sylvester.Frustum.prototype.testSphere);
+goog.exportProperty(sylvester.Frustum.prototype, 'testBox', sylvester.Frustum.prototype.testBox);
+goog.exportProperty(sylvester.Frustum.prototype, 'corners', sylvester.Frustum.prototype.corners);
+goog.exportProperty(sylvester.Frustum.prototype, 'setMatrix', sylvester.Frustum.prototype.setMatrix);
+goog.exportSymbol('sylvester.Frustum.create', sylvester.Frustum.create);
+goog.exportSymbol('sylvester.Line', sylvester.Line);
+goog.exportProperty(sylvester.Line.prototype, 'eql', sylvester.Line.prototype.eql);
+goog.exportProperty(sylvester.Line.prototype, 'dup', sylvester.Line.prototype.dup);
+goog.exportProperty(sylvester.Line.prototype, 'translate', sylvester.Line.prototype.translate);
+goog.exportProperty(sylvester.Line.prototype, 'isParallelTo', sylvester.Line.prototype.isParallelTo);
+goog.exportProperty(sylvester.Line.prototype, 'distanceFrom', sylvester.Line.prototype.distanceFrom);
+goog.exportProperty(sylvester.Line.prototype, 'contains', sylvester.Line.prototype.contains);
+goog.exportProperty(sylvester.Line.prototype, 'liesIn', sylvester.Line.prototype.liesIn);
+goog.exportProperty(sylvester.Line.prototype, 'intersects', sylvester.Line.prototype.intersects);
+goog.exportProperty(sylvester.Line.prototype, 'intersectionWith', sylvester.Line.prototype.intersectionWith);
+goog.exportProperty(sylvester.Line.prototype, 'pointClosestTo', sylvester.Line.prototype.pointClosestTo);
+goog.exportProperty(sylvester.Line.prototype, 'rotate', sylvester.Line.prototype.rotate);
+goog.exportProperty(sylvester.Line.prototype, 'reflectionIn', sylvester.Line.prototype.reflectionIn);
+goog.exportProperty(sylvester.Line.prototype, 'setVectors', sylvester.Line.prototype.setVectors);
+goog.exportSymbol('sylvester.Line.create', sylvester.Line.create);
+goog.exportSymbol('sylvester.Line.X', sylvester.Line.X);
+goog.exportSymbol('sylvester.Line.Y', sylvester.Line.Y);
+goog.exportSymbol('sylvester.Line.Z', sylvester.Line.Z);
+goog.exportSymbol('$L', $L);
+goog.exportSymbol('sylvester.Matrix', sylvester.Matrix);
+goog.exportProperty(sylvester.Matrix.prototype, 'e', sylvester.Matrix.prototype.e);
+goog.exportProperty(sylvester.Matrix.prototype, 'row', sylvester.Matrix.prototype.row);
+goog.exportProperty(sylvester.Matrix.prototype, 'col', sylvester.Matrix.prototype.col);
+goog.exportProperty(sylvester.Matrix.prototype, 'dimensions', sylvester.Matrix.prototype.dimensions);
+goog.exportProperty(sylvester.Matrix.prototype, 'rows', sylvester.Matrix.prototype.rows);
+goog.exportProperty(sylvester.Matrix.prototype, 'cols', sylvester.Matrix.prototype.cols);
+goog.exportProperty(sylvester.Matrix.prototype, 'eql', sylvester.Matrix.prototype.eql);
+goog.exportProperty(sylvester.Matrix.prototype, 'dup', sylvester.Matrix.prototype.dup);
+goog.exportProperty(sylvester.Matrix.prototype, 'map', sylvester.Matrix.prototype.map);
+goog.exportProperty(sylvester.Matrix.prototype, 'isSameSizeAs', sylvester.Matrix.prototype.isSameSizeAs);
+goog.exportProperty(sylvester.Matrix.prototype, 'add', sylvester.Matrix.prototype.add);
+goog.exportProperty(sylvester.Matrix.prototype, 'subtract', sylvester.Matrix.prototype.subtract);
+goog.exportProperty(sylvester.Matrix.prototype, 'canMultiplyFromLeft', sylvester.Matrix.prototype.canMultiplyFromLeft);
+goog.exportProperty(sylvester.Matrix.prototype, 'multiply', sylvester.Matrix.prototype.multiply);
+goog.exportProperty(sylvester.Matrix.prototype, 'x', sylvester.Matrix.prototype.x);
+goog.exportProperty(sylvester.Matrix.prototype, 'minor', sylvester.Matrix.prototype.minor);
+goog.exportProperty(sylvester.Matrix.prototype, 'transpose', sylvester.Matrix.prototype.transpose);
+goog.exportProperty(sylvester.Matrix.prototype, 'addInto', sylvester.Matrix.prototype.addInto);
+goog.exportProperty(sylvester.Matrix.prototype, 'addInPlace', sylvester.Matrix.prototype.addInPlace);
+goog.exportProperty(sylvester.Matrix.prototype, 'subtractInto', sylvester.Matrix.prototype.subtractInto);
+goog.exportProperty(sylvester.Matrix.prototype, 'subtractInPlace', sylvester.Matrix.prototype.subtractInPlace);
+goog.exportProperty(sylvester.Matrix.prototype, 'multiplyInto', sylvester.Matrix.prototype.multiplyInto);
+goog.exportProperty(sylvester.Matrix.prototype, 'multiplyInPlace', sylvester.Matrix.prototype.multiplyInPlace);
+goog.exportProperty(sylvester.Matrix.prototype, 'transposeInto', sylvester.Matrix.prototype.transposeInto);
+goog.exportProperty(sylvester.Matrix.prototype, 'transposeInPlace', sylvester.Matrix.prototype.transposeInPlace);
+goog.exportProperty(sylvester.Matrix.prototype, 'isSquare', sylvester.Matrix.prototype.isSquare);
+goog.exportProperty(sylvester.Matrix.prototype, 'isSymmetric', sylvester.Matrix.prototype.isSymmetric);
+goog.exportProperty(sylvester.Matrix.prototype, 'max', sylvester.Matrix.prototype.max);
+goog.exportProperty(sylvester.Matrix.prototype, 'indexOf', sylvester.Matrix.prototype.indexOf);
+goog.exportProperty(sylvester.Matrix.prototype, 'diagonal', sylvester.Matrix.prototype.diagonal);
+goog.exportProperty(sylvester.Matrix.prototype, 'toRightTriangular', sylvester.Matrix.prototype.toRightTriangular);
+goog.exportProperty(sylvester.Matrix.prototype, 'toUpperTriangular', sylvester.Matrix.prototype.toUpperTriangular);
+goog.exportProperty(sylvester.Matrix.prototype, 'lu', sylvester.Matrix.prototype.lu);
+goog.exportProperty(sylvester.Matrix.prototype, 'qr', sylvester.Matrix.prototype.qr);
+goog.exportProperty(sylvester.Matrix.prototype, 'eigenSymmetric', sylvester.Matrix.prototype.eigenSymmetric);
+goog.exportProperty(sylvester.Matrix.prototype, 'eigenvalues', sylvester.Matrix.prototype.eigenvalues);
+goog.exportProperty(sylvester.Matrix.prototype, 'determinant', sylvester.Matrix.prototype.determinant);
+goog.exportProperty(sylvester.Matrix.prototype, 'det', sylvester.Matrix.prototype.det);
+goog.exportProperty(sylvester.Matrix.prototype, 'isSingular', sylvester.Matrix.prototype.isSingular);
+goog.exportProperty(sylvester.Matrix.prototype, 'trace', sylvester.Matrix.prototype.trace);
+goog.exportProperty(sylvester.Matrix.prototype, 'tr', sylvester.Matrix.prototype.tr);
+goog.exportProperty(sylvester.Matrix.prototype, 'rank', sylvester.Matrix.prototype.rank);
+goog.exportProperty(sylvester.Matrix.prototype, 'rk', sylvester.Matrix.prototype.rk);
+goog.exportProperty(sylvester.Matrix.prototype, 'svd', sylvester.Matrix.prototype.svd);
+goog.exportProperty(sylvester.Matrix.prototype, 'pseudoInverse', sylvester.Matrix.prototype.pseudoInverse);
+goog.exportProperty(sylvester.Matrix.prototype, 'conditionNumber', sylvester.Matrix.prototype.conditionNumber);
+goog.exportProperty(sylvester.Matrix.prototype, 'norm2', sylvester.Matrix.prototype.norm2);
+goog.exportProperty(sylvester.Matrix.prototype, 'nuclearNorm', sylvester.Matrix.prototype.nuclearNorm);
+goog.exportProperty(sylvester.Matrix.prototype, 'augment', sylvester.Matrix.prototype.augment);
+goog.exportProperty(sylvester.Matrix.prototype, 'inverse', sylvester.Matrix.prototype.inverse);
+goog.exportProperty(sylvester.Matrix.prototype, 'inv', sylvester.Matrix.prototype.inv);
+goog.exportProperty(sylvester.Matrix.prototype, 'solve', sylvester.Matrix.prototype.solve);
+goog.exportSymbol('sylvester.Matrix.leastSquares', sylvester.Matrix.leastSquares);
+goog.exportProperty(sylvester.Matrix.prototype, 'cholesky', sylvester.Matrix.prototype.cholesky);
+goog.exportProperty(sylvester.Matrix.prototype, 'isPositiveDefinite', sylvester.Matrix.prototype.isPositiveDefinite);
+goog.exportProperty(sylvester.Matrix.prototype, 'choleskySolve', sylvester.Matrix.prototype.choleskySolve);
+goog.exportProperty(sylvester.Matrix.prototype, 'round', sylvester.Matrix.prototype.round);
+goog.exportProperty(sylvester.Matrix.prototype, 'snapTo', sylvester.Matrix.prototype.snapTo);
+goog.exportProperty(sylvester.Matrix.prototype, 'inspect', sylvester.Matrix.prototype.inspect);
+goog.exportProperty(sylvester.Matrix.prototype, 'setElements', sylvester.Matrix.prototype.setElements);
+goog.exportSymbol('sylvester.Matrix.create', sylvester.Matrix.create);
+goog.exportSymbol('sylvester.Matrix.createTyped', sylvester.Matrix.createTyped);
+goog.exportProperty(sylvester.Matrix.prototype, 'isTyped', sylvester.Matrix.prototype.isTyped);
+goog.exportProperty(sylvester.Matrix.prototype, 'toTyped', sylvester.Matrix.prototype.toTyped);
+goog.exportProperty(sylvester.Matrix.prototype, 'toUntyped', sylvester.Matrix.prototype.toUntyped);
+goog.exportSymbol('sylvester.Matrix.I', sylvester.Matrix.I);
+goog.exportSymbol('sylvester.Matrix.Diagonal', sylvester.Matrix.Diagonal);
+goog.exportSymbol('sylvester.Matrix.Rotation', sylvester.Matrix.Rotation);
+goog.exportSymbol('sylvester.Matrix.RotationX', sylvester.Matrix.RotationX);
+goog.exportSymbol('sylvester.Matrix.RotationY', sylvester.Matrix.RotationY);
+goog.exportSymbol('sylvester.Matrix.RotationZ', sylvester.Matrix.RotationZ);
+goog.exportSymbol('sylvester.Matrix.fromEuler', sylvester.Matrix.fromEuler);
+goog.exportProperty(sylvester.Matrix.prototype, 'toEuler', sylvester.Matrix.prototype.toEuler);
+goog.exportSymbol('sylvester.Matrix.Random', sylvester.Matrix.Random);
+goog.exportSymbol('sylvester.Matrix.RandomUniform', sylvester.Matrix.RandomUniform);
+goog.exportSymbol('sylvester.Matrix.RandomNormal', sylvester.Matrix.RandomNormal);
+goog.exportSymbol('sylvester.Matrix.RandomOrthogonal', sylvester.Matrix.RandomOrthogonal);
+goog.exportSymbol('sylvester.Matrix.RandomRotation', sylvester.Matrix.RandomRotation);
+goog.exportSymbol('sylvester.Matrix.Zero', sylvester.Matrix.Zero);
+goog.exportSymbol('sylvester.Matrix.Translation', sylvester.Matrix.Translation);
+goog.exportProperty(sylvester.Matrix.prototype, 'flatten', sylvester.Matrix.prototype.flatten);
+goog.exportProperty(sylvester.Matrix.prototype, 'ensure4x4', sylvester.Matrix.prototype.ensure4x4);
+goog.exportProperty(sylvester.Matrix.prototype, 'make3x3', sylvester.Matrix.prototype.make3x3);
+goog.exportProperty(sylvester.Matrix.prototype, 'decomposeAffine', sylvester.Matrix.prototype.decomposeAffine);
+goog.exportSymbol('sylvester.Matrix.composeAffine', sylvester.Matrix.composeAffine);
+goog.exportProperty(sylvester.Matrix.prototype, 'transformPoint', sylvester.Matrix.prototype.transformPoint);
+goog.exportProperty(sylvester.Matrix.prototype, 'transformDirection', sylvester.Matrix.prototype.transformDirection);
+goog.exportProperty(sylvester.Matrix.prototype, 'transformNormal', sylvester.Matrix.prototype.transformNormal);
+goog.exportProperty(sylvester.Matrix.prototype, 'transformLine', sylvester.Matrix.prototype.transformLine);
+goog.exportProperty(sylvester.Matrix.prototype, 'transformPlane', sylvester.Matrix.prototype.transformPlane);
+goog.exportSymbol('$M', $M);
+goog.exportSymbol('sylvester.Plane', sylvester.Plane);
+goog.exportProperty(sylvester.Plane.prototype, 'eql', sylvester.Plane.prototype.eql);
+goog.exportProperty(sylvester.Plane.prototype, 'dup', sylvester.Plane.prototype.dup);
+goog.exportProperty(sylvester.Plane.prototype, 'translate', sylvester.Plane.prototype.translate);
+goog.exportProperty(sylvester.Plane.prototype, 'isParallelTo', sylvester.Plane.prototype.isParallelTo);
+goog.exportProperty(sylvester.Plane.prototype, 'isPerpendicularTo', sylvester.Plane.prototype.isPerpendicularTo);
+goog.exportProperty(sylvester.Plane.prototype, 'distanceFrom', sylvester.Plane.prototype.distanceFrom);
+goog.exportProperty(sylvester.Plane.prototype, 'contains', sylvester.Plane.prototype.contains);
+goog.exportProperty(sylvester.Plane.prototype, 'intersects', sylvester.Plane.prototype.intersects);
+goog.exportProperty(sylvester.Plane.prototype, 'intersectionWith', sylvester.Plane.prototype.intersectionWith);
+goog.exportProperty(sylvester.Plane.prototype, 'pointClosestTo', sylvester.Plane.prototype.pointClosestTo);
+goog.exportProperty(sylvester.Plane.prototype, 'rotate', sylvester.Plane.prototype.rotate);
+goog.exportProperty(sylvester.Plane.prototype, 'reflectionIn', sylvester.Plane.prototype.reflectionIn);
+goog.exportProperty(sylvester.Plane.prototype, 'setVectors', sylvester.Plane.prototype.setVectors);
+goog.exportSymbol('sylvester.Plane.create', sylvester.Plane.create);
+goog.exportSymbol('sylvester.Plane.XY', sylvester.Plane.XY);
+goog.exportSymbol('sylvester.Plane.YZ', sylvester.Plane.YZ);
+goog.exportSymbol('sylvester.Plane.ZX', sylvester.Plane.ZX);
+goog.exportSymbol('sylvester.Plane.YX', sylvester.Plane.YX);
+goog.exportSymbol('sylvester.Plane.ZY', sylvester.Plane.ZY);
+goog.exportSymbol('sylvester.Plane.XZ', sylvester.Plane.XZ);
+goog.exportSymbol('sylvester.Pane', sylvester.Pane);
+goog.exportSymbol('$P', $P);
+goog.exportSymbol('sylvester.Quaternion', sylvester.Quaternion);
+goog.exportProperty(sylvester.Quaternion.prototype, 'e', sylvester.Quaternion.prototype.e);
+goog.exportProperty(sylvester.Quaternion.prototype, 'eql', sylvester.Quaternion.prototype.eql);
+goog.exportProperty(sylvester.Quaternion.prototype, 'dup', sylvester.Quaternion.prototype.dup);
+goog.exportProperty(sylvester.Quaternion.prototype, 'modulus', sylvester.Quaternion.prototype.modulus);
+goog.exportProperty(sylvester.Quaternion.prototype, 'dot', sylvester.Quaternion.prototype.dot);
+goog.exportProperty(sylvester.Quaternion.prototype, 'multiply', sylvester.Quaternion.prototype.multiply);
+goog.exportProperty(sylvester.Quaternion.prototype, 'x', sylvester.Quaternion.prototype.x);
+goog.exportProperty(sylvester.Quaternion.prototype, 'conjugate', sylvester.Quaternion.prototype.conjugate);
+goog.exportProperty(sylvester.Quaternion.prototype, 'inverse', sylvester.Quaternion.prototype.inverse);
+goog.exportProperty(sylvester.Quaternion.prototype, 'normalize', sylvester.Quaternion.prototype.normalize);
+goog.exportProperty(sylvester.Quaternion.prototype, 'rotateVector', sylvester.Quaternion.prototype.rotateVector);
+goog.exportProperty(sylvester.Quaternion.prototype, 'slerp', sylvester.Quaternion.prototype.slerp);
+goog.exportProperty(sylvester.Quaternion.prototype, 'nlerp', sylvester.Quaternion.prototype.nlerp);
+goog.exportProperty(sylvester.Quaternion.prototype, 'toAxisAngle', sylvester.Quaternion.prototype.toAxisAngle);
+goog.exportProperty(sylvester.Quaternion.prototype, 'toMatrix3x3', sylvester.Quaternion.prototype.toMatrix3x3);
+goog.exportProperty(sylvester.Quaternion.prototype, 'toMatrix4x4', sylvester.Quaternion.prototype.toMatrix4x4);
+goog.exportProperty(sylvester.Quaternion.prototype, 'inspect', sylvester.Quaternion.prototype.inspect);
+goog.exportProperty(sylvester.Quaternion.prototype, 'setElements', sylvester.Quaternion.prototype.setElements);
+goog.exportSymbol('sylvester.Quaternion.create', sylvester.Quaternion.create);
+goog.exportSymbol('sylvester.Quaternion.Identity', sylvester.Quaternion.Identity);
+goog.exportSymbol('sylvester.Quaternion.fromAxisAngle', sylvester.Quaternion.fromAxisAngle);
+goog.exportSymbol('sylvester.Quaternion.fromEuler', sylvester.Quaternion.fromEuler);
+goog.exportSymbol('sylvester.Quaternion.fromMatrix', sylvester.Quaternion.fromMatrix);
+goog.exportSymbol('$Q', $Q);
+goog.exportSymbol('sylvester.Random', sylvester.Random);
+goog.exportSymbol('sylvester.Random.create', sylvester.Random.create);
+goog.exportProperty(sylvester.Random.prototype, 'seed', sylvester.Random.prototype.seed);
+goog.exportProperty(sylvester.Random.prototype, 'next', sylvester.Random.prototype.next);
+goog.exportProperty(sylvester.Random.prototype, 'toFunction', sylvester.Random.prototype.toFunction);
+goog.exportSymbol('sylvester.Random.uniform', sylvester.Random.uniform);
+goog.exportSymbol('sylvester.Random.normal', sylvester.Random.normal);
+goog.exportSymbol('Sylvester.version', Sylvester.version);
+goog.exportSymbol('Sylvester.precision', Sylvester.precision);
+goog.exportSymbol('Sylvester.relative', Sylvester.relative);
+goog.exportSymbol('Sylvester.withPrecision', Sylvester.withPrecision);
+goog.exportSymbol('Sylvester.strict', Sylvester.strict);
+goog.exportSymbol('Sylvester.random', Sylvester.random);
+goog.exportSymbol('Sylvester.seedRandom', Sylvester.seedRandom);
+goog.exportSymbol('Sylvester.matrixToHtml', Sylvester.matrixToHtml);
+goog.exportSymbol('Sylvester.makeLookAt', Sylvester.makeLookAt);
+goog.exportSymbol('Sylvester.makeLookAtInverse', Sylvester.makeLookAtInverse);
+goog.exportSymbol('Sylvester.makeLookAtLH', Sylvester.makeLookAtLH);
+goog.exportSymbol('Sylvester.makeLookAtLHInverse', Sylvester.makeLookAtLHInverse);
+goog.exportSymbol('Sylvester.makePerspective', Sylvester.makePerspective);
+goog.exportSymbol('Sylvester.makePerspectiveInverse', Sylvester.makePerspectiveInverse);
+goog.exportSymbol('Sylvester.makePerspectiveLH', Sylvester.makePerspectiveLH);
+goog.exportSymbol('Sylvester.makePerspectiveLHInverse', Sylvester.makePerspectiveLHInverse);
+goog.exportSymbol('Sylvester.makeInfinitePerspective', Sylvester.makeInfinitePerspective);
+goog.exportSymbol('Sylvester.makeInfinitePerspectiveInverse', Sylvester.makeInfinitePerspectiveInverse);
+goog.exportSymbol('Sylvester.makeInfinitePerspectiveLH', Sylvester.makeInfinitePerspectiveLH);
+goog.exportSymbol('Sylvester.makeInfinitePerspectiveLHInverse', Sylvester.makeInfinitePerspectiveLHInverse);
+goog.exportSymbol('Sylvester.makeReversedZPerspective', Sylvester.makeReversedZPerspective);
+goog.exportSymbol('Sylvester.makeReversedZPerspectiveInverse', Sylvester.makeReversedZPerspectiveInverse);
+goog.exportSymbol('Sylvester.makeReversedZPerspectiveLH', Sylvester.makeReversedZPerspectiveLH);
+goog.exportSymbol('Sylvester.makeReversedZPerspectiveLHInverse', Sylvester.makeReversedZPerspectiveLHInverse);
+goog.exportSymbol('Sylvester.makeFrustum', Sylvester.makeFrustum);
+goog.exportSymbol('Sylvester.makeFrustumInverse', Sylvester.makeFrustumInverse);
+goog.exportSymbol('Sylvester.makeFrustumLH', Sylvester.makeFrustumLH);
+goog.exportSymbol('Sylvester.makeFrustumLHInverse', Sylvester.makeFrustumLHInverse);
+goog.exportSymbol('Sylvester.makeOrtho', Sylvester.makeOrtho);
+goog.exportSymbol('Sylvester.makeOrthoInverse', Sylvester.makeOrthoInverse);
+goog.exportSymbol('Sylvester.makeOrthoLH', Sylvester.makeOrthoLH);
+goog.exportSymbol('Sylvester.makeOrthoLHInverse', Sylvester.makeOrthoLHInverse);
+goog.exportSymbol('Sylvester.project', Sylvester.project);
+goog.exportSymbol('Sylvester.unproject', Sylvester.unproject);
+goog.exportSymbol('Sylvester.pickRay', Sylvester.pickRay);
+goog.exportSymbol('sylvester.Vector', sylvester.Vector);
+goog.exportProperty(sylvester.Vector.prototype, 'e', sylvester.Vector.prototype.e);
+goog.exportProperty(sylvester.Vector.prototype, 'dimensions', sylvester.Vector.prototype.dimensions);
+goog.exportProperty(sylvester.Vector.prototype, 'modulus', sylvester.Vector.prototype.modulus);
+goog.exportProperty(sylvester.Vector.prototype, 'eql', sylvester.Vector.prototype.eql);
+goog.exportProperty(sylvester.Vector.prototype, 'dup', sylvester.Vector.prototype.dup);
+goog.exportProperty(sylvester.Vector.prototype, 'map', sylvester.Vector.prototype.map);
+goog.exportProperty(sylvester.Vector.prototype, 'each', sylvester.Vector.prototype.each);
+goog.exportProperty(sylvester.Vector.prototype, 'toUnitVector', sylvester.Vector.prototype.toUnitVector);
+goog.exportProperty(sylvester.Vector.prototype, 'angleFrom', sylvester.Vector.prototype.angleFrom);
+goog.exportProperty(sylvester.Vector.prototype, 'isParallelTo', sylvester.Vector.prototype.isParallelTo);
+goog.exportProperty(sylvester.Vector.prototype, 'isAntiparallelTo', sylvester.Vector.prototype.isAntiparallelTo);
+goog.exportProperty(sylvester.Vector.prototype, 'isPerpendicularTo', sylvester.Vector.prototype.isPerpendicularTo);
+goog.exportProperty(sylvester.Vector.prototype, 'add', sylvester.Vector.prototype.add);
+goog.exportProperty(sylvester.Vector.prototype, 'subtract', sylvester.Vector.prototype.subtract);
+goog.exportProperty(sylvester.Vector.prototype, 'multiply', sylvester.Vector.prototype.multiply);
+goog.exportProperty(sylvester.Vector.prototype, 'x', sylvester.Vector.prototype.x);
+goog.exportProperty(sylvester.Vector.prototype, 'addInto', sylvester.Vector.prototype.addInto);
+goog.exportProperty(sylvester.Vector.prototype, 'addInPlace', sylvester.Vector.prototype.addInPlace);
+goog.exportProperty(sylvester.Vector.prototype, 'subtractInto', sylvester.Vector.prototype.subtractInto);
+goog.exportProperty(sylvester.Vector.prototype, 'subtractInPlace', sylvester.Vector.prototype.subtractInPlace);
+goog.exportProperty(sylvester.Vector.prototype, 'multiplyInto', sylvester.Vector.prototype.multiplyInto);
+goog.exportProperty(sylvester.Vector.prototype, 'multiplyInPlace', sylvester.Vector.prototype.multiplyInPlace);
+goog.exportProperty(sylvester.Vector.prototype, 'normalizeInto', sylvester.Vector.prototype.normalizeInto);
+goog.exportProperty(sylvester.Vector.prototype, 'normalizeInPlace', sylvester.Vector.prototype.normalizeInPlace);
+goog.exportProperty(sylvester.Vector.prototype, 'dot', sylvester.Vector.prototype.dot);
+goog.exportProperty(sylvester.Vector.prototype, 'cross', sylvester.Vector.prototype.cross);
+goog.exportProperty(sylvester.Vector.prototype, 'crossInto', sylvester.Vector.prototype.crossInto);
+goog.exportProperty(sylvester.Vector.prototype, 'max', sylvester.Vector.prototype.max);
+goog.exportProperty(sylvester.Vector.prototype, 'indexOf', sylvester.Vector.prototype.indexOf);
+goog.exportProperty(sylvester.Vector.prototype, 'toDiagonalMatrix', sylvester.Vector.prototype.toDiagonalMatrix);
+goog.exportProperty(sylvester.Vector.prototype, 'round', sylvester.Vector.prototype.round);
+goog.exportProperty(sylvester.Vector.prototype, 'snapTo', sylvester.Vector.prototype.snapTo);
+goog.exportProperty(sylvester.Vector.prototype, 'distanceFrom', sylvester.Vector.prototype.distanceFrom);
+goog.exportProperty(sylvester.Vector.prototype, 'liesOn', sylvester.Vector.prototype.liesOn);
+goog.exportProperty(sylvester.Vector.prototype, 'liesIn', sylvester.Vector.prototype.liesIn);
+goog.exportProperty(sylvester.Vector.prototype, 'rotate', sylvester.Vector.prototype.rotate);
+goog.exportProperty(sylvester.Vector.prototype, 'reflectionIn', sylvester.Vector.prototype.reflectionIn);
+goog.exportProperty(sylvester.Vector.prototype, 'to3D', sylvester.Vector.prototype.to3D);
+goog.exportProperty(sylvester.Vector.prototype, 'inspect', sylvester.Vector.prototype.inspect);
+goog.exportProperty(sylvester.Vector.prototype, 'setElements', sylvester.Vector.prototype.setElements);
+goog.exportProperty(sylvester.Vector.prototype, 'isTyped', sylvester.Vector.prototype.isTyped);
+goog.exportProperty(sylvester.Vector.prototype, 'toTyped', sylvester.Vector.prototype.toTyped);
+goog.exportProperty(sylvester.Vector.prototype, 'toUntyped', sylvester.Vector.prototype.toUntyped);
+goog.exportSymbol('sylvester.Vector.create', sylvester.Vector.create);
+goog.exportSymbol('sylvester.Vector.createTyped', sylvester.Vector.createTyped);
+goog.exportSymbol('sylvester.Vector.i', sylvester.Vector.i);
+goog.exportSymbol('sylvester.Vector.j', sylvester.Vector.j);
+goog.exportSymbol('sylvester.Vector.k', sylvester.Vector.k);
+goog.exportSymbol('sylvester.Vector.Random', sylvester.Vector.Random);
+goog.exportSymbol('sylvester.Vector.RandomUniform', sylvester.Vector.RandomUniform);
+goog.exportSymbol('sylvester.Vector.RandomNormal', sylvester.Vector.RandomNormal);
+goog.exportSymbol('sylvester.Vector.RandomUnit', sylvester.Vector.RandomUnit);
+goog.exportSymbol('sylvester.Vector.Zero', sylvester.Vector.Zero);
+goog.exportProperty(sylvester.Vector.prototype, 'flatten', sylvester.Vector.prototype.flatten);
+goog.exportSymbol('$V', $V);
+
+sylvester.exports.exportSetting_('version', function() {
+    return Sylvester.version;
+}, function(value) {
+    Sylvester.version = value;
+});
+sylvester.exports.exportSetting_('precision', function() {
+    return Sylvester.precision;
+}, function(value) {
+    Sylvester.precision = value;
+});
+sylvester.exports.exportSetting_('relative', function() {
+    return Sylvester.relative;
+}, function(value) {
+    Sylvester.relative = value;
+});
+sylvester.exports.exportSetting_('strict', function() {
+    return Sylvester.strict;
+}, function(value) {
+    Sylvester.strict = value;
+});
+sylvester.exports.exportSetting_('random', function() {
+    return Sylvester.random;
+}, function(value) {
+    Sylvester.random = value;
+});
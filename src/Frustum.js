@@ -0,0 +1,232 @@
+goog.provide('sylvester.Frustum');
+goog.require('sylvester.Error');
+goog.require('sylvester.Matrix');
+goog.require('sylvester.Plane');
+goog.require('sylvester.Vector');
+
+/**
+ * === Sylvester ===
+ * Vector and Matrix mathematics modules for JavaScript
+ * Copyright (c) 2007 James Coglan
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining
+ * a copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ *  the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ *  Software is furnished to do so, subject to the following conditions:
+ *
+ *  The above copyright notice and this permission notice shall be included
+ * in all copies or substantial portions of the Software.
+ *
+ *  THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+ *  OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL
+ *  THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ *  LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ *  FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ * Modified by Richard Anaya for Google Closure compilation.
+ */
+
+/**
+ * A class representing a view frustum: the region of space that a
+ * projection-view matrix maps inside the clip volume.
+ * @constructor
+ */
+sylvester.Frustum = function() {
+};
+
+/**
+ * Result of a frustum test for an object entirely outside the frustum.
+ * @type {number}
+ */
+sylvester.Frustum.OUTSIDE = 0;
+
+/**
+ * Result of a frustum test for an object crossing the frustum boundary.
+ * @type {number}
+ */
+sylvester.Frustum.INTERSECT = 1;
+
+/**
+ * Result of a frustum test for an object entirely inside the frustum.
+ * @type {number}
+ */
+sylvester.Frustum.INSIDE = 2;
+
+/**
+ * Returns the signed distance of a point from plane i, positive inside.
+ * @param {number} i Plane index.
+ * @param {Array.<number>} P The point.
+ * @return {number} The signed distance.
+ * @private
+ */
+sylvester.Frustum.prototype.distance_ = function(i, P) {
+    var A = this.planes[i].anchor.elements, N = this.planes[i].normal.elements;
+    return (P[0] - A[0]) * N[0] + (P[1] - A[1]) * N[1] + (P[2] - A[2]) * N[2];
+};
+
+/**
+ * Returns true iff the point is inside the frustum or on its boundary.
+ * @param {sylvester.Vector|Array.<number>} point The point.
+ * @param {number=} tolerance Distance outside a plane still counted as
+ *     inside, as for testPoint.
+ * @return {boolean} True if contained.
+ */
+sylvester.Frustum.prototype.contains = function(point, tolerance) {
+    return this.testPoint(point, tolerance) != sylvester.Frustum.OUTSIDE;
+};
+
+/**
+ * Tests a point against the frustum. Points within Sylvester.precision of a
+ * plane count as inside.
+ * @param {sylvester.Vector|Array.<number>} point The point.
+ * @param {number=} tolerance Distance outside a plane still counted as
+ *     inside, relative to the largest coordinate of the point in relative
+ *     mode; Sylvester.precision if omitted.
+ * @return {number} sylvester.Frustum.INSIDE or sylvester.Frustum.OUTSIDE.
+ */
+sylvester.Frustum.prototype.testPoint = function(point, tolerance) {
+    var P = point.elements || point;
+    tolerance = Sylvester.tolerance_(tolerance, function() {
+        return Sylvester.largest_(P);
+    });
+    for (var i = 0; i < 6; i++) {
+        if (this.planes[i] && this.distance_(i, P) < -tolerance) {
+            return sylvester.Frustum.OUTSIDE;
+        }
+    }
+    return sylvester.Frustum.INSIDE;
+};
+
+/**
+ * Tests a sphere against the frustum. Spheres near a corner of the frustum
+ * that cross two of its planes without touching it are reported as
+ * intersecting, which is safe for culling.
+ * @param {sylvester.Vector|Array.<number>} center The centre of the sphere.
+ * @param {number} radius The radius of the sphere.
+ * @return {number} sylvester.Frustum.INSIDE, INTERSECT or OUTSIDE.
+ */
+sylvester.Frustum.prototype.testSphere = function(center, radius) {
+    var C = center.elements || center, result = sylvester.Frustum.INSIDE, d;
+    for (var i = 0; i < 6; i++) {
+        if (!this.planes[i]) {
+            continue;
+        }
+        d = this.distance_(i, C);
+        if (d < -radius) {
+            return sylvester.Frustum.OUTSIDE;
+        }
+        if (d < radius) {
+            result = sylvester.Frustum.INTERSECT;
+        }
+    }
+    return result;
+};
+
+/**
+ * Tests an axis-aligned box against the frustum, using for each plane the box
+ * corners furthest along and against its normal. As with testSphere, boxes
+ * near a corner of the frustum may be reported as intersecting when they are
+ * just outside.
+ * @param {sylvester.Vector|Array.<number>} min The minimum corner of the box.
+ * @param {sylvester.Vector|Array.<number>} max The maximum corner of the box.
+ * @return {number} sylvester.Frustum.INSIDE, INTERSECT or OUTSIDE.
+ */
+sylvester.Frustum.prototype.testBox = function(min, max) {
+    var L = min.elements || min, H = max.elements || max, result = sylvester.Frustum.INSIDE;
+    var N, positive, negative, i, j;
+    for (i = 0; i < 6; i++) {
+        if (!this.planes[i]) {
+            continue;
+        }
+        N = this.planes[i].normal.elements;
+        positive = [];
+        negative = [];
+        for (j = 0; j < 3; j++) {
+            positive[j] = N[j] >= 0 ? H[j] : L[j];
+            negative[j] = N[j] >= 0 ? L[j] : H[j];
+        }
+        if (this.distance_(i, positive) < 0) {
+            return sylvester.Frustum.OUTSIDE;
+        }
+        if (this.distance_(i, negative) < 0) {
+            result = sylvester.Frustum.INTERSECT;
+        }
+    }
+    return result;
+};
+
+/**
+ * Returns the eight corners of the frustum: the four at depth 0 (the near
+ * plane, or the far plane for reversed-Z projections) followed by the four at
+ * depth 1, each in the order bottom left, bottom right, top right, top left.
+ * @return {Array.<sylvester.Vector>} The corners, or null if the matrix is
+ *     singular or a corner is at infinity.
+ */
+sylvester.Frustum.prototype.corners = function() {
+    var inverse = this.matrix.inverse();
+    if (inverse === null) {
+        return null;
+    }
+    var depths = this.zeroToOne ? [0, 1] : [-1, 1], square = [[-1, -1], [1, -1], [1, 1], [-1, 1]];
+    var corners = [], P, i, j;
+    for (i = 0; i < 2; i++) {
+        for (j = 0; j < 4; j++) {
+            P = inverse.transformPoint_([square[j][0], square[j][1], depths[i]]);
+            if (P === null) {
+                return sylvester.Error.raise_(sylvester.DegenerateGeometry, 'Frustum.corners', [this.matrix], 'a corner is at infinity');
+            }
+            corners.push(P);
+        }
+    }
+    return corners;
+};
+
+/**
+ * Extracts the planes of the frustum from a projection-view matrix, using the
+ * Gribb-Hartmann method. The planes are stored in this.planes in the order
+ * left, right, bottom, top, near, far, with normals pointing into the
+ * frustum; for reversed-Z projections the near and far planes swap places.
+ * A plane at infinity, as with an infinite far plane, is stored as null and
+ * ignored by the tests.
+ * @param {sylvester.Matrix} matrix The 4x4 projection-view matrix.
+ * @param {boolean=} zeroToOne True if the projection maps depth to [0, 1]
+ *     rather than [-1, 1].
+ * @return {sylvester.Frustum} This frustum, or null if the matrix is not 4x4.
+ */
+sylvester.Frustum.prototype.setMatrix = function(matrix, zeroToOne) {
+    var M = matrix.elements;
+    if (M.length != 4 || M[0].length != 4) {
+        return sylvester.Error.raise_(sylvester.DimensionMismatch, 'Frustum.setMatrix', [matrix], 'matrix is not 4x4');
+    }
+    this.matrix = sylvester.Matrix.create(M);
+    this.zeroToOne = zeroToOne ? true : false;
+    var W = M[3], planes = [], C, i, j, sign, nn;
+    for (i = 0; i < 6; i++) {
+        // Rows 0, 1 and 2 bound x, y and z: -w <= x <= w, with 0 <= z <= w for zero to one depth
+        sign = (i % 2) ? -1 : 1;
+        C = [];
+        for (j = 0; j < 4; j++) {
+            C[j] = (i == 4 && this.zeroToOne) ? M[2][j] : W[j] + sign * M[i >> 1][j];
+        }
+        nn = C[0] * C[0] + C[1] * C[1] + C[2] * C[2];
+        planes[i] = nn === 0 ? null :
+            sylvester.Plane.create([-C[3] * C[0] / nn, -C[3] * C[1] / nn, -C[3] * C[2] / nn], C.slice(0, 3));
+    }
+    this.planes = planes;
+    return this;
+};
+
+/**
+ * Constructor function.
+ * @param {sylvester.Matrix} matrix The 4x4 projection-view matrix.
+ * @param {boolean=} zeroToOne True if the projection maps depth to [0, 1].
+ * @return {sylvester.Frustum} The frustum, or null if the matrix is not 4x4.
+ */
+sylvester.Frustum.create = function(matrix, zeroToOne) {
+    var F = new sylvester.Frustum();
+    return F.setMatrix(matrix, zeroToOne);
+};
@@ -1,4 +1,5 @@
 goog.provide('sylvester.Line');
+goog.require('sylvester.Error');
 goog.require('sylvester.Vector');
 
 /**
@@ -37,10 +38,12 @@ sylvester.Line = function() {
 /**
  * Returns true if the argument occupies the same space as the line.
  * @param {sylvester.Line} line Another line to compare to.
+ * @param {number=} tolerance Tolerance for the angle between the lines and
+ *     the distance between them, as for isParallelTo and contains.
  * @return {boolean} True if equal.
  */
-sylvester.Line.prototype.eql = function(line) {
-    return (this.isParallelTo(line) && this.contains(line.anchor));
+sylvester.Line.prototype.eql = function(line, tolerance) {
+    return (this.isParallelTo(line, tolerance) && this.contains(line.anchor, tolerance));
 };
 
 /**
@@ -73,14 +76,17 @@ sylvester.Line.prototype.translate = function(vector) {
  * the line's own direction. A line is parallel to a plane if the two do not
  * have a unique intersection.
  * @param {*} obj Object to compare to.
+ * @param {number=} tolerance Largest angle between the directions in radians;
+ *     Sylvester.precision if omitted.
  * @return {boolean} True if parallel.
  */
-sylvester.Line.prototype.isParallelTo = function(obj) {
+sylvester.Line.prototype.isParallelTo = function(obj, tolerance) {
     if (obj.normal) {
-        return obj.isParallelTo(this);
+        return obj.isParallelTo(this, tolerance);
     }
     var theta = this.direction.angleFrom(obj.direction);
-    return (Math.abs(theta) <= Sylvester.precision || Math.abs(theta - Math.PI) <= Sylvester.precision);
+    tolerance = Sylvester.tolerance_(tolerance);
+    return (Math.abs(theta) <= tolerance || Math.abs(theta - Math.PI) <= tolerance);
 };
 
 /**
@@ -118,16 +124,22 @@ sylvester.Line.prototype.distanceFrom = function(obj) {
 /**
  * Returns true iff the argument is a point on the line.
  * @param {*} point A point.
+ * @param {number=} tolerance Largest distance from the line, relative to the
+ *     largest coordinate of the point and the line's anchor in relative mode;
+ *     Sylvester.precision if omitted.
  * @return {boolean} True if point is on the line.
  */
-sylvester.Line.prototype.contains = function(point) {
-    var dist = this.distanceFrom(point);
-    return (dist !== null && dist <= Sylvester.precision);
+sylvester.Line.prototype.contains = function(point, tolerance) {
+    var dist = this.distanceFrom(point), A = this.anchor.elements;
+    return (dist !== null && dist <= Sylvester.tolerance_(tolerance, function() {
+        var P = point.anchor || point;
+        return Math.max(Sylvester.largest_(A), Sylvester.largest_(P.elements || P));
+    }));
 };
 
 /**
  * Returns true iff the line lies in the given plane.
- * @param {sylvester.Pane} plane The plane to test.
+ * @param {sylvester.Plane} plane The plane to test.
  * @return {boolean} True if line is in the plane.
  */
 sylvester.Line.prototype.liesIn = function(plane) {
@@ -156,7 +168,7 @@ sylvester.Line.prototype.intersectionWith = function(obj) {
         return obj.intersectionWith(this);
     }
     if (!this.intersects(obj)) {
-        return null;
+        return sylvester.Error.raise_(sylvester.DegenerateGeometry, 'Line.intersectionWith', [this.direction, obj.direction], 'lines do not intersect');
     }
     var P = this.anchor.elements, X = this.direction.elements,
         Q = obj.anchor.elements, Y = obj.direction.elements;
@@ -183,7 +195,7 @@ sylvester.Line.prototype.pointClosestTo = function(obj) {
             return this.intersectionWith(obj);
         }
         if (this.isParallelTo(obj)) {
-            return null;
+            return sylvester.Error.raise_(sylvester.DegenerateGeometry, 'Line.pointClosestTo', [this.direction, obj.direction], 'lines are parallel');
         }
         var D = this.direction.elements, E = obj.direction.elements;
         var D1 = D[0], D2 = D[1], D3 = D[2], E1 = E[0], E2 = E[1], E3 = E[2];
@@ -191,7 +203,7 @@ sylvester.Line.prototype.pointClosestTo = function(obj) {
         // Thank you: http://www.cgafaq.info/wiki/Line-line_distance
         var x = (D3 * E1 - D1 * E3), y = (D1 * E2 - D2 * E1), z = (D2 * E3 - D3 * E2);
         var N = sylvester.Vector.create([x * E3 - y * E2, y * E1 - z * E3, z * E2 - x * E1]);
-        var P = sylvester.Pane.create(obj.anchor, N);
+        var P = sylvester.Plane.create(obj.anchor, N);
         return P.intersectionWith(this);
     } else {
         // obj is a point
@@ -219,11 +231,17 @@ sylvester.Line.prototype.pointClosestTo = function(obj) {
  * finding the argument's closest point to this line's anchor point (call this C) and
  * rotating the anchor about C. Also rotates the line's direction about the argument's.
  * Be careful with this - the rotation axis' direction affects the outcome!
- * @param {number} t Radians around a given line.
- * @param {sylvester.Line} line The line we are rotating around.
+ * Alternatively the line may be rotated by a unit quaternion, about an optional
+ * centre point that defaults to the origin.
+ * @param {number|sylvester.Quaternion} t Radians around a given line, or a quaternion.
+ * @param {sylvester.Line|sylvester.Vector=} line The line we are rotating around,
+ *     or the centre point when rotating by a quaternion.
  * @return {sylvester.Line} The line rotated around a line.
  */
 sylvester.Line.prototype.rotate = function(t, line) {
+    if (t instanceof sylvester.Quaternion) {
+        return sylvester.Line.create(this.anchor.rotate(t, line), t.rotateVector(this.direction));
+    }
     // If we're working in 2D
     if (typeof(line.direction) == 'undefined') {
         line = sylvester.Line.create(line.to3D(), sylvester.Vector.k);
@@ -288,11 +306,11 @@ sylvester.Line.prototype.setVectors = function(anchor, direction) {
         direction.elements.push(0);
     }
     if (anchor.elements.length > 3 || direction.elements.length > 3) {
-        return null;
+        return sylvester.Error.raise_(sylvester.DimensionMismatch, 'Line.setVectors', [anchor, direction], 'vectors are not 2D or 3D');
     }
     var mod = direction.modulus();
     if (mod === 0) {
-        return null;
+        return sylvester.Error.raise_(sylvester.DegenerateGeometry, 'Line.setVectors', [direction], 'direction is zero');
     }
     this.anchor = anchor;
     this.direction = sylvester.Vector.create([
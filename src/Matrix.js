@@ -1,4 +1,6 @@
 goog.provide('sylvester.Matrix');
+goog.require('sylvester.Error');
+goog.require('sylvester.Random');
 
 /**
  * === Sylvester ===
@@ -30,6 +32,12 @@ goog.provide('sylvester.Matrix');
  * Class representing a mathematical Matrix
  */
 sylvester.Matrix = function() {
+    /**
+     * Flat row-major storage if the matrix is backed by a typed array, in which
+     * case each row in elements is a view onto it. Null for nested array storage.
+     * @type {Float32Array|Float64Array}
+     */
+    this.data = null;
 };
 
 /**
@@ -54,7 +62,7 @@ sylvester.Matrix.prototype.row = function(i) {
     if (i > this.elements.length) {
         return null;
     }
-    return sylvester.Vector.create(this.elements[i - 1]);
+    return this.wrap_(sylvester.Vector.create(this.elements[i - 1]));
 };
 
 /**
@@ -71,12 +79,12 @@ sylvester.Matrix.prototype.col = function(j) {
         i = k - n;
         col.push(this.elements[i][j - 1]);
     } while (--n);
-    return sylvester.Vector.create(col);
+    return this.wrap_(sylvester.Vector.create(col));
 };
 
 /**
  * Returns the number of rows/columns the matrix has
- * @return {Object.<string,number>} The dimensions {rows:<numrows>,cols:<numcols>}.
+ * @return {{rows: number, cols: number}} The dimensions.
  */
 sylvester.Matrix.prototype.dimensions = function() {
     return {rows: this.elements.length, cols: this.elements[0].length};
@@ -103,9 +111,11 @@ sylvester.Matrix.prototype.cols = function() {
  * a vector as the argument, in which case the receiver must be a
  * one-column matrix equal to the vector.
  * @param {sylvester.Matrix} matrix sylvester.Matrix to test equality.
+ * @param {number=} tolerance Largest difference between elements, relative to
+ *     the largest element in relative mode; Sylvester.precision if omitted.
  * @return {boolean} True if equal.
  */
-sylvester.Matrix.prototype.eql = function(matrix) {
+sylvester.Matrix.prototype.eql = function(matrix, tolerance) {
     var M = matrix.elements || matrix;
     if (typeof(M[0][0]) == 'undefined') {
         M = sylvester.Matrix.create(M).elements;
@@ -114,13 +124,17 @@ sylvester.Matrix.prototype.eql = function(matrix) {
         this.elements[0].length != M[0].length) {
         return false;
     }
+    var A = this.elements;
+    tolerance = Sylvester.tolerance_(tolerance, function() {
+        return Math.max(Sylvester.largest_(A), Sylvester.largest_(M));
+    });
     var ni = this.elements.length, ki = ni, i, nj, kj = this.elements[0].length, j;
     do {
         i = ki - ni;
         nj = kj;
         do {
             j = kj - nj;
-            if (Math.abs(this.elements[i][j] - M[i][j]) > Sylvester.precision) {
+            if (Math.abs(this.elements[i][j] - M[i][j]) > tolerance) {
                 return false;
             }
         } while (--nj);
@@ -129,10 +143,14 @@ sylvester.Matrix.prototype.eql = function(matrix) {
 };
 
 /**
- * Returns a copy of the matrix
+ * Returns a copy of the matrix, using the same storage as the matrix.
  * @return {sylvester.Matrix} Duplicate of the matrix.
  */
 sylvester.Matrix.prototype.dup = function() {
+    if (this.data) {
+        return sylvester.Matrix.fromData_(new this.data.constructor(this.data),
+            this.elements.length, this.elements[0].length);
+    }
     return sylvester.Matrix.create(this.elements);
 };
 
@@ -142,6 +160,16 @@ sylvester.Matrix.prototype.dup = function() {
  * @return {sylvester.Matrix} sylvester.Matrix created after map operation is applied.
  */
 sylvester.Matrix.prototype.map = function(fn) {
+    if (this.data) {
+        var rows = this.elements.length, cols = this.elements[0].length;
+        var data = new this.data.constructor(rows * cols), r, c;
+        for (r = 0; r < rows; r++) {
+            for (c = 0; c < cols; c++) {
+                data[r * cols + c] = fn(this.data[r * cols + c], r + 1, c + 1);
+            }
+        }
+        return sylvester.Matrix.fromData_(data, rows, cols);
+    }
     var els = [], ni = this.elements.length, ki = ni, i, nj, kj = this.elements[0].length, j;
     do {
         i = ki - ni;
@@ -180,7 +208,7 @@ sylvester.Matrix.prototype.add = function(matrix) {
         M = sylvester.Matrix.create(M).elements;
     }
     if (!this.isSameSizeAs(M)) {
-        return null;
+        return sylvester.Error.raise_(sylvester.DimensionMismatch, 'Matrix.add', [this, matrix]);
     }
     return this.map(function(x, i, j) {
         return x + M[i - 1][j - 1];
@@ -198,7 +226,7 @@ sylvester.Matrix.prototype.subtract = function(matrix) {
         M = sylvester.Matrix.create(M).elements;
     }
     if (!this.isSameSizeAs(M)) {
-        return null;
+        return sylvester.Error.raise_(sylvester.DimensionMismatch, 'Matrix.subtract', [this, matrix]);
     }
     return this.map(function(x, i, j) {
         return x - M[i - 1][j - 1];
@@ -234,12 +262,23 @@ sylvester.Matrix.prototype.multiply = function(matrix) {
         });
     }
     var returnVector = matrix.modulus ? true : false;
+    var n = this.smallSize_();
+    if (n && !returnVector && matrix.elements && matrix.smallSize_ && matrix.smallSize_() == n) {
+        var multiplySmall = n == 2 ? sylvester.Matrix.multiply2x2_ :
+            (n == 3 ? sylvester.Matrix.multiply3x3_ : sylvester.Matrix.multiply4x4_);
+        return this.fromFlat_(multiplySmall(this.elements, matrix.elements), n);
+    }
+    if (this.data && (matrix.data || (returnVector && matrix.isTyped()))) {
+        return this.multiplyTyped_(matrix.data || matrix.elements,
+            matrix.elements.length, returnVector ? 1 : matrix.elements[0].length, returnVector) ||
+            sylvester.Error.raise_(sylvester.DimensionMismatch, 'Matrix.multiply', [this, matrix]);
+    }
     var M = matrix.elements || matrix;
     if (typeof(M[0][0]) == 'undefined') {
         M = sylvester.Matrix.create(M).elements;
     }
     if (!this.canMultiplyFromLeft(M)) {
-        return null;
+        return sylvester.Error.raise_(sylvester.DimensionMismatch, 'Matrix.multiply', [this, matrix]);
     }
     var ni = this.elements.length, ki = ni, i, nj, kj = M[0].length, j;
     var cols = this.elements[0].length, elements = [], sum, nc, c;
@@ -259,7 +298,36 @@ sylvester.Matrix.prototype.multiply = function(matrix) {
         } while (--nj);
     } while (--ni);
     var M = sylvester.Matrix.create(elements);
-    return returnVector ? M.col(1) : M;
+    return this.wrap_(returnVector ? M.col(1) : M);
+};
+
+/**
+ * Multiplies the typed-array backed matrix by typed-array data, working
+ * directly on the flat storage.
+ * @param {Float32Array|Float64Array} data Row-major elements of the argument.
+ * @param {number} dataRows Number of rows of the argument.
+ * @param {number} cols Number of columns of the argument.
+ * @param {boolean} returnVector True if the argument is a vector.
+ * @return {sylvester.Matrix|sylvester.Vector} The product, or null if the
+ *     dimensions do not match.
+ * @private
+ */
+sylvester.Matrix.prototype.multiplyTyped_ = function(data, dataRows, cols, returnVector) {
+    var rows = this.elements.length, inner = this.elements[0].length, A = this.data, i, j, k, sum;
+    if (dataRows != inner) {
+        return null;
+    }
+    var result = new A.constructor(rows * cols);
+    for (i = 0; i < rows; i++) {
+        for (j = 0; j < cols; j++) {
+            sum = 0;
+            for (k = 0; k < inner; k++) {
+                sum += A[i * inner + k] * data[k * cols + j];
+            }
+            result[i * cols + j] = sum;
+        }
+    }
+    return returnVector ? sylvester.Vector.fromData_(result) : sylvester.Matrix.fromData_(result, rows, cols);
 };
 
 /**
@@ -280,11 +348,22 @@ sylvester.Matrix.prototype.x = function(matrix) {
  * @param {number} startColumn Starting column.
  * @param {number} numberOfRows Number of rows to grab.
  * @param {number} numberOfColumns Number of columns to grab.
- * @return {sylvester.Matrix} The resultant matrix.
+ * @return {sylvester.Matrix} The resultant matrix, using the same storage as
+ *     this matrix.
  */
 sylvester.Matrix.prototype.minor = function(startRow, startColumn, numberOfRows, numberOfColumns) {
     var elements = [], ni = numberOfRows, i, nj, j;
     var rows = this.elements.length, cols = this.elements[0].length;
+    if (this.data) {
+        var data = new this.data.constructor(numberOfRows * numberOfColumns), r, c;
+        for (r = 0; r < numberOfRows; r++) {
+            for (c = 0; c < numberOfColumns; c++) {
+                data[r * numberOfColumns + c] =
+                    this.data[((startRow + r - 1) % rows) * cols + (startColumn + c - 1) % cols];
+            }
+        }
+        return sylvester.Matrix.fromData_(data, numberOfRows, numberOfColumns);
+    }
     do {
         i = numberOfRows - ni;
         elements[i] = [];
@@ -302,7 +381,20 @@ sylvester.Matrix.prototype.minor = function(startRow, startColumn, numberOfRows,
  * @return {sylvester.Matrix} The transpose of this matrix.
  */
 sylvester.Matrix.prototype.transpose = function() {
+    var n = this.smallSize_();
+    if (n) {
+        return this.fromFlat_(sylvester.Matrix.transposeSmall_(this.elements, n), n);
+    }
     var rows = this.elements.length, cols = this.elements[0].length;
+    if (this.data) {
+        var data = new this.data.constructor(rows * cols), r, c;
+        for (r = 0; r < rows; r++) {
+            for (c = 0; c < cols; c++) {
+                data[c * rows + r] = this.data[r * cols + c];
+            }
+        }
+        return sylvester.Matrix.fromData_(data, cols, rows);
+    }
     var elements = [], ni = cols, i, nj, j;
     do {
         i = cols - ni;
@@ -316,6 +408,178 @@ sylvester.Matrix.prototype.transpose = function() {
     return sylvester.Matrix.create(elements);
 };
 
+/**
+ * Writes the result of adding the argument to the matrix into out, without
+ * allocating a new matrix. out may be the receiver or the argument.
+ * @param {sylvester.Matrix} matrix sylvester.Matrix to add.
+ * @param {sylvester.Matrix} out sylvester.Matrix to write the result into.
+ * @return {sylvester.Matrix} out, or null if the dimensions do not match.
+ */
+sylvester.Matrix.prototype.addInto = function(matrix, out) {
+    return this.combineInto_(matrix, out, 1);
+};
+
+/**
+ * Adds the argument to the matrix, modifying the matrix.
+ * @param {sylvester.Matrix} matrix sylvester.Matrix to add.
+ * @return {sylvester.Matrix} This matrix, or null if the dimensions do not match.
+ */
+sylvester.Matrix.prototype.addInPlace = function(matrix) {
+    return this.combineInto_(matrix, this, 1);
+};
+
+/**
+ * Writes the result of subtracting the argument from the matrix into out,
+ * without allocating a new matrix. out may be the receiver or the argument.
+ * @param {sylvester.Matrix} matrix sylvester.Matrix to subtract.
+ * @param {sylvester.Matrix} out sylvester.Matrix to write the result into.
+ * @return {sylvester.Matrix} out, or null if the dimensions do not match.
+ */
+sylvester.Matrix.prototype.subtractInto = function(matrix, out) {
+    return this.combineInto_(matrix, out, -1);
+};
+
+/**
+ * Subtracts the argument from the matrix, modifying the matrix.
+ * @param {sylvester.Matrix} matrix sylvester.Matrix to subtract.
+ * @return {sylvester.Matrix} This matrix, or null if the dimensions do not match.
+ */
+sylvester.Matrix.prototype.subtractInPlace = function(matrix) {
+    return this.combineInto_(matrix, this, -1);
+};
+
+/**
+ * Writes this + k * matrix into out.
+ * @param {sylvester.Matrix} matrix sylvester.Matrix to combine with.
+ * @param {sylvester.Matrix} out sylvester.Matrix to write the result into.
+ * @param {number} k Multiplier for the argument.
+ * @return {sylvester.Matrix} out, or null if the dimensions do not match.
+ * @private
+ */
+sylvester.Matrix.prototype.combineInto_ = function(matrix, out, k) {
+    var M = matrix.elements || matrix;
+    if (typeof(M[0][0]) == 'undefined') {
+        M = sylvester.Matrix.create(M).elements;
+    }
+    if (!this.isSameSizeAs(M) || !this.isSameSizeAs(out)) {
+        return sylvester.Error.raise_(sylvester.DimensionMismatch, k > 0 ? 'Matrix.addInto' : 'Matrix.subtractInto',
+            [this, matrix, out]);
+    }
+    var rows = this.elements.length, cols = this.elements[0].length, i, j;
+    for (i = 0; i < rows; i++) {
+        for (j = 0; j < cols; j++) {
+            out.elements[i][j] = this.elements[i][j] + k * M[i][j];
+        }
+    }
+    return out;
+};
+
+/**
+ * Writes the result of multiplying the matrix from the right by the argument into
+ * out, without allocating a new matrix. As with multiply, the argument may be a
+ * scalar, a vector (in which case out must be a vector) or a matrix. out may be
+ * the receiver or the argument, but for a matrix or vector product the aliased
+ * operand is then copied first, so pass a separate out to avoid any allocation.
+ * @param {sylvester.Matrix|sylvester.Vector|number} matrix The multiplier.
+ * @param {sylvester.Matrix|sylvester.Vector} out Where to write the result.
+ * @return {sylvester.Matrix|sylvester.Vector} out, or null if the dimensions do not match.
+ */
+sylvester.Matrix.prototype.multiplyInto = function(matrix, out) {
+    var rows = this.elements.length, cols = this.elements[0].length, i, j, c, sum;
+    if (!matrix.elements) {
+        if (!this.isSameSizeAs(out)) {
+            return sylvester.Error.raise_(sylvester.DimensionMismatch, 'Matrix.multiplyInto', [this, out]);
+        }
+        for (i = 0; i < rows; i++) {
+            for (j = 0; j < cols; j++) {
+                out.elements[i][j] = this.elements[i][j] * matrix;
+            }
+        }
+        return out;
+    }
+    var A = (out === this) ? sylvester.Matrix.create(this.elements).elements : this.elements;
+    if (matrix.modulus) {
+        // Vector argument: out must be a vector with one element per row
+        var V = (out === matrix) ? sylvester.Vector.create(matrix.elements).elements : matrix.elements;
+        if (V.length != cols || out.elements.length != rows) {
+            return sylvester.Error.raise_(sylvester.DimensionMismatch, 'Matrix.multiplyInto', [this, matrix, out]);
+        }
+        for (i = 0; i < rows; i++) {
+            sum = 0;
+            for (c = 0; c < cols; c++) {
+                sum += A[i][c] * V[c];
+            }
+            out.elements[i] = sum;
+        }
+        return out;
+    }
+    var M = (out === matrix) ? sylvester.Matrix.create(matrix.elements).elements : matrix.elements;
+    if (M.length != cols || out.elements.length != rows || out.elements[0].length != M[0].length) {
+        return sylvester.Error.raise_(sylvester.DimensionMismatch, 'Matrix.multiplyInto', [this, matrix, out]);
+    }
+    for (i = 0; i < rows; i++) {
+        for (j = 0; j < M[0].length; j++) {
+            sum = 0;
+            for (c = 0; c < cols; c++) {
+                sum += A[i][c] * M[c][j];
+            }
+            out.elements[i][j] = sum;
+        }
+    }
+    return out;
+};
+
+/**
+ * Multiplies the matrix from the right by the argument, modifying the matrix.
+ * The argument may be a scalar, or a square matrix with as many rows as this
+ * matrix has columns. A copy of the receiver is made for a matrix product.
+ * @param {sylvester.Matrix|number} matrix The multiplier.
+ * @return {sylvester.Matrix} This matrix, or null if the dimensions do not match.
+ */
+sylvester.Matrix.prototype.multiplyInPlace = function(matrix) {
+    return this.multiplyInto(matrix, this);
+};
+
+/**
+ * Writes the transpose of the matrix into out, without allocating a new matrix.
+ * out may be the receiver if the matrix is square, but it is then copied first;
+ * use transposeInPlace instead.
+ * @param {sylvester.Matrix} out sylvester.Matrix to write the result into.
+ * @return {sylvester.Matrix} out, or null if the dimensions do not match.
+ */
+sylvester.Matrix.prototype.transposeInto = function(out) {
+    var rows = this.elements.length, cols = this.elements[0].length, i, j;
+    if (out.elements.length != cols || out.elements[0].length != rows) {
+        return sylvester.Error.raise_(sylvester.DimensionMismatch, 'Matrix.transposeInto', [this, out]);
+    }
+    var A = (out === this) ? sylvester.Matrix.create(this.elements).elements : this.elements;
+    for (i = 0; i < cols; i++) {
+        for (j = 0; j < rows; j++) {
+            out.elements[i][j] = A[j][i];
+        }
+    }
+    return out;
+};
+
+/**
+ * Transposes a square matrix, modifying the matrix.
+ * @return {sylvester.Matrix} This matrix, or null if the matrix is not square.
+ */
+sylvester.Matrix.prototype.transposeInPlace = function() {
+    if (!this.isSquare()) {
+        return sylvester.Error.raise_(sylvester.DimensionMismatch, 'Matrix.transposeInPlace', [this], 'matrix is not square');
+    }
+    var n = this.elements.length, i, j, tmp;
+    for (i = 0; i < n; i++) {
+        for (j = i + 1; j < n; j++) {
+            tmp = this.elements[i][j];
+            this.elements[i][j] = this.elements[j][i];
+            this.elements[j][i] = tmp;
+        }
+    }
+    return this;
+};
+
 /**
  * Returns true iff the matrix is square
  * @return {boolean} True if square matrix.
@@ -324,6 +588,28 @@ sylvester.Matrix.prototype.isSquare = function() {
     return (this.elements.length == this.elements[0].length);
 };
 
+/**
+ * Returns true iff the matrix is square and equal to its transpose, to within
+ * Sylvester.precision relative to the largest element of the matrix.
+ * @param {number=} tolerance Largest difference allowed, relative to the
+ *     largest element in relative mode.
+ * @return {boolean} True if symmetric matrix.
+ */
+sylvester.Matrix.prototype.isSymmetric = function(tolerance) {
+    if (!this.isSquare()) {
+        return false;
+    }
+    var n = this.elements.length, threshold = this.elementTolerance_(tolerance), i, j;
+    for (i = 0; i < n; i++) {
+        for (j = i + 1; j < n; j++) {
+            if (Math.abs(this.elements[i][j] - this.elements[j][i]) > threshold) {
+                return false;
+            }
+        }
+    }
+    return true;
+};
+
 /**
  * Returns the (absolute) largest element of the matrix
  * @return {number} The largest element in this matrix.
@@ -346,7 +632,8 @@ sylvester.Matrix.prototype.max = function() {
 /**
  * Returns the index of the first match found by reading row-by-row from left to right.
  * @param {number} elementToFind Element to find.
- * @return {number} First index of matching element or -1.
+ * @return {?{i: number, j: number}} The 1-based row and column of the first
+ *     matching element, or null if there is none.
  */
 sylvester.Matrix.prototype.indexOf = function(elementToFind) {
     var index = null, ni = this.elements.length, ki = ni, i, nj, kj = this.elements[0].length, j;
@@ -369,8 +656,8 @@ sylvester.Matrix.prototype.indexOf = function(elementToFind) {
  * @return {sylvester.Vector} The diagonal of this matrix as a vector.
  */
 sylvester.Matrix.prototype.diagonal = function() {
-    if (!this.isSquare) {
-        return null;
+    if (!this.isSquare()) {
+        return sylvester.Error.raise_(sylvester.DimensionMismatch, 'Matrix.diagonal', [this], 'matrix is not square');
     }
     var els = [], n = this.elements.length, k = n, i;
     do {
@@ -387,7 +674,7 @@ sylvester.Matrix.prototype.diagonal = function() {
  * @return {sylvester.Matrix} A upper right triangular form of this matrix.
  */
 sylvester.Matrix.prototype.toRightTriangular = function() {
-    var M = this.dup(), els;
+    var M = sylvester.Matrix.create(this.elements), els;
     var n = this.elements.length, k = n, i, np, kp = this.elements[0].length, p;
     do {
         i = k - n;
@@ -434,19 +721,583 @@ sylvester.Matrix.prototype.toUpperTriangular = function() {
 };
 
 /**
- * Returns the determinant for square matrices.
+ * Returns the LU decomposition of the matrix, computed by Gaussian elimination
+ * with partial (row) pivoting. The result satisfies P.x(this) == L.x(U), where
+ * P is a permutation matrix, L is unit lower triangular and U is upper
+ * triangular. For singular or non-square matrices U is in row echelon form:
+ * columns with no non-zero pivot candidate are skipped. sign is the determinant
+ * of P, i.e. -1 if an odd number of row swaps was made and 1 otherwise.
+ * @return {{L: sylvester.Matrix, U: sylvester.Matrix, P: sylvester.Matrix, sign: number}}
+ *     The decomposition.
+ */
+sylvester.Matrix.prototype.lu = function() {
+    var rows = this.elements.length, cols = this.elements[0].length;
+    var U = sylvester.Matrix.create(this.elements).elements;
+    var L = sylvester.Matrix.Zero(rows, rows).elements;
+    var perm = [], sign = 1, r = 0, i, j, k, p, max, tmp, multiplier;
+    for (i = 0; i < rows; i++) {
+        perm.push(i);
+    }
+    for (k = 0; k < cols && r < rows; k++) {
+        // Find the largest candidate pivot in this column
+        p = r;
+        max = Math.abs(U[r][k]);
+        for (i = r + 1; i < rows; i++) {
+            if (Math.abs(U[i][k]) > max) {
+                p = i;
+                max = Math.abs(U[i][k]);
+            }
+        }
+        if (max === 0) {
+            continue;
+        }
+        if (p != r) {
+            // Rows of L only hold multipliers left of the pivot column so far,
+            // so they can be swapped whole along with the rows of U
+            tmp = U[p]; U[p] = U[r]; U[r] = tmp;
+            tmp = L[p]; L[p] = L[r]; L[r] = tmp;
+            tmp = perm[p]; perm[p] = perm[r]; perm[r] = tmp;
+            sign = -sign;
+        }
+        for (i = r + 1; i < rows; i++) {
+            multiplier = U[i][k] / U[r][k];
+            L[i][r] = multiplier;
+            U[i][k] = 0;
+            for (j = k + 1; j < cols; j++) {
+                U[i][j] -= multiplier * U[r][j];
+            }
+        }
+        r++;
+    }
+    var P = sylvester.Matrix.Zero(rows, rows);
+    for (i = 0; i < rows; i++) {
+        L[i][i] = 1;
+        P.elements[i][perm[i]] = 1;
+    }
+    return {
+        L: sylvester.Matrix.create(L),
+        U: sylvester.Matrix.create(U),
+        P: P,
+        sign: sign
+    };
+};
+
+/**
+ * Returns the threshold below which elements of the matrix, or pivots of its
+ * decompositions, are treated as zero. Without a tolerance it is
+ * Sylvester.precision relative to the largest element in either mode.
+ * @param {number=} tolerance Threshold, if one was given.
+ * @return {number} The threshold.
+ * @private
+ */
+sylvester.Matrix.prototype.elementTolerance_ = function(tolerance) {
+    var self = this;
+    if (typeof(tolerance) == 'undefined') {
+        return Sylvester.precision * Math.abs(this.max());
+    }
+    return Sylvester.tolerance_(tolerance, function() {
+        return Math.abs(self.max());
+    });
+};
+
+/**
+ * Returns true iff the upper triangular factor of an LU decomposition has a
+ * diagonal element no larger than the given threshold.
+ * @param {sylvester.Matrix} U Upper triangular factor from lu().
+ * @param {number} threshold Threshold from elementTolerance_ of the decomposed matrix.
+ * @return {boolean} True if a pivot is negligible.
+ * @private
+ */
+sylvester.Matrix.hasNegligiblePivot_ = function(U, threshold) {
+    var n = Math.min(U.elements.length, U.elements[0].length);
+    for (var i = 0; i < n; i++) {
+        if (Math.abs(U.elements[i][i]) <= threshold) {
+            return true;
+        }
+    }
+    return false;
+};
+
+/**
+ * Solves T.x(X) = B for a triangular matrix T by forward or back substitution.
+ * Only the first n rows and columns of T are used, where n is the number of rows of B.
+ * @param {sylvester.Matrix} T Triangular matrix with a non-zero diagonal.
+ * @param {Array.<Array.<number>>} B Right-hand side columns.
+ * @param {boolean} lower True if T is lower triangular, false if upper triangular.
+ * @return {Array.<Array.<number>>} The solution X.
+ * @private
+ */
+sylvester.Matrix.substitute_ = function(T, B, lower) {
+    var M = T.elements, n = B.length, cols = B[0].length, X = [], i, j, c, k, sum;
+    for (i = 0; i < n; i++) {
+        X[i] = [];
+    }
+    for (k = 0; k < n; k++) {
+        i = lower ? k : n - 1 - k;
+        for (c = 0; c < cols; c++) {
+            sum = B[i][c];
+            if (lower) {
+                for (j = 0; j < i; j++) {
+                    sum -= M[i][j] * X[j][c];
+                }
+            } else {
+                for (j = i + 1; j < n; j++) {
+                    sum -= M[i][j] * X[j][c];
+                }
+            }
+            X[i][c] = sum / M[i][i];
+        }
+    }
+    return X;
+};
+
+/**
+ * Solves L.x(U).x(X) = B by forward and back substitution.
+ * @param {{L: sylvester.Matrix, U: sylvester.Matrix}} LU Decomposition of a
+ *     non-singular square matrix, as returned by lu().
+ * @param {Array.<Array.<number>>} B Right-hand side columns, already permuted by P.
+ * @return {Array.<Array.<number>>} The solution X.
+ * @private
+ */
+sylvester.Matrix.luSubstitute_ = function(LU, B) {
+    return sylvester.Matrix.substitute_(LU.U, sylvester.Matrix.substitute_(LU.L, B, true), false);
+};
+
+/**
+ * Returns the QR decomposition of the matrix, computed with Householder
+ * reflections. The result satisfies Q.x(R) == this, where Q is orthogonal and R
+ * is upper triangular. For an m x n matrix Q is m x m and R is m x n, unless
+ * economy is set and m > n, in which case only the first n columns of Q and
+ * the first n rows of R are returned.
+ * @param {boolean=} economy True to return the economy-size decomposition.
+ * @return {{Q: sylvester.Matrix, R: sylvester.Matrix}} The decomposition.
+ */
+sylvester.Matrix.prototype.qr = function(economy) {
+    var rows = this.elements.length, cols = this.elements[0].length;
+    var R = sylvester.Matrix.create(this.elements).elements;
+    var Q = sylvester.Matrix.I(rows).elements;
+    var steps = Math.min(rows - 1, cols), v = [], i, j, k, norm, alpha, vv, dot;
+    for (k = 0; k < steps; k++) {
+        norm = 0;
+        for (i = k; i < rows; i++) {
+            norm += R[i][k] * R[i][k];
+        }
+        norm = Math.sqrt(norm);
+        if (norm === 0) {
+            continue;
+        }
+        // Reflect column k onto alpha * e_k, choosing the sign of alpha to
+        // avoid cancellation when forming the Householder vector
+        alpha = (R[k][k] > 0) ? -norm : norm;
+        vv = 0;
+        for (i = k; i < rows; i++) {
+            v[i] = (i == k) ? R[i][k] - alpha : R[i][k];
+            vv += v[i] * v[i];
+        }
+        // Apply H = I - 2vv'/v'v to the remaining columns of R
+        for (j = k + 1; j < cols; j++) {
+            dot = 0;
+            for (i = k; i < rows; i++) {
+                dot += v[i] * R[i][j];
+            }
+            dot = 2 * dot / vv;
+            for (i = k; i < rows; i++) {
+                R[i][j] -= dot * v[i];
+            }
+        }
+        R[k][k] = alpha;
+        for (i = k + 1; i < rows; i++) {
+            R[i][k] = 0;
+        }
+        // Accumulate Q = QH
+        for (i = 0; i < rows; i++) {
+            dot = 0;
+            for (j = k; j < rows; j++) {
+                dot += Q[i][j] * v[j];
+            }
+            dot = 2 * dot / vv;
+            for (j = k; j < rows; j++) {
+                Q[i][j] -= dot * v[j];
+            }
+        }
+    }
+    var QM = sylvester.Matrix.create(Q), RM = sylvester.Matrix.create(R);
+    if (economy && rows > cols) {
+        QM = QM.minor(1, 1, rows, cols);
+        RM = RM.minor(1, 1, cols, cols);
+    }
+    return {Q: QM, R: RM};
+};
+
+/**
+ * Returns the eigenvalues and eigenvectors of a symmetric matrix, computed with
+ * the cyclic Jacobi method. The eigenvalues are returned as a vector sorted from
+ * largest to smallest, and the columns of the orthonormal matrix of eigenvectors
+ * are in the same order, so that this == vectors.x(values.toDiagonalMatrix()).x(vectors.transpose()).
+ * Iteration stops once the off-diagonal part of the matrix is smaller than
+ * Sylvester.precision squared, relative to the size of the matrix.
+ * Returns null if the matrix is not symmetric.
+ * @return {{values: sylvester.Vector, vectors: sylvester.Matrix}} The eigen-decomposition.
+ */
+sylvester.Matrix.prototype.eigenSymmetric = function() {
+    if (!this.isSquare()) {
+        return sylvester.Error.raise_(sylvester.DimensionMismatch, 'Matrix.eigenSymmetric', [this], 'matrix is not square');
+    }
+    if (!this.isSymmetric()) {
+        return sylvester.Error.raise_(sylvester.InvalidArgument, 'Matrix.eigenSymmetric', [this], 'matrix is not symmetric');
+    }
+    var n = this.elements.length;
+    var A = sylvester.Matrix.create(this.elements).elements;
+    var V = sylvester.Matrix.I(n).elements;
+    var norm = 0, off, sweep, p, q, k, theta, t, c, s, x, y;
+    for (p = 0; p < n; p++) {
+        for (q = 0; q < n; q++) {
+            norm += A[p][q] * A[p][q];
+        }
+    }
+    var tolerance = Sylvester.precision * Sylvester.precision * Math.sqrt(norm);
+    for (sweep = 0; sweep < 100; sweep++) {
+        off = 0;
+        for (p = 0; p < n; p++) {
+            for (q = p + 1; q < n; q++) {
+                off += 2 * A[p][q] * A[p][q];
+            }
+        }
+        if (Math.sqrt(off) <= tolerance) {
+            break;
+        }
+        for (p = 0; p < n - 1; p++) {
+            for (q = p + 1; q < n; q++) {
+                if (A[p][q] === 0) {
+                    continue;
+                }
+                // Choose the rotation that zeroes A[p][q], taking the smaller
+                // root of t^2 + 2t.theta - 1 = 0 for stability
+                theta = (A[q][q] - A[p][p]) / (2 * A[p][q]);
+                t = 1 / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+                if (theta < 0) {
+                    t = -t;
+                }
+                c = 1 / Math.sqrt(t * t + 1);
+                s = t * c;
+                for (k = 0; k < n; k++) {
+                    x = A[k][p];
+                    y = A[k][q];
+                    A[k][p] = c * x - s * y;
+                    A[k][q] = s * x + c * y;
+                }
+                for (k = 0; k < n; k++) {
+                    x = A[p][k];
+                    y = A[q][k];
+                    A[p][k] = c * x - s * y;
+                    A[q][k] = s * x + c * y;
+                }
+                for (k = 0; k < n; k++) {
+                    x = V[k][p];
+                    y = V[k][q];
+                    V[k][p] = c * x - s * y;
+                    V[k][q] = s * x + c * y;
+                }
+            }
+        }
+    }
+    var order = [];
+    for (k = 0; k < n; k++) {
+        order.push(k);
+    }
+    order.sort(function(a, b) {
+        return A[b][b] - A[a][a];
+    });
+    var values = [], vectors = [];
+    for (p = 0; p < n; p++) {
+        values.push(A[order[p]][order[p]]);
+        vectors[p] = [];
+        for (q = 0; q < n; q++) {
+            vectors[p][q] = V[p][order[q]];
+        }
+    }
+    return {
+        values: sylvester.Vector.create(values),
+        vectors: sylvester.Matrix.create(vectors)
+    };
+};
+
+/**
+ * Returns the eigenvalues of a square matrix. The matrix is reduced to upper
+ * Hessenberg form and then to quasi-triangular form by the shifted double QR
+ * algorithm (as in the JAMA and EISPACK hqr routines). Eigenvalues are returned
+ * as parallel vectors of real and imaginary parts, sorted by decreasing real
+ * part. Complex eigenvalues come in conjugate pairs, with the member having a
+ * positive imaginary part first. Returns null if the matrix is not square or
+ * the iteration fails to converge.
+ * @return {{real: sylvester.Vector, imag: sylvester.Vector}} The eigenvalues.
+ */
+sylvester.Matrix.prototype.eigenvalues = function() {
+    if (!this.isSquare()) {
+        return sylvester.Error.raise_(sylvester.DimensionMismatch, 'Matrix.eigenvalues', [this], 'matrix is not square');
+    }
+    var H = this.toHessenberg_().elements;
+    var nn = H.length, n = nn - 1, d = [], e = [];
+    var eps = Math.pow(2, -52), exshift = 0, norm = 0, iter = 0, total = 0;
+    var p = 0, q = 0, r = 0, s = 0, z = 0, w, x, y, i, j, k, l, m, notlast;
+    for (i = 0; i < nn; i++) {
+        for (j = Math.max(i - 1, 0); j < nn; j++) {
+            norm += Math.abs(H[i][j]);
+        }
+    }
+    while (n >= 0) {
+        // Look for a single small sub-diagonal element
+        l = n;
+        while (l > 0) {
+            s = Math.abs(H[l - 1][l - 1]) + Math.abs(H[l][l]);
+            if (s === 0) {
+                s = norm;
+            }
+            if (Math.abs(H[l][l - 1]) <= eps * s) {
+                break;
+            }
+            l--;
+        }
+        if (l == n) {
+            // One root found
+            d[n] = H[n][n] + exshift;
+            e[n] = 0;
+            n--;
+            iter = 0;
+        } else if (l == n - 1) {
+            // Two roots found
+            w = H[n][n - 1] * H[n - 1][n];
+            p = (H[n - 1][n - 1] - H[n][n]) / 2;
+            q = p * p + w;
+            z = Math.sqrt(Math.abs(q));
+            x = H[n][n] + exshift;
+            if (q >= 0) {
+                // Real pair
+                z = (p >= 0) ? p + z : p - z;
+                d[n - 1] = x + z;
+                d[n] = (z !== 0) ? x - w / z : d[n - 1];
+                e[n - 1] = 0;
+                e[n] = 0;
+            } else {
+                // Complex pair
+                d[n - 1] = x + p;
+                d[n] = x + p;
+                e[n - 1] = z;
+                e[n] = -z;
+            }
+            n -= 2;
+            iter = 0;
+        } else {
+            // No convergence yet, so form a shift
+            x = H[n][n];
+            y = H[n - 1][n - 1];
+            w = H[n][n - 1] * H[n - 1][n];
+            if (iter == 10) {
+                // Wilkinson's original ad hoc shift
+                exshift += x;
+                for (i = 0; i <= n; i++) {
+                    H[i][i] -= x;
+                }
+                s = Math.abs(H[n][n - 1]) + Math.abs(H[n - 1][n - 2]);
+                x = y = 0.75 * s;
+                w = -0.4375 * s * s;
+            }
+            if (iter == 30) {
+                // MATLAB's ad hoc shift
+                s = (y - x) / 2;
+                s = s * s + w;
+                if (s > 0) {
+                    s = Math.sqrt(s);
+                    if (y < x) {
+                        s = -s;
+                    }
+                    s = x - w / ((y - x) / 2 + s);
+                    for (i = 0; i <= n; i++) {
+                        H[i][i] -= s;
+                    }
+                    exshift += s;
+                    x = y = w = 0.964;
+                }
+            }
+            iter++;
+            if (++total > 100 * nn) {
+                return sylvester.Error.raise_(sylvester.NoConvergence, 'Matrix.eigenvalues', [this]);
+            }
+            // Look for two consecutive small sub-diagonal elements
+            m = n - 2;
+            while (m >= l) {
+                z = H[m][m];
+                r = x - z;
+                s = y - z;
+                p = (r * s - w) / H[m + 1][m] + H[m][m + 1];
+                q = H[m + 1][m + 1] - z - r - s;
+                r = H[m + 2][m + 1];
+                s = Math.abs(p) + Math.abs(q) + Math.abs(r);
+                p = p / s;
+                q = q / s;
+                r = r / s;
+                if (m == l) {
+                    break;
+                }
+                if (Math.abs(H[m][m - 1]) * (Math.abs(q) + Math.abs(r)) <
+                    eps * (Math.abs(p) * (Math.abs(H[m - 1][m - 1]) + Math.abs(z) + Math.abs(H[m + 1][m + 1])))) {
+                    break;
+                }
+                m--;
+            }
+            for (i = m + 2; i <= n; i++) {
+                H[i][i - 2] = 0;
+                if (i > m + 2) {
+                    H[i][i - 3] = 0;
+                }
+            }
+            // Double QR step involving rows l to n and columns m to n
+            for (k = m; k <= n - 1; k++) {
+                notlast = (k != n - 1);
+                if (k != m) {
+                    p = H[k][k - 1];
+                    q = H[k + 1][k - 1];
+                    r = notlast ? H[k + 2][k - 1] : 0;
+                    x = Math.abs(p) + Math.abs(q) + Math.abs(r);
+                    if (x === 0) {
+                        continue;
+                    }
+                    p = p / x;
+                    q = q / x;
+                    r = r / x;
+                }
+                s = Math.sqrt(p * p + q * q + r * r);
+                if (p < 0) {
+                    s = -s;
+                }
+                if (s !== 0) {
+                    if (k != m) {
+                        H[k][k - 1] = -s * x;
+                    } else if (l != m) {
+                        H[k][k - 1] = -H[k][k - 1];
+                    }
+                    p = p + s;
+                    x = p / s;
+                    y = q / s;
+                    z = r / s;
+                    q = q / p;
+                    r = r / p;
+                    // Row modification
+                    for (j = k; j < nn; j++) {
+                        p = H[k][j] + q * H[k + 1][j];
+                        if (notlast) {
+                            p = p + r * H[k + 2][j];
+                            H[k + 2][j] -= p * z;
+                        }
+                        H[k][j] -= p * x;
+                        H[k + 1][j] -= p * y;
+                    }
+                    // Column modification
+                    for (i = 0; i <= Math.min(n, k + 3); i++) {
+                        p = x * H[i][k] + y * H[i][k + 1];
+                        if (notlast) {
+                            p = p + z * H[i][k + 2];
+                            H[i][k + 2] -= p * r;
+                        }
+                        H[i][k] -= p;
+                        H[i][k + 1] -= p * q;
+                    }
+                }
+            }
+        }
+    }
+    var order = [];
+    for (i = 0; i < nn; i++) {
+        order.push(i);
+    }
+    order.sort(function(a, b) {
+        return (d[b] - d[a]) || (e[b] - e[a]);
+    });
+    var real = [], imag = [];
+    for (i = 0; i < nn; i++) {
+        real.push(d[order[i]]);
+        imag.push(e[order[i]]);
+    }
+    return {real: sylvester.Vector.create(real), imag: sylvester.Vector.create(imag)};
+};
+
+/**
+ * Returns an upper Hessenberg matrix similar to this square matrix, computed
+ * with Householder reflections (as in the JAMA and EISPACK orthes routines).
+ * @return {sylvester.Matrix} The Hessenberg form of this matrix.
+ * @private
+ */
+sylvester.Matrix.prototype.toHessenberg_ = function() {
+    var H = sylvester.Matrix.create(this.elements).elements;
+    var n = H.length, high = n - 1, ort = [], scale, h, g, f, i, j, m;
+    for (m = 1; m < high; m++) {
+        scale = 0;
+        for (i = m; i <= high; i++) {
+            scale += Math.abs(H[i][m - 1]);
+        }
+        if (scale === 0) {
+            continue;
+        }
+        // Compute the Householder transformation for column m - 1
+        h = 0;
+        for (i = high; i >= m; i--) {
+            ort[i] = H[i][m - 1] / scale;
+            h += ort[i] * ort[i];
+        }
+        g = Math.sqrt(h);
+        if (ort[m] > 0) {
+            g = -g;
+        }
+        h = h - ort[m] * g;
+        ort[m] = ort[m] - g;
+        // Apply the similarity transformation H = (I - uu'/h)H(I - uu'/h)
+        for (j = m; j < n; j++) {
+            f = 0;
+            for (i = high; i >= m; i--) {
+                f += ort[i] * H[i][j];
+            }
+            f = f / h;
+            for (i = m; i <= high; i++) {
+                H[i][j] -= f * ort[i];
+            }
+        }
+        for (i = 0; i <= high; i++) {
+            f = 0;
+            for (j = high; j >= m; j--) {
+                f += ort[j] * H[i][j];
+            }
+            f = f / h;
+            for (j = m; j <= high; j++) {
+                H[i][j] -= f * ort[j];
+            }
+        }
+        H[m][m - 1] = scale * g;
+        for (i = m + 1; i <= high; i++) {
+            H[i][m - 1] = 0;
+        }
+    }
+    return sylvester.Matrix.create(H);
+};
+
+/**
+ * Returns the determinant for square matrices, computed from the LU decomposition.
+ * Matrices of size 2 to 4 use cofactor expansion instead.
  * @return {number} The determinant.
  */
 sylvester.Matrix.prototype.determinant = function() {
     if (!this.isSquare()) {
-        return null;
+        return sylvester.Error.raise_(sylvester.DimensionMismatch, 'Matrix.determinant', [this], 'matrix is not square');
+    }
+    var n = this.smallSize_();
+    if (n) {
+        return n == 2 ? sylvester.Matrix.determinant2x2_(this.elements) :
+            (n == 3 ? sylvester.Matrix.determinant3x3_(this.elements) : sylvester.Matrix.determinant4x4_(this.elements));
+    }
+    var LU = this.lu(), U = LU.U.elements;
+    var det = LU.sign, n = U.length;
+    for (var i = 0; i < n; i++) {
+        det = det * U[i][i];
     }
-    var M = this.toRightTriangular();
-    var det = M.elements[0][0], n = M.elements.length - 1, k = n, i;
-    do {
-        i = k - n + 1;
-        det = det * M.elements[i][i];
-    } while (--n);
     return det;
 };
 
@@ -459,11 +1310,16 @@ sylvester.Matrix.prototype.det = function() {
 };
 
 /**
- * Returns true iff the matrix is singular.
- * @return {number} True if matrix is singular.
+ * Returns true iff the matrix is singular. A matrix is treated as singular when
+ * a pivot of its LU decomposition is no larger than Sylvester.precision times
+ * the largest element of the matrix, so near-singular matrices are caught too.
+ * @param {number=} tolerance Largest negligible pivot, relative to the largest
+ *     element in relative mode.
+ * @return {boolean} True if matrix is singular.
  */
-sylvester.Matrix.prototype.isSingular = function() {
-    return (this.isSquare() && this.determinant() === 0);
+sylvester.Matrix.prototype.isSingular = function(tolerance) {
+    return (this.isSquare() &&
+        sylvester.Matrix.hasNegligiblePivot_(this.lu().U, this.elementTolerance_(tolerance)));
 };
 
 /**
@@ -472,11 +1328,11 @@ sylvester.Matrix.prototype.isSingular = function() {
  */
 sylvester.Matrix.prototype.trace = function() {
     if (!this.isSquare()) {
-        return null;
+        return sylvester.Error.raise_(sylvester.DimensionMismatch, 'Matrix.trace', [this], 'matrix is not square');
     }
-    var tr = this.elements[0][0], n = this.elements.length - 1, k = n, i;
+    var tr = 0, n = this.elements.length, k = n, i;
     do {
-        i = k - n + 1;
+        i = k - n;
         tr += this.elements[i][i];
     } while (--n);
     return tr;
@@ -491,32 +1347,229 @@ sylvester.Matrix.prototype.tr = function() {
 };
 
 /**
- * Returns the rank of the matrix.
+ * Returns the numerical rank of the matrix, i.e. the number of singular values
+ * larger than the tolerance. If no tolerance is given, singular values no larger
+ * than Sylvester.precision times the largest singular value are treated as zero,
+ * so the result does not depend on how the matrix is scaled.
+ * @param {number=} tolerance Threshold for non-zero singular values, relative
+ *     to the largest singular value in relative mode.
  * @return {number} The rank of this matrix.
  */
-sylvester.Matrix.prototype.rank = function() {
-    var M = this.toRightTriangular(), rank = 0;
-    var ni = this.elements.length, ki = ni, i, nj, kj = this.elements[0].length, j;
-    do {
-        i = ki - ni;
-        nj = kj;
-        do {
-            j = kj - nj;
-            if (Math.abs(M.elements[i][j]) > Sylvester.precision) {
-                rank++;
-                break;
-            }
-        } while (--nj);
-    } while (--ni);
+sylvester.Matrix.prototype.rank = function(tolerance) {
+    var S = this.svd().S.elements, rank = 0;
+    var threshold = sylvester.Matrix.svdTolerance_(S, tolerance);
+    for (var i = 0; i < S.length; i++) {
+        if (S[i] > threshold) {
+            rank++;
+        }
+    }
     return rank;
 };
 
 /**
  * Helper function for returning rank.
+ * @param {number=} tolerance Threshold for non-zero singular values, relative
+ *     to the largest singular value in relative mode.
  * @return {number} The rank of this matrix.
  */
-sylvester.Matrix.prototype.rk = function() {
-    return this.rank();
+sylvester.Matrix.prototype.rk = function(tolerance) {
+    return this.rank(tolerance);
+};
+
+/**
+ * Returns the singular value decomposition of the matrix, computed with the
+ * one-sided Jacobi method. For an m x n matrix with k = min(m, n), U is an
+ * m x k matrix and V an n x k matrix, both with orthonormal columns, and S is a
+ * vector of the k singular values sorted from largest to smallest, so that
+ * this == U.x(S.toDiagonalMatrix()).x(V.transpose()).
+ * @return {{U: sylvester.Matrix, S: sylvester.Vector, V: sylvester.Matrix}}
+ *     The decomposition.
+ */
+sylvester.Matrix.prototype.svd = function() {
+    var rows = this.elements.length, cols = this.elements[0].length;
+    if (rows < cols) {
+        var T = this.transpose().svd();
+        return {U: T.V, S: T.S, V: T.U};
+    }
+    var U = sylvester.Matrix.create(this.elements).elements;
+    var V = sylvester.Matrix.I(cols).elements;
+    var eps = Math.pow(2, -52), rotated = true, sweep, alpha, beta, gamma;
+    var zeta, t, c, s, x, y, i, p, q;
+    for (sweep = 0; rotated && sweep < 100; sweep++) {
+        rotated = false;
+        for (p = 0; p < cols - 1; p++) {
+            for (q = p + 1; q < cols; q++) {
+                alpha = 0;
+                beta = 0;
+                gamma = 0;
+                for (i = 0; i < rows; i++) {
+                    alpha += U[i][p] * U[i][p];
+                    beta += U[i][q] * U[i][q];
+                    gamma += U[i][p] * U[i][q];
+                }
+                if (Math.abs(gamma) <= eps * Math.sqrt(alpha * beta)) {
+                    continue;
+                }
+                // Rotate columns p and q of U so that they become orthogonal
+                rotated = true;
+                zeta = (beta - alpha) / (2 * gamma);
+                t = 1 / (Math.abs(zeta) + Math.sqrt(1 + zeta * zeta));
+                if (zeta < 0) {
+                    t = -t;
+                }
+                c = 1 / Math.sqrt(1 + t * t);
+                s = c * t;
+                for (i = 0; i < rows; i++) {
+                    x = U[i][p];
+                    y = U[i][q];
+                    U[i][p] = c * x - s * y;
+                    U[i][q] = s * x + c * y;
+                }
+                for (i = 0; i < cols; i++) {
+                    x = V[i][p];
+                    y = V[i][q];
+                    V[i][p] = c * x - s * y;
+                    V[i][q] = s * x + c * y;
+                }
+            }
+        }
+    }
+    // The singular values are the norms of the orthogonalised columns
+    var S = [], order = [];
+    for (p = 0; p < cols; p++) {
+        alpha = 0;
+        for (i = 0; i < rows; i++) {
+            alpha += U[i][p] * U[i][p];
+        }
+        S.push(Math.sqrt(alpha));
+        order.push(p);
+    }
+    order.sort(function(a, b) {
+        return S[b] - S[a];
+    });
+    var values = [], left = [], right = [], k, j, sigma, dot;
+    for (i = 0; i < rows; i++) {
+        left[i] = [];
+    }
+    for (i = 0; i < cols; i++) {
+        right[i] = [];
+    }
+    for (k = 0; k < cols; k++) {
+        p = order[k];
+        sigma = S[p];
+        values.push(sigma);
+        for (i = 0; i < cols; i++) {
+            right[i][k] = V[i][p];
+        }
+        if (sigma > eps * S[order[0]]) {
+            for (i = 0; i < rows; i++) {
+                left[i][k] = U[i][p] / sigma;
+            }
+            continue;
+        }
+        // For a zero singular value, complete U with a unit vector orthogonal
+        // to the columns found so far
+        for (j = 0; j < rows; j++) {
+            for (i = 0; i < rows; i++) {
+                left[i][k] = (i == j) ? 1 : 0;
+            }
+            for (q = 0; q < k; q++) {
+                dot = left[j][q];
+                for (i = 0; i < rows; i++) {
+                    left[i][k] -= dot * left[i][q];
+                }
+            }
+            alpha = 0;
+            for (i = 0; i < rows; i++) {
+                alpha += left[i][k] * left[i][k];
+            }
+            if (alpha > 0.5) {
+                break;
+            }
+        }
+        alpha = Math.sqrt(alpha);
+        for (i = 0; i < rows; i++) {
+            left[i][k] /= alpha;
+        }
+    }
+    return {
+        U: sylvester.Matrix.create(left),
+        S: sylvester.Vector.create(values),
+        V: sylvester.Matrix.create(right)
+    };
+};
+
+/**
+ * Returns the threshold below which singular values are treated as zero.
+ * Without a tolerance it is Sylvester.precision relative to the largest
+ * singular value in either mode.
+ * @param {Array.<number>} S Singular values, largest first.
+ * @param {number=} tolerance Threshold, if one was given.
+ * @return {number} The threshold.
+ * @private
+ */
+sylvester.Matrix.svdTolerance_ = function(S, tolerance) {
+    if (typeof(tolerance) == 'undefined') {
+        return Sylvester.precision * S[0];
+    }
+    return Sylvester.tolerance_(tolerance, function() {
+        return S[0];
+    });
+};
+
+/**
+ * Returns the Moore-Penrose pseudo-inverse of the matrix, computed from the
+ * singular value decomposition. Singular values treated as zero by rank() are
+ * left out.
+ * @param {number=} tolerance Threshold for non-zero singular values, relative
+ *     to the largest singular value in relative mode.
+ * @return {sylvester.Matrix} The pseudo-inverse of this matrix.
+ */
+sylvester.Matrix.prototype.pseudoInverse = function(tolerance) {
+    var SVD = this.svd(), S = SVD.S.elements;
+    var threshold = sylvester.Matrix.svdTolerance_(S, tolerance);
+    var inverted = [];
+    for (var i = 0; i < S.length; i++) {
+        inverted.push(S[i] > threshold ? 1 / S[i] : 0);
+    }
+    return SVD.V.x(sylvester.Matrix.Diagonal(inverted)).x(SVD.U.transpose());
+};
+
+/**
+ * Returns the 2-norm condition number of the matrix, i.e. the ratio of its
+ * largest to smallest singular value. Returns Infinity for a matrix that rank()
+ * finds rank deficient, i.e. if the smallest singular value is within the
+ * tolerance of zero.
+ * @param {number=} tolerance Threshold for non-zero singular values, relative
+ *     to the largest singular value in relative mode.
+ * @return {number} The condition number.
+ */
+sylvester.Matrix.prototype.conditionNumber = function(tolerance) {
+    var S = this.svd().S.elements, smallest = S[S.length - 1];
+    if (smallest <= sylvester.Matrix.svdTolerance_(S, tolerance)) {
+        return Infinity;
+    }
+    return S[0] / smallest;
+};
+
+/**
+ * Returns the 2-norm (spectral norm) of the matrix, i.e. its largest singular value.
+ * @return {number} The 2-norm.
+ */
+sylvester.Matrix.prototype.norm2 = function() {
+    return this.svd().S.elements[0];
+};
+
+/**
+ * Returns the nuclear (trace) norm of the matrix, i.e. the sum of its singular values.
+ * @return {number} The nuclear norm.
+ */
+sylvester.Matrix.prototype.nuclearNorm = function() {
+    var S = this.svd().S.elements, sum = 0;
+    for (var i = 0; i < S.length; i++) {
+        sum += S[i];
+    }
+    return sum;
 };
 
 /**
@@ -529,10 +1582,10 @@ sylvester.Matrix.prototype.augment = function(matrix) {
     if (typeof(M[0][0]) == 'undefined') {
         M = sylvester.Matrix.create(M).elements;
     }
-    var T = this.dup(), cols = T.elements[0].length;
+    var T = sylvester.Matrix.create(this.elements), cols = T.elements[0].length;
     var ni = T.elements.length, ki = ni, i, nj, kj = M[0].length, j;
     if (ni != M.length) {
-        return null;
+        return sylvester.Error.raise_(sylvester.DimensionMismatch, 'Matrix.augment', [this, matrix]);
     }
     do {
         i = ki - ni;
@@ -546,50 +1599,27 @@ sylvester.Matrix.prototype.augment = function(matrix) {
 };
 
 /**
- * Returns the inverse (if one exists) using Gauss-Jordan
+ * Returns the inverse (if one exists), computed from the LU decomposition.
+ * Returns null if the matrix is not square or is singular (see isSingular).
+ * Matrices of size 2 to 4 are inverted from their adjugate instead, and are
+ * singular when the determinant over the largest cofactor, which estimates the
+ * smallest pivot, fails the same test.
  * @return {sylvester.Matrix} The inverse of this matrix.
  */
 sylvester.Matrix.prototype.inverse = function() {
-    if (!this.isSquare() || this.isSingular()) {
-        return null;
+    if (!this.isSquare()) {
+        return sylvester.Error.raise_(sylvester.DimensionMismatch, 'Matrix.inverse', [this], 'matrix is not square');
     }
-    var ni = this.elements.length, ki = ni, i, j;
-    var M = this.augment(sylvester.Matrix.I(ni)).toRightTriangular();
-    var np, kp = M.elements[0].length, p, els, divisor;
-    var inverse_elements = [], new_element;
-    // Matrix is non-singular so there will be no zeros on the diagonal
-    // Cycle through rows from last to first
-    do {
-        i = ni - 1;
-        // First, normalise diagonal elements to 1
-        els = [];
-        np = kp;
-        inverse_elements[i] = [];
-        divisor = M.elements[i][i];
-        do {
-            p = kp - np;
-            new_element = M.elements[i][p] / divisor;
-            els.push(new_element);
-            // Shuffle of the current row of the right hand side into the results
-            // array as it will not be modified by later runs through this loop
-            if (p >= ki) {
-                inverse_elements[i].push(new_element);
-            }
-        } while (--np);
-        M.elements[i] = els;
-        // Then, subtract this row from those above it to
-        // give the identity matrix on the left hand side
-        for (j = 0; j < i; j++) {
-            els = [];
-            np = kp;
-            do {
-                p = kp - np;
-                els.push(M.elements[j][p] - M.elements[i][p] * M.elements[j][i]);
-            } while (--np);
-            M.elements[j] = els;
-        }
-    } while (--ni);
-    return sylvester.Matrix.create(inverse_elements);
+    var n = this.smallSize_();
+    if (n) {
+        return this.inverseSmall_(n) || sylvester.Error.raise_(sylvester.SingularMatrix, 'Matrix.inverse', [this]);
+    }
+    var LU = this.lu();
+    if (sylvester.Matrix.hasNegligiblePivot_(LU.U, this.elementTolerance_())) {
+        return sylvester.Error.raise_(sylvester.SingularMatrix, 'Matrix.inverse', [this]);
+    }
+    // Solving for the columns of the identity, permuted by P, gives the inverse
+    return this.wrap_(sylvester.Matrix.create(sylvester.Matrix.luSubstitute_(LU, LU.P.elements)));
 };
 
 /**
@@ -600,6 +1630,173 @@ sylvester.Matrix.prototype.inv = function() {
     return this.inverse();
 };
 
+/**
+ * Solves the linear system this.x(X) = B and returns X. The right-hand side may
+ * be a vector, in which case a vector is returned, or a matrix whose columns are
+ * solved for together. Square systems are solved using the LU decomposition.
+ * Non-square systems are passed on to sylvester.Matrix.leastSquares.
+ * Throws a sylvester.SingularMatrix if the system is singular or rank
+ * deficient, and returns null
+ * if the right-hand side has the wrong number of rows.
+ * @param {sylvester.Matrix|sylvester.Vector} b The right-hand side.
+ * @return {sylvester.Matrix|sylvester.Vector} The solution.
+ */
+sylvester.Matrix.prototype.solve = function(b) {
+    var returnVector = b.modulus ? true : false;
+    var B = b.elements || b;
+    if (typeof(B[0][0]) == 'undefined') {
+        B = sylvester.Matrix.create(B).elements;
+    }
+    if (B.length != this.elements.length) {
+        return sylvester.Error.raise_(sylvester.DimensionMismatch, 'Matrix.solve', [this, b]);
+    }
+    if (this.elements.length != this.elements[0].length) {
+        return sylvester.Matrix.leastSquares(this, b);
+    }
+    var M = sylvester.Matrix.create(this.solveSquare_(B));
+    return returnVector ? M.col(1) : M;
+};
+
+/**
+ * Solves the square system this.x(X) = B using the LU decomposition.
+ * @param {Array.<Array.<number>>} B Right-hand side columns.
+ * @return {Array.<Array.<number>>} The solution X.
+ * @private
+ */
+sylvester.Matrix.prototype.solveSquare_ = function(B) {
+    var LU = this.lu();
+    if (sylvester.Matrix.hasNegligiblePivot_(LU.U, this.elementTolerance_())) {
+        sylvester.Error.throw_(sylvester.SingularMatrix, 'Matrix.solve', [this]);
+    }
+    return sylvester.Matrix.luSubstitute_(LU, LU.P.x(sylvester.Matrix.create(B)).elements);
+};
+
+/**
+ * Returns the least squares solution X of A.x(X) = B using the QR decomposition.
+ * If A has more rows than columns X minimises the residual A.x(X) - B, and if it
+ * has fewer rows than columns X is the solution of minimum norm. Throws a
+ * sylvester.SingularMatrix if A is rank deficient, and returns null if B has
+ * the wrong number of rows.
+ * @param {sylvester.Matrix} A The coefficient matrix.
+ * @param {sylvester.Matrix|sylvester.Vector} b The right-hand side.
+ * @return {sylvester.Matrix|sylvester.Vector} The solution.
+ */
+sylvester.Matrix.leastSquares = function(A, b) {
+    var returnVector = b.modulus ? true : false;
+    var B = b.elements || b;
+    if (typeof(B[0][0]) == 'undefined') {
+        B = sylvester.Matrix.create(B).elements;
+    }
+    if (B.length != A.elements.length) {
+        return sylvester.Error.raise_(sylvester.DimensionMismatch, 'Matrix.leastSquares', [A, b]);
+    }
+    var rows = A.elements.length, cols = A.elements[0].length, QR, X;
+    if (rows >= cols) {
+        // A = QR, so R.x(X) = Q'B
+        QR = A.qr(true);
+        if (sylvester.Matrix.hasNegligiblePivot_(QR.R, A.elementTolerance_())) {
+            sylvester.Error.throw_(sylvester.SingularMatrix, 'Matrix.leastSquares', [A], 'matrix is rank deficient');
+        }
+        X = sylvester.Matrix.substitute_(QR.R, QR.Q.transpose().x(sylvester.Matrix.create(B)).elements, false);
+    } else {
+        // A' = QR, so A = R'Q' and X = Q.x(Y) where R'.x(Y) = B
+        QR = A.transpose().qr(true);
+        if (sylvester.Matrix.hasNegligiblePivot_(QR.R, A.elementTolerance_())) {
+            sylvester.Error.throw_(sylvester.SingularMatrix, 'Matrix.leastSquares', [A], 'matrix is rank deficient');
+        }
+        X = QR.Q.x(sylvester.Matrix.create(sylvester.Matrix.substitute_(QR.R.transpose(), B, true))).elements;
+    }
+    var M = sylvester.Matrix.create(X);
+    return returnVector ? M.col(1) : M;
+};
+
+/**
+ * Returns the Cholesky factor of a symmetric positive-definite matrix, i.e. the
+ * lower triangular matrix L with a positive diagonal such that L.x(L.transpose())
+ * equals the matrix. Returns null if the matrix is not symmetric positive-definite.
+ * Both tests use Sylvester.precision relative to the largest element, in either
+ * mode; unlike isSymmetric, this takes no tolerance of its own.
+ * @return {sylvester.Matrix} The lower triangular Cholesky factor.
+ */
+sylvester.Matrix.prototype.cholesky = function() {
+    var L = this.choleskyFactor_();
+    if (L === null) {
+        return sylvester.Error.raise_(sylvester.SingularMatrix, 'Matrix.cholesky', [this],
+            'matrix is not positive definite');
+    }
+    return sylvester.Matrix.create(L);
+};
+
+/**
+ * Returns true iff the matrix is symmetric and positive-definite, using the same
+ * test as cholesky().
+ * @return {boolean} True if positive-definite.
+ */
+sylvester.Matrix.prototype.isPositiveDefinite = function() {
+    return this.choleskyFactor_() !== null;
+};
+
+/**
+ * Solves this.x(X) = B for a symmetric positive-definite matrix using the
+ * Cholesky decomposition, which takes about half the work of solve(). Returns
+ * null if the matrix is not symmetric positive-definite or the right-hand side
+ * has the wrong number of rows.
+ * @param {sylvester.Matrix|sylvester.Vector} b The right-hand side.
+ * @return {sylvester.Matrix|sylvester.Vector} The solution.
+ */
+sylvester.Matrix.prototype.choleskySolve = function(b) {
+    var returnVector = b.modulus ? true : false;
+    var B = b.elements || b;
+    if (typeof(B[0][0]) == 'undefined') {
+        B = sylvester.Matrix.create(B).elements;
+    }
+    if (B.length != this.elements.length) {
+        return sylvester.Error.raise_(sylvester.DimensionMismatch, 'Matrix.choleskySolve', [this, b]);
+    }
+    var factor = this.choleskyFactor_();
+    if (factor === null) {
+        return sylvester.Error.raise_(sylvester.SingularMatrix, 'Matrix.choleskySolve', [this],
+            'matrix is not positive definite');
+    }
+    var L = sylvester.Matrix.create(factor);
+    var X = sylvester.Matrix.substitute_(L.transpose(), sylvester.Matrix.substitute_(L, B, true), false);
+    var M = sylvester.Matrix.create(X);
+    return returnVector ? M.col(1) : M;
+};
+
+/**
+ * Computes the Cholesky factor by the Cholesky-Banachiewicz algorithm. A
+ * diagonal element no larger than Sylvester.precision times the largest element
+ * of the matrix means the matrix is not positive-definite.
+ * @return {Array.<Array.<number>>} The lower triangular factor, or null if the
+ *     matrix is not symmetric positive-definite.
+ * @private
+ */
+sylvester.Matrix.prototype.choleskyFactor_ = function() {
+    if (!this.isSymmetric()) {
+        return null;
+    }
+    var A = this.elements, n = A.length, L = sylvester.Matrix.Zero(n, n).elements;
+    var tolerance = this.elementTolerance_(), i, j, k, sum;
+    for (i = 0; i < n; i++) {
+        for (j = 0; j <= i; j++) {
+            sum = A[i][j];
+            for (k = 0; k < j; k++) {
+                sum -= L[i][k] * L[j][k];
+            }
+            if (i == j) {
+                if (sum <= tolerance) {
+                    return null;
+                }
+                L[i][i] = Math.sqrt(sum);
+            } else {
+                L[i][j] = sum / L[j][j];
+            }
+        }
+    }
+    return L;
+};
+
 /**
  * Returns the result of rounding all the elements
  * @return {sylvester.Matrix} The matrix with rounded element.
@@ -614,11 +1811,18 @@ sylvester.Matrix.prototype.round = function() {
  * Returns a copy of the matrix with elements set to the given value if they
  * differ from it by less than Sylvester.precision.
  * @param {number} x The element to snap to.
+ * @param {number=} tolerance Largest difference to snap, relative to the
+ *     largest of x and the elements in relative mode; Sylvester.precision if
+ *     omitted.
  * @return {sylvester.Matrix} The matrix with snapped to values.
  */
-sylvester.Matrix.prototype.snapTo = function(x) {
+sylvester.Matrix.prototype.snapTo = function(x, tolerance) {
+    var A = this.elements;
+    tolerance = Sylvester.tolerance_(tolerance, function() {
+        return Math.max(Math.abs(x), Sylvester.largest_(A));
+    });
     return this.map(function(p) {
-        return (Math.abs(p - x) <= Sylvester.precision) ? x : p;
+        return (Math.abs(p - x) <= tolerance) ? x : p;
     });
 };
 
@@ -638,12 +1842,14 @@ sylvester.Matrix.prototype.inspect = function() {
 
 /**
  * Set the matrix's elements from an array. If the argument passed
- * is a vector, the resulting matrix will be a single column.
+ * is a vector, the resulting matrix will be a single column. The matrix always
+ * uses nested array storage afterwards.
  * @param {Array.<number>} els Elements.
  * @return {sylvester.Matrix} This.
  */
 sylvester.Matrix.prototype.setElements = function(els) {
     var i, elements = els.elements || els;
+    this.data = null;
     if (typeof(elements[0][0]) != 'undefined') {
         var ni = elements.length, ki = ni, nj, kj, j;
         this.elements = [];
@@ -678,6 +1884,365 @@ sylvester.Matrix.create = function(elements) {
     return M.setElements(elements);
 };
 
+/**
+ * Create a new matrix backed by a typed array, such as a Float32Array or
+ * Float64Array, holding the elements in flat row-major order. Operations that
+ * return new matrices, like map, multiply, transpose and inverse, keep the
+ * storage type of their receiver. Use toUntyped to convert back to nested arrays.
+ * @param {Array.<number>} elements Elements.
+ * @param {Function=} type Typed array constructor, Float64Array by default.
+ * @return {sylvester.Matrix} New typed-array backed sylvester.Matrix.
+ */
+sylvester.Matrix.createTyped = function(elements, type) {
+    var M = sylvester.Matrix.create(elements).elements;
+    var rows = M.length, cols = M[0].length, Type = type || Float64Array;
+    var data = new Type(rows * cols), i, j;
+    for (i = 0; i < rows; i++) {
+        for (j = 0; j < cols; j++) {
+            data[i * cols + j] = M[i][j];
+        }
+    }
+    return sylvester.Matrix.fromData_(data, rows, cols);
+};
+
+/**
+ * Creates a matrix that uses the given typed array as its storage, without copying it.
+ * @param {Float32Array|Float64Array} data Row-major typed array of elements.
+ * @param {number} rows Number of rows.
+ * @param {number} cols Number of columns.
+ * @return {sylvester.Matrix} The typed-array backed matrix.
+ * @private
+ */
+sylvester.Matrix.fromData_ = function(data, rows, cols) {
+    var M = new sylvester.Matrix();
+    M.data = data;
+    M.elements = [];
+    for (var i = 0; i < rows; i++) {
+        M.elements.push(data.subarray(i * cols, (i + 1) * cols));
+    }
+    return M;
+};
+
+/**
+ * Returns true iff the matrix is backed by a typed array.
+ * @return {boolean} True if typed-array backed.
+ */
+sylvester.Matrix.prototype.isTyped = function() {
+    return this.data !== null;
+};
+
+/**
+ * Returns a copy of the matrix backed by a typed array.
+ * @param {Function=} type Typed array constructor, Float64Array by default.
+ * @return {sylvester.Matrix} Typed-array backed copy of this matrix.
+ */
+sylvester.Matrix.prototype.toTyped = function(type) {
+    return sylvester.Matrix.createTyped(this.elements, type);
+};
+
+/**
+ * Returns a copy of the matrix backed by nested arrays.
+ * @return {sylvester.Matrix} Nested array backed copy of this matrix.
+ */
+sylvester.Matrix.prototype.toUntyped = function() {
+    return sylvester.Matrix.create(this.elements);
+};
+
+/**
+ * Converts a result computed with array storage to the storage used by this matrix.
+ * @param {sylvester.Matrix|sylvester.Vector} result The result.
+ * @return {sylvester.Matrix|sylvester.Vector} The result, typed-array backed if
+ *     this matrix is.
+ * @private
+ */
+sylvester.Matrix.prototype.wrap_ = function(result) {
+    return this.data ? result.toTyped(this.data.constructor) : result;
+};
+
+/**
+ * Multiplies two 2x2 matrices with an unrolled kernel.
+ * @param {Array.<Array.<number>>} A Elements of the left matrix.
+ * @param {Array.<Array.<number>>} B Elements of the right matrix.
+ * @return {Array.<number>} The product, flattened in row-major order.
+ * @private
+ */
+sylvester.Matrix.multiply2x2_ = function(A, B) {
+    var a00 = A[0][0], a01 = A[0][1];
+    var a10 = A[1][0], a11 = A[1][1];
+    var b00 = B[0][0], b01 = B[0][1];
+    var b10 = B[1][0], b11 = B[1][1];
+    return [
+        a00 * b00 + a01 * b10,
+        a00 * b01 + a01 * b11,
+        a10 * b00 + a11 * b10,
+        a10 * b01 + a11 * b11
+    ];
+};
+
+/**
+ * Multiplies two 3x3 matrices with an unrolled kernel.
+ * @param {Array.<Array.<number>>} A Elements of the left matrix.
+ * @param {Array.<Array.<number>>} B Elements of the right matrix.
+ * @return {Array.<number>} The product, flattened in row-major order.
+ * @private
+ */
+sylvester.Matrix.multiply3x3_ = function(A, B) {
+    var a00 = A[0][0], a01 = A[0][1], a02 = A[0][2];
+    var a10 = A[1][0], a11 = A[1][1], a12 = A[1][2];
+    var a20 = A[2][0], a21 = A[2][1], a22 = A[2][2];
+    var b00 = B[0][0], b01 = B[0][1], b02 = B[0][2];
+    var b10 = B[1][0], b11 = B[1][1], b12 = B[1][2];
+    var b20 = B[2][0], b21 = B[2][1], b22 = B[2][2];
+    return [
+        a00 * b00 + a01 * b10 + a02 * b20,
+        a00 * b01 + a01 * b11 + a02 * b21,
+        a00 * b02 + a01 * b12 + a02 * b22,
+        a10 * b00 + a11 * b10 + a12 * b20,
+        a10 * b01 + a11 * b11 + a12 * b21,
+        a10 * b02 + a11 * b12 + a12 * b22,
+        a20 * b00 + a21 * b10 + a22 * b20,
+        a20 * b01 + a21 * b11 + a22 * b21,
+        a20 * b02 + a21 * b12 + a22 * b22
+    ];
+};
+
+/**
+ * Multiplies two 4x4 matrices with an unrolled kernel.
+ * @param {Array.<Array.<number>>} A Elements of the left matrix.
+ * @param {Array.<Array.<number>>} B Elements of the right matrix.
+ * @return {Array.<number>} The product, flattened in row-major order.
+ * @private
+ */
+sylvester.Matrix.multiply4x4_ = function(A, B) {
+    var a00 = A[0][0], a01 = A[0][1], a02 = A[0][2], a03 = A[0][3];
+    var a10 = A[1][0], a11 = A[1][1], a12 = A[1][2], a13 = A[1][3];
+    var a20 = A[2][0], a21 = A[2][1], a22 = A[2][2], a23 = A[2][3];
+    var a30 = A[3][0], a31 = A[3][1], a32 = A[3][2], a33 = A[3][3];
+    var b00 = B[0][0], b01 = B[0][1], b02 = B[0][2], b03 = B[0][3];
+    var b10 = B[1][0], b11 = B[1][1], b12 = B[1][2], b13 = B[1][3];
+    var b20 = B[2][0], b21 = B[2][1], b22 = B[2][2], b23 = B[2][3];
+    var b30 = B[3][0], b31 = B[3][1], b32 = B[3][2], b33 = B[3][3];
+    return [
+        a00 * b00 + a01 * b10 + a02 * b20 + a03 * b30,
+        a00 * b01 + a01 * b11 + a02 * b21 + a03 * b31,
+        a00 * b02 + a01 * b12 + a02 * b22 + a03 * b32,
+        a00 * b03 + a01 * b13 + a02 * b23 + a03 * b33,
+        a10 * b00 + a11 * b10 + a12 * b20 + a13 * b30,
+        a10 * b01 + a11 * b11 + a12 * b21 + a13 * b31,
+        a10 * b02 + a11 * b12 + a12 * b22 + a13 * b32,
+        a10 * b03 + a11 * b13 + a12 * b23 + a13 * b33,
+        a20 * b00 + a21 * b10 + a22 * b20 + a23 * b30,
+        a20 * b01 + a21 * b11 + a22 * b21 + a23 * b31,
+        a20 * b02 + a21 * b12 + a22 * b22 + a23 * b32,
+        a20 * b03 + a21 * b13 + a22 * b23 + a23 * b33,
+        a30 * b00 + a31 * b10 + a32 * b20 + a33 * b30,
+        a30 * b01 + a31 * b11 + a32 * b21 + a33 * b31,
+        a30 * b02 + a31 * b12 + a32 * b22 + a33 * b32,
+        a30 * b03 + a31 * b13 + a32 * b23 + a33 * b33
+    ];
+};
+
+/**
+ * Returns the determinant of a 2x2 matrix.
+ * @param {Array.<Array.<number>>} A Elements of the matrix.
+ * @return {number} The determinant.
+ * @private
+ */
+sylvester.Matrix.determinant2x2_ = function(A) {
+    return A[0][0] * A[1][1] - A[0][1] * A[1][0];
+};
+
+/**
+ * Returns the determinant of a 3x3 matrix by cofactor expansion along the first row.
+ * @param {Array.<Array.<number>>} A Elements of the matrix.
+ * @return {number} The determinant.
+ * @private
+ */
+sylvester.Matrix.determinant3x3_ = function(A) {
+    return A[0][0] * (A[1][1] * A[2][2] - A[1][2] * A[2][1]) +
+        A[0][1] * (A[1][2] * A[2][0] - A[1][0] * A[2][2]) +
+        A[0][2] * (A[1][0] * A[2][1] - A[1][1] * A[2][0]);
+};
+
+/**
+ * Returns the determinant of a 4x4 matrix by Laplace expansion in 2x2 minors
+ * of the top and bottom row pairs.
+ * @param {Array.<Array.<number>>} A Elements of the matrix.
+ * @return {number} The determinant.
+ * @private
+ */
+sylvester.Matrix.determinant4x4_ = function(A) {
+    var a = A[0], b = A[1], c = A[2], d = A[3];
+    return (a[0] * b[1] - a[1] * b[0]) * (c[2] * d[3] - c[3] * d[2]) -
+        (a[0] * b[2] - a[2] * b[0]) * (c[1] * d[3] - c[3] * d[1]) +
+        (a[0] * b[3] - a[3] * b[0]) * (c[1] * d[2] - c[2] * d[1]) +
+        (a[1] * b[2] - a[2] * b[1]) * (c[0] * d[3] - c[3] * d[0]) -
+        (a[1] * b[3] - a[3] * b[1]) * (c[0] * d[2] - c[2] * d[0]) +
+        (a[2] * b[3] - a[3] * b[2]) * (c[0] * d[1] - c[1] * d[0]);
+};
+
+/**
+ * Divides the adjugate of a small matrix by its determinant. The ratio of the
+ * determinant to the largest cofactor estimates the smallest pivot of the LU
+ * decomposition, and the matrix is singular if that is no larger than
+ * Sylvester.precision relative to the given scale, as in hasNegligiblePivot_.
+ * @param {Array.<number>} adjugate The adjugate flattened in row-major order,
+ *     overwritten with the inverse.
+ * @param {number} det The determinant.
+ * @param {number} scale Magnitude of the largest element of the matrix.
+ * @return {Array.<number>} The inverse, or null if the matrix is singular.
+ * @private
+ */
+sylvester.Matrix.divideAdjugate_ = function(adjugate, det, scale) {
+    var n = adjugate.length, largest = 0, i;
+    for (i = 0; i < n; i++) {
+        largest = Math.max(largest, Math.abs(adjugate[i]));
+    }
+    if (Math.abs(det) <= Sylvester.precision * scale * largest) {
+        return null;
+    }
+    for (i = 0; i < n; i++) {
+        adjugate[i] /= det;
+    }
+    return adjugate;
+};
+
+/**
+ * Returns the inverse of a 2x2 matrix from its adjugate.
+ * @param {Array.<Array.<number>>} A Elements of the matrix.
+ * @param {number} scale Magnitude of the largest element of the matrix.
+ * @return {Array.<number>} The inverse flattened in row-major order, or null
+ *     if the matrix is singular.
+ * @private
+ */
+sylvester.Matrix.inverse2x2_ = function(A, scale) {
+    var det = sylvester.Matrix.determinant2x2_(A);
+    return sylvester.Matrix.divideAdjugate_([A[1][1], -A[0][1], -A[1][0], A[0][0]], det, scale);
+};
+
+/**
+ * Returns the inverse of a 3x3 matrix from its adjugate.
+ * @param {Array.<Array.<number>>} A Elements of the matrix.
+ * @param {number} scale Magnitude of the largest element of the matrix.
+ * @return {Array.<number>} The inverse flattened in row-major order, or null
+ *     if the matrix is singular.
+ * @private
+ */
+sylvester.Matrix.inverse3x3_ = function(A, scale) {
+    var a00 = A[0][0], a01 = A[0][1], a02 = A[0][2];
+    var a10 = A[1][0], a11 = A[1][1], a12 = A[1][2];
+    var a20 = A[2][0], a21 = A[2][1], a22 = A[2][2];
+    var c00 = a11 * a22 - a12 * a21, c10 = a12 * a20 - a10 * a22, c20 = a10 * a21 - a11 * a20;
+    var det = a00 * c00 + a01 * c10 + a02 * c20;
+    return sylvester.Matrix.divideAdjugate_([
+        c00, a02 * a21 - a01 * a22, a01 * a12 - a02 * a11,
+        c10, a00 * a22 - a02 * a20, a02 * a10 - a00 * a12,
+        c20, a01 * a20 - a00 * a21, a00 * a11 - a01 * a10
+    ], det, scale);
+};
+
+/**
+ * Returns the inverse of a 4x4 matrix from its adjugate, built from the 2x2
+ * minors of the top and bottom row pairs.
+ * @param {Array.<Array.<number>>} A Elements of the matrix.
+ * @param {number} scale Magnitude of the largest element of the matrix.
+ * @return {Array.<number>} The inverse flattened in row-major order, or null
+ *     if the matrix is singular.
+ * @private
+ */
+sylvester.Matrix.inverse4x4_ = function(A, scale) {
+    var a00 = A[0][0], a01 = A[0][1], a02 = A[0][2], a03 = A[0][3];
+    var a10 = A[1][0], a11 = A[1][1], a12 = A[1][2], a13 = A[1][3];
+    var a20 = A[2][0], a21 = A[2][1], a22 = A[2][2], a23 = A[2][3];
+    var a30 = A[3][0], a31 = A[3][1], a32 = A[3][2], a33 = A[3][3];
+    var b00 = a00 * a11 - a01 * a10, b01 = a00 * a12 - a02 * a10;
+    var b02 = a00 * a13 - a03 * a10, b03 = a01 * a12 - a02 * a11;
+    var b04 = a01 * a13 - a03 * a11, b05 = a02 * a13 - a03 * a12;
+    var b06 = a20 * a31 - a21 * a30, b07 = a20 * a32 - a22 * a30;
+    var b08 = a20 * a33 - a23 * a30, b09 = a21 * a32 - a22 * a31;
+    var b10 = a21 * a33 - a23 * a31, b11 = a22 * a33 - a23 * a32;
+    var det = b00 * b11 - b01 * b10 + b02 * b09 + b03 * b08 - b04 * b07 + b05 * b06;
+    return sylvester.Matrix.divideAdjugate_([
+        a11 * b11 - a12 * b10 + a13 * b09,
+        a02 * b10 - a01 * b11 - a03 * b09,
+        a31 * b05 - a32 * b04 + a33 * b03,
+        a22 * b04 - a21 * b05 - a23 * b03,
+        a12 * b08 - a10 * b11 - a13 * b07,
+        a00 * b11 - a02 * b08 + a03 * b07,
+        a32 * b02 - a30 * b05 - a33 * b01,
+        a20 * b05 - a22 * b02 + a23 * b01,
+        a10 * b10 - a11 * b08 + a13 * b06,
+        a01 * b08 - a00 * b10 - a03 * b06,
+        a30 * b04 - a31 * b02 + a33 * b00,
+        a21 * b02 - a20 * b04 - a23 * b00,
+        a11 * b07 - a10 * b09 - a12 * b06,
+        a00 * b09 - a01 * b07 + a02 * b06,
+        a31 * b01 - a30 * b03 - a32 * b00,
+        a20 * b03 - a21 * b01 + a22 * b00
+    ], det, scale);
+};
+
+/**
+ * Inverts a matrix of size 2 to 4 with the unrolled adjugate kernels.
+ * @param {number} n Size of the matrix.
+ * @return {sylvester.Matrix} The inverse, or null if the matrix is singular.
+ * @private
+ */
+sylvester.Matrix.prototype.inverseSmall_ = function(n) {
+    var inverseSmall = n == 2 ? sylvester.Matrix.inverse2x2_ :
+        (n == 3 ? sylvester.Matrix.inverse3x3_ : sylvester.Matrix.inverse4x4_);
+    var flat = inverseSmall(this.elements, Math.abs(this.max()));
+    return (flat === null) ? null : this.fromFlat_(flat, n);
+};
+
+/**
+ * Returns the transpose of an n x n matrix, for n from 2 to 4.
+ * @param {Array.<Array.<number>>} A Elements of the matrix.
+ * @param {number} n Size of the matrix.
+ * @return {Array.<number>} The transpose flattened in row-major order.
+ * @private
+ */
+sylvester.Matrix.transposeSmall_ = function(A, n) {
+    if (n == 2) {
+        return [A[0][0], A[1][0], A[0][1], A[1][1]];
+    }
+    if (n == 3) {
+        return [A[0][0], A[1][0], A[2][0], A[0][1], A[1][1], A[2][1], A[0][2], A[1][2], A[2][2]];
+    }
+    return [A[0][0], A[1][0], A[2][0], A[3][0], A[0][1], A[1][1], A[2][1], A[3][1],
+        A[0][2], A[1][2], A[2][2], A[3][2], A[0][3], A[1][3], A[2][3], A[3][3]];
+};
+
+/**
+ * Returns the size of the matrix if it is square with 2 to 4 rows, the sizes
+ * that have unrolled implementations, or 0 otherwise.
+ * @return {number} Size for the fixed-size paths, or 0.
+ * @private
+ */
+sylvester.Matrix.prototype.smallSize_ = function() {
+    var n = this.elements.length;
+    return (n >= 2 && n <= 4 && this.elements[0].length == n) ? n : 0;
+};
+
+/**
+ * Creates an n x n matrix from row-major elements, using the same storage as this matrix.
+ * @param {Array.<number>} flat Elements in row-major order.
+ * @param {number} n Size of the matrix.
+ * @return {sylvester.Matrix} The new matrix.
+ * @private
+ */
+sylvester.Matrix.prototype.fromFlat_ = function(flat, n) {
+    if (this.data) {
+        return sylvester.Matrix.fromData_(new this.data.constructor(flat), n, n);
+    }
+    var M = new sylvester.Matrix();
+    M.elements = [];
+    for (var i = 0; i < n; i++) {
+        M.elements.push(flat.slice(i * n, (i + 1) * n));
+    }
+    return M;
+};
+
 /**
  * Identity matrix of size n.
  * @param {number} n Size of identity matrix.
@@ -728,7 +2293,7 @@ sylvester.Matrix.Rotation = function(theta, a) {
     }
     var axis = a.dup();
     if (axis.elements.length != 3) {
-        return null;
+        return sylvester.Error.raise_(sylvester.DimensionMismatch, 'Matrix.Rotation', [a], 'axis is not 3D');
     }
     var mod = axis.modulus();
     var x = axis.elements[0] / mod, y = axis.elements[1] / mod, z = axis.elements[2] / mod;
@@ -788,7 +2353,106 @@ sylvester.Matrix.RotationZ = function(t) {
 };
 
 /**
- * Random matrix of n rows, m columns.
+ * Returns the rotation matrix for a sequence of rotations about the
+ * coordinate axes. The order names the axis of each angle, so with order
+ * 'XYZ' the result is RotationX(angles[0]).x(RotationY(angles[1])).x(RotationZ(angles[2])):
+ * rotations about the body's own axes applied from left to right, or
+ * equivalently about the fixed axes applied from right to left. Yaw, pitch
+ * and roll are the angles of the 'ZYX' order.
+ * @param {sylvester.Vector|Array.<number>} angles The three angles.
+ * @param {string=} order Any of the 6 Tait-Bryan orders (XYZ, XZY, YXZ, YZX,
+ *     ZXY, ZYX) or 6 proper Euler orders (XYX, XZX, YXY, YZY, ZXZ, ZYZ), 'XYZ'
+ *     by default.
+ * @return {sylvester.Matrix} The 3x3 rotation matrix, or null for an invalid order.
+ */
+sylvester.Matrix.fromEuler = function(angles, order) {
+    var A = angles.elements || angles, axes = sylvester.Matrix.eulerAxes_(order);
+    if (!axes) {
+        return sylvester.Error.raise_(sylvester.InvalidArgument, 'Matrix.fromEuler', [angles, order],
+            'unknown rotation order ' + order);
+    }
+    if (A.length != 3) {
+        return sylvester.Error.raise_(sylvester.DimensionMismatch, 'Matrix.fromEuler', [angles]);
+    }
+    var rotations = [sylvester.Matrix.RotationX, sylvester.Matrix.RotationY, sylvester.Matrix.RotationZ];
+    return rotations[axes[0]](A[0]).x(rotations[axes[1]](A[1])).x(rotations[axes[2]](A[2]));
+};
+
+/**
+ * Returns the Euler angles of a rotation matrix, 3x3 or the upper left 3x3 block
+ * of a 4x4 matrix, such that sylvester.Matrix.fromEuler(angles, order) gives
+ * back the rotation. For Tait-Bryan orders the middle angle is in
+ * [-PI/2, PI/2]; for proper Euler orders it is in [0, PI]. The other angles are
+ * in [-PI, PI].
+ * At gimbal lock, where the middle angle is +-PI/2 for Tait-Bryan orders or 0 or
+ * PI for proper Euler orders, the first and last axes line up and only a
+ * combination of their angles is determined. The last angle is then returned
+ * as 0 and the whole remaining rotation is put in the first angle.
+ * Lock is detected when the cosine (Tait-Bryan) or sine (proper Euler) of the
+ * middle angle is no greater than Sylvester.precision.
+ * @param {string=} order The rotation order, as for fromEuler, 'XYZ' by default.
+ * @return {sylvester.Vector} The three angles, or null if the matrix is not
+ *     3x3 or 4x4 or the order is invalid.
+ */
+sylvester.Matrix.prototype.toEuler = function(order) {
+    var R = this.elements, axes = sylvester.Matrix.eulerAxes_(order);
+    var n = R.length;
+    if (!axes) {
+        return sylvester.Error.raise_(sylvester.InvalidArgument, 'Matrix.toEuler', [this, order],
+            'unknown rotation order ' + order);
+    }
+    if ((n != 3 && n != 4) || R[0].length != n) {
+        return sylvester.Error.raise_(sylvester.DimensionMismatch, 'Matrix.toEuler', [this], 'matrix is not 3x3 or 4x4');
+    }
+    var i = axes[0], j = axes[1], k = axes[2], a, b, c, lockValue;
+    // s is +1 if the axes i, j and the remaining one follow the cyclic order X, Y, Z
+    var s = (j == (i + 1) % 3) ? 1 : -1;
+    if (i != k) {
+        // Tait-Bryan
+        var cos = Math.sqrt(R[i][i] * R[i][i] + R[i][j] * R[i][j]);
+        b = Math.atan2(s * R[i][k], cos);
+        a = Math.atan2(-s * R[j][k], R[k][k]);
+        c = Math.atan2(-s * R[i][j], R[i][i]);
+        lockValue = cos;
+    } else {
+        // Proper Euler, with m the axis not used
+        var m = 3 - i - j, sin = Math.sqrt(R[i][j] * R[i][j] + R[i][m] * R[i][m]);
+        b = Math.atan2(sin, R[i][i]);
+        a = Math.atan2(R[j][i], -s * R[m][i]);
+        c = Math.atan2(R[i][j], s * R[i][m]);
+        lockValue = sin;
+    }
+    if (lockValue <= Sylvester.precision) {
+        // The remaining rotation R * Rj(-b) is about axis i alone
+        var rotations = [sylvester.Matrix.RotationX, sylvester.Matrix.RotationY, sylvester.Matrix.RotationZ];
+        var N = this.minor(1, 1, 3, 3).x(rotations[j](-b)).elements;
+        var p = (i + 1) % 3, q = (i + 2) % 3;
+        a = Math.atan2(N[q][p], N[p][p]);
+        c = 0;
+    }
+    return sylvester.Vector.create([a, b, c]);
+};
+
+/**
+ * Returns the axis indices, 0 for X up to 2 for Z, of an Euler angle order.
+ * @param {string=} order The order, 'XYZ' by default.
+ * @return {Array.<number>} The three axis indices, or null if the order is
+ *     not one of the 12 valid sequences.
+ * @private
+ */
+sylvester.Matrix.eulerAxes_ = function(order) {
+    order = (order || 'XYZ').toUpperCase();
+    if (!/^[XYZ]{3}$/.test(order) || order.charAt(0) == order.charAt(1) || order.charAt(1) == order.charAt(2)) {
+        return null;
+    }
+    return [0, 1, 2].map(function(i) {
+        return 'XYZ'.indexOf(order.charAt(i));
+    });
+};
+
+/**
+ * Random matrix of n rows, m columns, with elements uniform in [0, 1) drawn
+ * from Sylvester.random.
  * @param {number} n Number of rows.
  * @param {number} m Number of columns.
  * @return {sylvester.Matrix} Random matrix.
@@ -796,11 +2460,75 @@ sylvester.Matrix.RotationZ = function(t) {
 sylvester.Matrix.Random = function(n, m) {
     return sylvester.Matrix.Zero(n, m).map(
         function() {
-            return Math.random();
+            return Sylvester.random();
         }
     );
 };
 
+/**
+ * Random matrix of n rows, m columns, with elements uniform in [min, max).
+ * @param {number} n Number of rows.
+ * @param {number} m Number of columns.
+ * @param {number} min Lower bound.
+ * @param {number} max Upper bound.
+ * @return {sylvester.Matrix} Random matrix.
+ */
+sylvester.Matrix.RandomUniform = function(n, m, min, max) {
+    return sylvester.Matrix.Zero(n, m).map(
+        function() {
+            return sylvester.Random.uniform(min, max);
+        }
+    );
+};
+
+/**
+ * Random matrix of n rows, m columns, with normally distributed elements.
+ * @param {number} n Number of rows.
+ * @param {number} m Number of columns.
+ * @param {number=} mean The mean, 0 by default.
+ * @param {number=} sd The standard deviation, 1 by default.
+ * @return {sylvester.Matrix} Random matrix.
+ */
+sylvester.Matrix.RandomNormal = function(n, m, mean, sd) {
+    return sylvester.Matrix.Zero(n, m).map(
+        function() {
+            return sylvester.Random.normal(mean, sd);
+        }
+    );
+};
+
+/**
+ * Random n x n orthogonal matrix, distributed uniformly (by Haar measure) over
+ * the orthogonal group. It is the Q factor of a matrix of normal deviates, with
+ * each column's sign fixed by the diagonal of R so that the factorization is
+ * unique.
+ * @param {number} n Size of the matrix.
+ * @return {sylvester.Matrix} Random orthogonal matrix.
+ */
+sylvester.Matrix.RandomOrthogonal = function(n) {
+    var QR = sylvester.Matrix.RandomNormal(n, n).qr(), R = QR.R.elements;
+    return QR.Q.map(function(x, i, j) {
+        return R[j - 1][j - 1] < 0 ? -x : x;
+    });
+};
+
+/**
+ * Random n x n rotation matrix, distributed uniformly over the rotations
+ * SO(n). A random orthogonal matrix that is a reflection has its first column
+ * negated. n is 3 by default.
+ * @param {number=} n Size of the matrix.
+ * @return {sylvester.Matrix} Random rotation matrix.
+ */
+sylvester.Matrix.RandomRotation = function(n) {
+    var Q = sylvester.Matrix.RandomOrthogonal(n || 3);
+    if (Q.det() > 0) {
+        return Q;
+    }
+    return Q.map(function(x, i, j) {
+        return j == 1 ? -x : x;
+    });
+};
+
 /**
  * sylvester.Matrix filled with zeros
  * @param {number} n Number of rows.
@@ -843,7 +2571,7 @@ sylvester.Matrix.Translation = function(v) {
         return r;
     }
 
-    throw 'Invalid length for Translation';
+    sylvester.Error.throw_(sylvester.DimensionMismatch, 'Matrix.Translation', [v], 'vector must have 2 or 3 elements');
 };
 
 /**
@@ -873,7 +2601,15 @@ sylvester.Matrix.prototype.ensure4x4 = function() {
 
     if (this.elements.length > 4 ||
         this.elements[0].length > 4)
-        return null;
+        return sylvester.Error.raise_(sylvester.DimensionMismatch, 'Matrix.ensure4x4', [this], 'matrix is larger than 4x4');
+
+    if (this.data) {
+        // Typed rows cannot grow, so pad a nested copy and adopt its storage
+        var T = sylvester.Matrix.create(this.elements).ensure4x4().toTyped(this.data.constructor);
+        this.data = T.data;
+        this.elements = T.elements;
+        return this;
+    }
 
     for (var i = 0; i < this.elements.length; i++) {
         for (var j = this.elements[i].length; j < 4; j++) {
@@ -905,15 +2641,224 @@ sylvester.Matrix.prototype.ensure4x4 = function() {
 sylvester.Matrix.prototype.make3x3 = function() {
     if (this.elements.length != 4 ||
         this.elements[0].length != 4)
-        return null;
+        return sylvester.Error.raise_(sylvester.DimensionMismatch, 'Matrix.make3x3', [this], 'matrix is not 4x4');
 
-    return sylvester.Matrix.create([
+    return this.wrap_(sylvester.Matrix.create([
         [this.elements[0][0], this.elements[0][1], this.elements[0][2]],
         [this.elements[1][0], this.elements[1][1], this.elements[1][2]],
         [this.elements[2][0], this.elements[2][1], this.elements[2][2]]
+    ]));
+};
+
+/**
+ * Decomposes an affine 4x4 matrix into translation, rotation, scale and shear,
+ * such that the matrix equals T.x(R).x(S).x(H), where T translates, R is a
+ * proper rotation, S = diag(scale) and H is the unit upper triangular shear
+ * [[1, xy, xz], [0, 1, yz], [0, 0, 1]]. A reflection, where the upper left 3x3
+ * block has a negative determinant, is reported as a negative x scale.
+ * The bottom row must be (0, 0, 0, w) with w non-zero; the matrix is divided
+ * by w first. Elements and scales no larger than Sylvester.precision relative
+ * to the largest element count as zero, in either mode.
+ * @return {{translation: sylvester.Vector, rotation: sylvester.Matrix,
+ *     scale: sylvester.Vector, shear: sylvester.Vector}} The components, with
+ *     shear given as [xy, xz, yz], or null if the matrix is not 4x4, is
+ *     projective or has a zero scale.
+ */
+sylvester.Matrix.prototype.decomposeAffine = function() {
+    var M = this.elements;
+    if (M.length != 4 || M[0].length != 4) {
+        return sylvester.Error.raise_(sylvester.DimensionMismatch, 'Matrix.decomposeAffine', [this], 'matrix is not 4x4');
+    }
+    var scale = Math.abs(this.max()), w = M[3][3];
+    if (Math.abs(M[3][0]) > Sylvester.precision * scale || Math.abs(M[3][1]) > Sylvester.precision * scale ||
+        Math.abs(M[3][2]) > Sylvester.precision * scale || Math.abs(w) <= Sylvester.precision * scale) {
+        return sylvester.Error.raise_(sylvester.DegenerateGeometry, 'Matrix.decomposeAffine', [this], 'matrix is not affine');
+    }
+    var QR = this.minor(1, 1, 3, 3).map(function(x) {
+        return x / w;
+    }).qr();
+    var Q = QR.Q.elements, R = QR.R.elements, i, j;
+    // Make the diagonal of R positive, then move any reflection left in Q into the x scale
+    var signs = [R[0][0] < 0 ? -1 : 1, R[1][1] < 0 ? -1 : 1, R[2][2] < 0 ? -1 : 1];
+    if (sylvester.Matrix.determinant3x3_(Q) * signs[0] * signs[1] * signs[2] < 0) {
+        signs[0] = -signs[0];
+    }
+    for (i = 0; i < 3; i++) {
+        for (j = 0; j < 3; j++) {
+            Q[j][i] *= signs[i];
+            R[i][j] *= signs[i];
+        }
+    }
+    for (i = 0; i < 3; i++) {
+        if (Math.abs(R[i][i]) <= Sylvester.precision * scale / Math.abs(w)) {
+            return sylvester.Error.raise_(sylvester.SingularMatrix, 'Matrix.decomposeAffine', [this], 'matrix has a zero scale');
+        }
+    }
+    return {
+        translation: sylvester.Vector.create([M[0][3] / w, M[1][3] / w, M[2][3] / w]),
+        rotation: sylvester.Matrix.create(Q),
+        scale: sylvester.Vector.create([R[0][0], R[1][1], R[2][2]]),
+        shear: sylvester.Vector.create([R[0][1] / R[0][0], R[0][2] / R[0][0], R[1][2] / R[1][1]])
+    };
+};
+
+/**
+ * Builds an affine 4x4 matrix T.x(R).x(S).x(H) from the components returned
+ * by decomposeAffine. Every component is optional.
+ * @param {{translation: (sylvester.Vector|Array.<number>|undefined),
+ *     rotation: (sylvester.Matrix|sylvester.Quaternion|undefined),
+ *     scale: (sylvester.Vector|Array.<number>|number|undefined),
+ *     shear: (sylvester.Vector|Array.<number>|undefined)}} parts The
+ *     translation, the rotation as a 3x3 or 4x4 matrix or a unit quaternion,
+ *     the scale as a vector or a single uniform factor, and the shear as
+ *     [xy, xz, yz].
+ * @return {sylvester.Matrix} The 4x4 matrix.
+ */
+sylvester.Matrix.composeAffine = function(parts) {
+    var T = parts.translation ? (parts.translation.elements || parts.translation) : [0, 0, 0];
+    var R = parts.rotation ? parts.rotation : sylvester.Matrix.I(3);
+    if (R.toMatrix3x3) {
+        R = R.toMatrix3x3();
+    }
+    R = R.elements;
+    var S = (typeof(parts.scale) == 'number') ? [parts.scale, parts.scale, parts.scale] :
+        (parts.scale ? (parts.scale.elements || parts.scale) : [1, 1, 1]);
+    var H = parts.shear ? (parts.shear.elements || parts.shear) : [0, 0, 0];
+    // Rows of S.x(H), S being the diagonal scale and H the unit upper triangular shear
+    var SH = [[S[0], S[0] * H[0], S[0] * H[1]], [0, S[1], S[1] * H[2]], [0, 0, S[2]]];
+    var elements = [], i, j;
+    for (i = 0; i < 3; i++) {
+        elements[i] = [];
+        for (j = 0; j < 3; j++) {
+            elements[i][j] = R[i][0] * SH[0][j] + R[i][1] * SH[1][j] + R[i][2] * SH[2][j];
+        }
+        elements[i][3] = T[i];
+    }
+    elements[3] = [0, 0, 0, 1];
+    return sylvester.Matrix.create(elements);
+};
+
+/**
+ * Transforms a 3D point by the 4x4 matrix, treating it as (x, y, z, 1) and
+ * dividing the result by its w component.
+ * @param {sylvester.Vector|Array.<number>} point The point.
+ * @return {sylvester.Vector} The transformed point, or null if the matrix is
+ *     not 4x4, the point is not 3D or it maps to infinity (w = 0).
+ */
+sylvester.Matrix.prototype.transformPoint = function(point) {
+    var M = this.elements, P = point.elements || point;
+    if (M.length != 4 || M[0].length != 4 || P.length != 3) {
+        return sylvester.Error.raise_(sylvester.DimensionMismatch, 'Matrix.transformPoint', [this, point]);
+    }
+    return this.transformPoint_(P) ||
+        sylvester.Error.raise_(sylvester.DegenerateGeometry, 'Matrix.transformPoint', [this, point],
+            'point maps to infinity');
+};
+
+/**
+ * Transforms a 3D point by the 4x4 matrix, for callers that handle points at
+ * infinity themselves.
+ * @param {sylvester.Vector|Array.<number>} point The point.
+ * @return {sylvester.Vector} The transformed point, or null if it maps to infinity.
+ * @private
+ */
+sylvester.Matrix.prototype.transformPoint_ = function(point) {
+    var M = this.elements, P = point.elements || point;
+    var H = [], i;
+    for (i = 0; i < 4; i++) {
+        H[i] = M[i][0] * P[0] + M[i][1] * P[1] + M[i][2] * P[2] + M[i][3];
+    }
+    if (H[3] === 0) {
+        return null;
+    }
+    return sylvester.Vector.create([H[0] / H[3], H[1] / H[3], H[2] / H[3]]);
+};
+
+/**
+ * Transforms a 3D direction by the 4x4 matrix, treating it as (x, y, z, 0) so
+ * that translation does not apply. No homogeneous divide is done, so this is
+ * only meaningful for affine matrices.
+ * @param {sylvester.Vector|Array.<number>} direction The direction.
+ * @return {sylvester.Vector} The transformed direction, or null if the matrix
+ *     is not 4x4 or the direction is not 3D.
+ */
+sylvester.Matrix.prototype.transformDirection = function(direction) {
+    var M = this.elements, D = direction.elements || direction;
+    if (M.length != 4 || M[0].length != 4 || D.length != 3) {
+        return sylvester.Error.raise_(sylvester.DimensionMismatch, 'Matrix.transformDirection', [this, direction]);
+    }
+    return sylvester.Vector.create([
+        M[0][0] * D[0] + M[0][1] * D[1] + M[0][2] * D[2],
+        M[1][0] * D[0] + M[1][1] * D[1] + M[1][2] * D[2],
+        M[2][0] * D[0] + M[2][1] * D[1] + M[2][2] * D[2]
     ]);
 };
 
+/**
+ * Transforms a surface normal by the inverse transpose of the upper left 3x3
+ * block of the 4x4 matrix, so that it stays perpendicular to transformed
+ * directions under non-uniform scale and shear. The result is not normalized.
+ * @param {sylvester.Vector|Array.<number>} normal The normal.
+ * @return {sylvester.Vector} The transformed normal, or null if the matrix is
+ *     not 4x4, its upper left 3x3 block is singular or the normal is not 3D.
+ */
+sylvester.Matrix.prototype.transformNormal = function(normal) {
+    var N = normal.elements || normal;
+    if (this.elements.length != 4 || this.elements[0].length != 4 || N.length != 3) {
+        return sylvester.Error.raise_(sylvester.DimensionMismatch, 'Matrix.transformNormal', [this, normal]);
+    }
+    var inverse = this.minor(1, 1, 3, 3).inverse();
+    if (inverse === null) {
+        return null;
+    }
+    return inverse.transpose().x(sylvester.Vector.create(N));
+};
+
+/**
+ * Transforms a line by the 4x4 matrix, by transforming its anchor and a
+ * second point along it.
+ * @param {sylvester.Line} line The line.
+ * @return {sylvester.Line} The transformed line, or null if the matrix is not
+ *     4x4 or either point maps to infinity or they map to the same point.
+ */
+sylvester.Matrix.prototype.transformLine = function(line) {
+    var A = this.transformPoint(line.anchor);
+    var B = this.transformPoint(line.anchor.add(line.direction));
+    if (A === null || B === null) {
+        return null;
+    }
+    return sylvester.Line.create(A, B.subtract(A));
+};
+
+/**
+ * Transforms a plane by the 4x4 matrix. The plane is treated as the row
+ * vector (n, -n.a) of its normal n and anchor a, which maps to (n, -n.a) times
+ * the inverse matrix; this handles projective matrices as well as affine ones.
+ * @param {sylvester.Plane} plane The plane.
+ * @return {sylvester.Plane} The transformed plane, or null if the matrix is not
+ *     4x4, is singular or maps the plane to the plane at infinity.
+ */
+sylvester.Matrix.prototype.transformPlane = function(plane) {
+    if (this.elements.length != 4 || this.elements[0].length != 4) {
+        return sylvester.Error.raise_(sylvester.DimensionMismatch, 'Matrix.transformPlane', [this], 'matrix is not 4x4');
+    }
+    var inverse = this.inverse();
+    if (inverse === null) {
+        return null;
+    }
+    var N = plane.normal.elements, I = inverse.elements, C = [], i;
+    var d = -plane.normal.dot(plane.anchor);
+    for (i = 0; i < 4; i++) {
+        C[i] = N[0] * I[0][i] + N[1] * I[1][i] + N[2] * I[2][i] + d * I[3][i];
+    }
+    var nn = C[0] * C[0] + C[1] * C[1] + C[2] * C[2];
+    if (nn === 0) {
+        return sylvester.Error.raise_(sylvester.DegenerateGeometry, 'Matrix.transformPlane', [this], 'plane maps to the plane at infinity');
+    }
+    // The point of the new plane closest to the origin
+    return sylvester.Plane.create([-C[3] * C[0] / nn, -C[3] * C[1] / nn, -C[3] * C[2] / nn], C.slice(0, 3));
+};
+
 /**
  * Shorthand for matrix creation.
  * @param {Array.<number>} elements Elements.
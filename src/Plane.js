@@ -1,4 +1,5 @@
 goog.provide('sylvester.Plane');
+goog.require('sylvester.Error');
 goog.require('sylvester.Vector');
 
 /**
@@ -31,35 +32,37 @@ goog.require('sylvester.Vector');
  * A class representing a mathematical plane.
  * @constructor
  */
-sylvester.Pane = function() {
+sylvester.Plane = function() {
 };
 
 
 /**
  * Returns true iff the plane occupies the same space as the argument.
- * @param {sylvester.Pane} plane sylvester.Pane to test equality.
+ * @param {sylvester.Plane} plane sylvester.Plane to test equality.
+ * @param {number=} tolerance Tolerance for the angle between the planes and
+ *     the distance between them, as for isParallelTo and contains.
  * @return {boolean} True if equal.
  */
-sylvester.Pane.prototype.eql = function(plane) {
-    return (this.contains(plane.anchor) && this.isParallelTo(plane));
+sylvester.Plane.prototype.eql = function(plane, tolerance) {
+    return (this.contains(plane.anchor, tolerance) && this.isParallelTo(plane, tolerance));
 };
 
 /**
  * Returns a copy of the plane
- * @return {sylvester.Pane} A duplicate of this plane.
+ * @return {sylvester.Plane} A duplicate of this plane.
  */
-sylvester.Pane.prototype.dup = function() {
-    return sylvester.Pane.create(this.anchor, this.normal);
+sylvester.Plane.prototype.dup = function() {
+    return sylvester.Plane.create(this.anchor, this.normal);
 };
 
 /**
  * Returns the result of translating the plane by the given vector.
  * @param {sylvester.Vector} vector sylvester.Vector to translate plane by.
- * @return {sylvester.Pane} A translated plane.
+ * @return {sylvester.Plane} A translated plane.
  */
-sylvester.Pane.prototype.translate = function(vector) {
+sylvester.Plane.prototype.translate = function(vector) {
     var V = vector.elements || vector;
-    return sylvester.Pane.create([
+    return sylvester.Plane.create([
         this.anchor.elements[0] + V[0],
         this.anchor.elements[1] + V[1],
         this.anchor.elements[2] + (V[2] || 0)
@@ -70,29 +73,34 @@ sylvester.Pane.prototype.translate = function(vector) {
  * Returns true iff the plane is parallel to the argument. Will return true
  * if the planes are equal, or if you give a line and it lies in the plane.
  * @param {*} obj Object to test parallelism to.
+ * @param {number=} tolerance Largest angle between the planes, or deviation of
+ *     a line from the plane, in radians; Sylvester.precision if omitted.
  * @return {boolean} True if parallel to.
  */
-sylvester.Pane.prototype.isParallelTo = function(obj) {
+sylvester.Plane.prototype.isParallelTo = function(obj, tolerance) {
     var theta;
     if (obj.normal) {
         // obj is a plane
         theta = this.normal.angleFrom(obj.normal);
-        return (Math.abs(theta) <= Sylvester.precision || Math.abs(Math.PI - theta) <= Sylvester.precision);
+        tolerance = Sylvester.tolerance_(tolerance);
+        return (Math.abs(theta) <= tolerance || Math.abs(Math.PI - theta) <= tolerance);
     } else if (obj.direction) {
         // obj is a line
-        return this.normal.isPerpendicularTo(obj.direction);
+        return this.normal.isPerpendicularTo(obj.direction, tolerance);
     }
     return null;
 };
 
 /**
  * Returns true iff the receiver is perpendicular to the argument.
- * @param {sylvester.Pane} plane sylvester.Pane to test perpendicularity to.
+ * @param {sylvester.Plane} plane sylvester.Plane to test perpendicularity to.
+ * @param {number=} tolerance Largest deviation from a right angle in radians;
+ *     Sylvester.precision if omitted.
  * @return {boolean} True if perpendicular.
  */
-sylvester.Pane.prototype.isPerpendicularTo = function(plane) {
+sylvester.Plane.prototype.isPerpendicularTo = function(plane, tolerance) {
     var theta = this.normal.angleFrom(plane.normal);
-    return (Math.abs(Math.PI / 2 - theta) <= Sylvester.precision);
+    return (Math.abs(Math.PI / 2 - theta) <= Sylvester.tolerance_(tolerance));
 };
 
 /**
@@ -100,7 +108,7 @@ sylvester.Pane.prototype.isPerpendicularTo = function(plane) {
  * @param {*} obj Object to get distance from.
  * @return {number} Distance from object.
  */
-sylvester.Pane.prototype.distanceFrom = function(obj) {
+sylvester.Plane.prototype.distanceFrom = function(obj) {
     if (this.intersects(obj) || this.contains(obj)) {
         return 0;
     }
@@ -119,19 +127,24 @@ sylvester.Pane.prototype.distanceFrom = function(obj) {
 /**
  * Returns true iff the plane contains the given point or line.
  * @param {*} obj Object to see if contained in this plane.
+ * @param {number=} tolerance Largest distance from the plane, relative to the
+ *     largest coordinate of the point and the plane's anchor in relative mode;
+ *     Sylvester.precision if omitted.
  * @return {boolean} True if object is contained.
  */
-sylvester.Pane.prototype.contains = function(obj) {
+sylvester.Plane.prototype.contains = function(obj, tolerance) {
     if (obj.normal) {
         return null;
     }
     if (obj.direction) {
-        return (this.contains(obj.anchor) && this.contains(obj.anchor.add(obj.direction)));
+        return (this.contains(obj.anchor, tolerance) && this.contains(obj.anchor.add(obj.direction), tolerance));
     } else {
         var P = obj.elements || obj;
         var A = this.anchor.elements, N = this.normal.elements;
         var diff = Math.abs(N[0] * (A[0] - P[0]) + N[1] * (A[1] - P[1]) + N[2] * (A[2] - (P[2] || 0)));
-        return (diff <= Sylvester.precision);
+        return (diff <= Sylvester.tolerance_(tolerance, function() {
+            return Math.max(Sylvester.largest_(A), Sylvester.largest_(P));
+        }));
     }
 };
 
@@ -140,7 +153,7 @@ sylvester.Pane.prototype.contains = function(obj) {
  * @param {*} obj Object to test intersection with.
  * @return {boolean} True if object intersects.
  */
-sylvester.Pane.prototype.intersects = function(obj) {
+sylvester.Plane.prototype.intersects = function(obj) {
     if (typeof(obj.direction) == 'undefined' && typeof(obj.normal) == 'undefined') {
         return null;
     }
@@ -153,9 +166,9 @@ sylvester.Pane.prototype.intersects = function(obj) {
  * @param {*} obj Object to get the intersection with.
  * @return {*} Intersection with object.
  */
-sylvester.Pane.prototype.intersectionWith = function(obj) {
+sylvester.Plane.prototype.intersectionWith = function(obj) {
     if (!this.intersects(obj)) {
-        return null;
+        return sylvester.Error.raise_(sylvester.DegenerateGeometry, 'Plane.intersectionWith', [this.normal, obj.normal || obj.direction || obj], 'no unique intersection');
     }
     if (obj.direction) {
         // obj is a line
@@ -201,7 +214,7 @@ sylvester.Pane.prototype.intersectionWith = function(obj) {
  * @param {sylvester.Vector} point Point to get closest point to.
  * @return {sylvester.Vector} Point on plane closest to point.
  */
-sylvester.Pane.prototype.pointClosestTo = function(point) {
+sylvester.Plane.prototype.pointClosestTo = function(point) {
     var P = point.elements || point;
     var A = this.anchor.elements, N = this.normal.elements;
     var dot = (A[0] - P[0]) * N[0] + (A[1] - P[1]) * N[1] + (A[2] - (P[2] || 0)) * N[2];
@@ -213,15 +226,15 @@ sylvester.Pane.prototype.pointClosestTo = function(point) {
  * See notes on Line#rotate.
  * @param {number} t Radians around the line.
  * @param {sylvester.Line} line sylvester.Line to rotate about.
- * @return {sylvester.Pane} The rotated plane.
+ * @return {sylvester.Plane} The rotated plane.
  */
-sylvester.Pane.prototype.rotate = function(t, line) {
+sylvester.Plane.prototype.rotate = function(t, line) {
     var R = sylvester.Matrix.Rotation(t, line.direction).elements;
     var C = line.pointClosestTo(this.anchor).elements;
     var A = this.anchor.elements, N = this.normal.elements;
     var C1 = C[0], C2 = C[1], C3 = C[2], A1 = A[0], A2 = A[1], A3 = A[2];
     var x = A1 - C1, y = A2 - C2, z = A3 - C3;
-    return sylvester.Pane.create([
+    return sylvester.Plane.create([
         C1 + R[0][0] * x + R[0][1] * y + R[0][2] * z,
         C2 + R[1][0] * x + R[1][1] * y + R[1][2] * z,
         C3 + R[2][0] * x + R[2][1] * y + R[2][2] * z
@@ -235,9 +248,9 @@ sylvester.Pane.prototype.rotate = function(t, line) {
 /**
  * Returns the reflection of the plane in the given point, line or plane.
  * @param {*} obj Object to reflect against.
- * @return {sylvester.Pane} The reflected plane.
+ * @return {sylvester.Plane} The reflected plane.
  */
-sylvester.Pane.prototype.reflectionIn = function(obj) {
+sylvester.Plane.prototype.reflectionIn = function(obj) {
     if (obj.normal) {
         // obj is a plane
         var A = this.anchor.elements, N = this.normal.elements;
@@ -247,14 +260,14 @@ sylvester.Pane.prototype.reflectionIn = function(obj) {
         var AN1 = A1 + N1, AN2 = A2 + N2, AN3 = A3 + N3;
         var Q = obj.pointClosestTo([AN1, AN2, AN3]).elements;
         var newN = [Q[0] + (Q[0] - AN1) - newA[0], Q[1] + (Q[1] - AN2) - newA[1], Q[2] + (Q[2] - AN3) - newA[2]];
-        return sylvester.Pane.create(newA, newN);
+        return sylvester.Plane.create(newA, newN);
     } else if (obj.direction) {
         // obj is a line
         return this.rotate(Math.PI, obj);
     } else {
         // obj is a point
         var P = obj.elements || obj;
-        return sylvester.Pane.create(this.anchor.reflectionIn([P[0], P[1], (P[2] || 0)]), this.normal);
+        return sylvester.Plane.create(this.anchor.reflectionIn([P[0], P[1], (P[2] || 0)]), this.normal);
     }
 };
 
@@ -266,9 +279,9 @@ sylvester.Pane.prototype.reflectionIn = function(obj) {
  * @param {Array.<number>} anchor The anchor of the plane.
  * @param {Array.<number>} v1 See notes.
  * @param {Array.<number>=} v2 See notes.
- * @return {sylvester.Pane} This plane.
+ * @return {sylvester.Plane} This plane.
  */
-sylvester.Pane.prototype.setVectors = function(anchor, v1, v2) {
+sylvester.Plane.prototype.setVectors = function(anchor, v1, v2) {
     anchor = sylvester.Vector.create(anchor);
     anchor = anchor.to3D();
     if (anchor === null) {
@@ -300,13 +313,13 @@ sylvester.Pane.prototype.setVectors = function(anchor, v1, v2) {
         ]);
         mod = normal.modulus();
         if (mod === 0) {
-            return null;
+            return sylvester.Error.raise_(sylvester.DegenerateGeometry, 'Plane.setVectors', [anchor, v1, v2], 'points are collinear');
         }
         normal = sylvester.Vector.create([normal.elements[0] / mod, normal.elements[1] / mod, normal.elements[2] / mod]);
     } else {
         mod = Math.sqrt(v11 * v11 + v12 * v12 + v13 * v13);
         if (mod === 0) {
-            return null;
+            return sylvester.Error.raise_(sylvester.DegenerateGeometry, 'Plane.setVectors', [v1], 'normal is zero');
         }
         normal = sylvester.Vector.create([v1.elements[0] / mod, v1.elements[1] / mod, v1.elements[2] / mod]);
     }
@@ -320,56 +333,63 @@ sylvester.Pane.prototype.setVectors = function(anchor, v1, v2) {
  * @param {Array.<number>} anchor The anchor of the plane.
  * @param {Array.<number>} v1 See notes.
  * @param {Array.<number>=} v2 See notes.
- * @return {sylvester.Pane} This plane.
+ * @return {sylvester.Plane} This plane.
  */
-sylvester.Pane.create = function(anchor, v1, v2) {
-    var P = new sylvester.Pane();
+sylvester.Plane.create = function(anchor, v1, v2) {
+    var P = new sylvester.Plane();
     return P.setVectors(anchor, v1, v2);
 };
 
 // X-Y-Z planes
 
 /**
- * XY Pane
- * @type {sylvester.Pane}
+ * XY Plane
+ * @type {sylvester.Plane}
  */
-sylvester.Pane.XY = sylvester.Pane.create(sylvester.Vector.Zero(3), sylvester.Vector.k);
+sylvester.Plane.XY = sylvester.Plane.create(sylvester.Vector.Zero(3), sylvester.Vector.k);
 
 /**
  * YZ Plane
- * @type {sylvester.Pane}
+ * @type {sylvester.Plane}
  */
-sylvester.Pane.YZ = sylvester.Pane.create(sylvester.Vector.Zero(3), sylvester.Vector.i);
+sylvester.Plane.YZ = sylvester.Plane.create(sylvester.Vector.Zero(3), sylvester.Vector.i);
 
 /**
  * ZX Plane
- * @type {sylvester.Pane}
+ * @type {sylvester.Plane}
  */
-sylvester.Pane.ZX = sylvester.Pane.create(sylvester.Vector.Zero(3), sylvester.Vector.j);
+sylvester.Plane.ZX = sylvester.Plane.create(sylvester.Vector.Zero(3), sylvester.Vector.j);
 
 /**
  * YX Plane
- * @type {sylvester.Pane}
+ * @type {sylvester.Plane}
  */
-sylvester.Pane.YX = sylvester.Pane.XY;
+sylvester.Plane.YX = sylvester.Plane.XY;
 
 /**
  * ZY Plane
- * @type {sylvester.Pane}
+ * @type {sylvester.Plane}
  */
-sylvester.Pane.ZY = sylvester.Pane.YZ;
+sylvester.Plane.ZY = sylvester.Plane.YZ;
 
 /**
  * XZ Plane
- * @type {sylvester.Pane}
+ * @type {sylvester.Plane}
+ */
+sylvester.Plane.XZ = sylvester.Plane.ZX;
+
+/**
+ * Former name of sylvester.Plane, kept so that existing code keeps working.
+ * @deprecated Use sylvester.Plane instead.
+ * @const
  */
-sylvester.Pane.XZ = sylvester.Pane.ZX;
+sylvester.Pane = sylvester.Plane;
 
 /**
  * Constructor function helper.
  * @param {Array.<number>} anchor The anchor of the plane.
  * @param {Array.<number>} v1 See notes.
  * @param {Array.<number>=} v2 See notes.
- * @return {sylvester.Pane} This plane.
+ * @return {sylvester.Plane} This plane.
  */
-var $P = sylvester.Pane.create;
+var $P = sylvester.Plane.create;
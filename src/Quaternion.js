@@ -0,0 +1,397 @@
+goog.provide('sylvester.Quaternion');
+goog.require('sylvester.Error');
+goog.require('sylvester.Matrix');
+goog.require('sylvester.Vector');
+
+/**
+ * === Sylvester ===
+ * Vector and Matrix mathematics modules for JavaScript
+ * Copyright (c) 2007 James Coglan
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining
+ * a copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ *  the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ *  Software is furnished to do so, subject to the following conditions:
+ *
+ *  The above copyright notice and this permission notice shall be included
+ * in all copies or substantial portions of the Software.
+ *
+ *  THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+ *  OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL
+ *  THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ *  LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ *  FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ * Modified by Richard Anaya for Google Closure compilation.
+ */
+
+/**
+ * A class representing a quaternion w + xi + yj + zk. Unit quaternions
+ * represent rotations in 3D; the elements are stored as [w, x, y, z].
+ * @constructor
+ */
+sylvester.Quaternion = function() {
+};
+
+/**
+ * Returns element i of the quaternion, in the order w, x, y, z.
+ * @param {number} i Element index.
+ * @return {number} The ith element.
+ */
+sylvester.Quaternion.prototype.e = function(i) {
+    return (i < 1 || i > 4) ? null : this.elements[i - 1];
+};
+
+/**
+ * Returns true iff the quaternion is equal to the argument. Note that q and
+ * -q represent the same rotation but are not equal.
+ * @param {sylvester.Quaternion} quaternion The quaternion to compare to.
+ * @param {number=} tolerance Largest difference between components, relative
+ *     to the largest component in relative mode; Sylvester.precision if omitted.
+ * @return {boolean} True if they are equal.
+ */
+sylvester.Quaternion.prototype.eql = function(quaternion, tolerance) {
+    var Q = quaternion.elements || quaternion;
+    if (Q.length != 4) {
+        return false;
+    }
+    var P = this.elements;
+    tolerance = Sylvester.tolerance_(tolerance, function() {
+        return Math.max(Sylvester.largest_(P), Sylvester.largest_(Q));
+    });
+    for (var i = 0; i < 4; i++) {
+        if (Math.abs(this.elements[i] - Q[i]) > tolerance) {
+            return false;
+        }
+    }
+    return true;
+};
+
+/**
+ * Returns a copy of the quaternion.
+ * @return {sylvester.Quaternion} Duplicate of this quaternion.
+ */
+sylvester.Quaternion.prototype.dup = function() {
+    return sylvester.Quaternion.create(this.elements);
+};
+
+/**
+ * Returns the modulus ('length') of the quaternion.
+ * @return {number} The modulus.
+ */
+sylvester.Quaternion.prototype.modulus = function() {
+    return Math.sqrt(this.dot(this));
+};
+
+/**
+ * Returns the dot product of the quaternion with the argument.
+ * @param {sylvester.Quaternion} quaternion The other quaternion.
+ * @return {number} The dot product.
+ */
+sylvester.Quaternion.prototype.dot = function(quaternion) {
+    var A = this.elements, B = quaternion.elements || quaternion;
+    return A[0] * B[0] + A[1] * B[1] + A[2] * B[2] + A[3] * B[3];
+};
+
+/**
+ * Returns the Hamilton product of the quaternion with the argument, this * q.
+ * As rotations, the result applies q first and then this quaternion.
+ * @param {sylvester.Quaternion} quaternion The quaternion to multiply by.
+ * @return {sylvester.Quaternion} The product.
+ */
+sylvester.Quaternion.prototype.multiply = function(quaternion) {
+    var A = this.elements, B = quaternion.elements || quaternion;
+    var aw = A[0], ax = A[1], ay = A[2], az = A[3];
+    var bw = B[0], bx = B[1], by = B[2], bz = B[3];
+    return sylvester.Quaternion.create([
+        aw * bw - ax * bx - ay * by - az * bz,
+        aw * bx + ax * bw + ay * bz - az * by,
+        aw * by - ax * bz + ay * bw + az * bx,
+        aw * bz + ax * by - ay * bx + az * bw
+    ]);
+};
+
+/**
+ * Shorthand for multiply.
+ * @param {sylvester.Quaternion} quaternion The quaternion to multiply by.
+ * @return {sylvester.Quaternion} The product.
+ */
+sylvester.Quaternion.prototype.x = function(quaternion) {
+    return this.multiply(quaternion);
+};
+
+/**
+ * Returns the conjugate w - xi - yj - zk of the quaternion. For unit
+ * quaternions this is the inverse rotation.
+ * @return {sylvester.Quaternion} The conjugate.
+ */
+sylvester.Quaternion.prototype.conjugate = function() {
+    var Q = this.elements;
+    return sylvester.Quaternion.create([Q[0], -Q[1], -Q[2], -Q[3]]);
+};
+
+/**
+ * Returns the multiplicative inverse of the quaternion.
+ * @return {sylvester.Quaternion} The inverse, or null for the zero quaternion.
+ */
+sylvester.Quaternion.prototype.inverse = function() {
+    var n = this.dot(this);
+    if (n === 0) {
+        return sylvester.Error.raise_(sylvester.DegenerateGeometry, 'Quaternion.inverse', [this], 'quaternion is zero');
+    }
+    var Q = this.elements;
+    return sylvester.Quaternion.create([Q[0] / n, -Q[1] / n, -Q[2] / n, -Q[3] / n]);
+};
+
+/**
+ * Returns the quaternion scaled to unit length.
+ * @return {sylvester.Quaternion} The unit quaternion, or a copy of the
+ *     quaternion if it is zero.
+ */
+sylvester.Quaternion.prototype.normalize = function() {
+    var r = this.modulus();
+    if (r === 0) {
+        return this.dup();
+    }
+    var Q = this.elements;
+    return sylvester.Quaternion.create([Q[0] / r, Q[1] / r, Q[2] / r, Q[3] / r]);
+};
+
+/**
+ * Returns the result of rotating a 3D vector by the quaternion, which is
+ * assumed to be of unit length.
+ * @param {sylvester.Vector|Array.<number>} vector The vector to rotate.
+ * @return {sylvester.Vector} The rotated vector, or null if it is not 3D.
+ */
+sylvester.Quaternion.prototype.rotateVector = function(vector) {
+    var V = vector.elements || vector;
+    if (V.length != 3) {
+        return sylvester.Error.raise_(sylvester.DimensionMismatch, 'Quaternion.rotateVector', [vector]);
+    }
+    var Q = this.elements, w = Q[0], x = Q[1], y = Q[2], z = Q[3];
+    // v' = v + 2w(q x v) + 2q x (q x v), with q the vector part
+    var tx = 2 * (y * V[2] - z * V[1]);
+    var ty = 2 * (z * V[0] - x * V[2]);
+    var tz = 2 * (x * V[1] - y * V[0]);
+    return sylvester.Vector.create([
+        V[0] + w * tx + y * tz - z * ty,
+        V[1] + w * ty + z * tx - x * tz,
+        V[2] + w * tz + x * ty - y * tx
+    ]);
+};
+
+/**
+ * Spherical linear interpolation between the quaternion (t = 0) and the
+ * argument (t = 1), along the shorter arc. Both are assumed to be of unit length.
+ * @param {sylvester.Quaternion} quaternion The target quaternion.
+ * @param {number} t Interpolation parameter.
+ * @return {sylvester.Quaternion} The interpolated unit quaternion.
+ */
+sylvester.Quaternion.prototype.slerp = function(quaternion, t) {
+    var A = this.elements, B = quaternion.elements || quaternion;
+    var cos = this.dot(B), sign = 1;
+    if (cos < 0) {
+        cos = -cos;
+        sign = -1;
+    }
+    // Nearly parallel quaternions fall back to normalised linear interpolation
+    if (cos > 1 - Sylvester.precision) {
+        return this.nlerp(quaternion, t);
+    }
+    var theta = Math.acos(cos), sin = Math.sin(theta);
+    var k0 = Math.sin((1 - t) * theta) / sin, k1 = sign * Math.sin(t * theta) / sin;
+    return sylvester.Quaternion.create([
+        k0 * A[0] + k1 * B[0],
+        k0 * A[1] + k1 * B[1],
+        k0 * A[2] + k1 * B[2],
+        k0 * A[3] + k1 * B[3]
+    ]);
+};
+
+/**
+ * Normalised linear interpolation between the quaternion (t = 0) and the
+ * argument (t = 1), along the shorter arc. Cheaper than slerp, but does not
+ * move at a constant angular speed.
+ * @param {sylvester.Quaternion} quaternion The target quaternion.
+ * @param {number} t Interpolation parameter.
+ * @return {sylvester.Quaternion} The interpolated unit quaternion.
+ */
+sylvester.Quaternion.prototype.nlerp = function(quaternion, t) {
+    var A = this.elements, B = quaternion.elements || quaternion;
+    var k0 = 1 - t, k1 = this.dot(B) < 0 ? -t : t;
+    return sylvester.Quaternion.create([
+        k0 * A[0] + k1 * B[0],
+        k0 * A[1] + k1 * B[1],
+        k0 * A[2] + k1 * B[2],
+        k0 * A[3] + k1 * B[3]
+    ]).normalize();
+};
+
+/**
+ * Returns the rotation axis and angle of the unit quaternion. The angle is in
+ * [0, 2PI]; the identity rotation gives the x axis and an angle of 0.
+ * @return {{axis: sylvester.Vector, angle: number}} The axis and angle.
+ */
+sylvester.Quaternion.prototype.toAxisAngle = function() {
+    var Q = this.elements, w = Math.max(-1, Math.min(1, Q[0]));
+    var s = Math.sqrt(Q[1] * Q[1] + Q[2] * Q[2] + Q[3] * Q[3]);
+    if (s <= Sylvester.precision * Sylvester.precision) {
+        return {axis: sylvester.Vector.create([1, 0, 0]), angle: 0};
+    }
+    return {
+        axis: sylvester.Vector.create([Q[1] / s, Q[2] / s, Q[3] / s]),
+        angle: 2 * Math.acos(w)
+    };
+};
+
+/**
+ * Returns the 3x3 rotation matrix of the unit quaternion.
+ * @return {sylvester.Matrix} The rotation matrix.
+ */
+sylvester.Quaternion.prototype.toMatrix3x3 = function() {
+    var Q = this.elements, w = Q[0], x = Q[1], y = Q[2], z = Q[3];
+    return sylvester.Matrix.create([
+        [1 - 2 * (y * y + z * z), 2 * (x * y - w * z), 2 * (x * z + w * y)],
+        [2 * (x * y + w * z), 1 - 2 * (x * x + z * z), 2 * (y * z - w * x)],
+        [2 * (x * z - w * y), 2 * (y * z + w * x), 1 - 2 * (x * x + y * y)]
+    ]);
+};
+
+/**
+ * Returns the 4x4 homogeneous rotation matrix of the unit quaternion.
+ * @return {sylvester.Matrix} The rotation matrix.
+ */
+sylvester.Quaternion.prototype.toMatrix4x4 = function() {
+    return this.toMatrix3x3().ensure4x4();
+};
+
+/**
+ * Returns a string representation of the quaternion.
+ * @return {string} String representation.
+ */
+sylvester.Quaternion.prototype.inspect = function() {
+    return '[' + this.elements.join(', ') + ']';
+};
+
+/**
+ * Set the quaternion's elements from an array in the order w, x, y, z.
+ * @param {Array.<number>} els Elements to set.
+ * @return {sylvester.Quaternion} This quaternion.
+ */
+sylvester.Quaternion.prototype.setElements = function(els) {
+    this.elements = Array.prototype.slice.call(els.elements || els);
+    return this;
+};
+
+/**
+ * Constructor function.
+ * @param {Array.<number>} elements Elements in the order w, x, y, z.
+ * @return {sylvester.Quaternion} The new quaternion.
+ */
+sylvester.Quaternion.create = function(elements) {
+    var Q = new sylvester.Quaternion();
+    return Q.setElements(elements);
+};
+
+/**
+ * The identity quaternion, representing no rotation.
+ * @return {sylvester.Quaternion} The identity quaternion.
+ */
+sylvester.Quaternion.Identity = function() {
+    return sylvester.Quaternion.create([1, 0, 0, 0]);
+};
+
+/**
+ * Returns the unit quaternion rotating by theta about the given axis, with the
+ * same handedness as sylvester.Matrix.Rotation.
+ * @param {sylvester.Vector|Array.<number>} axis Axis to rotate around.
+ * @param {number} theta Angle to rotate.
+ * @return {sylvester.Quaternion} The rotation, or null if the axis is not a
+ *     non-zero 3D vector.
+ */
+sylvester.Quaternion.fromAxisAngle = function(axis, theta) {
+    var A = axis.elements || axis;
+    if (A.length != 3) {
+        return sylvester.Error.raise_(sylvester.DimensionMismatch, 'Quaternion.fromAxisAngle', [axis]);
+    }
+    var mod = Math.sqrt(A[0] * A[0] + A[1] * A[1] + A[2] * A[2]);
+    if (mod === 0) {
+        return sylvester.Error.raise_(sylvester.DegenerateGeometry, 'Quaternion.fromAxisAngle', [axis], 'axis is zero');
+    }
+    var s = Math.sin(theta / 2) / mod;
+    return sylvester.Quaternion.create([Math.cos(theta / 2), A[0] * s, A[1] * s, A[2] * s]);
+};
+
+/**
+ * Returns the unit quaternion for a sequence of rotations about the
+ * coordinate axes. The order names the axis of each angle, so with order
+ * 'XYZ' the result is Rx(angles[0]) * Ry(angles[1]) * Rz(angles[2]): rotations
+ * about the body's own axes applied from left to right, or equivalently
+ * about the fixed axes applied from right to left, as for
+ * sylvester.Matrix.fromEuler.
+ * @param {sylvester.Vector|Array.<number>} angles The three angles.
+ * @param {string=} order Any of the 12 sequences of 'X', 'Y' and 'Z' with no
+ *     axis repeated consecutively, 'XYZ' by default.
+ * @return {sylvester.Quaternion} The rotation, or null for an invalid order.
+ */
+sylvester.Quaternion.fromEuler = function(angles, order) {
+    var A = angles.elements || angles, axes = sylvester.Matrix.eulerAxes_(order);
+    if (!axes) {
+        return sylvester.Error.raise_(sylvester.InvalidArgument, 'Quaternion.fromEuler', [angles, order],
+            'unknown rotation order ' + order);
+    }
+    if (A.length != 3) {
+        return sylvester.Error.raise_(sylvester.DimensionMismatch, 'Quaternion.fromEuler', [angles]);
+    }
+    var Q = sylvester.Quaternion.Identity(), axis;
+    for (var i = 0; i < 3; i++) {
+        axis = [0, 0, 0];
+        axis[axes[i]] = 1;
+        Q = Q.multiply(sylvester.Quaternion.fromAxisAngle(axis, A[i]));
+    }
+    return Q;
+};
+
+/**
+ * Returns the unit quaternion for a rotation matrix, either 3x3 or the upper
+ * left 3x3 block of a 4x4 matrix. The result has a non-negative w.
+ * @param {sylvester.Matrix} matrix The rotation matrix.
+ * @return {sylvester.Quaternion} The rotation, or null if the matrix is not 3x3 or 4x4.
+ */
+sylvester.Quaternion.fromMatrix = function(matrix) {
+    var M = matrix.elements || matrix;
+    var n = M.length;
+    if ((n != 3 && n != 4) || M[0].length != n) {
+        return sylvester.Error.raise_(sylvester.DimensionMismatch, 'Quaternion.fromMatrix', [matrix], 'matrix is not 3x3 or 4x4');
+    }
+    var m00 = M[0][0], m11 = M[1][1], m22 = M[2][2], trace = m00 + m11 + m22, s, Q;
+    // Take the square root of the largest of 4w^2, 4x^2, 4y^2 and 4z^2 for stability
+    if (trace > 0) {
+        s = 2 * Math.sqrt(1 + trace);
+        Q = [s / 4, (M[2][1] - M[1][2]) / s, (M[0][2] - M[2][0]) / s, (M[1][0] - M[0][1]) / s];
+    } else if (m00 > m11 && m00 > m22) {
+        s = 2 * Math.sqrt(1 + m00 - m11 - m22);
+        Q = [(M[2][1] - M[1][2]) / s, s / 4, (M[0][1] + M[1][0]) / s, (M[0][2] + M[2][0]) / s];
+    } else if (m11 > m22) {
+        s = 2 * Math.sqrt(1 + m11 - m00 - m22);
+        Q = [(M[0][2] - M[2][0]) / s, (M[0][1] + M[1][0]) / s, s / 4, (M[1][2] + M[2][1]) / s];
+    } else {
+        s = 2 * Math.sqrt(1 + m22 - m00 - m11);
+        Q = [(M[1][0] - M[0][1]) / s, (M[0][2] + M[2][0]) / s, (M[1][2] + M[2][1]) / s, s / 4];
+    }
+    if (Q[0] < 0) {
+        Q = [-Q[0], -Q[1], -Q[2], -Q[3]];
+    }
+    return sylvester.Quaternion.create(Q).normalize();
+};
+
+/**
+ * Constructor function helper.
+ * @param {Array.<number>} elements Elements in the order w, x, y, z.
+ * @return {sylvester.Quaternion} The new quaternion.
+ */
+var $Q = sylvester.Quaternion.create;
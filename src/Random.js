@@ -0,0 +1,135 @@
+goog.provide('sylvester.Random');
+
+/**
+ * === Sylvester ===
+ * Vector and Matrix mathematics modules for JavaScript
+ * Copyright (c) 2007 James Coglan
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining
+ * a copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ *  the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ *  Software is furnished to do so, subject to the following conditions:
+ *
+ *  The above copyright notice and this permission notice shall be included
+ * in all copies or substantial portions of the Software.
+ *
+ *  THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+ *  OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL
+ *  THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ *  LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ *  FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ * Modified by Richard Anaya for Google Closure compilation.
+ */
+
+/**
+ * A seedable pseudo-random number generator (xoshiro128**, with its state
+ * filled from the seed by a SplitMix-style hash). Generators with the same
+ * seed produce the same sequence, so simulations and tests can be replayed.
+ * To make every random constructor draw from one, use Sylvester.seedRandom or
+ * set Sylvester.random.
+ * @constructor
+ */
+sylvester.Random = function() {
+};
+
+/**
+ * Creates a generator from a seed.
+ * @param {number=} seed 32-bit integer seed; a random one is used if omitted.
+ * @return {sylvester.Random} The generator.
+ */
+sylvester.Random.create = function(seed) {
+    var R = new sylvester.Random();
+    return R.seed(seed);
+};
+
+/**
+ * Resets the generator to the start of the sequence for a seed.
+ * @param {number=} seed 32-bit integer seed; a random one is used if omitted.
+ * @return {sylvester.Random} This generator.
+ */
+sylvester.Random.prototype.seed = function(seed) {
+    var x = (typeof(seed) == 'number') ? seed >>> 0 : Math.floor(Math.random() * 4294967296);
+    var z;
+    this.state_ = [];
+    for (var i = 0; i < 4; i++) {
+        x = (x + 0x9E3779B9) | 0;
+        z = Math.imul(x ^ (x >>> 16), 0x85EBCA6B);
+        z = Math.imul(z ^ (z >>> 13), 0xC2B2AE35);
+        this.state_[i] = (z ^ (z >>> 16)) >>> 0;
+    }
+    return this;
+};
+
+/**
+ * Returns the next number in the sequence, uniform in [0, 1) with 32 bits of
+ * resolution.
+ * @return {number} The number.
+ */
+sylvester.Random.prototype.next = function() {
+    var s = this.state_;
+    var result = Math.imul(sylvester.Random.rotl_(Math.imul(s[1], 5), 7), 9);
+    var t = s[1] << 9;
+    s[2] ^= s[0];
+    s[3] ^= s[1];
+    s[1] ^= s[2];
+    s[0] ^= s[3];
+    s[2] ^= t;
+    s[3] = sylvester.Random.rotl_(s[3], 11);
+    return (result >>> 0) / 4294967296;
+};
+
+/**
+ * Returns a function that draws from this generator, for use as Sylvester.random.
+ * @return {function(): number} The function.
+ */
+sylvester.Random.prototype.toFunction = function() {
+    var self = this;
+    return function() {
+        return self.next();
+    };
+};
+
+/**
+ * Rotates a 32-bit integer left.
+ * @param {number} x The integer.
+ * @param {number} k Number of bits.
+ * @return {number} The rotated integer.
+ * @private
+ */
+sylvester.Random.rotl_ = function(x, k) {
+    return (x << k) | (x >>> (32 - k));
+};
+
+/**
+ * Returns a number drawn uniformly from [min, max), using Sylvester.random.
+ * @param {number=} min Lower bound, 0 by default.
+ * @param {number=} max Upper bound, 1 by default.
+ * @return {number} The number.
+ */
+sylvester.Random.uniform = function(min, max) {
+    min = (typeof(min) == 'number') ? min : 0;
+    max = (typeof(max) == 'number') ? max : 1;
+    return min + (max - min) * Sylvester.random();
+};
+
+/**
+ * Returns a number drawn from the normal distribution, using Sylvester.random
+ * and the Box-Muller transform. Only one of the pair of normal deviates made by
+ * the transform is used, so that each call consumes exactly two uniform numbers
+ * and reseeding replays the same values.
+ * @param {number=} mean The mean, 0 by default.
+ * @param {number=} sd The standard deviation, 1 by default.
+ * @return {number} The number.
+ */
+sylvester.Random.normal = function(mean, sd) {
+    mean = (typeof(mean) == 'number') ? mean : 0;
+    sd = (typeof(sd) == 'number') ? sd : 1;
+    // 1 - u lies in (0, 1], so its logarithm is finite
+    var u = 1 - Sylvester.random(), v = Sylvester.random();
+    return mean + sd * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
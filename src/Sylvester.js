@@ -1,7 +1,11 @@
 goog.provide('sylvester');
+goog.require('sylvester.Error');
+goog.require('sylvester.Frustum');
 goog.require('sylvester.Line');
 goog.require('sylvester.Matrix');
 goog.require('sylvester.Plane');
+goog.require('sylvester.Quaternion');
+goog.require('sylvester.Random');
 goog.require('sylvester.Vector');
 
 /**
@@ -42,10 +46,114 @@ var Sylvester = {};
 Sylvester.version = '0.1.3';
 
 /**
- * A variable used for determining the precision of our math we use
+ * A variable used for determining the precision of our math we use. The
+ * predicates eql, isParallelTo, contains, snapTo and rank also take a
+ * tolerance of their own, which overrides it for a single call.
+ * @type {number}
  */
 Sylvester.precision = 1e-6;
 
+/**
+ * Whether tolerances are relative to the size of the values compared rather
+ * than absolute. Vectors and matrices are then equal when their elements differ
+ * by at most the tolerance times their largest element, and a point lies on a
+ * line or plane when its distance is at most the tolerance times the size of
+ * its coordinates, so that the same precision serves millimetres and
+ * kilometres alike. Angles are compared in radians in either mode.
+ * @type {boolean}
+ */
+Sylvester.relative = false;
+
+/**
+ * Calls a function with a different precision, and optionally tolerance mode,
+ * restoring the previous settings when it returns or throws.
+ * @param {number} precision The precision to use, see Sylvester.precision.
+ * @param {function(): *} fn The function to call.
+ * @param {boolean=} relative Whether the precision is relative, see
+ *     Sylvester.relative; the current mode is kept if omitted.
+ * @return {*} The value returned by fn.
+ */
+Sylvester.withPrecision = function(precision, fn, relative) {
+    var oldPrecision = Sylvester.precision, oldRelative = Sylvester.relative;
+    Sylvester.precision = precision;
+    if (typeof(relative) != 'undefined') {
+        Sylvester.relative = relative;
+    }
+    try {
+        return fn();
+    } finally {
+        Sylvester.precision = oldPrecision;
+        Sylvester.relative = oldRelative;
+    }
+};
+
+/**
+ * Returns the tolerance a difference is compared against: the tolerance given
+ * to a method, or Sylvester.precision if it was omitted, scaled in relative
+ * mode by the magnitude of the values compared.
+ * @param {number|undefined} tolerance The tolerance given to the method.
+ * @param {function(): number=} scale Returns the magnitude of the values
+ *     compared; only called in relative mode. Omitted for angles.
+ * @return {number} The tolerance.
+ * @private
+ */
+Sylvester.tolerance_ = function(tolerance, scale) {
+    if (typeof(tolerance) == 'undefined') {
+        tolerance = Sylvester.precision;
+    }
+    return (Sylvester.relative && scale) ? tolerance * scale() : tolerance;
+};
+
+/**
+ * Returns the largest magnitude among some numbers, or among the elements of
+ * some rows.
+ * @param {Array.<number>|Array.<Array.<number>>} elements The numbers or rows.
+ * @return {number} The largest magnitude.
+ * @private
+ */
+Sylvester.largest_ = function(elements) {
+    var largest = 0, x;
+    for (var i = 0; i < elements.length; i++) {
+        x = elements[i].length ? Sylvester.largest_(elements[i]) : Math.abs(elements[i]);
+        if (x > largest) {
+            largest = x;
+        }
+    }
+    return largest;
+};
+
+/**
+ * Whether bad input raises errors. By default methods return null for input
+ * they cannot handle, such as vectors of different sizes, a singular matrix to
+ * invert or a zero direction for a line. In strict mode they throw a
+ * sylvester.DimensionMismatch, sylvester.InvalidArgument,
+ * sylvester.SingularMatrix, sylvester.DegenerateGeometry or
+ * sylvester.NoConvergence instead, carrying the shapes of the operands.
+ * Solving a singular system throws a sylvester.SingularMatrix in either mode.
+ * @type {boolean}
+ */
+Sylvester.strict = false;
+
+/**
+ * The source of uniform random numbers in [0, 1) that every random constructor
+ * draws from, Math.random by default. Any function returning such numbers can
+ * be plugged in; see also Sylvester.seedRandom.
+ * @type {function(): number}
+ */
+Sylvester.random = Math.random;
+
+/**
+ * Makes every random constructor draw from a new seeded generator, so that the
+ * values they produce can be reproduced by seeding again with the same number.
+ * @param {number=} seed 32-bit integer seed; a random one is used if omitted.
+ * @return {sylvester.Random} The generator, now used by Sylvester.random.
+ */
+Sylvester.seedRandom = function(seed) {
+    var generator = sylvester.Random.create(seed);
+    Sylvester.random = generator.toFunction();
+    return generator;
+};
+
 /**
  * Convert a matrix to an html formated string. Useful for quick print outs.
  * @param {sylvester.Matrix} m The input matrix.
@@ -69,28 +177,109 @@ Sylvester.matrixToHtml = function(m) {
 
 /**
  * Helper function for making a lookout matrix similar to the functionality of gluLookAt.
- * @param {number} ex TO BE FIXED.
- * @param {number} ey TO BE FIXED.
- * @param {number} ez TO BE FIXED.
- * @param {number} cx TO BE FIXED.
- * @param {number} cy TO BE FIXED.
- * @param {number} cz TO BE FIXED.
- * @param {number} ux TO BE FIXED.
- * @param {number} uy TO BE FIXED.
- * @param {number} uz TO BE FIXED.
+ * The result is a right-handed view matrix: the camera looks down its -z axis,
+ * as the projection builders without an LH suffix expect.
+ * @param {number} ex X coordinate of the eye.
+ * @param {number} ey Y coordinate of the eye.
+ * @param {number} ez Z coordinate of the eye.
+ * @param {number} cx X coordinate of the point looked at.
+ * @param {number} cy Y coordinate of the point looked at.
+ * @param {number} cz Z coordinate of the point looked at.
+ * @param {number} ux X component of the up direction.
+ * @param {number} uy Y component of the up direction.
+ * @param {number} uz Z component of the up direction.
  * @return {sylvester.Matrix} The look at matrix.
  */
 Sylvester.makeLookAt = function(ex, ey, ez, cx, cy, cz, ux, uy, uz) {
+    return Sylvester.lookAt_(ex, ey, ez, cx, cy, cz, ux, uy, uz, false, false);
+};
+
+/**
+ * Inverse of makeLookAt, the camera-to-world matrix, built directly.
+ * @param {number} ex X coordinate of the eye.
+ * @param {number} ey Y coordinate of the eye.
+ * @param {number} ez Z coordinate of the eye.
+ * @param {number} cx X coordinate of the point looked at.
+ * @param {number} cy Y coordinate of the point looked at.
+ * @param {number} cz Z coordinate of the point looked at.
+ * @param {number} ux X component of the up direction.
+ * @param {number} uy Y component of the up direction.
+ * @param {number} uz Z component of the up direction.
+ * @return {sylvester.Matrix} The inverse look at matrix.
+ */
+Sylvester.makeLookAtInverse = function(ex, ey, ez, cx, cy, cz, ux, uy, uz) {
+    return Sylvester.lookAt_(ex, ey, ez, cx, cy, cz, ux, uy, uz, false, true);
+};
+
+/**
+ * Left-handed variant of makeLookAt, as used with Direct3D conventions: the
+ * camera looks down its +z axis, as the LH projection builders expect.
+ * @param {number} ex X coordinate of the eye.
+ * @param {number} ey Y coordinate of the eye.
+ * @param {number} ez Z coordinate of the eye.
+ * @param {number} cx X coordinate of the point looked at.
+ * @param {number} cy Y coordinate of the point looked at.
+ * @param {number} cz Z coordinate of the point looked at.
+ * @param {number} ux X component of the up direction.
+ * @param {number} uy Y component of the up direction.
+ * @param {number} uz Z component of the up direction.
+ * @return {sylvester.Matrix} The look at matrix.
+ */
+Sylvester.makeLookAtLH = function(ex, ey, ez, cx, cy, cz, ux, uy, uz) {
+    return Sylvester.lookAt_(ex, ey, ez, cx, cy, cz, ux, uy, uz, true, false);
+};
+
+/**
+ * Inverse of makeLookAtLH, built directly.
+ * @param {number} ex X coordinate of the eye.
+ * @param {number} ey Y coordinate of the eye.
+ * @param {number} ez Z coordinate of the eye.
+ * @param {number} cx X coordinate of the point looked at.
+ * @param {number} cy Y coordinate of the point looked at.
+ * @param {number} cz Z coordinate of the point looked at.
+ * @param {number} ux X component of the up direction.
+ * @param {number} uy Y component of the up direction.
+ * @param {number} uz Z component of the up direction.
+ * @return {sylvester.Matrix} The inverse look at matrix.
+ */
+Sylvester.makeLookAtLHInverse = function(ex, ey, ez, cx, cy, cz, ux, uy, uz) {
+    return Sylvester.lookAt_(ex, ey, ez, cx, cy, cz, ux, uy, uz, true, true);
+};
+
+/**
+ * Builds a look at matrix or its inverse.
+ * @param {number} ex X coordinate of the eye.
+ * @param {number} ey Y coordinate of the eye.
+ * @param {number} ez Z coordinate of the eye.
+ * @param {number} cx X coordinate of the point looked at.
+ * @param {number} cy Y coordinate of the point looked at.
+ * @param {number} cz Z coordinate of the point looked at.
+ * @param {number} ux X component of the up direction.
+ * @param {number} uy Y component of the up direction.
+ * @param {number} uz Z component of the up direction.
+ * @param {boolean} leftHanded True for a camera looking down +z.
+ * @param {boolean} inverse True for the camera-to-world matrix.
+ * @return {sylvester.Matrix} The matrix.
+ * @private
+ */
+Sylvester.lookAt_ = function(ex, ey, ez, cx, cy, cz, ux, uy, uz, leftHanded, inverse) {
     var eye = $V([ex, ey, ez]);
     var center = $V([cx, cy, cz]);
     var up = $V([ux, uy, uz]);
 
-    var mag;
-
-    var z = eye.subtract(center).toUnitVector();
+    var z = (leftHanded ? center.subtract(eye) : eye.subtract(center)).toUnitVector();
     var x = up.cross(z).toUnitVector();
     var y = z.cross(x).toUnitVector();
 
+    if (inverse) {
+        return $M([
+            [x.e(1), y.e(1), z.e(1), ex],
+            [x.e(2), y.e(2), z.e(2), ey],
+            [x.e(3), y.e(3), z.e(3), ez],
+            [0, 0, 0, 1]
+        ]);
+    }
+
     var m = $M([
         [x.e(1), x.e(2), x.e(3), 0],
         [y.e(1), y.e(2), y.e(3), 0],
@@ -109,66 +298,538 @@ Sylvester.makeLookAt = function(ex, ey, ez, cx, cy, cz, ux, uy, uz) {
 
 /**
  * Make a perspective matrix similar to the functionality of gluPerspective.
- * @param {number} fovy TO BE FIXED.
- * @param {number} aspect TO BE FIXED.
- * @param {number} znear TO BE FIXED.
- * @param {number} zfar TO BE FIXED.
+ * Like all the projection helpers without an LH suffix it is right-handed,
+ * mapping eye space with the camera looking down -z (see makeLookAt) to clip
+ * space.
+ * @param {number} fovy Vertical field of view in degrees.
+ * @param {number} aspect Aspect ratio, width over height.
+ * @param {number} znear Distance to the near clipping plane.
+ * @param {number} zfar Distance to the far clipping plane.
+ * @param {boolean=} zeroToOne True to map depth to [0, 1], as WebGPU and
+ *     Direct3D expect, instead of the OpenGL range [-1, 1].
  * @return {sylvester.Matrix} The perspective matrix.
  */
-Sylvester.makePerspective = function(fovy, aspect, znear, zfar) {
+Sylvester.makePerspective = function(fovy, aspect, znear, zfar, zeroToOne) {
     var ymax = znear * Math.tan(fovy * Math.PI / 360.0);
     var ymin = -ymax;
     var xmin = ymin * aspect;
     var xmax = ymax * aspect;
 
-    return makeFrustum(xmin, xmax, ymin, ymax, znear, zfar);
+    return Sylvester.makeFrustum(xmin, xmax, ymin, ymax, znear, zfar, zeroToOne);
+};
+
+/**
+ * Inverse of makePerspective, built directly.
+ * @param {number} fovy Vertical field of view in degrees.
+ * @param {number} aspect Aspect ratio, width over height.
+ * @param {number} znear Distance to the near clipping plane.
+ * @param {number} zfar Distance to the far clipping plane.
+ * @param {boolean=} zeroToOne True if depth is mapped to [0, 1].
+ * @return {sylvester.Matrix} The inverse perspective matrix.
+ */
+Sylvester.makePerspectiveInverse = function(fovy, aspect, znear, zfar, zeroToOne) {
+    var ymax = znear * Math.tan(fovy * Math.PI / 360.0);
+    return Sylvester.makeFrustumInverse(-ymax * aspect, ymax * aspect, -ymax, ymax, znear, zfar, zeroToOne);
 };
 
 /**
- * Make a frustrum matrix similar to the functionality of glFrustum.
- * @param {number} left TO BE FIXED.
- * @param {number} right TO BE FIXED.
- * @param {number} bottom TO BE FIXED.
- * @param {number} top TO BE FIXED.
- * @param {number} znear TO BE FIXED.
- * @param {number} zfar TO BE FIXED.
+ * Left-handed variant of makePerspective, as used with Direct3D conventions:
+ * it maps eye space with the camera looking down +z (see makeLookAtLH) to
+ * clip space.
+ * @param {number} fovy Vertical field of view in degrees.
+ * @param {number} aspect Aspect ratio, width over height.
+ * @param {number} znear Distance to the near clipping plane.
+ * @param {number} zfar Distance to the far clipping plane.
+ * @param {boolean=} zeroToOne True to map depth to [0, 1] instead of [-1, 1].
+ * @return {sylvester.Matrix} The perspective matrix.
+ */
+Sylvester.makePerspectiveLH = function(fovy, aspect, znear, zfar, zeroToOne) {
+    var ymax = znear * Math.tan(fovy * Math.PI / 360.0);
+    return Sylvester.makeFrustumLH(-ymax * aspect, ymax * aspect, -ymax, ymax, znear, zfar, zeroToOne);
+};
+
+/**
+ * Inverse of makePerspectiveLH, built directly.
+ * @param {number} fovy Vertical field of view in degrees.
+ * @param {number} aspect Aspect ratio, width over height.
+ * @param {number} znear Distance to the near clipping plane.
+ * @param {number} zfar Distance to the far clipping plane.
+ * @param {boolean=} zeroToOne True if depth is mapped to [0, 1].
+ * @return {sylvester.Matrix} The inverse perspective matrix.
+ */
+Sylvester.makePerspectiveLHInverse = function(fovy, aspect, znear, zfar, zeroToOne) {
+    var ymax = znear * Math.tan(fovy * Math.PI / 360.0);
+    return Sylvester.makeFrustumLHInverse(-ymax * aspect, ymax * aspect, -ymax, ymax, znear, zfar, zeroToOne);
+};
+
+/**
+ * Make a right-handed perspective matrix with the far clipping plane at infinity.
+ * @param {number} fovy Vertical field of view in degrees.
+ * @param {number} aspect Aspect ratio, width over height.
+ * @param {number} znear Distance to the near clipping plane.
+ * @param {boolean=} zeroToOne True to map depth to [0, 1] instead of [-1, 1].
+ * @return {sylvester.Matrix} The perspective matrix.
+ */
+Sylvester.makeInfinitePerspective = function(fovy, aspect, znear, zeroToOne) {
+    return Sylvester.makePerspective(fovy, aspect, znear, Infinity, zeroToOne);
+};
+
+/**
+ * Inverse of makeInfinitePerspective, built directly.
+ * @param {number} fovy Vertical field of view in degrees.
+ * @param {number} aspect Aspect ratio, width over height.
+ * @param {number} znear Distance to the near clipping plane.
+ * @param {boolean=} zeroToOne True if depth is mapped to [0, 1].
+ * @return {sylvester.Matrix} The inverse perspective matrix.
+ */
+Sylvester.makeInfinitePerspectiveInverse = function(fovy, aspect, znear, zeroToOne) {
+    return Sylvester.makePerspectiveInverse(fovy, aspect, znear, Infinity, zeroToOne);
+};
+
+/**
+ * Left-handed variant of makeInfinitePerspective, for a camera looking down +z.
+ * @param {number} fovy Vertical field of view in degrees.
+ * @param {number} aspect Aspect ratio, width over height.
+ * @param {number} znear Distance to the near clipping plane.
+ * @param {boolean=} zeroToOne True to map depth to [0, 1] instead of [-1, 1].
+ * @return {sylvester.Matrix} The perspective matrix.
+ */
+Sylvester.makeInfinitePerspectiveLH = function(fovy, aspect, znear, zeroToOne) {
+    return Sylvester.makePerspectiveLH(fovy, aspect, znear, Infinity, zeroToOne);
+};
+
+/**
+ * Inverse of makeInfinitePerspectiveLH, built directly.
+ * @param {number} fovy Vertical field of view in degrees.
+ * @param {number} aspect Aspect ratio, width over height.
+ * @param {number} znear Distance to the near clipping plane.
+ * @param {boolean=} zeroToOne True if depth is mapped to [0, 1].
+ * @return {sylvester.Matrix} The inverse perspective matrix.
+ */
+Sylvester.makeInfinitePerspectiveLHInverse = function(fovy, aspect, znear, zeroToOne) {
+    return Sylvester.makePerspectiveLHInverse(fovy, aspect, znear, Infinity, zeroToOne);
+};
+
+/**
+ * Make a right-handed reversed-Z perspective matrix, which maps the near plane
+ * to depth 1 and the far plane to depth 0. This spreads floating point depth
+ * precision evenly and is always used with the [0, 1] depth range.
+ * @param {number} fovy Vertical field of view in degrees.
+ * @param {number} aspect Aspect ratio, width over height.
+ * @param {number} znear Distance to the near clipping plane.
+ * @param {number=} zfar Distance to the far clipping plane, infinite if omitted.
+ * @return {sylvester.Matrix} The perspective matrix.
+ */
+Sylvester.makeReversedZPerspective = function(fovy, aspect, znear, zfar) {
+    var depth = Sylvester.reversedDepth_(znear, zfar);
+    var Y = 1 / Math.tan(fovy * Math.PI / 360.0);
+    return Sylvester.frustumMatrix_(Y / aspect, Y, 0, 0, depth[0], depth[1], false, false);
+};
+
+/**
+ * Inverse of makeReversedZPerspective, built directly.
+ * @param {number} fovy Vertical field of view in degrees.
+ * @param {number} aspect Aspect ratio, width over height.
+ * @param {number} znear Distance to the near clipping plane.
+ * @param {number=} zfar Distance to the far clipping plane, infinite if omitted.
+ * @return {sylvester.Matrix} The inverse perspective matrix.
+ */
+Sylvester.makeReversedZPerspectiveInverse = function(fovy, aspect, znear, zfar) {
+    var depth = Sylvester.reversedDepth_(znear, zfar);
+    var Y = 1 / Math.tan(fovy * Math.PI / 360.0);
+    return Sylvester.frustumMatrix_(Y / aspect, Y, 0, 0, depth[0], depth[1], false, true);
+};
+
+/**
+ * Left-handed variant of makeReversedZPerspective, for a camera looking down +z.
+ * @param {number} fovy Vertical field of view in degrees.
+ * @param {number} aspect Aspect ratio, width over height.
+ * @param {number} znear Distance to the near clipping plane.
+ * @param {number=} zfar Distance to the far clipping plane, infinite if omitted.
+ * @return {sylvester.Matrix} The perspective matrix.
+ */
+Sylvester.makeReversedZPerspectiveLH = function(fovy, aspect, znear, zfar) {
+    var depth = Sylvester.reversedDepth_(znear, zfar);
+    var Y = 1 / Math.tan(fovy * Math.PI / 360.0);
+    return Sylvester.frustumMatrix_(Y / aspect, Y, 0, 0, depth[0], depth[1], true, false);
+};
+
+/**
+ * Inverse of makeReversedZPerspectiveLH, built directly.
+ * @param {number} fovy Vertical field of view in degrees.
+ * @param {number} aspect Aspect ratio, width over height.
+ * @param {number} znear Distance to the near clipping plane.
+ * @param {number=} zfar Distance to the far clipping plane, infinite if omitted.
+ * @return {sylvester.Matrix} The inverse perspective matrix.
+ */
+Sylvester.makeReversedZPerspectiveLHInverse = function(fovy, aspect, znear, zfar) {
+    var depth = Sylvester.reversedDepth_(znear, zfar);
+    var Y = 1 / Math.tan(fovy * Math.PI / 360.0);
+    return Sylvester.frustumMatrix_(Y / aspect, Y, 0, 0, depth[0], depth[1], true, true);
+};
+
+/**
+ * Returns the depth row coefficients of a reversed-Z projection.
+ * @param {number} znear Distance to the near clipping plane.
+ * @param {number=} zfar Distance to the far clipping plane, infinite if omitted.
+ * @return {Array.<number>} The coefficients C and D of the depth row.
+ * @private
+ */
+Sylvester.reversedDepth_ = function(znear, zfar) {
+    if (typeof(zfar) == 'undefined' || zfar == Infinity) {
+        return [0, znear];
+    }
+    return [znear / (zfar - znear), zfar * znear / (zfar - znear)];
+};
+
+/**
+ * Make a frustrum matrix similar to the functionality of glFrustum. It is
+ * right-handed: the near and far planes lie at z = -znear and z = -zfar.
+ * @param {number} left Left edge of the near clipping plane.
+ * @param {number} right Right edge of the near clipping plane.
+ * @param {number} bottom Bottom edge of the near clipping plane.
+ * @param {number} top Top edge of the near clipping plane.
+ * @param {number} znear Distance to the near clipping plane.
+ * @param {number} zfar Distance to the far clipping plane, which may be Infinity.
+ * @param {boolean=} zeroToOne True to map depth to [0, 1] instead of [-1, 1].
  * @return {sylvester.Matrix} The frustum matrix.
  */
-Sylvester.makeFrustum = function(left, right, bottom, top, znear, zfar) {
+Sylvester.makeFrustum = function(left, right, bottom, top, znear, zfar, zeroToOne) {
+    return Sylvester.frustum_(left, right, bottom, top, znear, zfar, zeroToOne, false, false);
+};
+
+/**
+ * Inverse of makeFrustum, built directly.
+ * @param {number} left Left edge of the near clipping plane.
+ * @param {number} right Right edge of the near clipping plane.
+ * @param {number} bottom Bottom edge of the near clipping plane.
+ * @param {number} top Top edge of the near clipping plane.
+ * @param {number} znear Distance to the near clipping plane.
+ * @param {number} zfar Distance to the far clipping plane, which may be Infinity.
+ * @param {boolean=} zeroToOne True if depth is mapped to [0, 1].
+ * @return {sylvester.Matrix} The inverse frustum matrix.
+ */
+Sylvester.makeFrustumInverse = function(left, right, bottom, top, znear, zfar, zeroToOne) {
+    return Sylvester.frustum_(left, right, bottom, top, znear, zfar, zeroToOne, false, true);
+};
+
+/**
+ * Left-handed variant of makeFrustum: the near and far planes lie at
+ * z = znear and z = zfar.
+ * @param {number} left Left edge of the near clipping plane.
+ * @param {number} right Right edge of the near clipping plane.
+ * @param {number} bottom Bottom edge of the near clipping plane.
+ * @param {number} top Top edge of the near clipping plane.
+ * @param {number} znear Distance to the near clipping plane.
+ * @param {number} zfar Distance to the far clipping plane, which may be Infinity.
+ * @param {boolean=} zeroToOne True to map depth to [0, 1] instead of [-1, 1].
+ * @return {sylvester.Matrix} The frustum matrix.
+ */
+Sylvester.makeFrustumLH = function(left, right, bottom, top, znear, zfar, zeroToOne) {
+    return Sylvester.frustum_(left, right, bottom, top, znear, zfar, zeroToOne, true, false);
+};
+
+/**
+ * Inverse of makeFrustumLH, built directly.
+ * @param {number} left Left edge of the near clipping plane.
+ * @param {number} right Right edge of the near clipping plane.
+ * @param {number} bottom Bottom edge of the near clipping plane.
+ * @param {number} top Top edge of the near clipping plane.
+ * @param {number} znear Distance to the near clipping plane.
+ * @param {number} zfar Distance to the far clipping plane, which may be Infinity.
+ * @param {boolean=} zeroToOne True if depth is mapped to [0, 1].
+ * @return {sylvester.Matrix} The inverse frustum matrix.
+ */
+Sylvester.makeFrustumLHInverse = function(left, right, bottom, top, znear, zfar, zeroToOne) {
+    return Sylvester.frustum_(left, right, bottom, top, znear, zfar, zeroToOne, true, true);
+};
+
+/**
+ * Builds a frustum matrix or its inverse.
+ * @param {number} left Left edge of the near clipping plane.
+ * @param {number} right Right edge of the near clipping plane.
+ * @param {number} bottom Bottom edge of the near clipping plane.
+ * @param {number} top Top edge of the near clipping plane.
+ * @param {number} znear Distance to the near clipping plane.
+ * @param {number} zfar Distance to the far clipping plane, which may be Infinity.
+ * @param {boolean|undefined} zeroToOne True to map depth to [0, 1].
+ * @param {boolean} leftHanded True for a camera looking down +z.
+ * @param {boolean} inverse True for the inverse matrix.
+ * @return {sylvester.Matrix} The matrix.
+ * @private
+ */
+Sylvester.frustum_ = function(left, right, bottom, top, znear, zfar, zeroToOne, leftHanded, inverse) {
     var X = 2 * znear / (right - left);
     var Y = 2 * znear / (top - bottom);
     var A = (right + left) / (right - left);
     var B = (top + bottom) / (top - bottom);
-    var C = -(zfar + znear) / (zfar - znear);
-    var D = -2 * zfar * znear / (zfar - znear);
+    var C, D;
+    if (zfar == Infinity) {
+        C = -1;
+        D = zeroToOne ? -znear : -2 * znear;
+    } else if (zeroToOne) {
+        C = -zfar / (zfar - znear);
+        D = -zfar * znear / (zfar - znear);
+    } else {
+        C = -(zfar + znear) / (zfar - znear);
+        D = -2 * zfar * znear / (zfar - znear);
+    }
+    return Sylvester.frustumMatrix_(X, Y, A, B, C, D, leftHanded, inverse);
+};
+
+/**
+ * Returns the perspective matrix [[X, 0, A, 0], [0, Y, B, 0], [0, 0, C, D],
+ * [0, 0, -1, 0]] or its inverse. The left-handed matrix is the same one applied
+ * after negating z, i.e. with its third column negated.
+ * @param {number} X Horizontal scale.
+ * @param {number} Y Vertical scale.
+ * @param {number} A Horizontal offset.
+ * @param {number} B Vertical offset.
+ * @param {number} C Depth scale.
+ * @param {number} D Depth offset.
+ * @param {boolean} leftHanded True for a camera looking down +z.
+ * @param {boolean} inverse True for the inverse matrix.
+ * @return {sylvester.Matrix} The matrix.
+ * @private
+ */
+Sylvester.frustumMatrix_ = function(X, Y, A, B, C, D, leftHanded, inverse) {
+    var s = leftHanded ? -1 : 1;
+    if (inverse) {
+        return $M([
+            [1 / X, 0, 0, A / X],
+            [0, 1 / Y, 0, B / Y],
+            [0, 0, 0, -s],
+            [0, 0, 1 / D, C / D]
+        ]);
+    }
 
     return $M([
-        [X, 0, A, 0],
-        [0, Y, B, 0],
-        [0, 0, C, D],
-        [0, 0, -1, 0]
+        [X, 0, s * A, 0],
+        [0, Y, s * B, 0],
+        [0, 0, s * C, D],
+        [0, 0, -s, 0]
     ]);
 };
 
 /**
  * Make an orthographic projection matrix similar to the functionality of glOrtho.
- * @param {number} left TO BE FIXED.
- * @param {number} right TO BE FIXED.
- * @param {number} bottom TO BE FIXED.
- * @param {number} top TO BE FIXED.
- * @param {number} znear TO BE FIXED.
- * @param {number} zfar TO BE FIXED.
+ * It is right-handed: the near and far planes lie at z = -znear and z = -zfar.
+ * @param {number} left Left clipping plane.
+ * @param {number} right Right clipping plane.
+ * @param {number} bottom Bottom clipping plane.
+ * @param {number} top Top clipping plane.
+ * @param {number} znear Distance to the near clipping plane.
+ * @param {number} zfar Distance to the far clipping plane.
+ * @param {boolean=} zeroToOne True to map depth to [0, 1] instead of [-1, 1].
  * @return {sylvester.Matrix} The orthographic projection matrix.
  */
-Sylvester.makeOrtho = function(left, right, bottom, top, znear, zfar) {
+Sylvester.makeOrtho = function(left, right, bottom, top, znear, zfar, zeroToOne) {
+    return Sylvester.ortho_(left, right, bottom, top, znear, zfar, zeroToOne, false, false);
+};
+
+/**
+ * Inverse of makeOrtho, built directly.
+ * @param {number} left Left clipping plane.
+ * @param {number} right Right clipping plane.
+ * @param {number} bottom Bottom clipping plane.
+ * @param {number} top Top clipping plane.
+ * @param {number} znear Distance to the near clipping plane.
+ * @param {number} zfar Distance to the far clipping plane.
+ * @param {boolean=} zeroToOne True if depth is mapped to [0, 1].
+ * @return {sylvester.Matrix} The inverse orthographic projection matrix.
+ */
+Sylvester.makeOrthoInverse = function(left, right, bottom, top, znear, zfar, zeroToOne) {
+    return Sylvester.ortho_(left, right, bottom, top, znear, zfar, zeroToOne, false, true);
+};
+
+/**
+ * Left-handed variant of makeOrtho: the near and far planes lie at z = znear
+ * and z = zfar.
+ * @param {number} left Left clipping plane.
+ * @param {number} right Right clipping plane.
+ * @param {number} bottom Bottom clipping plane.
+ * @param {number} top Top clipping plane.
+ * @param {number} znear Distance to the near clipping plane.
+ * @param {number} zfar Distance to the far clipping plane.
+ * @param {boolean=} zeroToOne True to map depth to [0, 1] instead of [-1, 1].
+ * @return {sylvester.Matrix} The orthographic projection matrix.
+ */
+Sylvester.makeOrthoLH = function(left, right, bottom, top, znear, zfar, zeroToOne) {
+    return Sylvester.ortho_(left, right, bottom, top, znear, zfar, zeroToOne, true, false);
+};
+
+/**
+ * Inverse of makeOrthoLH, built directly.
+ * @param {number} left Left clipping plane.
+ * @param {number} right Right clipping plane.
+ * @param {number} bottom Bottom clipping plane.
+ * @param {number} top Top clipping plane.
+ * @param {number} znear Distance to the near clipping plane.
+ * @param {number} zfar Distance to the far clipping plane.
+ * @param {boolean=} zeroToOne True if depth is mapped to [0, 1].
+ * @return {sylvester.Matrix} The inverse orthographic projection matrix.
+ */
+Sylvester.makeOrthoLHInverse = function(left, right, bottom, top, znear, zfar, zeroToOne) {
+    return Sylvester.ortho_(left, right, bottom, top, znear, zfar, zeroToOne, true, true);
+};
+
+/**
+ * Builds an orthographic projection matrix or its inverse.
+ * @param {number} left Left clipping plane.
+ * @param {number} right Right clipping plane.
+ * @param {number} bottom Bottom clipping plane.
+ * @param {number} top Top clipping plane.
+ * @param {number} znear Distance to the near clipping plane.
+ * @param {number} zfar Distance to the far clipping plane.
+ * @param {boolean|undefined} zeroToOne True to map depth to [0, 1].
+ * @param {boolean} leftHanded True for a camera looking down +z.
+ * @param {boolean} inverse True for the inverse matrix.
+ * @return {sylvester.Matrix} The matrix.
+ * @private
+ */
+Sylvester.ortho_ = function(left, right, bottom, top, znear, zfar, zeroToOne, leftHanded, inverse) {
+    var sx = 2 / (right - left), sy = 2 / (top - bottom);
+    var sz = (zeroToOne ? -1 : -2) / (zfar - znear);
     var tx = - (right + left) / (right - left);
     var ty = - (top + bottom) / (top - bottom);
-    var tz = - (zfar + znear) / (zfar - znear);
+    var tz = zeroToOne ? -znear / (zfar - znear) : - (zfar + znear) / (zfar - znear);
+    if (leftHanded) {
+        sz = -sz;
+    }
+
+    if (inverse) {
+        return $M([
+            [1 / sx, 0, 0, -tx / sx],
+            [0, 1 / sy, 0, -ty / sy],
+            [0, 0, 1 / sz, -tz / sz],
+            [0, 0, 0, 1]
+        ]);
+    }
 
     return $M([
-        [2 / (right - left), 0, 0, tx],
-        [0, 2 / (top - bottom), 0, ty],
-        [0, 0, -2 / (zfar - znear), tz],
+        [sx, 0, 0, tx],
+        [0, sy, 0, ty],
+        [0, 0, sz, tz],
         [0, 0, 0, 1]
     ]);
 };
+
+/**
+ * Maps a point from object space to window coordinates, like gluProject.
+ * Window coordinates have their origin at the bottom left of the viewport, as
+ * in OpenGL, so mouse coordinates usually need their y flipped.
+ * @param {sylvester.Vector|Array.<number>} point The 3D point.
+ * @param {sylvester.Matrix} view The 4x4 view (model-view) matrix.
+ * @param {sylvester.Matrix} proj The 4x4 projection matrix.
+ * @param {sylvester.Vector|Array.<number>} viewport The viewport as [x, y, width, height].
+ * @param {boolean=} zeroToOne True if the projection maps depth to [0, 1];
+ *     otherwise depth [-1, 1] is mapped to a window depth in [0, 1].
+ * @return {sylvester.Vector} The window coordinates [winX, winY, winZ], or null
+ *     if the point projects to infinity.
+ */
+Sylvester.project = function(point, view, proj, viewport, zeroToOne) {
+    var P = proj.x(view).transformPoint_(point);
+    if (P === null) {
+        return sylvester.Error.raise_(sylvester.DegenerateGeometry, 'Sylvester.project', [point],
+            'point projects to infinity');
+    }
+    var V = viewport.elements || viewport, N = P.elements;
+    return $V([
+        V[0] + V[2] * (N[0] + 1) / 2,
+        V[1] + V[3] * (N[1] + 1) / 2,
+        zeroToOne ? N[2] : (N[2] + 1) / 2
+    ]);
+};
+
+/**
+ * Maps window coordinates back to object space, like gluUnProject. This is the
+ * inverse of project.
+ * @param {number} winX Window x coordinate.
+ * @param {number} winY Window y coordinate, from the bottom of the viewport.
+ * @param {number} winZ Window depth, 0 at the near plane and 1 at the far
+ *     plane (the other way around for reversed-Z projections).
+ * @param {sylvester.Matrix} view The 4x4 view (model-view) matrix.
+ * @param {sylvester.Matrix} proj The 4x4 projection matrix.
+ * @param {sylvester.Vector|Array.<number>} viewport The viewport as [x, y, width, height].
+ * @param {boolean=} zeroToOne True if the projection maps depth to [0, 1].
+ * @return {sylvester.Vector} The 3D point, or null if proj.x(view) is singular
+ *     or the point is at infinity.
+ */
+Sylvester.unproject = function(winX, winY, winZ, view, proj, viewport, zeroToOne) {
+    var inverse = proj.x(view).inverse();
+    if (inverse === null) {
+        return null;
+    }
+    var P = Sylvester.unprojectBy_(winX, winY, winZ, inverse, viewport, zeroToOne);
+    if (P === null) {
+        return sylvester.Error.raise_(sylvester.DegenerateGeometry, 'Sylvester.unproject', [[winX, winY, winZ]],
+            'point is at infinity');
+    }
+    return P;
+};
+
+/**
+ * Returns the ray from the camera through a pixel, for mouse picking. The
+ * line is anchored on the near clipping plane, or on the nearest finite depth
+ * if that plane is at infinity, and points away from the camera. Perspective
+ * and orthographic projections, including the infinite and reversed-Z ones,
+ * are supported.
+ * @param {number} x Window x coordinate.
+ * @param {number} y Window y coordinate, from the bottom of the viewport.
+ * @param {sylvester.Matrix} view The 4x4 view matrix.
+ * @param {sylvester.Matrix} proj The 4x4 projection matrix.
+ * @param {sylvester.Vector|Array.<number>} viewport The viewport as [x, y, width, height].
+ * @param {boolean=} zeroToOne True if the projection maps depth to [0, 1].
+ * @return {sylvester.Line} The picking ray, or null if the matrices are singular.
+ */
+Sylvester.pickRay = function(x, y, view, proj, viewport, zeroToOne) {
+    var inverse = proj.x(view).inverse(), viewInverse = view.inverse();
+    if (inverse === null || viewInverse === null) {
+        return null;
+    }
+    // An infinite far plane unprojects to no point, so take the finite ones
+    // of the near, middle and far depths
+    var depths = [0, 0.5, 1], points = [], P, i;
+    for (i = 0; i < depths.length; i++) {
+        P = Sylvester.unprojectBy_(x, y, depths[i], inverse, viewport, zeroToOne);
+        if (P !== null) {
+            points.push(P);
+        }
+    }
+    if (points.length < 2) {
+        return sylvester.Error.raise_(sylvester.DegenerateGeometry, 'Sylvester.pickRay', [[x, y]],
+            'ray has no finite points');
+    }
+    var direction = points[1].subtract(points[0]);
+    var eye = viewInverse.transformPoint([0, 0, 0]);
+    if (direction.dot(points[0].subtract(eye)) < 0) {
+        direction = direction.x(-1);
+    }
+    var anchor = points[0];
+    for (i = 1; i < points.length; i++) {
+        if (points[i].dot(direction) < anchor.dot(direction)) {
+            anchor = points[i];
+        }
+    }
+    return sylvester.Line.create(anchor, direction);
+};
+
+/**
+ * Unprojects window coordinates by an already inverted projection times view matrix.
+ * @param {number} winX Window x coordinate.
+ * @param {number} winY Window y coordinate.
+ * @param {number} winZ Window depth.
+ * @param {sylvester.Matrix} inverse The inverse of proj.x(view).
+ * @param {sylvester.Vector|Array.<number>} viewport The viewport as [x, y, width, height].
+ * @param {boolean|undefined} zeroToOne True if the projection maps depth to [0, 1].
+ * @return {sylvester.Vector} The 3D point, or null if it is at infinity.
+ * @private
+ */
+Sylvester.unprojectBy_ = function(winX, winY, winZ, inverse, viewport, zeroToOne) {
+    var V = viewport.elements || viewport;
+    return inverse.transformPoint_([
+        2 * (winX - V[0]) / V[2] - 1,
+        2 * (winY - V[1]) / V[3] - 1,
+        zeroToOne ? winZ : 2 * winZ - 1
+    ]);
+};
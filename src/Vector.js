@@ -1,4 +1,6 @@
 goog.provide('sylvester.Vector');
+goog.require('sylvester.Error');
+goog.require('sylvester.Random');
 
 
 /**
@@ -62,16 +64,22 @@ sylvester.Vector.prototype.modulus = function() {
 /**
  * Returns true iff the vector is equal to the argument
  * @param {sylvester.Vector} vector The vector to test equality against.
+ * @param {number=} tolerance Largest difference between elements, relative to
+ *     the largest element in relative mode; Sylvester.precision if omitted.
  * @return {boolean} True if they are equal.
  */
-sylvester.Vector.prototype.eql = function(vector) {
+sylvester.Vector.prototype.eql = function(vector, tolerance) {
     var n = this.elements.length;
     var V = vector.elements || vector;
     if (n != V.length) {
         return false;
     }
+    var U = this.elements;
+    tolerance = Sylvester.tolerance_(tolerance, function() {
+        return Math.max(Sylvester.largest_(U), Sylvester.largest_(V));
+    });
     do {
-        if (Math.abs(this.elements[n - 1] - V[n - 1]) > Sylvester.precision) {
+        if (Math.abs(this.elements[n - 1] - V[n - 1]) > tolerance) {
             return false;
         }
     } while (--n);
@@ -79,10 +87,13 @@ sylvester.Vector.prototype.eql = function(vector) {
 };
 
 /**
- * Returns a copy of the vector
+ * Returns a copy of the vector, using the same storage as the vector.
  * @return {sylvester.Vector} Duplicate of this vector.
  */
 sylvester.Vector.prototype.dup = function() {
+    if (this.isTyped()) {
+        return sylvester.Vector.fromData_(new this.elements.constructor(this.elements));
+    }
     return sylvester.Vector.create(this.elements);
 };
 
@@ -92,6 +103,13 @@ sylvester.Vector.prototype.dup = function() {
  * @return {sylvester.Vector} The result.
  */
 sylvester.Vector.prototype.map = function(fn) {
+    if (this.isTyped()) {
+        var n = this.elements.length, data = new this.elements.constructor(n);
+        for (var i = 0; i < n; i++) {
+            data[i] = fn(this.elements[i], i + 1);
+        }
+        return sylvester.Vector.fromData_(data);
+    }
     var elements = [];
     this.each(function(x, i) {
         elements.push(fn(x, i));
@@ -134,7 +152,7 @@ sylvester.Vector.prototype.angleFrom = function(vector) {
     var V = vector.elements || vector;
     var n = this.elements.length, k = n, i;
     if (n != V.length) {
-        return null;
+        return sylvester.Error.raise_(sylvester.DimensionMismatch, 'Vector.angleFrom', [this, vector]);
     }
     var dot = 0, mod1 = 0, mod2 = 0;
     // Work things out in parallel to save time
@@ -146,7 +164,7 @@ sylvester.Vector.prototype.angleFrom = function(vector) {
     mod1 = Math.sqrt(mod1);
     mod2 = Math.sqrt(mod2);
     if (mod1 * mod2 === 0) {
-        return null;
+        return sylvester.Error.raise_(sylvester.DegenerateGeometry, 'Vector.angleFrom', [this, vector], 'angle with a zero vector is undefined');
     }
     var theta = dot / (mod1 * mod2);
     if (theta < -1) {
@@ -161,31 +179,40 @@ sylvester.Vector.prototype.angleFrom = function(vector) {
 /**
  * Returns true iff the vector is parallel to the argument.
  * @param {sylvester.Vector} vector Vector to test parallelism against.
+ * @param {number=} tolerance Largest angle between them in radians;
+ *     Sylvester.precision if omitted.
  * @return {boolean} True if parallel.
  */
-sylvester.Vector.prototype.isParallelTo = function(vector) {
+sylvester.Vector.prototype.isParallelTo = function(vector, tolerance) {
     var angle = this.angleFrom(vector);
-    return (angle === null) ? null : (angle <= Sylvester.precision);
+    return (angle === null) ? null : (angle <= Sylvester.tolerance_(tolerance));
 };
 
 /**
  * Returns true iff the vector is antiparallel to the argument.
  * @param {sylvester.Vector} vector Vector to test antiparallelism against.
+ * @param {number=} tolerance Largest deviation from an angle of pi in radians;
+ *     Sylvester.precision if omitted.
  * @return {boolean} True of antiparallel.
  */
-sylvester.Vector.prototype.isAntiparallelTo = function(vector) {
+sylvester.Vector.prototype.isAntiparallelTo = function(vector, tolerance) {
     var angle = this.angleFrom(vector);
-    return (angle === null) ? null : (Math.abs(angle - Math.PI) <= Sylvester.precision);
+    return (angle === null) ? null : (Math.abs(angle - Math.PI) <= Sylvester.tolerance_(tolerance));
 };
 
 /**
  * Returns true iff the vector is perpendicular to the argument
  * @param {sylvester.Vector} vector Vector to test perpendicularism.
+ * @param {number=} tolerance Largest magnitude of their dot product, relative
+ *     to the product of their moduli in relative mode; Sylvester.precision if
+ *     omitted.
  * @return {boolean} True if perpendicular.
  */
-sylvester.Vector.prototype.isPerpendicularTo = function(vector) {
-    var dot = this.dot(vector);
-    return (dot === null) ? null : (Math.abs(dot) <= Sylvester.precision);
+sylvester.Vector.prototype.isPerpendicularTo = function(vector, tolerance) {
+    var dot = this.dot(vector), self = this;
+    return (dot === null) ? null : (Math.abs(dot) <= Sylvester.tolerance_(tolerance, function() {
+        return self.modulus() * sylvester.Vector.create(vector).modulus();
+    }));
 };
 
 /**
@@ -196,7 +223,7 @@ sylvester.Vector.prototype.isPerpendicularTo = function(vector) {
 sylvester.Vector.prototype.add = function(vector) {
     var V = vector.elements || vector;
     if (this.elements.length != V.length) {
-        return null;
+        return sylvester.Error.raise_(sylvester.DimensionMismatch, 'Vector.add', [this, vector]);
     }
     return this.map(function(x, i) {
         return x + V[i - 1];
@@ -211,7 +238,7 @@ sylvester.Vector.prototype.add = function(vector) {
 sylvester.Vector.prototype.subtract = function(vector) {
     var V = vector.elements || vector;
     if (this.elements.length != V.length) {
-        return null;
+        return sylvester.Error.raise_(sylvester.DimensionMismatch, 'Vector.subtract', [this, vector]);
     }
     return this.map(function(x, i) {
         return x - V[i - 1];
@@ -239,6 +266,106 @@ sylvester.Vector.prototype.x = function(k) {
 };
 
 
+/**
+ * Writes the result of adding the argument to the vector into out, without
+ * allocating a new vector. out may be the receiver or the argument.
+ * @param {sylvester.Vector} vector Vector to add.
+ * @param {sylvester.Vector} out Vector to write the result into.
+ * @return {sylvester.Vector} out, or null if the dimensions do not match.
+ */
+sylvester.Vector.prototype.addInto = function(vector, out) {
+    var V = vector.elements || vector, n = this.elements.length;
+    if (n != V.length || n != out.elements.length) {
+        return sylvester.Error.raise_(sylvester.DimensionMismatch, 'Vector.addInto', [this, vector, out]);
+    }
+    for (var i = 0; i < n; i++) {
+        out.elements[i] = this.elements[i] + V[i];
+    }
+    return out;
+};
+
+/**
+ * Adds the argument to the vector, modifying the vector.
+ * @param {sylvester.Vector} vector Vector to add.
+ * @return {sylvester.Vector} This vector, or null if the dimensions do not match.
+ */
+sylvester.Vector.prototype.addInPlace = function(vector) {
+    return this.addInto(vector, this);
+};
+
+/**
+ * Writes the result of subtracting the argument from the vector into out,
+ * without allocating a new vector. out may be the receiver or the argument.
+ * @param {sylvester.Vector} vector Vector to subtract.
+ * @param {sylvester.Vector} out Vector to write the result into.
+ * @return {sylvester.Vector} out, or null if the dimensions do not match.
+ */
+sylvester.Vector.prototype.subtractInto = function(vector, out) {
+    var V = vector.elements || vector, n = this.elements.length;
+    if (n != V.length || n != out.elements.length) {
+        return sylvester.Error.raise_(sylvester.DimensionMismatch, 'Vector.subtractInto', [this, vector, out]);
+    }
+    for (var i = 0; i < n; i++) {
+        out.elements[i] = this.elements[i] - V[i];
+    }
+    return out;
+};
+
+/**
+ * Subtracts the argument from the vector, modifying the vector.
+ * @param {sylvester.Vector} vector Vector to subtract.
+ * @return {sylvester.Vector} This vector, or null if the dimensions do not match.
+ */
+sylvester.Vector.prototype.subtractInPlace = function(vector) {
+    return this.subtractInto(vector, this);
+};
+
+/**
+ * Writes the result of multiplying the elements of the vector by the argument
+ * into out, without allocating a new vector. out may be the receiver.
+ * @param {number} k Scalar to multiply the vector by.
+ * @param {sylvester.Vector} out Vector to write the result into.
+ * @return {sylvester.Vector} out, or null if the dimensions do not match.
+ */
+sylvester.Vector.prototype.multiplyInto = function(k, out) {
+    var n = this.elements.length;
+    if (n != out.elements.length) {
+        return sylvester.Error.raise_(sylvester.DimensionMismatch, 'Vector.multiplyInto', [this, out]);
+    }
+    for (var i = 0; i < n; i++) {
+        out.elements[i] = this.elements[i] * k;
+    }
+    return out;
+};
+
+/**
+ * Multiplies the elements of the vector by the argument, modifying the vector.
+ * @param {number} k Scalar to multiply the vector by.
+ * @return {sylvester.Vector} This vector.
+ */
+sylvester.Vector.prototype.multiplyInPlace = function(k) {
+    return this.multiplyInto(k, this);
+};
+
+/**
+ * Writes the normalized form of the vector into out, without allocating a new
+ * vector. out may be the receiver. A zero vector is copied unchanged, as with toUnitVector.
+ * @param {sylvester.Vector} out Vector to write the result into.
+ * @return {sylvester.Vector} out, or null if the dimensions do not match.
+ */
+sylvester.Vector.prototype.normalizeInto = function(out) {
+    var r = this.modulus();
+    return this.multiplyInto(r === 0 ? 1 : 1 / r, out);
+};
+
+/**
+ * Normalizes the vector to unit length, modifying the vector.
+ * @return {sylvester.Vector} This vector.
+ */
+sylvester.Vector.prototype.normalizeInPlace = function() {
+    return this.normalizeInto(this);
+};
+
 //
 
 /**
@@ -251,7 +378,7 @@ sylvester.Vector.prototype.dot = function(vector) {
     var V = vector.elements || vector;
     var i, product = 0, n = this.elements.length;
     if (n != V.length) {
-        return null;
+        return sylvester.Error.raise_(sylvester.DimensionMismatch, 'Vector.dot', [this, vector]);
     }
     do {
         product += this.elements[n - 1] * V[n - 1];
@@ -269,14 +396,36 @@ sylvester.Vector.prototype.dot = function(vector) {
 sylvester.Vector.prototype.cross = function(vector) {
     var B = vector.elements || vector;
     if (this.elements.length != 3 || B.length != 3) {
-        return null;
+        return sylvester.Error.raise_(sylvester.DimensionMismatch, 'Vector.cross', [this, vector]);
     }
     var A = this.elements;
-    return sylvester.Vector.create([
+    return this.wrap_(sylvester.Vector.create([
         (A[1] * B[2]) - (A[2] * B[1]),
         (A[2] * B[0]) - (A[0] * B[2]),
         (A[0] * B[1]) - (A[1] * B[0])
-    ]);
+    ]));
+};
+
+/**
+ * Writes the vector product of the vector with the argument into out, without
+ * allocating a new vector. All three vectors must have dimensionality 3, and out
+ * may be the receiver or the argument.
+ * @param {sylvester.Vector} vector Vector to vector product with.
+ * @param {sylvester.Vector} out Vector to write the result into.
+ * @return {sylvester.Vector} out, or null if the dimensions do not match.
+ */
+sylvester.Vector.prototype.crossInto = function(vector, out) {
+    var A = this.elements, B = vector.elements || vector;
+    if (A.length != 3 || B.length != 3 || out.elements.length != 3) {
+        return sylvester.Error.raise_(sylvester.DimensionMismatch, 'Vector.crossInto', [this, vector, out]);
+    }
+    var x = (A[1] * B[2]) - (A[2] * B[1]),
+        y = (A[2] * B[0]) - (A[0] * B[2]),
+        z = (A[0] * B[1]) - (A[1] * B[0]);
+    out.elements[0] = x;
+    out.elements[1] = y;
+    out.elements[2] = z;
+    return out;
 };
 
 /**
@@ -332,11 +481,18 @@ sylvester.Vector.prototype.round = function() {
  * Returns a copy of the vector with elements set to the given value if they
  * differ from it by less than Sylvester.precision.
  * @param {number} x Number to set to if less than precision.
+ * @param {number=} tolerance Largest difference to snap, relative to the
+ *     largest of x and the elements in relative mode; Sylvester.precision if
+ *     omitted.
  * @return {sylvester.Vector} Snapped to vector.
  */
-sylvester.Vector.prototype.snapTo = function(x) {
+sylvester.Vector.prototype.snapTo = function(x, tolerance) {
+    var U = this.elements;
+    tolerance = Sylvester.tolerance_(tolerance, function() {
+        return Math.max(Math.abs(x), Sylvester.largest_(U));
+    });
     return this.map(function(y) {
-        return (Math.abs(y - x) <= Sylvester.precision) ? x : y;
+        return (Math.abs(y - x) <= tolerance) ? x : y;
     });
 };
 
@@ -351,7 +507,7 @@ sylvester.Vector.prototype.distanceFrom = function(obj) {
     }
     var V = obj.elements || obj;
     if (V.length != this.elements.length) {
-        return null;
+        return sylvester.Error.raise_(sylvester.DimensionMismatch, 'Vector.distanceFrom', [this, obj]);
     }
     var sum = 0, part;
     this.each(function(x, i) {
@@ -372,7 +528,7 @@ sylvester.Vector.prototype.liesOn = function(line) {
 
 /**
  * Return true iff the vector is a point in the given plane.
- * @param {sylvester.Pane} plane sylvester.Pane to test against.
+ * @param {sylvester.Plane} plane sylvester.Plane to test against.
  * @return {boolean} True if the vector is a point on the plane.
  */
 sylvester.Vector.prototype.liesIn = function(plane) {
@@ -382,17 +538,26 @@ sylvester.Vector.prototype.liesIn = function(plane) {
 /**
  * Rotates the vector about the given object. The object should be a
  * point if the vector is 2D, and a line if it is 3D. Be careful with line directions.
- * @param {number} t Radians around the object.
- * @param {*} obj The object to rotate around.
+ * A 3D vector may instead be rotated by a unit quaternion, about an optional
+ * centre point that defaults to the origin.
+ * @param {number|sylvester.Quaternion} t Radians around the object, or a quaternion.
+ * @param {*=} obj The object to rotate around.
  * @return {sylvester.Vector} Rotated vector.
  */
 sylvester.Vector.prototype.rotate = function(t, obj) {
     var V, R, x, y, z;
+    if (t instanceof sylvester.Quaternion) {
+        if (this.elements.length != 3) {
+            return sylvester.Error.raise_(sylvester.DimensionMismatch, 'Vector.rotate', [this]);
+        }
+        V = obj ? (obj.elements || obj) : [0, 0, 0];
+        return t.rotateVector(this.subtract(V)).add(V);
+    }
     switch (this.elements.length) {
         case 2:
             V = obj.elements || obj;
             if (V.length != 2) {
-                return null;
+                return sylvester.Error.raise_(sylvester.DimensionMismatch, 'Vector.rotate', [this, obj]);
             }
             R = sylvester.Matrix.Rotation(t).elements;
             x = this.elements[0] - V[0];
@@ -404,7 +569,7 @@ sylvester.Vector.prototype.rotate = function(t, obj) {
             break;
         case 3:
             if (!obj.direction) {
-                return null;
+                return sylvester.Error.raise_(sylvester.DimensionMismatch, 'Vector.rotate', [this, obj], '3D vectors rotate about a line');
             }
             var C = obj.pointClosestTo(this).elements;
             R = sylvester.Matrix.Rotation(t, obj.direction).elements;
@@ -418,7 +583,7 @@ sylvester.Vector.prototype.rotate = function(t, obj) {
             ]);
             break;
         default:
-            return null;
+            return sylvester.Error.raise_(sylvester.DimensionMismatch, 'Vector.rotate', [this], 'only 2D and 3D vectors rotate');
     }
 };
 
@@ -437,7 +602,7 @@ sylvester.Vector.prototype.reflectionIn = function(obj) {
         // obj is a point
         var Q = obj.elements || obj;
         if (this.elements.length != Q.length) {
-            return null;
+            return sylvester.Error.raise_(sylvester.DimensionMismatch, 'Vector.reflectionIn', [this, obj]);
         }
         return this.map(function(x, i) {
             return Q[i - 1] + (Q[i - 1] - x);
@@ -455,10 +620,13 @@ sylvester.Vector.prototype.to3D = function() {
         case 3:
             break;
         case 2:
+            if (V.isTyped()) {
+                return this.wrap_(sylvester.Vector.create([V.elements[0], V.elements[1], 0]));
+            }
             V.elements.push(0);
             break;
         default:
-            return null;
+            return sylvester.Error.raise_(sylvester.DimensionMismatch, 'Vector.to3D', [this], 'vector is not 2D or 3D');
     }
     return V;
 };
@@ -472,15 +640,51 @@ sylvester.Vector.prototype.inspect = function() {
 };
 
 /**
- * Set vector's elements from an array.
+ * Set vector's elements from an array. The vector always uses plain array
+ * storage afterwards, even if the elements come from a typed array.
  * @param {Array.<number>} els Elements to set of the vector.
  * @return {sylvester.Vector} This vector.
  */
 sylvester.Vector.prototype.setElements = function(els) {
-    this.elements = (els.elements || els).slice();
+    this.elements = Array.prototype.slice.call(els.elements || els);
     return this;
 };
 
+/**
+ * Returns true iff the vector's elements are stored in a typed array.
+ * @return {boolean} True if typed-array backed.
+ */
+sylvester.Vector.prototype.isTyped = function() {
+    return !Array.isArray(this.elements);
+};
+
+/**
+ * Returns a copy of the vector backed by a typed array.
+ * @param {Function=} type Typed array constructor, Float64Array by default.
+ * @return {sylvester.Vector} Typed-array backed copy of this vector.
+ */
+sylvester.Vector.prototype.toTyped = function(type) {
+    return sylvester.Vector.createTyped(this.elements, type);
+};
+
+/**
+ * Returns a copy of the vector backed by a plain array.
+ * @return {sylvester.Vector} Array backed copy of this vector.
+ */
+sylvester.Vector.prototype.toUntyped = function() {
+    return sylvester.Vector.create(this.elements);
+};
+
+/**
+ * Converts a result computed with plain array storage to the storage used by this vector.
+ * @param {sylvester.Vector} V The result.
+ * @return {sylvester.Vector} The result, typed-array backed if this vector is.
+ * @private
+ */
+sylvester.Vector.prototype.wrap_ = function(V) {
+    return this.isTyped() ? V.toTyped(this.elements.constructor) : V;
+};
+
 /**
  * Constructor function.
  * @param {Array.<number>} elements Elements.
@@ -491,6 +695,31 @@ sylvester.Vector.create = function(elements) {
     return V.setElements(elements);
 };
 
+/**
+ * Constructor function for a vector backed by a typed array, such as a
+ * Float32Array or Float64Array. Operations that return new vectors, like map,
+ * add and multiply, keep the storage type of their receiver.
+ * @param {Array.<number>} elements Elements.
+ * @param {Function=} type Typed array constructor, Float64Array by default.
+ * @return {sylvester.Vector} The typed-array backed vector.
+ */
+sylvester.Vector.createTyped = function(elements, type) {
+    var Type = type || Float64Array;
+    return sylvester.Vector.fromData_(new Type(elements.elements || elements));
+};
+
+/**
+ * Creates a vector that uses the given typed array as its storage, without copying it.
+ * @param {Float32Array|Float64Array} data Typed array of elements.
+ * @return {sylvester.Vector} The typed-array backed vector.
+ * @private
+ */
+sylvester.Vector.fromData_ = function(data) {
+    var V = new sylvester.Vector();
+    V.elements = data;
+    return V;
+};
+
 // i, j, k unit vectors
 
 /**
@@ -512,18 +741,62 @@ sylvester.Vector.j = sylvester.Vector.create([0, 1, 0]);
 sylvester.Vector.k = sylvester.Vector.create([0, 0, 1]);
 
 /**
- * Random vector of size n.
+ * Random vector of size n, with elements uniform in [0, 1) drawn from Sylvester.random.
  * @param {number} n Number of elements.
  * @return {sylvester.Vector} Randomized vector.
  */
 sylvester.Vector.Random = function(n) {
     var elements = [];
     do {
-        elements.push(Math.random());
+        elements.push(Sylvester.random());
+    } while (--n);
+    return sylvester.Vector.create(elements);
+};
+
+/**
+ * Random vector of size n, with elements uniform in [min, max).
+ * @param {number} n Number of elements.
+ * @param {number} min Lower bound.
+ * @param {number} max Upper bound.
+ * @return {sylvester.Vector} Randomized vector.
+ */
+sylvester.Vector.RandomUniform = function(n, min, max) {
+    var elements = [];
+    do {
+        elements.push(sylvester.Random.uniform(min, max));
+    } while (--n);
+    return sylvester.Vector.create(elements);
+};
+
+/**
+ * Random vector of size n, with normally distributed elements.
+ * @param {number} n Number of elements.
+ * @param {number=} mean The mean, 0 by default.
+ * @param {number=} sd The standard deviation, 1 by default.
+ * @return {sylvester.Vector} Randomized vector.
+ */
+sylvester.Vector.RandomNormal = function(n, mean, sd) {
+    var elements = [];
+    do {
+        elements.push(sylvester.Random.normal(mean, sd));
     } while (--n);
     return sylvester.Vector.create(elements);
 };
 
+/**
+ * Random unit vector of size n, distributed uniformly over the sphere. A vector
+ * of normal deviates has no preferred direction, so it is normalized.
+ * @param {number} n Number of elements.
+ * @return {sylvester.Vector} Randomized unit vector.
+ */
+sylvester.Vector.RandomUnit = function(n) {
+    var V;
+    do {
+        V = sylvester.Vector.RandomNormal(n);
+    } while (V.modulus() === 0);
+    return V.toUnitVector();
+};
+
 /**
  * Vector filled with zeros.
  * @param {number} n Number of elements.
@@ -0,0 +1,172 @@
+/**
+ * Runs the Jasmine specs headlessly under Node.
+ *
+ *   node tests/run_node.js [--seed=N] [source|simple|advanced ...]
+ *
+ * Each target is loaded into a fresh context, together with jasmine.js and
+ * the spec files listed in index.html, so that the specs see the same globals
+ * as in the browser:
+ *
+ *   source    the uncompiled sources in src/,
+ *   simple    tests/sylvester.simple.min.js, built by bin/simple_compile.sh,
+ *   advanced  tests/sylvester.advanced.min.js, built by bin/advanced_compile.sh.
+ *
+ * Without arguments the sources are tested, followed by whichever bundles have
+ * been built. Exits with a non-zero status if any spec fails. The property
+ * specs draw their cases from a random seed, which they report on failure;
+ * pass it back with --seed to replay the same cases.
+ */
+
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+
+var sources = require('../bin/sources');
+
+var TESTS = __dirname;
+var JASMINE = path.join(TESTS, 'lib', 'jasmine-1.1.0.rc1', 'jasmine.js');
+var BUNDLES = {
+    simple: path.join(TESTS, 'sylvester.simple.min.js'),
+    advanced: path.join(TESTS, 'sylvester.advanced.min.js')
+};
+
+/**
+ * Returns the spec files included by index.html, in order.
+ * @return {Array.<string>} The file paths.
+ */
+function specFiles() {
+    var html = fs.readFileSync(path.join(TESTS, 'index.html'), 'utf8');
+    var files = [], re = /<script[^>]*src="(spec\/[^"]+\.js)"/g, match;
+    while ((match = re.exec(html))) {
+        files.push(path.join(TESTS, match[1]));
+    }
+    return files;
+}
+
+/**
+ * Returns the library files to load for a target.
+ * @param {string} target The target name.
+ * @return {Array.<string>} The file paths.
+ */
+function libraryFiles(target) {
+    if (target == 'source') {
+        return [sources.BASE].concat(sources.sourcesFor('sylvester.exports'));
+    }
+    return [BUNDLES[target]];
+}
+
+/**
+ * Reports results to the console, in the way of jasmine.TrivialReporter.
+ * @param {string} target The target name.
+ * @param {function(boolean)} done Called with whether every spec passed.
+ * @constructor
+ */
+function ConsoleReporter(target, done) {
+    this.target = target;
+    this.done = done;
+    this.failures = [];
+}
+
+ConsoleReporter.prototype.reportRunnerStarting = function() {
+    process.stdout.write(this.target + ': ');
+};
+
+ConsoleReporter.prototype.reportSpecStarting = function() {
+};
+
+ConsoleReporter.prototype.reportSuiteResults = function() {
+};
+
+ConsoleReporter.prototype.log = function(message) {
+    console.log(message);
+};
+
+ConsoleReporter.prototype.reportSpecResults = function(spec) {
+    var results = spec.results();
+    if (results.skipped) {
+        return;
+    }
+    process.stdout.write(results.passed() ? '.' : 'F');
+    if (!results.passed()) {
+        var messages = [];
+        results.getItems().forEach(function(item) {
+            if (item.passed && !item.passed()) {
+                messages.push(item.message + (item.trace && item.trace.stack ? '\n' + item.trace.stack : ''));
+            }
+        });
+        this.failures.push(spec.getFullName() + '\n    ' + messages.join('\n    '));
+    }
+};
+
+ConsoleReporter.prototype.reportRunnerResults = function(runner) {
+    var results = runner.results(), specs = runner.specs().length;
+    console.log('\n');
+    this.failures.forEach(function(failure, i) {
+        console.log((i + 1) + ') ' + failure + '\n');
+    });
+    console.log(this.target + ': ' + specs + ' specs, ' + results.failedCount + ' failed assertions\n');
+    this.done(results.failedCount === 0);
+};
+
+/**
+ * Runs the specs against one target.
+ * @param {string} target The target name.
+ * @param {function(boolean)} done Called with whether every spec passed.
+ */
+function run(target, done) {
+    var context = vm.createContext({
+        SYLVESTER_SEED: seed,
+        console: console,
+        setTimeout: setTimeout,
+        clearTimeout: clearTimeout,
+        setInterval: setInterval,
+        clearInterval: clearInterval,
+        CLOSURE_NO_DEPS: true
+    });
+    vm.runInContext('var window = this;', context);
+    libraryFiles(target).concat([JASMINE], specFiles()).forEach(function(file) {
+        vm.runInContext(fs.readFileSync(file, 'utf8'), context, {filename: file});
+    });
+    var env = context.jasmine.getEnv();
+    env.addReporter(new ConsoleReporter(target, done));
+    env.execute();
+}
+
+var seed, targets = process.argv.slice(2).filter(function(arg) {
+    var match = /^--seed=(\d+)$/.exec(arg);
+    if (match) {
+        seed = +match[1];
+    }
+    return !match;
+});
+if (!targets.length) {
+    targets = ['source'].concat(Object.keys(BUNDLES).filter(function(target) {
+        if (!fs.existsSync(BUNDLES[target])) {
+            console.log(target + ': skipped, ' + path.basename(BUNDLES[target]) + ' has not been built\n');
+            return false;
+        }
+        return true;
+    }));
+}
+targets.forEach(function(target) {
+    if (target != 'source' && !BUNDLES[target]) {
+        console.error('Unknown target: ' + target);
+        process.exit(2);
+    }
+    if (target != 'source' && !fs.existsSync(BUNDLES[target])) {
+        console.error(target + ': ' + BUNDLES[target] + ' not found, run bin/' + target + '_compile.sh first');
+        process.exit(2);
+    }
+});
+
+var passed = true;
+(function next(i) {
+    if (i == targets.length) {
+        process.exitCode = passed ? 0 : 1;
+        return;
+    }
+    run(targets[i], function(ok) {
+        passed = passed && ok;
+        next(i + 1);
+    });
+})(0);
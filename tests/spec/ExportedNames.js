@@ -0,0 +1,287 @@
+/**
+ * Public names that the compiled library must export.
+ * Generated by bin/generate_exports.py; do not edit by hand.
+ */
+var SYLVESTER_EXPORTED_NAMES = [
+  'Sylvester',
+  'sylvester.Error',
+  'sylvester.Error.prototype.name',
+  'sylvester.DimensionMismatch',
+  'sylvester.DimensionMismatch.prototype.name',
+  'sylvester.InvalidArgument',
+  'sylvester.InvalidArgument.prototype.name',
+  'sylvester.SingularMatrix',
+  'sylvester.SingularMatrix.prototype.name',
+  'sylvester.DegenerateGeometry',
+  'sylvester.DegenerateGeometry.prototype.name',
+  'sylvester.NoConvergence',
+  'sylvester.NoConvergence.prototype.name',
+  'sylvester.Frustum',
+  'sylvester.Frustum.OUTSIDE',
+  'sylvester.Frustum.INTERSECT',
+  'sylvester.Frustum.INSIDE',
+  'sylvester.Frustum.prototype.contains',
+  'sylvester.Frustum.prototype.testPoint',
+  'sylvester.Frustum.prototype.testSphere',
+  'sylvester.Frustum.prototype.testBox',
+  'sylvester.Frustum.prototype.corners',
+  'sylvester.Frustum.prototype.setMatrix',
+  'sylvester.Frustum.create',
+  'sylvester.Line',
+  'sylvester.Line.prototype.eql',
+  'sylvester.Line.prototype.dup',
+  'sylvester.Line.prototype.translate',
+  'sylvester.Line.prototype.isParallelTo',
+  'sylvester.Line.prototype.distanceFrom',
+  'sylvester.Line.prototype.contains',
+  'sylvester.Line.prototype.liesIn',
+  'sylvester.Line.prototype.intersects',
+  'sylvester.Line.prototype.intersectionWith',
+  'sylvester.Line.prototype.pointClosestTo',
+  'sylvester.Line.prototype.rotate',
+  'sylvester.Line.prototype.reflectionIn',
+  'sylvester.Line.prototype.setVectors',
+  'sylvester.Line.create',
+  'sylvester.Line.X',
+  'sylvester.Line.Y',
+  'sylvester.Line.Z',
+  '$L',
+  'sylvester.Matrix',
+  'sylvester.Matrix.prototype.e',
+  'sylvester.Matrix.prototype.row',
+  'sylvester.Matrix.prototype.col',
+  'sylvester.Matrix.prototype.dimensions',
+  'sylvester.Matrix.prototype.rows',
+  'sylvester.Matrix.prototype.cols',
+  'sylvester.Matrix.prototype.eql',
+  'sylvester.Matrix.prototype.dup',
+  'sylvester.Matrix.prototype.map',
+  'sylvester.Matrix.prototype.isSameSizeAs',
+  'sylvester.Matrix.prototype.add',
+  'sylvester.Matrix.prototype.subtract',
+  'sylvester.Matrix.prototype.canMultiplyFromLeft',
+  'sylvester.Matrix.prototype.multiply',
+  'sylvester.Matrix.prototype.x',
+  'sylvester.Matrix.prototype.minor',
+  'sylvester.Matrix.prototype.transpose',
+  'sylvester.Matrix.prototype.addInto',
+  'sylvester.Matrix.prototype.addInPlace',
+  'sylvester.Matrix.prototype.subtractInto',
+  'sylvester.Matrix.prototype.subtractInPlace',
+  'sylvester.Matrix.prototype.multiplyInto',
+  'sylvester.Matrix.prototype.multiplyInPlace',
+  'sylvester.Matrix.prototype.transposeInto',
+  'sylvester.Matrix.prototype.transposeInPlace',
+  'sylvester.Matrix.prototype.isSquare',
+  'sylvester.Matrix.prototype.isSymmetric',
+  'sylvester.Matrix.prototype.max',
+  'sylvester.Matrix.prototype.indexOf',
+  'sylvester.Matrix.prototype.diagonal',
+  'sylvester.Matrix.prototype.toRightTriangular',
+  'sylvester.Matrix.prototype.toUpperTriangular',
+  'sylvester.Matrix.prototype.lu',
+  'sylvester.Matrix.prototype.qr',
+  'sylvester.Matrix.prototype.eigenSymmetric',
+  'sylvester.Matrix.prototype.eigenvalues',
+  'sylvester.Matrix.prototype.determinant',
+  'sylvester.Matrix.prototype.det',
+  'sylvester.Matrix.prototype.isSingular',
+  'sylvester.Matrix.prototype.trace',
+  'sylvester.Matrix.prototype.tr',
+  'sylvester.Matrix.prototype.rank',
+  'sylvester.Matrix.prototype.rk',
+  'sylvester.Matrix.prototype.svd',
+  'sylvester.Matrix.prototype.pseudoInverse',
+  'sylvester.Matrix.prototype.conditionNumber',
+  'sylvester.Matrix.prototype.norm2',
+  'sylvester.Matrix.prototype.nuclearNorm',
+  'sylvester.Matrix.prototype.augment',
+  'sylvester.Matrix.prototype.inverse',
+  'sylvester.Matrix.prototype.inv',
+  'sylvester.Matrix.prototype.solve',
+  'sylvester.Matrix.leastSquares',
+  'sylvester.Matrix.prototype.cholesky',
+  'sylvester.Matrix.prototype.isPositiveDefinite',
+  'sylvester.Matrix.prototype.choleskySolve',
+  'sylvester.Matrix.prototype.round',
+  'sylvester.Matrix.prototype.snapTo',
+  'sylvester.Matrix.prototype.inspect',
+  'sylvester.Matrix.prototype.setElements',
+  'sylvester.Matrix.create',
+  'sylvester.Matrix.createTyped',
+  'sylvester.Matrix.prototype.isTyped',
+  'sylvester.Matrix.prototype.toTyped',
+  'sylvester.Matrix.prototype.toUntyped',
+  'sylvester.Matrix.I',
+  'sylvester.Matrix.Diagonal',
+  'sylvester.Matrix.Rotation',
+  'sylvester.Matrix.RotationX',
+  'sylvester.Matrix.RotationY',
+  'sylvester.Matrix.RotationZ',
+  'sylvester.Matrix.fromEuler',
+  'sylvester.Matrix.prototype.toEuler',
+  'sylvester.Matrix.Random',
+  'sylvester.Matrix.RandomUniform',
+  'sylvester.Matrix.RandomNormal',
+  'sylvester.Matrix.RandomOrthogonal',
+  'sylvester.Matrix.RandomRotation',
+  'sylvester.Matrix.Zero',
+  'sylvester.Matrix.Translation',
+  'sylvester.Matrix.prototype.flatten',
+  'sylvester.Matrix.prototype.ensure4x4',
+  'sylvester.Matrix.prototype.make3x3',
+  'sylvester.Matrix.prototype.decomposeAffine',
+  'sylvester.Matrix.composeAffine',
+  'sylvester.Matrix.prototype.transformPoint',
+  'sylvester.Matrix.prototype.transformDirection',
+  'sylvester.Matrix.prototype.transformNormal',
+  'sylvester.Matrix.prototype.transformLine',
+  'sylvester.Matrix.prototype.transformPlane',
+  '$M',
+  'sylvester.Plane',
+  'sylvester.Plane.prototype.eql',
+  'sylvester.Plane.prototype.dup',
+  'sylvester.Plane.prototype.translate',
+  'sylvester.Plane.prototype.isParallelTo',
+  'sylvester.Plane.prototype.isPerpendicularTo',
+  'sylvester.Plane.prototype.distanceFrom',
+  'sylvester.Plane.prototype.contains',
+  'sylvester.Plane.prototype.intersects',
+  'sylvester.Plane.prototype.intersectionWith',
+  'sylvester.Plane.prototype.pointClosestTo',
+  'sylvester.Plane.prototype.rotate',
+  'sylvester.Plane.prototype.reflectionIn',
+  'sylvester.Plane.prototype.setVectors',
+  'sylvester.Plane.create',
+  'sylvester.Plane.XY',
+  'sylvester.Plane.YZ',
+  'sylvester.Plane.ZX',
+  'sylvester.Plane.YX',
+  'sylvester.Plane.ZY',
+  'sylvester.Plane.XZ',
+  'sylvester.Pane',
+  '$P',
+  'sylvester.Quaternion',
+  'sylvester.Quaternion.prototype.e',
+  'sylvester.Quaternion.prototype.eql',
+  'sylvester.Quaternion.prototype.dup',
+  'sylvester.Quaternion.prototype.modulus',
+  'sylvester.Quaternion.prototype.dot',
+  'sylvester.Quaternion.prototype.multiply',
+  'sylvester.Quaternion.prototype.x',
+  'sylvester.Quaternion.prototype.conjugate',
+  'sylvester.Quaternion.prototype.inverse',
+  'sylvester.Quaternion.prototype.normalize',
+  'sylvester.Quaternion.prototype.rotateVector',
+  'sylvester.Quaternion.prototype.slerp',
+  'sylvester.Quaternion.prototype.nlerp',
+  'sylvester.Quaternion.prototype.toAxisAngle',
+  'sylvester.Quaternion.prototype.toMatrix3x3',
+  'sylvester.Quaternion.prototype.toMatrix4x4',
+  'sylvester.Quaternion.prototype.inspect',
+  'sylvester.Quaternion.prototype.setElements',
+  'sylvester.Quaternion.create',
+  'sylvester.Quaternion.Identity',
+  'sylvester.Quaternion.fromAxisAngle',
+  'sylvester.Quaternion.fromEuler',
+  'sylvester.Quaternion.fromMatrix',
+  '$Q',
+  'sylvester.Random',
+  'sylvester.Random.create',
+  'sylvester.Random.prototype.seed',
+  'sylvester.Random.prototype.next',
+  'sylvester.Random.prototype.toFunction',
+  'sylvester.Random.uniform',
+  'sylvester.Random.normal',
+  'Sylvester.version',
+  'Sylvester.precision',
+  'Sylvester.relative',
+  'Sylvester.withPrecision',
+  'Sylvester.strict',
+  'Sylvester.random',
+  'Sylvester.seedRandom',
+  'Sylvester.matrixToHtml',
+  'Sylvester.makeLookAt',
+  'Sylvester.makeLookAtInverse',
+  'Sylvester.makeLookAtLH',
+  'Sylvester.makeLookAtLHInverse',
+  'Sylvester.makePerspective',
+  'Sylvester.makePerspectiveInverse',
+  'Sylvester.makePerspectiveLH',
+  'Sylvester.makePerspectiveLHInverse',
+  'Sylvester.makeInfinitePerspective',
+  'Sylvester.makeInfinitePerspectiveInverse',
+  'Sylvester.makeInfinitePerspectiveLH',
+  'Sylvester.makeInfinitePerspectiveLHInverse',
+  'Sylvester.makeReversedZPerspective',
+  'Sylvester.makeReversedZPerspectiveInverse',
+  'Sylvester.makeReversedZPerspectiveLH',
+  'Sylvester.makeReversedZPerspectiveLHInverse',
+  'Sylvester.makeFrustum',
+  'Sylvester.makeFrustumInverse',
+  'Sylvester.makeFrustumLH',
+  'Sylvester.makeFrustumLHInverse',
+  'Sylvester.makeOrtho',
+  'Sylvester.makeOrthoInverse',
+  'Sylvester.makeOrthoLH',
+  'Sylvester.makeOrthoLHInverse',
+  'Sylvester.project',
+  'Sylvester.unproject',
+  'Sylvester.pickRay',
+  'sylvester.Vector',
+  'sylvester.Vector.prototype.e',
+  'sylvester.Vector.prototype.dimensions',
+  'sylvester.Vector.prototype.modulus',
+  'sylvester.Vector.prototype.eql',
+  'sylvester.Vector.prototype.dup',
+  'sylvester.Vector.prototype.map',
+  'sylvester.Vector.prototype.each',
+  'sylvester.Vector.prototype.toUnitVector',
+  'sylvester.Vector.prototype.angleFrom',
+  'sylvester.Vector.prototype.isParallelTo',
+  'sylvester.Vector.prototype.isAntiparallelTo',
+  'sylvester.Vector.prototype.isPerpendicularTo',
+  'sylvester.Vector.prototype.add',
+  'sylvester.Vector.prototype.subtract',
+  'sylvester.Vector.prototype.multiply',
+  'sylvester.Vector.prototype.x',
+  'sylvester.Vector.prototype.addInto',
+  'sylvester.Vector.prototype.addInPlace',
+  'sylvester.Vector.prototype.subtractInto',
+  'sylvester.Vector.prototype.subtractInPlace',
+  'sylvester.Vector.prototype.multiplyInto',
+  'sylvester.Vector.prototype.multiplyInPlace',
+  'sylvester.Vector.prototype.normalizeInto',
+  'sylvester.Vector.prototype.normalizeInPlace',
+  'sylvester.Vector.prototype.dot',
+  'sylvester.Vector.prototype.cross',
+  'sylvester.Vector.prototype.crossInto',
+  'sylvester.Vector.prototype.max',
+  'sylvester.Vector.prototype.indexOf',
+  'sylvester.Vector.prototype.toDiagonalMatrix',
+  'sylvester.Vector.prototype.round',
+  'sylvester.Vector.prototype.snapTo',
+  'sylvester.Vector.prototype.distanceFrom',
+  'sylvester.Vector.prototype.liesOn',
+  'sylvester.Vector.prototype.liesIn',
+  'sylvester.Vector.prototype.rotate',
+  'sylvester.Vector.prototype.reflectionIn',
+  'sylvester.Vector.prototype.to3D',
+  'sylvester.Vector.prototype.inspect',
+  'sylvester.Vector.prototype.setElements',
+  'sylvester.Vector.prototype.isTyped',
+  'sylvester.Vector.prototype.toTyped',
+  'sylvester.Vector.prototype.toUntyped',
+  'sylvester.Vector.create',
+  'sylvester.Vector.createTyped',
+  'sylvester.Vector.i',
+  'sylvester.Vector.j',
+  'sylvester.Vector.k',
+  'sylvester.Vector.Random',
+  'sylvester.Vector.RandomUniform',
+  'sylvester.Vector.RandomNormal',
+  'sylvester.Vector.RandomUnit',
+  'sylvester.Vector.Zero',
+  'sylvester.Vector.prototype.flatten',
+  '$V'
+];
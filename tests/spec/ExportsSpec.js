@@ -0,0 +1,62 @@
+describe("Exports", function() {
+  var lookup = function(name) {
+    var parts = name.split('.'), object = window;
+    for (var i = 0; i < parts.length && object; i++) {
+      object = object[parts[i]];
+    }
+    return object;
+  };
+
+  it("should export every public name.", function() {
+    var missing = [];
+    for (var i = 0; i < SYLVESTER_EXPORTED_NAMES.length; i++) {
+      if (typeof(lookup(SYLVESTER_EXPORTED_NAMES[i])) == 'undefined') {
+        missing.push(SYLVESTER_EXPORTED_NAMES[i]);
+      }
+    }
+    expect(missing).toEqual([]);
+  });
+
+  it("should keep method names callable.", function() {
+    var v = window['$V']([1, 2, 3]);
+    expect(v['dot'](window['$V']([1, 1, 1]))).toEqual(6);
+    expect(v['e'](2)).toEqual(2);
+    var m = window['$M']([[1, 2], [3, 4]]);
+    expect(m['inverse']()['x'](m)['eql'](window['sylvester']['Matrix']['I'](2))).toBe(true);
+    var line = window['$L']([0, 0, 0], [1, 0, 0]);
+    var plane = window['$P']([5, 0, 0], [1, 0, 0]);
+    expect(line['intersectionWith'](plane)['elements']).toEqual([5, 0, 0]);
+  });
+
+  it("should keep field and record names.", function() {
+    var line = window['$L']([1, 2, 3], [0, 0, 2]);
+    expect(line['anchor']['elements']).toEqual([1, 2, 3]);
+    expect(line['direction']['elements']).toEqual([0, 0, 1]);
+    var lu = window['$M']([[0, 1], [1, 0]])['lu']();
+    expect(lu['sign']).toEqual(-1);
+    expect(lu['P']['x'](window['$M']([[0, 1], [1, 0]]))['eql'](lu['L']['x'](lu['U']))).toBe(true);
+  });
+
+  it("should share settings with the library.", function() {
+    var S = window['Sylvester'], precision = S['precision'];
+    S['precision'] = 0.1;
+    expect(window['$V']([1])['eql']([1.05])).toBe(true);
+    S['precision'] = precision;
+    expect(window['$V']([1])['eql']([1.05])).toBe(false);
+    var random = S['random'];
+    S['random'] = function() { return 0.25; };
+    expect(window['sylvester']['Vector']['Random'](2)['elements']).toEqual([0.25, 0.25]);
+    S['random'] = random;
+    S['strict'] = true;
+    expect(function() { window['$V']([1])['add']([1, 2]); }).toThrow();
+    S['strict'] = false;
+    expect(window['$V']([1])['add']([1, 2])).toBeNull();
+    S['relative'] = true;
+    expect(window['$V']([1000])['eql']([1000.0005])).toBe(true);
+    S['relative'] = false;
+    expect(S['withPrecision'](0.1, function() {
+      return window['$V']([1])['eql']([1.05]);
+    })).toBe(true);
+    expect(S['precision']).toEqual(precision);
+  });
+});
@@ -0,0 +1,74 @@
+describe("Frustum", function() {
+  var Frustum = sylvester.Frustum;
+
+  // Camera at (0, 0, 10) looking at the origin, near 1 and far 20
+  var view = Sylvester.makeLookAt(0, 0, 10, 0, 0, 0, 0, 1, 0);
+  var frustum = Frustum.create(Sylvester.makePerspective(90, 1, 1, 20).x(view));
+
+  it("should define the test results.", function() {
+    expect(Frustum.OUTSIDE).toEqual(0);
+    expect(Frustum.INTERSECT).toEqual(1);
+    expect(Frustum.INSIDE).toEqual(2);
+  });
+
+  it("should extract six planes.", function() {
+    expect(frustum instanceof Frustum).toBe(true);
+    expect(frustum.planes.length).toEqual(6);
+    expect(frustum.planes[4].contains([0, 0, 9])).toBe(true);
+    expect(frustum.planes[5].contains([0, 0, -10])).toBe(true);
+    expect(frustum.planes[4].normal).toEql([0, 0, -1]);
+  });
+
+  it("should test points.", function() {
+    expect(frustum.testPoint([0, 0, 0])).toEqual(Frustum.INSIDE);
+    expect(frustum.testPoint($V([0, 0, 9.5]))).toEqual(Frustum.OUTSIDE);
+    expect(frustum.testPoint([0, 0, -11])).toEqual(Frustum.OUTSIDE);
+    expect(frustum.testPoint([11, 0, 0])).toEqual(Frustum.OUTSIDE);
+    expect(frustum.contains([9, 0, 0])).toBe(true);
+    expect(frustum.contains([0, -11, 0])).toBe(false);
+  });
+
+  it("should test spheres.", function() {
+    expect(frustum.testSphere([0, 0, 0], 1)).toEqual(Frustum.INSIDE);
+    expect(frustum.testSphere($V([0, 0, -10]), 1)).toEqual(Frustum.INTERSECT);
+    expect(frustum.testSphere([0, 0, -12], 1)).toEqual(Frustum.OUTSIDE);
+  });
+
+  it("should test boxes.", function() {
+    expect(frustum.testBox([-1, -1, -1], [1, 1, 1])).toEqual(Frustum.INSIDE);
+    expect(frustum.testBox($V([-1, -1, 8]), $V([1, 1, 12]))).toEqual(Frustum.INTERSECT);
+    expect(frustum.testBox([30, 30, -1], [40, 40, 1])).toEqual(Frustum.OUTSIDE);
+  });
+
+  it("should return its corners.", function() {
+    var corners = frustum.corners();
+    expect(corners.length).toEqual(8);
+    expect(corners[0]).toEql([-1, -1, 9]);
+    expect(corners[6]).toEql([20, 20, -10]);
+  });
+
+  it("should support the [0, 1] depth range.", function() {
+    var F = Frustum.create(Sylvester.makePerspective(90, 1, 1, 20, true).x(view), true);
+    expect(F.planes[4].contains([0, 0, 9])).toBe(true);
+    expect(F.testPoint([0, 0, 9.5])).toEqual(Frustum.OUTSIDE);
+    expect(F.corners()[4]).toEql([-20, -20, -10]);
+  });
+
+  it("should have no far plane for an infinite projection.", function() {
+    var F = Frustum.create(Sylvester.makeInfinitePerspective(90, 1, 1).x(view));
+    expect(F.planes[5]).toBeNull();
+    expect(F.testPoint([0, 0, -1e6])).toEqual(Frustum.INSIDE);
+    expect(F.corners()).toBeNull();
+  });
+
+  it("should reset its matrix.", function() {
+    var F = Frustum.create(sylvester.Matrix.I(4));
+    expect(F.setMatrix(Sylvester.makeOrtho(-2, 2, -2, 2, -2, 2))).toBe(F);
+    expect(F.contains([1.5, 1.5, 1.5])).toBe(true);
+    expect(F.contains([2.5, 0, 0])).toBe(false);
+  });
+
+  it("should return null for matrices that are not 4x4.", function() {
+    expect(Frustum.create(sylvester.Matrix.I(3))).toBeNull();
+  });
+});
@@ -0,0 +1,136 @@
+describe("Line", function() {
+  var Line = sylvester.Line;
+
+  describe("creation", function() {
+    it("should normalize the direction and copy the anchor.", function() {
+      var anchor = [1, 2, 3];
+      var line = Line.create(anchor, [0, 0, 5]);
+      anchor[0] = 9;
+      expect(line.anchor.elements).toEqual([1, 2, 3]);
+      expect(line.direction.elements).toEqual([0, 0, 1]);
+    });
+
+    it("should extend 2D vectors into the XY plane.", function() {
+      var line = $L([1, 2], [3, 4]);
+      expect(line.anchor).toEql([1, 2, 0]);
+      expect(line.direction).toEql([0.6, 0.8, 0]);
+    });
+
+    it("should return null for a zero direction or more than 3 dimensions.", function() {
+      expect($L([1, 2, 3], [0, 0, 0])).toBeNull();
+      expect($L([1, 2, 3, 4], [1, 0, 0])).toBeNull();
+      expect($L([1, 2, 3], [1, 0, 0, 0])).toBeNull();
+    });
+
+    it("should set vectors in place.", function() {
+      var line = Line.X.dup();
+      expect(line.setVectors([0, 1, 0], [0, 2, 0])).toBe(line);
+      expect(line.eql($L([0, 0, 0], [0, 1, 0]))).toBe(true);
+      expect(Line.X.direction).toEql([1, 0, 0]);
+    });
+
+    it("should provide the coordinate axes.", function() {
+      expect(Line.X.direction).toEql([1, 0, 0]);
+      expect(Line.Y.direction).toEql([0, 1, 0]);
+      expect(Line.Z.direction).toEql([0, 0, 1]);
+      expect(Line.Z.anchor).toEql([0, 0, 0]);
+    });
+  });
+
+  describe("comparison", function() {
+    it("should be equal to lines with the same points.", function() {
+      expect($L([5, 0, 0], [-2, 0, 0]).eql(Line.X)).toBe(true);
+      expect($L([0, 1, 0], [1, 0, 0]).eql(Line.X)).toBe(false);
+      expect(Line.X.eql(Line.Y)).toBe(false);
+    });
+
+    it("should duplicate.", function() {
+      var line = Line.X.dup();
+      expect(line).not.toBe(Line.X);
+      expect(line.eql(Line.X)).toBe(true);
+    });
+
+    it("should detect parallel lines and planes.", function() {
+      expect(Line.X.isParallelTo($L([0, 1, 0], [-1, 0, 0]))).toBe(true);
+      expect(Line.X.isParallelTo(Line.Y)).toBe(false);
+      expect(Line.X.isParallelTo(sylvester.Plane.XY)).toBe(true);
+      expect(Line.X.isParallelTo(sylvester.Plane.YZ)).toBe(false);
+    });
+  });
+
+  describe("geometry", function() {
+    it("should translate.", function() {
+      expect(Line.X.translate([0, 2, 3]).eql($L([0, 2, 3], [1, 0, 0]))).toBe(true);
+      expect(Line.X.translate($V([0, 2])).anchor).toEql([0, 2, 0]);
+    });
+
+    it("should measure distances to points, lines and planes.", function() {
+      expect(Line.X.distanceFrom([3, 0, 4])).toBeCloseTo(4, 10);
+      expect(Line.X.distanceFrom([3, 0])).toEqual(0);
+      expect(Line.X.distanceFrom($L([0, 0, 2], [0, 1, 0]))).toBeCloseTo(2, 10);
+      expect(Line.X.distanceFrom($L([0, 3, 0], [1, 0, 0]))).toBeCloseTo(3, 10);
+      expect(Line.X.distanceFrom(sylvester.Plane.XY.translate([0, 0, 5]))).toBeCloseTo(5, 10);
+      expect(Line.X.distanceFrom(sylvester.Plane.YZ)).toEqual(0);
+    });
+
+    it("should contain points on it.", function() {
+      expect(Line.X.contains([7, 0, 0])).toBe(true);
+      expect(Line.X.contains($V([7, 1, 0]))).toBe(false);
+    });
+
+    it("should lie in planes that contain it.", function() {
+      expect(Line.X.liesIn(sylvester.Plane.XY)).toBe(true);
+      expect(Line.X.liesIn(sylvester.Plane.YZ)).toBe(false);
+    });
+
+    it("should intersect lines and planes.", function() {
+      var line = $L([1, 1, 0], [0, 1, 0]);
+      expect(Line.X.intersects(line)).toBe(true);
+      expect(Line.X.intersectionWith(line)).toEql([1, 0, 0]);
+      expect(Line.X.intersects(sylvester.Plane.YZ.translate([4, 0, 0]))).toBe(true);
+      expect(Line.X.intersectionWith(sylvester.Plane.YZ.translate([4, 0, 0]))).toEql([4, 0, 0]);
+    });
+
+    it("should return null when there is no unique intersection.", function() {
+      var skew = $L([0, 0, 1], [0, 1, 0]);
+      expect(Line.X.intersects(skew)).toBe(false);
+      expect(Line.X.intersectionWith(skew)).toBeNull();
+      expect(Line.X.intersectionWith($L([0, 1, 0], [1, 0, 0]))).toBeNull();
+      expect(Line.X.intersectionWith(sylvester.Plane.XY)).toBeNull();
+    });
+
+    it("should find the closest point to points and lines.", function() {
+      expect(Line.X.pointClosestTo([3, 4, 5])).toEql([3, 0, 0]);
+      expect(Line.X.pointClosestTo([3, 0, 0])).toEql([3, 0, 0]);
+      expect(Line.X.pointClosestTo($L([2, 0, 1], [0, 1, 0]))).toEql([2, 0, 0]);
+      expect(Line.X.pointClosestTo($L([2, 3, 0], [0, 1, 0]))).toEql([2, 0, 0]);
+      expect(Line.X.pointClosestTo($L([0, 1, 0], [1, 0, 0]))).toBeNull();
+    });
+
+    it("should rotate about a line.", function() {
+      var rotated = $L([1, 0, 0], [0, 1, 0]).rotate(Math.PI / 2, Line.Z);
+      expect(rotated.eql($L([0, 1, 0], [1, 0, 0]))).toBe(true);
+      expect(rotated.anchor).toEql([0, 1, 0]);
+    });
+
+    it("should rotate about a 2D point.", function() {
+      var rotated = Line.X.rotate(Math.PI / 2, $V([1, 0]));
+      expect(rotated.eql($L([1, 0, 0], [0, 1, 0]))).toBe(true);
+    });
+
+    it("should rotate by a quaternion.", function() {
+      var q = sylvester.Quaternion.fromAxisAngle([0, 0, 1], Math.PI / 2);
+      expect(Line.X.rotate(q).eql(Line.Y)).toBe(true);
+      expect(Line.X.rotate(q, [1, 0, 0]).eql($L([1, 0, 0], [0, 1, 0]))).toBe(true);
+    });
+
+    it("should reflect in points, lines and planes.", function() {
+      var line = $L([1, 1, 1], [1, 0, 0]);
+      expect(line.reflectionIn([0, 0, 0]).eql($L([-1, -1, -1], [1, 0, 0]))).toBe(true);
+      expect(line.reflectionIn(Line.X).eql($L([0, -1, -1], [1, 0, 0]))).toBe(true);
+      expect(line.reflectionIn(sylvester.Plane.XY).eql($L([0, 1, -1], [1, 0, 0]))).toBe(true);
+      var slanted = $L([0, 0, 1], [1, 0, 1]).reflectionIn(sylvester.Plane.XY);
+      expect(slanted.eql($L([0, 0, -1], [1, 0, -1]))).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,628 @@
+describe("Matrix", function() {
+  var Matrix = sylvester.Matrix;
+
+  var A = $M([[1, 2], [3, 4]]);
+  var B = $M([[1, 2, 3], [4, 5, 6]]);
+  var S = $M([[4, 1, 2, 0, 1], [1, 5, 0, 1, 0], [2, 0, 6, 1, 1], [0, 1, 1, 7, 2], [1, 0, 1, 2, 8]]);
+
+  var isIdentity = function(M) {
+    return M.eql(Matrix.I(M.rows()));
+  };
+
+  // Calls fn and returns whatever it throws, or null if it returns normally
+  var thrown = function(fn) {
+    try {
+      fn();
+    } catch (e) {
+      return e;
+    }
+    return null;
+  };
+
+  describe("creation", function() {
+    it("should copy nested arrays.", function() {
+      var elements = [[1, 2], [3, 4]];
+      var M = Matrix.create(elements);
+      elements[0][0] = 9;
+      expect(M.elements).toEqual([[1, 2], [3, 4]]);
+      expect($M(M).elements).toEqual([[1, 2], [3, 4]]);
+    });
+
+    it("should make a column from a flat array or vector.", function() {
+      expect($M([1, 2, 3]).elements).toEqual([[1], [2], [3]]);
+      expect($M($V([1, 2])).elements).toEqual([[1], [2]]);
+    });
+
+    it("should set elements in place.", function() {
+      var M = $M([[1]]);
+      expect(M.setElements([[1, 2], [3, 4]])).toBe(M);
+      expect(M.elements).toEqual([[1, 2], [3, 4]]);
+      expect(M.isTyped()).toBe(false);
+    });
+
+    it("should create special matrices.", function() {
+      expect(Matrix.I(3).elements).toEqual([[1, 0, 0], [0, 1, 0], [0, 0, 1]]);
+      expect(Matrix.Zero(2, 3).elements).toEqual([[0, 0, 0], [0, 0, 0]]);
+      expect(Matrix.Diagonal([2, 3]).elements).toEqual([[2, 0], [0, 3]]);
+      var random = Matrix.Random(2, 4);
+      expect(random.dimensions()).toEqual({rows: 2, cols: 4});
+      expect(random.max() >= 0 && random.max() < 1).toBe(true);
+    });
+  });
+
+  describe("access", function() {
+    it("should return elements by 1-based index.", function() {
+      expect(B.e(2, 3)).toEqual(6);
+      expect(B.e(1, 1)).toEqual(1);
+      expect(B.e(0, 1)).toBeNull();
+      expect(B.e(3, 1)).toBeNull();
+      expect(B.e(1, 4)).toBeNull();
+    });
+
+    it("should return rows and columns as vectors.", function() {
+      expect(B.row(2)).toEql([4, 5, 6]);
+      expect(B.col(3)).toEql([3, 6]);
+      expect(B.row(3)).toBeNull();
+      expect(B.col(4)).toBeNull();
+    });
+
+    it("should report its dimensions.", function() {
+      expect(B.dimensions()).toEqual({rows: 2, cols: 3});
+      expect(B.rows()).toEqual(2);
+      expect(B.cols()).toEqual(3);
+      expect(B.isSquare()).toBe(false);
+      expect(A.isSquare()).toBe(true);
+    });
+
+    it("should find the element of largest magnitude and its position.", function() {
+      expect($M([[1, -9], [3, 4]]).max()).toEqual(-9);
+      expect(B.indexOf(5)).toEqual({i: 2, j: 2});
+      expect(B.indexOf(7)).toBeNull();
+    });
+
+    it("should return the diagonal of a square matrix.", function() {
+      expect(A.diagonal()).toEql([1, 4]);
+      expect(B.diagonal()).toBeNull();
+    });
+
+    it("should take minors, wrapping around the edges.", function() {
+      expect(B.minor(1, 2, 2, 2)).toEql([[2, 3], [5, 6]]);
+      expect(B.minor(2, 3, 2, 2)).toEql([[6, 4], [3, 1]]);
+    });
+
+    it("should augment with a matrix of the same height.", function() {
+      expect(A.augment([[5], [6]])).toEql([[1, 2, 5], [3, 4, 6]]);
+      expect(A.augment(B)).toEql([[1, 2, 1, 2, 3], [3, 4, 4, 5, 6]]);
+      expect(A.augment([[1, 2, 3]])).toBeNull();
+    });
+
+    it("should inspect and flatten in column-major order.", function() {
+      expect(A.inspect()).toEqual('[1, 2]\n[3, 4]');
+      expect(B.flatten()).toEqual([1, 4, 2, 5, 3, 6]);
+    });
+  });
+
+  describe("comparison", function() {
+    it("should be equal within Sylvester.precision.", function() {
+      expect(A.eql([[1, 2], [3, 4 + Sylvester.precision / 2]])).toBe(true);
+      expect(A.eql($M([[1, 2], [3, 4.001]]))).toBe(false);
+      expect(A.eql(B)).toBe(false);
+      expect($M([1, 2]).eql([1, 2])).toBe(true);
+    });
+
+    it("should compare sizes.", function() {
+      expect(A.isSameSizeAs([[0, 0], [0, 0]])).toBe(true);
+      expect(A.isSameSizeAs(B)).toBe(false);
+    });
+
+    it("should duplicate into an independent copy.", function() {
+      var M = A.dup();
+      M.elements[0][0] = 7;
+      expect(A.e(1, 1)).toEqual(1);
+    });
+
+    it("should detect symmetric matrices.", function() {
+      expect(S.isSymmetric()).toBe(true);
+      expect(A.isSymmetric()).toBe(false);
+      expect(B.isSymmetric()).toBe(false);
+    });
+  });
+
+  describe("arithmetic", function() {
+    it("should add and subtract.", function() {
+      expect(A.add([[1, 1], [1, 1]])).toEql([[2, 3], [4, 5]]);
+      expect(A.subtract(A)).toEql(Matrix.Zero(2, 2));
+    });
+
+    it("should return null when adding or subtracting a different size.", function() {
+      expect(A.add(B)).toBeNull();
+      expect(B.subtract(A)).toBeNull();
+    });
+
+    it("should multiply matrices.", function() {
+      expect(A.multiply(B)).toEql([[9, 12, 15], [19, 26, 33]]);
+      expect(A.x(A)).toEql([[7, 10], [15, 22]]);
+      expect(B.x(B.transpose())).toEql([[14, 32], [32, 77]]);
+    });
+
+    it("should multiply vectors and scalars.", function() {
+      expect(A.x($V([1, 1]))).toEql([3, 7]);
+      expect(A.x(2)).toEql([[2, 4], [6, 8]]);
+    });
+
+    it("should return null when the sizes do not match.", function() {
+      expect(A.canMultiplyFromLeft(B)).toBe(true);
+      expect(B.canMultiplyFromLeft(A)).toBe(false);
+      expect(B.x(A)).toBeNull();
+      expect(A.x($V([1, 2, 3]))).toBeNull();
+    });
+
+    it("should multiply small square matrices like larger ones.", function() {
+      for (var n = 2; n <= 5; n++) {
+        var M = Matrix.Random(n, n), N = Matrix.Random(n, n), product = M.x(N);
+        for (var i = 1; i <= n; i++) {
+          for (var j = 1; j <= n; j++) {
+            expect(product.e(i, j)).toBeCloseTo(M.row(i).dot(N.col(j)), 10);
+          }
+        }
+      }
+    });
+
+    it("should transpose.", function() {
+      expect(B.transpose()).toEql([[1, 4], [2, 5], [3, 6]]);
+      expect(A.transpose()).toEql([[1, 3], [2, 4]]);
+    });
+
+    it("should map with 1-based indices.", function() {
+      expect(A.map(function(x, i, j) { return 10 * i + j; })).toEql([[11, 12], [21, 22]]);
+    });
+
+    it("should round and snap.", function() {
+      expect($M([[1.4, 2.6]]).round()).toEql([[1, 3]]);
+      expect($M([[1 + Sylvester.precision / 2, 1.1]]).snapTo(1).elements).toEqual([[1, 1.1]]);
+    });
+  });
+
+  describe("in-place arithmetic", function() {
+    it("should write into the given matrix.", function() {
+      var out = Matrix.Zero(2, 2);
+      expect(A.addInto(A, out)).toBe(out);
+      expect(out.elements).toEqual([[2, 4], [6, 8]]);
+      expect(A.subtractInto([[1, 1], [1, 1]], out).elements).toEqual([[0, 1], [2, 3]]);
+      expect(A.multiplyInto(A, out).elements).toEqual([[7, 10], [15, 22]]);
+      expect(A.multiplyInto(3, out).elements).toEqual([[3, 6], [9, 12]]);
+      var v = $V([0, 0]);
+      expect(A.multiplyInto($V([1, 1]), v)).toBe(v);
+      expect(v.elements).toEqual([3, 7]);
+      var T = Matrix.Zero(3, 2);
+      expect(B.transposeInto(T).elements).toEqual([[1, 4], [2, 5], [3, 6]]);
+      expect(A.elements).toEqual([[1, 2], [3, 4]]);
+    });
+
+    it("should modify the receiver.", function() {
+      var M = A.dup();
+      expect(M.addInPlace(A)).toBe(M);
+      expect(M.elements).toEqual([[2, 4], [6, 8]]);
+      expect(M.subtractInPlace(A).elements).toEqual([[1, 2], [3, 4]]);
+      expect(M.multiplyInPlace(M).elements).toEqual([[7, 10], [15, 22]]);
+      expect(M.transposeInPlace().elements).toEqual([[7, 15], [10, 22]]);
+    });
+
+    it("should return null on a dimension mismatch.", function() {
+      expect(A.addInto(B, Matrix.Zero(2, 2))).toBeNull();
+      expect(A.addInto(A, Matrix.Zero(3, 3))).toBeNull();
+      expect(A.subtractInPlace(B)).toBeNull();
+      expect(B.multiplyInPlace(B)).toBeNull();
+      expect(A.multiplyInto(B, Matrix.Zero(2, 2))).toBeNull();
+      expect(A.multiplyInto($V([1, 2, 3]), $V([0, 0]))).toBeNull();
+      expect(A.multiplyInto(2, B.dup())).toBeNull();
+      expect(B.transposeInto(Matrix.Zero(2, 3))).toBeNull();
+      expect(B.dup().transposeInPlace()).toBeNull();
+    });
+  });
+
+  describe("decompositions", function() {
+    it("should reduce to upper triangular form.", function() {
+      var M = $M([[0, 2, 1], [1, 1, 1], [2, 2, 4]]);
+      var U = M.toRightTriangular();
+      expect(U.e(2, 1)).toEqual(0);
+      expect(U.e(3, 1)).toEqual(0);
+      expect(U.e(3, 2)).toEqual(0);
+      expect(Math.abs(U.e(1, 1) * U.e(2, 2) * U.e(3, 3))).toBeCloseTo(Math.abs(M.det()), 10);
+      expect(M.toUpperTriangular()).toEql(U);
+    });
+
+    it("should compute the LU decomposition with partial pivoting.", function() {
+      var M = $M([[1, 2, 3], [4, 5, 6], [7, 8, 10]]), LU = M.lu();
+      expect(LU.P.x(M)).toEql(LU.L.x(LU.U));
+      expect(LU.L.e(1, 1)).toEqual(1);
+      expect(LU.L.e(1, 2)).toEqual(0);
+      expect(LU.U.e(2, 1)).toEqual(0);
+      expect(LU.sign).toEqual(LU.P.det());
+      var R = B.lu();
+      expect(R.P.x(B)).toEql(R.L.x(R.U));
+    });
+
+    it("should compute the QR decomposition.", function() {
+      var M = $M([[12, -51, 4], [6, 167, -68], [-4, 24, -41], [1, 1, 1]]), QR = M.qr();
+      expect(QR.Q.x(QR.R)).toEql(M);
+      expect(isIdentity(QR.Q.transpose().x(QR.Q))).toBe(true);
+      expect(QR.R.e(2, 1)).toEqual(0);
+      expect(QR.R.e(4, 3)).toEqual(0);
+      var economy = M.qr(true);
+      expect(economy.Q.dimensions()).toEqual({rows: 4, cols: 3});
+      expect(economy.R.dimensions()).toEqual({rows: 3, cols: 3});
+      expect(economy.Q.x(economy.R)).toEql(M);
+    });
+
+    it("should compute eigenvalues and eigenvectors of symmetric matrices.", function() {
+      var eigen = S.eigenSymmetric(), V = eigen.vectors;
+      expect(isIdentity(V.transpose().x(V))).toBe(true);
+      expect(V.x(eigen.values.toDiagonalMatrix()).x(V.transpose())).toEql(S);
+      var values = eigen.values.elements;
+      for (var i = 1; i < values.length; i++) {
+        expect(values[i] <= values[i - 1]).toBe(true);
+      }
+      expect(A.eigenSymmetric()).toBeNull();
+    });
+
+    it("should compute real and complex eigenvalues.", function() {
+      var eigen = $M([[2, 0, 0], [0, 3, 4], [0, 4, 9]]).eigenvalues();
+      expect(eigen.real.elements.slice().sort(function(a, b) { return a - b; })).toEqual([1, 2, 11]);
+      expect(eigen.imag).toEql([0, 0, 0]);
+      var rotation = Matrix.Rotation(Math.PI / 3).eigenvalues();
+      expect(rotation.real).toEql([0.5, 0.5]);
+      expect(Math.abs(rotation.imag.e(1))).toBeCloseTo(Math.sqrt(3) / 2, 10);
+      expect(rotation.imag.e(1)).toBeCloseTo(-rotation.imag.e(2), 10);
+      expect(B.eigenvalues()).toBeNull();
+    });
+
+    it("should compute the singular value decomposition.", function() {
+      var matrices = [B, B.transpose(), S, $M([[1, 2], [2, 4], [3, 6]])];
+      for (var i = 0; i < matrices.length; i++) {
+        var M = matrices[i], svd = M.svd();
+        expect(svd.U.x(svd.S.toDiagonalMatrix()).x(svd.V.transpose())).toEql(M);
+        expect(isIdentity(svd.U.transpose().x(svd.U))).toBe(true);
+        expect(isIdentity(svd.V.transpose().x(svd.V))).toBe(true);
+      }
+      expect(Matrix.Diagonal([3, -5, 1]).svd().S).toEql([5, 3, 1]);
+    });
+
+    it("should compute the Cholesky factor.", function() {
+      var L = S.cholesky();
+      expect(L.x(L.transpose())).toEql(S);
+      expect(L.e(1, 2)).toEqual(0);
+      expect(L.e(1, 1) > 0).toBe(true);
+    });
+
+    it("should return null for Cholesky of a matrix that is not positive definite.", function() {
+      expect(A.cholesky()).toBeNull();
+      expect($M([[1, 2], [2, 1]]).cholesky()).toBeNull();
+      expect(S.isPositiveDefinite()).toBe(true);
+      expect($M([[1, 2], [2, 1]]).isPositiveDefinite()).toBe(false);
+      expect(A.isPositiveDefinite()).toBe(false);
+    });
+  });
+
+  describe("determinant, rank and trace", function() {
+    it("should compute determinants of every size.", function() {
+      expect($M([[5]]).det()).toEqual(5);
+      expect(A.determinant()).toEqual(-2);
+      expect($M([[2, 0, 1], [1, 3, 2], [1, 1, 2]]).det()).toBeCloseTo(6, 10);
+      expect(Matrix.Diagonal([1, 2, 3, 4]).det()).toEqual(24);
+      expect(Matrix.Diagonal([1, 2, 3, 4, 5]).det()).toBeCloseTo(120, 10);
+      expect($M([[0, 1, 0, 0, 0], [1, 0, 0, 0, 0], [0, 0, 1, 0, 0], [0, 0, 0, 1, 0], [0, 0, 0, 0, 1]]).det()).toBeCloseTo(-1, 10);
+    });
+
+    it("should return null for the determinant of a non-square matrix.", function() {
+      expect(B.det()).toBeNull();
+    });
+
+    it("should detect singular matrices.", function() {
+      expect(A.isSingular()).toBe(false);
+      expect($M([[1, 2], [2, 4]]).isSingular()).toBe(true);
+      expect($M([[1, 2, 3], [4, 5, 6], [7, 8, 9]]).isSingular()).toBe(true);
+      expect(Matrix.Zero(5, 5).isSingular()).toBe(true);
+      expect(B.isSingular()).toBe(false);
+    });
+
+    it("should compute the rank.", function() {
+      expect(A.rank()).toEqual(2);
+      expect($M([[1, 2], [2, 4], [3, 6]]).rk()).toEqual(1);
+      expect(Matrix.Zero(2, 3).rank()).toEqual(0);
+      expect(Matrix.Diagonal([1, 1e-3]).rank(1e-2)).toEqual(1);
+    });
+
+    it("should compute the trace of square matrices.", function() {
+      expect(A.trace()).toEqual(5);
+      expect(S.tr()).toEqual(30);
+      expect($M([[7]]).trace()).toEqual(7);
+      expect(B.trace()).toBeNull();
+    });
+
+    it("should compute norms and the condition number.", function() {
+      expect(Matrix.Diagonal([3, -4]).norm2()).toBeCloseTo(4, 10);
+      expect(Matrix.Diagonal([3, -4]).nuclearNorm()).toBeCloseTo(7, 10);
+      expect(Matrix.Diagonal([2, 8]).conditionNumber()).toBeCloseTo(4, 10);
+      expect(Matrix.Zero(2, 2).conditionNumber()).toEqual(Infinity);
+      expect(Matrix.Diagonal([1, 1e-9]).conditionNumber()).toEqual(Infinity);
+      expect($M([[1, 2], [2, 4 + 1e-12]]).conditionNumber()).toEqual(Infinity);
+      expect(Matrix.Diagonal([1, 1e-3]).conditionNumber(1e-2)).toEqual(Infinity);
+      expect(Matrix.Diagonal([1, 1e-3]).conditionNumber()).toBeCloseTo(1000, 6);
+    });
+  });
+
+  describe("inversion and solving", function() {
+    it("should invert matrices of every size.", function() {
+      var matrices = [$M([[4]]), A, $M([[2, 0, 1], [1, 3, 2], [1, 1, 2]]),
+        Matrix.Rotation(1, $V([1, 2, 3])).ensure4x4(), S];
+      for (var i = 0; i < matrices.length; i++) {
+        expect(isIdentity(matrices[i].inverse().x(matrices[i]))).toBe(true);
+        expect(isIdentity(matrices[i].x(matrices[i].inv()))).toBe(true);
+      }
+    });
+
+    it("should return null for singular and non-square matrices.", function() {
+      expect($M([[1, 2], [2, 4]]).inverse()).toBeNull();
+      expect($M([[1, 2, 3], [4, 5, 6], [7, 8, 9]]).inverse()).toBeNull();
+      expect(Matrix.Zero(4, 4).inverse()).toBeNull();
+      expect(Matrix.Zero(5, 5).inv()).toBeNull();
+      expect(B.inverse()).toBeNull();
+    });
+
+    it("should return null for nearly singular matrices.", function() {
+      expect($M([[1, 1], [1, 1 + 1e-9]]).inverse()).toBeNull();
+      expect($M([[1, 1, 0, 0, 0], [1, 1 + 1e-12, 0, 0, 0], [0, 0, 1, 0, 0], [0, 0, 0, 1, 0], [0, 0, 0, 0, 1]]).inverse()).toBeNull();
+    });
+
+    it("should treat nearly singular matrices the same at every size.", function() {
+      // A 3x3 matrix takes the unrolled path and its 5x5 extension the LU path
+      var nearly = function(d) {
+        var small = $M([[1, 1, 0], [1, 1 + d, 0], [0, 0, 1]]);
+        var large = Matrix.I(5).map(function(x, i, j) {
+          return (i <= 3 && j <= 3) ? small.e(i, j) : x;
+        });
+        return [small, large];
+      };
+      var pair = nearly(2e-6), small = pair[0], large = pair[1];
+      expect(small.isSingular()).toBe(false);
+      expect(large.isSingular()).toBe(false);
+      expect(isIdentity(small.inverse().x(small))).toBe(true);
+      expect(large.inverse().minor(1, 1, 3, 3)).toEql(small.inverse());
+      pair = nearly(5e-7);
+      expect(pair[0].isSingular()).toBe(true);
+      expect(pair[0].inverse()).toBeNull();
+      expect(pair[1].inverse()).toBeNull();
+      // The threshold scales with the largest element, not with its cube
+      expect(Matrix.Diagonal([100, 1, 1e-3]).isSingular()).toBe(false);
+      expect(Matrix.Diagonal([100, 1, 1e-3]).inverse()).toEql(Matrix.Diagonal([0.01, 1, 1000]));
+      expect(Matrix.Diagonal([100, 1, 1e-5]).inverse()).toBeNull();
+    });
+
+    it("should compute the pseudo-inverse.", function() {
+      expect(A.pseudoInverse()).toEql(A.inverse());
+      var M = $M([[1, 2], [2, 4], [3, 6]]), P = M.pseudoInverse();
+      expect(M.x(P).x(M)).toEql(M);
+      expect(P.x(M).x(P)).toEql(P);
+      expect(B.pseudoInverse().dimensions()).toEqual({rows: 3, cols: 2});
+    });
+
+    it("should solve square systems for vectors and matrices.", function() {
+      expect(A.solve($V([5, 11]))).toEql([1, 2]);
+      expect(S.solve(S.x($V([1, 2, 3, 4, 5])))).toEql([1, 2, 3, 4, 5]);
+      expect(A.solve(A)).toEql(Matrix.I(2));
+    });
+
+    it("should throw when solving a singular system.", function() {
+      var e = thrown(function() { $M([[1, 2], [2, 4]]).solve($V([1, 2])); });
+      expect(e instanceof sylvester.SingularMatrix).toBe(true);
+      expect(e instanceof Error).toBe(true);
+      expect(e.message).toEqual('Matrix.solve: matrix is singular (2x2)');
+    });
+
+    it("should return null when the right-hand side has the wrong size.", function() {
+      expect(A.solve($V([1, 2, 3]))).toBeNull();
+      expect(Matrix.leastSquares(B, $V([1, 2, 3]))).toBeNull();
+      expect(S.choleskySolve($V([1, 2]))).toBeNull();
+    });
+
+    it("should solve least squares and minimum norm problems.", function() {
+      var M = $M([[1, 0], [1, 1], [1, 2]]), b = $V([1, 2, 4]);
+      var x = Matrix.leastSquares(M, b);
+      expect(x).toEql(M.transpose().x(M).inverse().x(M.transpose()).x(b));
+      expect(M.solve(b)).toEql(x);
+      var y = B.solve($V([6, 15]));
+      expect(B.x(y)).toEql([6, 15]);
+      expect(y).toEql(B.pseudoInverse().x($V([6, 15])));
+    });
+
+    it("should throw for rank deficient least squares problems.", function() {
+      var e = thrown(function() { Matrix.leastSquares($M([[1, 2], [2, 4], [3, 6]]), $V([1, 2, 3])); });
+      expect(e instanceof sylvester.SingularMatrix).toBe(true);
+      expect(e.message).toEqual('Matrix.leastSquares: matrix is rank deficient (3x2)');
+      e = thrown(function() { Matrix.leastSquares($M([[1, 2, 3], [2, 4, 6]]), $V([1, 2])); });
+      expect(e instanceof sylvester.SingularMatrix).toBe(true);
+    });
+
+    it("should solve with the Cholesky decomposition.", function() {
+      expect(S.choleskySolve(S.x($V([5, 4, 3, 2, 1])))).toEql([5, 4, 3, 2, 1]);
+      expect(S.choleskySolve(S)).toEql(Matrix.I(5));
+      expect(A.choleskySolve($V([1, 2]))).toBeNull();
+      expect($M([[1, 2], [2, 1]]).choleskySolve(Matrix.I(2))).toBeNull();
+    });
+  });
+
+  describe("transformations", function() {
+    it("should build rotation matrices.", function() {
+      expect(Matrix.Rotation(Math.PI / 2).x($V([1, 0]))).toEql([0, 1]);
+      expect(Matrix.Rotation(Math.PI / 2, $V([0, 0, 1]))).toEql(Matrix.RotationZ(Math.PI / 2));
+      expect(Matrix.Rotation(Math.PI / 2, $V([1, 0, 0]))).toEql(Matrix.RotationX(Math.PI / 2));
+      expect(Matrix.Rotation(Math.PI / 2, $V([0, 2, 0]))).toEql(Matrix.RotationY(Math.PI / 2));
+      expect(Matrix.RotationX(Math.PI / 2).x(sylvester.Vector.j)).toEql([0, 0, 1]);
+      expect(Matrix.RotationY(Math.PI / 2).x($V([0, 0, 1]))).toEql([1, 0, 0]);
+      expect(Matrix.RotationZ(Math.PI / 2).x($V([1, 0, 0]))).toEql([0, 1, 0]);
+      expect(Matrix.Rotation(1, $V([1, 2]))).toBeNull();
+    });
+
+    it("should convert to and from Euler angles.", function() {
+      var angles = [0.3, -0.5, 1.2];
+      var R = Matrix.fromEuler(angles, 'ZYX');
+      expect(R).toEql(Matrix.RotationZ(0.3).x(Matrix.RotationY(-0.5)).x(Matrix.RotationX(1.2)));
+      expect(R.toEuler('ZYX')).toEql(angles);
+      expect(Matrix.fromEuler(angles)).toEql(Matrix.fromEuler(angles, 'XYZ'));
+      expect(Matrix.fromEuler([0.3, 0.5, 1.2], 'ZXZ').toEuler('ZXZ')).toEql([0.3, 0.5, 1.2]);
+      expect(R.dup().ensure4x4().toEuler('ZYX')).toEql(angles);
+    });
+
+    it("should resolve gimbal lock into the first Euler angle.", function() {
+      var R = Matrix.fromEuler([0.2, Math.PI / 2, 0.3], 'XYZ');
+      expect(R.toEuler('XYZ')).toEql([0.5, Math.PI / 2, 0]);
+    });
+
+    it("should return null for invalid Euler orders and sizes.", function() {
+      expect(Matrix.fromEuler([1, 2, 3], 'XXY')).toBeNull();
+      expect(Matrix.fromEuler([1, 2], 'XYZ')).toBeNull();
+      expect(Matrix.I(3).toEuler('XYW')).toBeNull();
+      expect(A.toEuler()).toBeNull();
+    });
+
+    it("should build translation matrices.", function() {
+      expect(Matrix.Translation($V([1, 2, 3]))).toEql([[1, 0, 0, 1], [0, 1, 0, 2], [0, 0, 1, 3], [0, 0, 0, 1]]);
+      expect(Matrix.Translation($V([1, 2])).dimensions()).toEqual({rows: 3, cols: 3});
+      expect(thrown(function() { Matrix.Translation($V([1, 2, 3, 4])); }) instanceof sylvester.DimensionMismatch).toBe(true);
+    });
+
+    it("should pad to 4x4 and cut to 3x3.", function() {
+      var M = A.dup();
+      expect(M.ensure4x4()).toBe(M);
+      expect(M).toEql([[1, 2, 0, 0], [3, 4, 0, 0], [0, 0, 1, 0], [0, 0, 0, 1]]);
+      expect(M.make3x3()).toEql([[1, 2, 0], [3, 4, 0], [0, 0, 1]]);
+      expect(Matrix.Zero(5, 5).ensure4x4()).toBeNull();
+      expect(A.make3x3()).toBeNull();
+    });
+
+    it("should decompose and compose affine matrices.", function() {
+      var R = Matrix.RotationY(0.7);
+      var M = Matrix.composeAffine({translation: [1, 2, 3], rotation: R, scale: [2, 3, 4], shear: [0.1, 0.2, 0.3]});
+      var parts = M.decomposeAffine();
+      expect(parts.translation).toEql([1, 2, 3]);
+      expect(parts.rotation).toEql(R);
+      expect(parts.scale).toEql([2, 3, 4]);
+      expect(parts.shear).toEql([0.1, 0.2, 0.3]);
+      expect(Matrix.composeAffine(parts)).toEql(M);
+      var q = sylvester.Quaternion.fromMatrix(R);
+      expect(Matrix.composeAffine({rotation: q, scale: 2})).toEql(R.x(2).ensure4x4());
+      expect(Matrix.composeAffine({})).toEql(Matrix.I(4));
+    });
+
+    it("should report reflections as a negative x scale.", function() {
+      var parts = Matrix.Diagonal([1, -1, 1, 1]).decomposeAffine();
+      expect(parts.scale.e(1) < 0).toBe(true);
+      expect(parts.rotation.det()).toBeCloseTo(1, 10);
+    });
+
+    it("should return null for matrices that are not affine.", function() {
+      expect(A.decomposeAffine()).toBeNull();
+      expect(Sylvester.makePerspective(45, 1, 1, 10).decomposeAffine()).toBeNull();
+      expect(Matrix.Diagonal([1, 0, 1, 1]).decomposeAffine()).toBeNull();
+    });
+
+    it("should transform points, directions and normals.", function() {
+      var M = Matrix.Translation($V([1, 2, 3])).x(Matrix.Diagonal([2, 1, 1, 1]));
+      expect(M.transformPoint([1, 1, 1])).toEql([3, 3, 4]);
+      expect(M.transformDirection($V([1, 1, 1]))).toEql([2, 1, 1]);
+      var normal = M.transformNormal([1, -2, 0]);
+      expect(normal.dot(M.transformDirection([2, 1, 0]))).toBeCloseTo(0, 10);
+      expect(Matrix.Diagonal([2, 2, 2, 2]).transformPoint([1, 2, 3])).toEql([1, 2, 3]);
+    });
+
+    it("should return null from transforms with the wrong sizes.", function() {
+      var M = Matrix.I(4);
+      expect(A.transformPoint([1, 2, 3])).toBeNull();
+      expect(M.transformPoint([1, 2])).toBeNull();
+      expect(M.transformDirection([1, 2, 3, 4])).toBeNull();
+      expect(A.transformNormal([1, 2, 3])).toBeNull();
+      expect(Matrix.Diagonal([0, 1, 1, 1]).transformNormal([1, 0, 0])).toBeNull();
+      expect(A.transformLine(sylvester.Line.X)).toBeNull();
+      expect(A.transformPlane(sylvester.Plane.XY)).toBeNull();
+    });
+
+    it("should return null for points mapped to infinity.", function() {
+      var M = Matrix.I(4).dup();
+      M.elements[3] = [0, 0, 1, 0];
+      expect(M.transformPoint([1, 2, 0])).toBeNull();
+    });
+
+    it("should transform lines and planes.", function() {
+      var M = Matrix.Translation($V([0, 0, 5])).x(Matrix.RotationZ(Math.PI / 2).ensure4x4());
+      var line = M.transformLine(sylvester.Line.X);
+      expect(line.eql($L([0, 0, 5], [0, 1, 0]))).toBe(true);
+      var plane = M.transformPlane(sylvester.Plane.YZ);
+      expect(plane.eql($P([0, 0, 5], [0, 1, 0]))).toBe(true);
+      expect(Matrix.Zero(4, 4).transformPlane(sylvester.Plane.XY)).toBeNull();
+    });
+  });
+
+  describe("typed storage", function() {
+    it("should create matrices backed by typed arrays.", function() {
+      var M = Matrix.createTyped([[1, 2], [3, 4]]);
+      expect(M.isTyped()).toBe(true);
+      expect(M.data instanceof Float64Array).toBe(true);
+      expect(Array.prototype.slice.call(M.data)).toEqual([1, 2, 3, 4]);
+      expect(M).toEql(A);
+      expect(Matrix.createTyped([[1]], Float32Array).data instanceof Float32Array).toBe(true);
+      expect(A.isTyped()).toBe(false);
+    });
+
+    it("should convert between storage types.", function() {
+      var M = A.toTyped(Float32Array);
+      expect(M.isTyped()).toBe(true);
+      expect(M.data instanceof Float32Array).toBe(true);
+      var N = M.toUntyped();
+      expect(N.isTyped()).toBe(false);
+      expect(N.elements).toEqual([[1, 2], [3, 4]]);
+    });
+
+    it("should share rows with the flat data.", function() {
+      var M = B.toTyped();
+      M.elements[1][2] = 9;
+      expect(M.data[5]).toEqual(9);
+    });
+
+    it("should keep the storage type through operations.", function() {
+      var M = S.toTyped(Float32Array), N = A.toTyped();
+      var results = [M.dup(), M.map(Math.abs), M.x(M), M.transpose(), M.inverse(), M.row(1),
+        N.x(N), N.inverse(), N.transpose(), B.toTyped().transpose(), M.x($V([1, 2, 3, 4, 5]).toTyped())];
+      for (var i = 0; i < results.length; i++) {
+        expect(results[i].isTyped()).toBe(true);
+      }
+      expect(results[0].data instanceof Float32Array).toBe(true);
+      expect(results[7]).toEql(A.inverse());
+      expect(results[9]).toEql(B.transpose());
+      expect(results[10]).toEql(S.x($V([1, 2, 3, 4, 5])));
+    });
+
+    it("should keep the storage type when taking minors.", function() {
+      var M = B.toTyped(Float32Array), N = M.minor(2, 3, 2, 2);
+      expect(N.isTyped()).toBe(true);
+      expect(N.data instanceof Float32Array).toBe(true);
+      expect(N).toEql(B.minor(2, 3, 2, 2));
+      N.elements[0][0] = 9;
+      expect(M.e(2, 3)).toEqual(6);
+    });
+
+    it("should pad typed matrices to 4x4.", function() {
+      var M = A.toTyped();
+      M.ensure4x4();
+      expect(M.isTyped()).toBe(true);
+      expect(M.dimensions()).toEqual({rows: 4, cols: 4});
+      expect(M.e(3, 3)).toEqual(1);
+    });
+
+    it("should copy on dup.", function() {
+      var M = A.toTyped(), N = M.dup();
+      N.elements[0][0] = 7;
+      expect(M.e(1, 1)).toEqual(1);
+    });
+  });
+});
@@ -0,0 +1,157 @@
+describe("Plane", function() {
+  var Plane = sylvester.Plane;
+
+  describe("creation", function() {
+    it("should be created through sylvester.Plane.", function() {
+      var plane = Plane.create([0, 0, 1], [0, 0, 2]);
+      expect(plane instanceof Plane).toBe(true);
+      expect(plane.anchor.elements).toEqual([0, 0, 1]);
+      expect(plane.normal.elements).toEqual([0, 0, 1]);
+      expect(plane.contains([5, -3, 1])).toBe(true);
+      expect(plane.eql(Plane.XY.translate([0, 0, 1]))).toBe(true);
+    });
+
+    it("should be created through $P.", function() {
+      var plane = $P([0, 0, 0], [1, 0, 0], [0, 1, 0]);
+      expect(plane instanceof Plane).toBe(true);
+      expect(plane.eql(Plane.XY)).toBe(true);
+    });
+
+    it("should extend 2D vectors into the XY plane.", function() {
+      var plane = $P([1, 2], [1, 0]);
+      expect(plane.anchor).toEql([1, 2, 0]);
+      expect(plane.normal).toEql([1, 0, 0]);
+    });
+
+    it("should return null for degenerate input.", function() {
+      expect($P([0, 0, 0], [0, 0, 0])).toBeNull();
+      expect($P([0, 0, 0], [1, 0, 0], [2, 0, 0])).toBeNull();
+      expect($P([0, 0, 0, 0], [1, 0, 0])).toBeNull();
+    });
+
+    it("should set vectors in place.", function() {
+      var plane = Plane.XY.dup();
+      expect(plane.setVectors([0, 0, 0], [1, 0, 0])).toBe(plane);
+      expect(plane.eql(Plane.YZ)).toBe(true);
+      expect(Plane.XY.normal).toEql([0, 0, 1]);
+    });
+
+    it("should provide the coordinate planes.", function() {
+      expect(Plane.XY.normal).toEql([0, 0, 1]);
+      expect(Plane.YZ.normal).toEql([1, 0, 0]);
+      expect(Plane.ZX.normal).toEql([0, 1, 0]);
+      expect(Plane.YX).toBe(Plane.XY);
+      expect(Plane.ZY).toBe(Plane.YZ);
+      expect(Plane.XZ).toBe(Plane.ZX);
+    });
+
+    it("should keep sylvester.Pane as an alias.", function() {
+      expect(sylvester.Pane).toBe(Plane);
+      var plane = sylvester.Pane.create([1, 2, 3], [0, 1, 0]);
+      expect(plane instanceof Plane).toBe(true);
+      expect(plane.distanceFrom([1, 7, 3])).toEqual(5);
+      expect(sylvester.Pane.XY).toBe(Plane.XY);
+    });
+
+    it("should return planes from other classes.", function() {
+      var line = $L([0, 0, 0], [1, 0, 0]);
+      var plane = Plane.create([0, 0, 0], [0, 0, 1]);
+      expect(plane.intersectionWith(Plane.YZ) instanceof sylvester.Line).toBe(true);
+      expect(line.liesIn(plane)).toBe(true);
+      var moved = sylvester.Matrix.Translation($V([0, 0, 4])).transformPlane(plane);
+      expect(moved instanceof Plane).toBe(true);
+      expect(moved.contains([0, 0, 4])).toBe(true);
+    });
+  });
+
+  describe("comparison", function() {
+    it("should be equal to planes with the same points.", function() {
+      expect($P([3, 4, 0], [0, 0, -2]).eql(Plane.XY)).toBe(true);
+      expect(Plane.XY.eql(Plane.XY.translate([0, 0, 1]))).toBe(false);
+      expect(Plane.XY.eql(Plane.YZ)).toBe(false);
+    });
+
+    it("should duplicate.", function() {
+      var plane = Plane.XY.dup();
+      expect(plane).not.toBe(Plane.XY);
+      expect(plane.eql(Plane.XY)).toBe(true);
+    });
+
+    it("should detect parallel planes and lines.", function() {
+      expect(Plane.XY.isParallelTo(Plane.XY.translate([0, 0, 3]))).toBe(true);
+      expect(Plane.XY.isParallelTo($P([0, 0, 0], [0, 0, -1]))).toBe(true);
+      expect(Plane.XY.isParallelTo(Plane.YZ)).toBe(false);
+      expect(Plane.XY.isParallelTo(sylvester.Line.X)).toBe(true);
+      expect(Plane.XY.isParallelTo(sylvester.Line.Z)).toBe(false);
+      expect(Plane.XY.isParallelTo([1, 2, 3])).toBeNull();
+    });
+
+    it("should detect perpendicular planes.", function() {
+      expect(Plane.XY.isPerpendicularTo(Plane.YZ)).toBe(true);
+      expect(Plane.XY.isPerpendicularTo($P([0, 0, 0], [0, 1, 1]))).toBe(false);
+    });
+  });
+
+  describe("geometry", function() {
+    it("should translate.", function() {
+      expect(Plane.XY.translate([1, 2, 3]).contains([0, 0, 3])).toBe(true);
+      expect(Plane.YZ.translate($V([2, 0])).contains([2, 5, 5])).toBe(true);
+    });
+
+    it("should measure distances to points, lines and planes.", function() {
+      expect(Plane.XY.distanceFrom([1, 2, -3])).toBeCloseTo(3, 10);
+      expect(Plane.XY.distanceFrom([1, 2])).toEqual(0);
+      expect(Plane.XY.distanceFrom($L([0, 0, 2], [1, 1, 0]))).toBeCloseTo(2, 10);
+      expect(Plane.XY.distanceFrom(sylvester.Line.Z)).toEqual(0);
+      expect(Plane.XY.distanceFrom(Plane.XY.translate([0, 0, 4]))).toBeCloseTo(4, 10);
+      expect(Plane.XY.distanceFrom(Plane.YZ)).toEqual(0);
+    });
+
+    it("should contain points and lines in it.", function() {
+      expect(Plane.XY.contains([4, 5, 0])).toBe(true);
+      expect(Plane.XY.contains($V([4, 5, 1]))).toBe(false);
+      expect(Plane.XY.contains(sylvester.Line.X)).toBe(true);
+      expect(Plane.XY.contains(sylvester.Line.Z)).toBe(false);
+      expect(Plane.XY.contains(Plane.XY)).toBeNull();
+    });
+
+    it("should intersect lines and planes.", function() {
+      expect(Plane.XY.intersects(sylvester.Line.Z)).toBe(true);
+      expect(Plane.XY.intersectionWith($L([1, 2, 3], [0, 0, 1]))).toEql([1, 2, 0]);
+      expect(Plane.XY.intersects(Plane.YZ)).toBe(true);
+      var line = Plane.XY.translate([0, 0, 1]).intersectionWith(Plane.YZ.translate([2, 0, 0]));
+      expect(line.eql($L([2, 0, 1], [0, 1, 0]))).toBe(true);
+      var slanted = $P([0, 0, 0], [1, 1, 0]).intersectionWith($P([0, 0, 3], [0, 1, 1]));
+      expect(slanted.contains([0, 0, 3])).toBe(true);
+      expect(slanted.direction.isParallelTo([1, -1, 1]) || slanted.direction.isAntiparallelTo([1, -1, 1])).toBe(true);
+    });
+
+    it("should return null when there is no unique intersection.", function() {
+      expect(Plane.XY.intersects(sylvester.Line.X)).toBe(false);
+      expect(Plane.XY.intersectionWith(sylvester.Line.X)).toBeNull();
+      expect(Plane.XY.intersectionWith(Plane.XY.translate([0, 0, 1]))).toBeNull();
+      expect(Plane.XY.intersects([1, 2, 3])).toBeNull();
+    });
+
+    it("should find the closest point.", function() {
+      expect(Plane.XY.pointClosestTo([1, 2, 3])).toEql([1, 2, 0]);
+      expect($P([1, 1, 1], [1, 1, 1]).pointClosestTo([0, 0, 0])).toEql([1, 1, 1]);
+    });
+
+    it("should rotate about a line.", function() {
+      var rotated = Plane.XY.rotate(Math.PI / 2, sylvester.Line.X);
+      expect(rotated.eql(Plane.ZX)).toBe(true);
+      var moved = Plane.YZ.translate([1, 0, 0]).rotate(Math.PI, sylvester.Line.Z);
+      expect(moved.eql(Plane.YZ.translate([-1, 0, 0]))).toBe(true);
+    });
+
+    it("should reflect in points, lines and planes.", function() {
+      var plane = Plane.XY.translate([0, 0, 2]);
+      expect(plane.reflectionIn([0, 0, 0]).eql(Plane.XY.translate([0, 0, -2]))).toBe(true);
+      expect(plane.reflectionIn(sylvester.Line.X).eql(Plane.XY.translate([0, 0, -2]))).toBe(true);
+      expect(plane.reflectionIn(Plane.XY.translate([0, 0, 5])).eql(Plane.XY.translate([0, 0, 8]))).toBe(true);
+      var slanted = $P([0, 0, 0], [1, 0, 1]).reflectionIn(Plane.XY);
+      expect(slanted.eql($P([0, 0, 0], [1, 0, -1]))).toBe(true);
+    });
+  });
+});
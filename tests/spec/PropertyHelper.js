@@ -0,0 +1,91 @@
+// A small property-based testing harness. Each property is checked against
+// many randomly generated cases, drawn from a seeded generator so that any
+// failure can be replayed: the failure message names the seed, which can be
+// passed back as index.html?seed=N or node tests/run_node.js --seed=N.
+var Property = (function() {
+  var match = window.location && /[?&]seed=(\d+)/.exec(window.location.search);
+  var seed = match ? +match[1] :
+      (typeof SYLVESTER_SEED == 'number') ? SYLVESTER_SEED :
+      Math.floor(Math.random() * 4294967296);
+
+  // Mixes the name of a spec into the seed, so that each property replays
+  // the same cases however many other specs run before it
+  var seedFor = function(name) {
+    var h = seed ^ 0x811C9DC5;
+    for (var i = 0; i < name.length; i++) {
+      h = Math.imul(h ^ name.charCodeAt(i), 16777619);
+    }
+    return h >>> 0;
+  };
+
+  var show = function(x) {
+    return (x && x.inspect) ? x.inspect().replace(/\n/g, ' ') : jasmine.pp(x);
+  };
+
+  // Values are scaled from [0, 1) to [-1, 1), so that signs vary
+  var Generator = function() {
+    this.values = [];
+  };
+
+  Generator.prototype.log = function(x) {
+    this.values.push(x);
+    return x;
+  };
+
+  Generator.prototype.number = function(min, max) {
+    return this.log(min + (max - min) * Sylvester.random());
+  };
+
+  Generator.prototype.integer = function(min, max) {
+    return this.log(min + Math.floor((max - min + 1) * Sylvester.random()));
+  };
+
+  Generator.prototype.vector = function(n) {
+    return this.log(sylvester.Vector.Random(n).map(function(x) { return 2 * x - 1; }));
+  };
+
+  Generator.prototype.matrix = function(n, m) {
+    return this.log(sylvester.Matrix.Random(n, m || n).map(function(x) { return 2 * x - 1; }));
+  };
+
+  return {
+    seed: seed,
+
+    // Calls property(gen) for the given number of runs, with Sylvester.random
+    // seeded so that Matrix.Random, Vector.Random and the generator draw
+    // reproducible values. The property returns true if it holds, false if it
+    // fails, or null to discard a case that does not meet its preconditions.
+    forAll: function(spec, runs, property) {
+      var random = Sylvester.random, passed = 0, discarded = 0, gen, result;
+      Sylvester.seedRandom(seedFor(spec.getFullName()));
+      try {
+        while (passed < runs) {
+          gen = new Generator();
+          result = property(gen);
+          if (result === null) {
+            if (++discarded > 10 * runs) {
+              spec.fail(new Error('Gave up after ' + passed + ' runs and ' + discarded +
+                  ' discarded cases (seed ' + seed + ')'));
+              return;
+            }
+            continue;
+          }
+          if (!result) {
+            spec.fail(new Error('Falsified after ' + (passed + 1) + ' runs (seed ' + seed + ') by ' +
+                gen.values.map(show).join(', ')));
+            return;
+          }
+          passed++;
+        }
+      } finally {
+        Sylvester.random = random;
+      }
+      spec.expect(passed).toEqual(runs);
+    },
+
+    // Whether two numbers agree to within a relative tolerance
+    close: function(a, b, tolerance) {
+      return Math.abs(a - b) <= tolerance * Math.max(1, Math.abs(a), Math.abs(b));
+    }
+  };
+})();
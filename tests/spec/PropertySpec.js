@@ -0,0 +1,102 @@
+describe("Properties", function() {
+  var Matrix = sylvester.Matrix;
+  var Line = sylvester.Line;
+  var RUNS = 100;
+
+  describe("of matrices", function() {
+    it("should undo a double transpose.", function() {
+      Property.forAll(this, RUNS, function(gen) {
+        var A = gen.matrix(gen.integer(1, 6), gen.integer(1, 6));
+        return A.transpose().transpose().eql(A);
+      });
+    });
+
+    it("should transpose products in reverse order.", function() {
+      Property.forAll(this, RUNS, function(gen) {
+        var n = gen.integer(1, 5), A = gen.matrix(gen.integer(1, 5), n), B = gen.matrix(n, gen.integer(1, 5));
+        return A.x(B).transpose().eql(B.transpose().x(A.transpose()));
+      });
+    });
+
+    it("should give the identity when multiplied by the inverse.", function() {
+      Property.forAll(this, RUNS, function(gen) {
+        var n = gen.integer(1, 6), A = gen.matrix(n);
+        if (A.conditionNumber() > 1e4) {
+          return null;
+        }
+        var I = Matrix.I(n);
+        return A.x(A.inverse()).eql(I) && A.inverse().x(A).eql(I);
+      });
+    });
+
+    it("should multiply determinants.", function() {
+      Property.forAll(this, RUNS, function(gen) {
+        var n = gen.integer(1, 6), A = gen.matrix(n), B = gen.matrix(n);
+        return Property.close(A.x(B).det(), A.det() * B.det(), 1e-9);
+      });
+    });
+
+    it("should keep the determinant under transposition.", function() {
+      Property.forAll(this, RUNS, function(gen) {
+        var A = gen.matrix(gen.integer(1, 6));
+        return Property.close(A.transpose().det(), A.det(), 1e-9);
+      });
+    });
+
+    it("should solve for a known solution.", function() {
+      Property.forAll(this, RUNS, function(gen) {
+        var n = gen.integer(1, 6), A = gen.matrix(n), x = gen.vector(n);
+        if (A.conditionNumber() > 1e4) {
+          return null;
+        }
+        return A.solve(A.x(x)).eql(x);
+      });
+    });
+  });
+
+  describe("of vectors", function() {
+    it("should satisfy Lagrange's identity.", function() {
+      Property.forAll(this, RUNS, function(gen) {
+        var a = gen.vector(3), b = gen.vector(3);
+        var cross = a.cross(b).modulus(), dot = a.dot(b);
+        return Property.close(cross * cross + dot * dot, a.dot(a) * b.dot(b), 1e-12);
+      });
+    });
+
+    it("should cross to a perpendicular vector.", function() {
+      Property.forAll(this, RUNS, function(gen) {
+        var a = gen.vector(3), b = gen.vector(3), c = a.cross(b);
+        return Math.abs(c.dot(a)) <= 1e-12 && Math.abs(c.dot(b)) <= 1e-12;
+      });
+    });
+  });
+
+  describe("of lines", function() {
+    it("should intersect at a point on both lines.", function() {
+      Property.forAll(this, RUNS, function(gen) {
+        var point = gen.vector(3), d = gen.vector(3), e = gen.vector(3);
+        // Skip nearly parallel directions, where the intersection is ill-conditioned
+        if (d.toUnitVector().cross(e.toUnitVector()).modulus() < 0.1) {
+          return null;
+        }
+        var l = Line.create(point.add(d), d), m = Line.create(point.subtract(e.x(2)), e);
+        var X = l.intersectionWith(m);
+        return X !== null && l.contains(X) && m.contains(X) && X.eql(point);
+      });
+    });
+
+    it("should find closest points joined by the common normal.", function() {
+      Property.forAll(this, RUNS, function(gen) {
+        var l = Line.create(gen.vector(3), gen.vector(3)), m = Line.create(gen.vector(3), gen.vector(3));
+        if (l === null || m === null || l.direction.cross(m.direction).modulus() < 0.1) {
+          return null;
+        }
+        var P = l.pointClosestTo(m), Q = m.pointClosestTo(l), join = Q.subtract(P);
+        return l.contains(P) && m.contains(Q) &&
+            Math.abs(join.dot(l.direction)) <= Sylvester.precision &&
+            Math.abs(join.dot(m.direction)) <= Sylvester.precision &&
+            Property.close(join.modulus(), l.distanceFrom(m), Sylvester.precision);
+      });
+    });
+  });
+});
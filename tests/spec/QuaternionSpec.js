@@ -0,0 +1,155 @@
+describe("Quaternion", function() {
+  var Quaternion = sylvester.Quaternion;
+  var Matrix = sylvester.Matrix;
+
+  var q = Quaternion.fromAxisAngle([1, 2, 2], 0.8);
+  var r = Quaternion.fromAxisAngle([0, 1, 0], -1.3);
+
+  describe("creation", function() {
+    it("should copy the elements it is given, scalar part first.", function() {
+      var elements = [1, 2, 3, 4];
+      var p = Quaternion.create(elements);
+      elements[0] = 9;
+      expect(p.elements).toEqual([1, 2, 3, 4]);
+      expect($Q(p).elements).toEqual([1, 2, 3, 4]);
+      expect(Quaternion.Identity().elements).toEqual([1, 0, 0, 0]);
+    });
+
+    it("should set elements in place.", function() {
+      var p = Quaternion.Identity();
+      expect(p.setElements([0, 1, 0, 0])).toBe(p);
+      expect(p.elements).toEqual([0, 1, 0, 0]);
+    });
+
+    it("should be created from an axis and angle.", function() {
+      var p = Quaternion.fromAxisAngle($V([0, 0, 2]), Math.PI);
+      expect(p).toEql([0, 0, 0, 1]);
+      expect(Quaternion.fromAxisAngle([1, 0], 1)).toBeNull();
+      expect(Quaternion.fromAxisAngle([0, 0, 0], 1)).toBeNull();
+    });
+
+    it("should be created from Euler angles.", function() {
+      var angles = [0.4, -0.2, 1.1];
+      expect(Quaternion.fromEuler(angles, 'ZYX').toMatrix3x3()).toEql(Matrix.fromEuler(angles, 'ZYX'));
+      expect(Quaternion.fromEuler(angles)).toEql(Quaternion.fromEuler(angles, 'XYZ'));
+      expect(Quaternion.fromEuler(angles, 'XXZ')).toBeNull();
+      expect(Quaternion.fromEuler([1, 2], 'XYZ')).toBeNull();
+    });
+
+    it("should be created from 3x3 and 4x4 rotation matrices.", function() {
+      var rotations = [q, r, Quaternion.fromAxisAngle([1, 0, 0], Math.PI), Quaternion.fromAxisAngle([0, 1, 1], 3)];
+      for (var i = 0; i < rotations.length; i++) {
+        var p = rotations[i], sign = p.e(1) < 0 ? -1 : 1;
+        expect(Quaternion.fromMatrix(p.toMatrix3x3())).toEql(p.elements.map(function(x) { return sign * x; }));
+        expect(Quaternion.fromMatrix(p.toMatrix4x4()).e(1) >= 0).toBe(true);
+      }
+      expect(Quaternion.fromMatrix($M([[1, 2], [3, 4]]))).toBeNull();
+    });
+  });
+
+  describe("access", function() {
+    it("should return elements by 1-based index.", function() {
+      var p = $Q([1, 2, 3, 4]);
+      expect(p.e(1)).toEqual(1);
+      expect(p.e(4)).toEqual(4);
+      expect(p.e(0)).toBeNull();
+      expect(p.e(5)).toBeNull();
+    });
+
+    it("should inspect.", function() {
+      expect($Q([1, 2, 3, 4]).inspect()).toEqual('[1, 2, 3, 4]');
+    });
+
+    it("should be equal within Sylvester.precision.", function() {
+      expect($Q([1, 2, 3, 4]).eql([1, 2, 3, 4 + Sylvester.precision / 2])).toBe(true);
+      expect($Q([1, 2, 3, 4]).eql($Q([1, 2, 3, 4.001]))).toBe(false);
+      expect($Q([1, 2, 3, 4]).eql([1, 2, 3])).toBe(false);
+    });
+
+    it("should duplicate.", function() {
+      var p = q.dup();
+      p.elements[0] = 5;
+      expect(q.e(1)).not.toEqual(5);
+    });
+  });
+
+  describe("arithmetic", function() {
+    it("should compute the modulus and dot product.", function() {
+      expect($Q([1, 2, 2, 4]).modulus()).toEqual(5);
+      expect($Q([1, 2, 3, 4]).dot([1, 1, 1, 1])).toEqual(10);
+      expect(q.modulus()).toBeCloseTo(1, 10);
+    });
+
+    it("should multiply by the Hamilton product.", function() {
+      var i = $Q([0, 1, 0, 0]), j = $Q([0, 0, 1, 0]), k = $Q([0, 0, 0, 1]);
+      expect(i.multiply(j)).toEql(k);
+      expect(j.x(i)).toEql([0, 0, 0, -1]);
+      expect(i.x(i)).toEql([-1, 0, 0, 0]);
+      expect(q.x(r).toMatrix3x3()).toEql(q.toMatrix3x3().x(r.toMatrix3x3()));
+    });
+
+    it("should conjugate, invert and normalize.", function() {
+      var p = $Q([1, 2, 3, 4]);
+      expect(p.conjugate()).toEql([1, -2, -3, -4]);
+      expect(p.x(p.inverse())).toEql(Quaternion.Identity());
+      expect(p.normalize().modulus()).toBeCloseTo(1, 10);
+      expect($Q([0, 0, 0, 0]).normalize()).toEql([0, 0, 0, 0]);
+    });
+
+    it("should return null for the inverse of zero.", function() {
+      expect($Q([0, 0, 0, 0]).inverse()).toBeNull();
+    });
+  });
+
+  describe("rotation", function() {
+    it("should rotate vectors like its matrix.", function() {
+      var v = $V([3, -1, 2]);
+      expect(q.rotateVector(v)).toEql(q.toMatrix3x3().x(v));
+      expect(Quaternion.fromAxisAngle([0, 0, 1], Math.PI / 2).rotateVector([1, 0, 0])).toEql([0, 1, 0]);
+      expect(q.rotateVector([1, 2])).toBeNull();
+    });
+
+    it("should convert to an axis and angle.", function() {
+      var axisAngle = q.toAxisAngle();
+      expect(axisAngle.axis).toEql($V([1, 2, 2]).toUnitVector());
+      expect(axisAngle.angle).toBeCloseTo(0.8, 10);
+      var identity = Quaternion.Identity().toAxisAngle();
+      expect(identity.angle).toEqual(0);
+      expect(identity.axis).toEql([1, 0, 0]);
+    });
+
+    it("should convert to 3x3 and 4x4 matrices.", function() {
+      expect(Quaternion.fromAxisAngle([1, 0, 0], 0.5).toMatrix3x3()).toEql(Matrix.RotationX(0.5));
+      var M = r.toMatrix4x4();
+      expect(M.make3x3()).toEql(Matrix.RotationY(-1.3));
+      expect(M.e(4, 4)).toEqual(1);
+      expect(M.e(1, 4)).toEqual(0);
+    });
+
+    it("should interpolate spherically.", function() {
+      var a = Quaternion.Identity(), b = Quaternion.fromAxisAngle([0, 0, 1], 2);
+      expect(a.slerp(b, 0)).toEql(a);
+      expect(a.slerp(b, 1)).toEql(b);
+      expect(a.slerp(b, 0.25)).toEql(Quaternion.fromAxisAngle([0, 0, 1], 0.5));
+      expect(a.slerp(b, 0.5).modulus()).toBeCloseTo(1, 10);
+    });
+
+    it("should take the shorter path.", function() {
+      var a = Quaternion.Identity(), b = Quaternion.fromAxisAngle([0, 0, 1], 2);
+      var negated = $Q(b.elements.map(function(x) { return -x; }));
+      expect(a.slerp(negated, 0.5)).toEql(a.slerp(b, 0.5));
+      expect(a.nlerp(negated, 0.5)).toEql(a.nlerp(b, 0.5));
+    });
+
+    it("should fall back to nlerp for nearly equal rotations.", function() {
+      var b = Quaternion.fromAxisAngle([0, 0, 1], 1e-5);
+      expect(Quaternion.Identity().slerp(b, 0.5)).toEql(Quaternion.Identity().nlerp(b, 0.5));
+    });
+
+    it("should interpolate linearly and normalize.", function() {
+      var a = Quaternion.Identity(), b = Quaternion.fromAxisAngle([0, 0, 1], 2);
+      expect(a.nlerp(b, 0.5)).toEql(Quaternion.fromAxisAngle([0, 0, 1], 1));
+      expect(a.nlerp(b, 0.3).modulus()).toBeCloseTo(1, 10);
+    });
+  });
+});
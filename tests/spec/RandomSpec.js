@@ -0,0 +1,162 @@
+describe("Random", function() {
+  var Random = sylvester.Random;
+  var Vector = sylvester.Vector;
+  var Matrix = sylvester.Matrix;
+
+  var random;
+  beforeEach(function() {
+    random = Sylvester.random;
+  });
+  afterEach(function() {
+    Sylvester.random = random;
+  });
+
+  var draw = function(generator, n) {
+    var values = [];
+    for (var i = 0; i < n; i++) {
+      values.push(generator.next());
+    }
+    return values;
+  };
+
+  // Mean and standard deviation of n values from fn
+  var sample = function(n, fn) {
+    var sum = 0, squares = 0, x;
+    for (var i = 0; i < n; i++) {
+      x = fn();
+      sum += x;
+      squares += x * x;
+    }
+    return {mean: sum / n, sd: Math.sqrt(squares / n - (sum / n) * (sum / n))};
+  };
+
+  describe("generator", function() {
+    it("should repeat its sequence for the same seed.", function() {
+      var values = draw(Random.create(42), 10);
+      expect(draw(Random.create(42), 10)).toEqual(values);
+      expect(draw(Random.create(43), 10)).not.toEqual(values);
+      var generator = Random.create(7);
+      draw(generator, 5);
+      expect(generator.seed(42)).toBe(generator);
+      expect(draw(generator, 10)).toEqual(values);
+    });
+
+    it("should draw uniformly from [0, 1).", function() {
+      var values = draw(Random.create(1), 10000);
+      expect(values.every(function(x) { return x >= 0 && x < 1; })).toBe(true);
+      var stats = sample(values.length, function() { return values.pop(); });
+      expect(stats.mean).toBeCloseTo(0.5, 1);
+      expect(stats.sd).toBeCloseTo(Math.sqrt(1 / 12), 1);
+    });
+
+    it("should seed itself randomly without a seed.", function() {
+      expect(draw(Random.create(), 3)).not.toEqual(draw(Random.create(), 3));
+    });
+
+    it("should plug into Sylvester.random.", function() {
+      Sylvester.random = Random.create(5).toFunction();
+      var values = [Sylvester.random(), Sylvester.random()];
+      expect(values).toEqual(draw(Random.create(5), 2));
+    });
+  });
+
+  describe("constructors", function() {
+    it("should all draw from Sylvester.random.", function() {
+      Sylvester.random = function() { return 0.25; };
+      expect(Vector.Random(2).elements).toEqual([0.25, 0.25]);
+      expect(Matrix.Random(1, 2).elements).toEqual([[0.25, 0.25]]);
+      expect(Vector.RandomUniform(2, -1, 3).elements).toEqual([0, 0]);
+      expect(Random.uniform(10, 20)).toEqual(12.5);
+      expect(Random.uniform()).toEqual(0.25);
+    });
+
+    it("should be reproducible after Sylvester.seedRandom.", function() {
+      expect(Sylvester.seedRandom(9) instanceof Random).toBe(true);
+      var M = Matrix.Random(3, 3), V = Vector.RandomNormal(4), R = Matrix.RandomRotation();
+      Sylvester.seedRandom(9);
+      expect(Matrix.Random(3, 3)).toEql(M);
+      expect(Vector.RandomNormal(4)).toEql(V);
+      expect(Matrix.RandomRotation()).toEql(R);
+    });
+
+    it("should draw uniformly from a range.", function() {
+      Sylvester.seedRandom(1);
+      var V = Vector.RandomUniform(1000, -3, 5);
+      expect(V.dimensions()).toEqual(1000);
+      expect(V.elements.every(function(x) { return x >= -3 && x < 5; })).toBe(true);
+      var M = Matrix.RandomUniform(2, 3, 10, 11);
+      expect(M.dimensions()).toEqual({rows: 2, cols: 3});
+      M.map(function(x) {
+        expect(x >= 10 && x < 11).toBe(true);
+      });
+    });
+
+    it("should draw from the normal distribution.", function() {
+      Sylvester.seedRandom(2);
+      var stats = sample(20000, function() { return Random.normal(); });
+      expect(stats.mean).toBeCloseTo(0, 1);
+      expect(stats.sd).toBeCloseTo(1, 1);
+      stats = sample(20000, function() { return Random.normal(5, 0.5); });
+      expect(stats.mean).toBeCloseTo(5, 1);
+      expect(stats.sd).toBeCloseTo(0.5, 1);
+      var elements = Vector.RandomNormal(20000, -2, 3).elements;
+      stats = sample(elements.length, function() { return elements.pop(); });
+      expect(stats.mean).toBeCloseTo(-2, 1);
+      expect(stats.sd).toBeCloseTo(3, 1);
+      expect(Matrix.RandomNormal(3, 2).dimensions()).toEqual({rows: 3, cols: 2});
+    });
+
+    it("should draw unit vectors uniformly over the sphere.", function() {
+      Sylvester.seedRandom(3);
+      var sum = Vector.Zero(3);
+      for (var i = 0; i < 5000; i++) {
+        var V = Vector.RandomUnit(3);
+        expect(V.modulus()).toBeCloseTo(1, 10);
+        sum = sum.add(V);
+      }
+      expect(sum.modulus() / 5000).toBeLessThan(0.05);
+      expect(Vector.RandomUnit(5).modulus()).toBeCloseTo(1, 10);
+    });
+
+    it("should draw orthogonal matrices.", function() {
+      Sylvester.seedRandom(4);
+      for (var n = 1; n <= 6; n++) {
+        var Q = Matrix.RandomOrthogonal(n);
+        expect(Q.x(Q.transpose())).toEql(Matrix.I(n));
+        expect(Math.abs(Q.det())).toBeCloseTo(1, 10);
+      }
+    });
+
+    it("should draw both rotations and reflections as orthogonal matrices.", function() {
+      Sylvester.seedRandom(5);
+      var negative = 0;
+      for (var i = 0; i < 200; i++) {
+        negative += Matrix.RandomOrthogonal(3).det() < 0 ? 1 : 0;
+      }
+      expect(negative).toBeGreaterThan(70);
+      expect(negative).toBeLessThan(130);
+    });
+
+    it("should draw rotations uniformly over SO(3).", function() {
+      Sylvester.seedRandom(6);
+      var sum = Matrix.Zero(3, 3), R;
+      for (var i = 0; i < 2000; i++) {
+        R = Matrix.RandomRotation();
+        expect(R.dimensions()).toEqual({rows: 3, cols: 3});
+        expect(R.det()).toBeCloseTo(1, 10);
+        expect(R.x(R.transpose())).toEql(Matrix.I(3));
+        sum = sum.add(R);
+      }
+      // The mean of a uniform distribution over SO(3) is the zero matrix
+      expect(Math.abs(sum.x(1 / 2000).max())).toBeLessThan(0.05);
+    });
+
+    it("should draw rotations of other sizes.", function() {
+      Sylvester.seedRandom(7);
+      var R = Matrix.RandomRotation(4);
+      expect(R.x(R.transpose())).toEql(Matrix.I(4));
+      expect(R.det()).toBeCloseTo(1, 10);
+      expect(Matrix.RandomRotation(2).det()).toBeCloseTo(1, 10);
+    });
+  });
+});
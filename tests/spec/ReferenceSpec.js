@@ -0,0 +1,155 @@
+// Compares against exact or high-precision reference values for matrices that
+// are known to be hard to work with numerically.
+describe("Reference values", function() {
+  var Matrix = sylvester.Matrix;
+
+  var hilbert = function(n) {
+    var rows = [];
+    for (var i = 0; i < n; i++) {
+      rows[i] = [];
+      for (var j = 0; j < n; j++) {
+        rows[i][j] = 1 / (i + j + 1);
+      }
+    }
+    return $M(rows);
+  };
+
+  var vandermonde = function(nodes) {
+    return $M(nodes.map(function(x) {
+      return nodes.map(function(_, j) { return Math.pow(x, j); });
+    }));
+  };
+
+  // Whether every element of A is within a relative tolerance of the reference
+  var agrees = function(A, reference, tolerance) {
+    var elements = A.elements || A;
+    return reference.every(function(row, i) {
+      return (row.length ? row : [row]).every(function(x, j) {
+        var a = row.length ? elements[i][j] : elements[i];
+        return Math.abs(a - x) <= tolerance * Math.abs(x);
+      });
+    });
+  };
+
+  // Computed exactly in rational arithmetic, and the eigenvalues to 50 digits
+  var HILBERT = {
+    3: {
+      det: 1 / 2160,
+      inverse: [[9, -36, 30], [-36, 192, -180], [30, -180, 180]],
+      eigenvalues: [1.408318927123654, 0.12232706585390585, 0.0026873403557735294],
+      condition: 524.05677758606078
+    },
+    4: {
+      det: 1 / 6048000,
+      inverse: [[16, -120, 240, -140], [-120, 1200, -2700, 1680], [240, -2700, 6480, -4200],
+                [-140, 1680, -4200, 2800]],
+      eigenvalues: [1.5002142800592428, 0.16914122022145003, 0.0067382736057607483, 9.6702304022586887e-05],
+      condition: 15513.738738932589
+    },
+    5: {
+      det: 1 / 266716800000,
+      inverse: [[25, -300, 1050, -1400, 630], [-300, 4800, -18900, 26880, -12600],
+                [1050, -18900, 79380, -117600, 56700], [-1400, 26880, -117600, 179200, -88200],
+                [630, -12600, 56700, -88200, 44100]],
+      eigenvalues: [1.5670506910982307, 0.20853421861101334, 0.011407491623419806,
+                    0.0003058980401511917, 3.2879287721718631e-06],
+      condition: 476607.25024256081
+    },
+    6: {
+      det: 1 / 186313420339200000,
+      inverse: [[36, -630, 3360, -7560, 7560, -2772], [-630, 14700, -88200, 211680, -220500, 83160],
+                [3360, -88200, 564480, -1411200, 1512000, -582120],
+                [-7560, 211680, -1411200, 3628800, -3969000, 1552320],
+                [7560, -220500, 1512000, -3969000, 4410000, -1746360],
+                [-2772, 83160, -582120, 1552320, -1746360, 698544]],
+      eigenvalues: [1.6188998589243391, 0.24236087057520955, 0.016321521319875822,
+                    0.00061574835418265765, 1.2570757122625194e-05, 1.0827994845655498e-07],
+      condition: 14951058.640131216
+    }
+  };
+
+  describe("for Hilbert matrices", function() {
+    // Errors grow with the condition number, so the tolerance for an n x n
+    // matrix is scaled by it
+    var forEach = function(fn, largest) {
+      for (var n = 3; n <= (largest || 6); n++) {
+        fn(hilbert(n), HILBERT[n], 1e-14 * HILBERT[n].condition);
+      }
+    };
+
+    it("should compute the determinant.", function() {
+      forEach(function(H, reference, tolerance) {
+        expect(agrees([H.det()], [reference.det], tolerance)).toBe(true);
+      });
+    });
+
+    it("should compute the inverse.", function() {
+      forEach(function(H, reference, tolerance) {
+        expect(agrees(H.inverse(), reference.inverse, tolerance)).toBe(true);
+      }, 5);
+    });
+
+    it("should solve with the inverse as the right-hand side.", function() {
+      forEach(function(H, reference, tolerance) {
+        expect(agrees(H.solve(Matrix.I(H.rows())), reference.inverse, tolerance)).toBe(true);
+      }, 5);
+    });
+
+    it("should treat H6 as singular unless the precision is raised.", function() {
+      var H = hilbert(6), precision = Sylvester.precision;
+      expect(H.isSingular()).toBe(true);
+      expect(H.inverse()).toBeNull();
+      Sylvester.precision = 1e-10;
+      try {
+        expect(H.isSingular()).toBe(false);
+        expect(agrees(H.inverse(), HILBERT[6].inverse, 1e-14 * HILBERT[6].condition)).toBe(true);
+      } finally {
+        Sylvester.precision = precision;
+      }
+    });
+
+    it("should compute the eigenvalues.", function() {
+      forEach(function(H, reference, tolerance) {
+        expect(agrees(H.eigenSymmetric().values, reference.eigenvalues, tolerance)).toBe(true);
+        expect(agrees(H.eigenvalues().real, reference.eigenvalues, tolerance)).toBe(true);
+      });
+    });
+
+    it("should compute the singular values and condition number.", function() {
+      forEach(function(H, reference, tolerance) {
+        expect(agrees(H.svd().S, reference.eigenvalues, tolerance)).toBe(true);
+      });
+      forEach(function(H, reference, tolerance) {
+        expect(agrees([H.conditionNumber()], [reference.condition], tolerance)).toBe(true);
+      }, 5);
+    });
+
+    it("should give H6 an infinite condition number unless the precision is raised.", function() {
+      var H = hilbert(6);
+      expect(H.conditionNumber()).toEqual(Infinity);
+      expect(agrees([H.conditionNumber(1e-10)], [HILBERT[6].condition], 1e-14 * HILBERT[6].condition)).toBe(true);
+    });
+  });
+
+  describe("for Vandermonde matrices", function() {
+    it("should compute the determinant as the product of node differences.", function() {
+      expect(vandermonde([1, 2, 3, 4]).det()).toBeCloseTo(12, 10);
+      expect(vandermonde([1, 2, 3, 4, 5]).det()).toBeCloseTo(288, 9);
+      expect(agrees([vandermonde([-2, -1, 0, 1, 2, 3]).det()], [34560], 1e-12)).toBe(true);
+    });
+
+    it("should recover the coefficients of an interpolating polynomial.", function() {
+      // p(x) = 3 - 2x + x^3 - 0.5x^5 at six integer nodes
+      var nodes = [-2, -1, 0, 1, 2, 3], coefficients = [3, -2, 0, 1, 0, -0.5];
+      var values = nodes.map(function(x) {
+        return coefficients.reduce(function(sum, c, j) { return sum + c * Math.pow(x, j); }, 0);
+      });
+      expect(vandermonde(nodes).solve($V(values))).toEql(coefficients);
+    });
+
+    it("should be exactly singular with repeated nodes.", function() {
+      expect(vandermonde([1, 2, 2, 3]).isSingular()).toBe(true);
+      expect(vandermonde([1, 2, 2, 3]).rank()).toEqual(3);
+    });
+  });
+});
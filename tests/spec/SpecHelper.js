@@ -0,0 +1,15 @@
+beforeEach(function() {
+  this.addMatchers({
+    // Compares with the receiver's own eql, i.e. within Sylvester.precision
+    toEql: function(expected) {
+      var actual = this.actual;
+      var show = function(x) {
+        return (x && x.inspect) ? x.inspect() : jasmine.pp(x);
+      };
+      this.message = function() {
+        return "Expected " + show(actual) + (this.isNot ? " not" : "") + " to eql " + show(expected) + ".";
+      };
+      return actual !== null && typeof(actual) == 'object' && actual.eql(expected);
+    }
+  });
+});
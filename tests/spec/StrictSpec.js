@@ -0,0 +1,139 @@
+describe("Strict mode", function() {
+  var Matrix = sylvester.Matrix;
+  var Line = sylvester.Line;
+  var Plane = sylvester.Plane;
+
+  var strict;
+  beforeEach(function() {
+    strict = Sylvester.strict;
+  });
+  afterEach(function() {
+    Sylvester.strict = strict;
+  });
+
+  // Calls fn and returns whatever it throws, or null if it returns normally
+  var thrown = function(fn) {
+    try {
+      fn();
+    } catch (e) {
+      return e;
+    }
+    return null;
+  };
+
+  it("should be off by default, returning null for bad input.", function() {
+    expect(Sylvester.strict).toBe(false);
+    expect($V([1, 2]).add([1, 2, 3])).toBeNull();
+    expect($M([[1, 2], [2, 4]]).inverse()).toBeNull();
+    expect($L([0, 0, 0], [0, 0, 0])).toBeNull();
+    expect(thrown(function() { $M([[1, 2], [2, 4]]).solve([1, 2]); }) instanceof sylvester.SingularMatrix).toBe(true);
+  });
+
+  it("should throw errors of typed classes.", function() {
+    Sylvester.strict = true;
+    var e = thrown(function() { $V([1, 2]).add([1, 2, 3]); });
+    expect(e instanceof sylvester.DimensionMismatch).toBe(true);
+    expect(e instanceof sylvester.Error).toBe(true);
+    expect(e instanceof Error).toBe(true);
+    expect(e instanceof sylvester.SingularMatrix).toBe(false);
+    expect(e.name).toEqual('sylvester.DimensionMismatch');
+    expect(e.operation).toEqual('Vector.add');
+    expect(e.shapes).toEqual([[2], [3]]);
+    expect(e.message).toEqual('Vector.add: dimensions do not match (2, 3)');
+    expect(typeof e.stack).toEqual('string');
+  });
+
+  it("should carry the shapes of mismatched matrices.", function() {
+    Sylvester.strict = true;
+    var e = thrown(function() { Matrix.Zero(2, 3).x(Matrix.Zero(2, 3)); });
+    expect(e instanceof sylvester.DimensionMismatch).toBe(true);
+    expect(e.shapes).toEqual([[2, 3], [2, 3]]);
+    e = thrown(function() { Matrix.Zero(2, 3).determinant(); });
+    expect(e.message).toEqual('Matrix.determinant: matrix is not square (2x3)');
+  });
+
+  it("should throw for singular matrices.", function() {
+    Sylvester.strict = true;
+    var A = $M([[1, 2], [2, 4]]);
+    var e = thrown(function() { A.inverse(); });
+    expect(e instanceof sylvester.SingularMatrix).toBe(true);
+    expect(e.shapes).toEqual([[2, 2]]);
+    e = thrown(function() { A.solve([1, 2]); });
+    expect(e instanceof sylvester.SingularMatrix).toBe(true);
+    expect(e.operation).toEqual('Matrix.solve');
+    expect(thrown(function() { $M([[1, 2], [3, 4]]).inverse(); })).toBeNull();
+  });
+
+  it("should throw for matrices that are not positive definite.", function() {
+    Sylvester.strict = true;
+    var A = $M([[1, 2], [2, 1]]);
+    var e = thrown(function() { A.cholesky(); });
+    expect(e instanceof sylvester.SingularMatrix).toBe(true);
+    expect(e.message).toEqual('Matrix.cholesky: matrix is not positive definite (2x2)');
+    e = thrown(function() { A.choleskySolve([1, 2]); });
+    expect(e instanceof sylvester.SingularMatrix).toBe(true);
+    expect(e.operation).toEqual('Matrix.choleskySolve');
+    expect(thrown(function() { A.isPositiveDefinite(); })).toBeNull();
+  });
+
+  it("should throw for matrices and rotation orders of the wrong form.", function() {
+    Sylvester.strict = true;
+    var e = thrown(function() { $M([[1, 2], [3, 4]]).eigenSymmetric(); });
+    expect(e instanceof sylvester.InvalidArgument).toBe(true);
+    expect(e instanceof sylvester.DimensionMismatch).toBe(false);
+    expect(e.message).toEqual('Matrix.eigenSymmetric: matrix is not symmetric (2x2)');
+    e = thrown(function() { Matrix.fromEuler([1, 2, 3], 'XXY'); });
+    expect(e instanceof sylvester.InvalidArgument).toBe(true);
+    expect(e.shapes).toEqual([[3], []]);
+    expect(e.message).toEqual('Matrix.fromEuler: unknown rotation order XXY (3, scalar)');
+    e = thrown(function() { Matrix.I(3).toEuler('XYW'); });
+    expect(e instanceof sylvester.InvalidArgument).toBe(true);
+    expect(e.operation).toEqual('Matrix.toEuler');
+    expect(e.shapes).toEqual([[3, 3], []]);
+    e = thrown(function() { sylvester.Quaternion.fromEuler([1, 2, 3], 'XXZ'); });
+    expect(e instanceof sylvester.InvalidArgument).toBe(true);
+    expect(e.operation).toEqual('Quaternion.fromEuler');
+    expect(thrown(function() { Matrix.fromEuler([1, 2]); }) instanceof sylvester.DimensionMismatch).toBe(true);
+    expect(thrown(function() { Matrix.fromEuler([1, 2, 3], 'zyx'); })).toBeNull();
+  });
+
+  it("should throw when an iteration fails to converge.", function() {
+    Sylvester.strict = true;
+    // A NaN element keeps the QR iteration from ever deflating
+    var A = $M([[1, 2, 3], [4, NaN, 6], [7, 8, 9]]);
+    var e = thrown(function() { A.eigenvalues(); });
+    expect(e instanceof sylvester.NoConvergence).toBe(true);
+    expect(e.message).toEqual('Matrix.eigenvalues: iteration did not converge (3x3)');
+    Sylvester.strict = false;
+    expect(A.eigenvalues()).toBeNull();
+  });
+
+  it("should throw for degenerate geometry.", function() {
+    Sylvester.strict = true;
+    var e = thrown(function() { $L([0, 0, 0], [0, 0, 0]); });
+    expect(e instanceof sylvester.DegenerateGeometry).toBe(true);
+    expect(e.operation).toEqual('Line.setVectors');
+    e = thrown(function() { Plane.XY.intersectionWith(Plane.XY.translate([0, 0, 1])); });
+    expect(e instanceof sylvester.DegenerateGeometry).toBe(true);
+    expect(thrown(function() { $P([0, 0, 0], [1, 0, 0], [2, 0, 0]); }) instanceof sylvester.DegenerateGeometry).toBe(true);
+    expect(thrown(function() { Line.X.intersectionWith(Line.Y.translate([0, 0, 1])); }) instanceof sylvester.DegenerateGeometry).toBe(true);
+  });
+
+  it("should still handle points at infinity internally.", function() {
+    Sylvester.strict = true;
+    var view = Sylvester.makeLookAt(0, 0, 10, 0, 0, 0, 0, 1, 0);
+    var projection = Sylvester.makeInfinitePerspective(90, 1, 1);
+    var ray = Sylvester.pickRay(50, 50, view, projection, [0, 0, 100, 100]);
+    expect(ray.direction).toEql([0, 0, -1]);
+    var frustum = sylvester.Frustum.create(projection.x(view));
+    expect(frustum.planes[5]).toBeNull();
+    var e = thrown(function() { frustum.corners(); });
+    expect(e instanceof sylvester.DegenerateGeometry).toBe(true);
+  });
+
+  it("should leave lookups out of range returning null.", function() {
+    Sylvester.strict = true;
+    expect($V([1, 2]).e(5)).toBeNull();
+    expect(Matrix.I(2).row(3)).toBeNull();
+  });
+});
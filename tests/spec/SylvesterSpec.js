@@ -0,0 +1,184 @@
+describe("Sylvester", function() {
+  var Matrix = sylvester.Matrix;
+
+  var isIdentity = function(M) {
+    return M.eql(Matrix.I(4));
+  };
+
+  describe("settings", function() {
+    it("should report the version.", function() {
+      expect(Sylvester.version).toEqual('0.1.3');
+    });
+
+    it("should apply changes to the precision.", function() {
+      var precision = Sylvester.precision;
+      Sylvester.precision = 0.1;
+      expect($V([1, 2]).eql([1.05, 2])).toBe(true);
+      Sylvester.precision = precision;
+      expect($V([1, 2]).eql([1.05, 2])).toBe(false);
+    });
+  });
+
+  it("should format matrices as html.", function() {
+    var html = Sylvester.matrixToHtml(Matrix.I(4).flatten());
+    expect(html.split('<br>').length).toEqual(5);
+    expect(html).toContain('[1.0000,0.0000,0.0000,0.0000]');
+    expect(Sylvester.matrixToHtml(Matrix.I(3).flatten())).toContain('[0.0000,1.0000,0.0000]');
+    expect(Sylvester.matrixToHtml([1, 2])).toEqual('1,2');
+  });
+
+  describe("view matrices", function() {
+    it("should look down -z in a right-handed view.", function() {
+      var view = Sylvester.makeLookAt(1, 2, 3, 1, 2, 0, 0, 1, 0);
+      expect(view.transformPoint([1, 2, 3])).toEql([0, 0, 0]);
+      expect(view.transformPoint([1, 2, -2])).toEql([0, 0, -5]);
+      expect(view.transformPoint([2, 2, 3])).toEql([1, 0, 0]);
+      expect(isIdentity(view.x(Sylvester.makeLookAtInverse(1, 2, 3, 1, 2, 0, 0, 1, 0)))).toBe(true);
+    });
+
+    it("should look down +z in a left-handed view.", function() {
+      var view = Sylvester.makeLookAtLH(1, 2, 3, 1, 2, 0, 0, 1, 0);
+      expect(view.transformPoint([1, 2, -2])).toEql([0, 0, 5]);
+      expect(view.transformPoint([1, 3, 3])).toEql([0, 1, 0]);
+      expect(isIdentity(view.x(Sylvester.makeLookAtLHInverse(1, 2, 3, 1, 2, 0, 0, 1, 0)))).toBe(true);
+    });
+  });
+
+  describe("projection matrices", function() {
+    it("should map the near and far planes to the depth range.", function() {
+      var P = Sylvester.makePerspective(60, 1.5, 1, 100);
+      expect(P.transformPoint([0, 0, -1]).e(3)).toBeCloseTo(-1, 10);
+      expect(P.transformPoint([0, 0, -100]).e(3)).toBeCloseTo(1, 10);
+      var Z = Sylvester.makePerspective(60, 1.5, 1, 100, true);
+      expect(Z.transformPoint([0, 0, -1]).e(3)).toBeCloseTo(0, 10);
+      expect(Z.transformPoint([0, 0, -100]).e(3)).toBeCloseTo(1, 10);
+    });
+
+    it("should map the field of view to the clip edges.", function() {
+      var P = Sylvester.makePerspective(90, 2, 1, 10);
+      expect(P.transformPoint([0, 5, -5]).e(2)).toBeCloseTo(1, 10);
+      expect(P.transformPoint([10, 0, -5]).e(1)).toBeCloseTo(1, 10);
+    });
+
+    it("should build frustum and orthographic matrices.", function() {
+      var F = Sylvester.makeFrustum(-1, 3, -2, 2, 1, 10);
+      expect(F.transformPoint([3, 2, -1])).toEql([1, 1, -1]);
+      expect(F.transformPoint([-10, -20, -10])).toEql([-1, -1, 1]);
+      var O = Sylvester.makeOrtho(0, 4, 0, 2, 1, 3);
+      expect(O.transformPoint([4, 2, -3])).toEql([1, 1, 1]);
+      expect(Sylvester.makeOrtho(0, 4, 0, 2, 1, 3, true).transformPoint([0, 0, -1])).toEql([-1, -1, 0]);
+    });
+
+    it("should build infinite and reversed-Z perspectives.", function() {
+      var I = Sylvester.makeInfinitePerspective(60, 1, 1);
+      expect(I.transformPoint([0, 0, -1]).e(3)).toBeCloseTo(-1, 10);
+      expect(I.transformPoint([0, 0, -1e9]).e(3)).toBeCloseTo(1, 6);
+      var R = Sylvester.makeReversedZPerspective(60, 1, 1, 100);
+      expect(R.transformPoint([0, 0, -1]).e(3)).toBeCloseTo(1, 10);
+      expect(R.transformPoint([0, 0, -100]).e(3)).toBeCloseTo(0, 10);
+      expect(Sylvester.makeReversedZPerspective(60, 1, 1).transformPoint([0, 0, -1e9]).e(3)).toBeCloseTo(0, 6);
+    });
+
+    it("should build the inverses directly.", function() {
+      var pairs = [
+        [Sylvester.makePerspective(60, 1.5, 1, 100, true), Sylvester.makePerspectiveInverse(60, 1.5, 1, 100, true)],
+        [Sylvester.makeInfinitePerspective(60, 1.5, 1), Sylvester.makeInfinitePerspectiveInverse(60, 1.5, 1)],
+        [Sylvester.makeReversedZPerspective(60, 1.5, 1, 100), Sylvester.makeReversedZPerspectiveInverse(60, 1.5, 1, 100)],
+        [Sylvester.makeFrustum(-1, 3, -2, 2, 1, 10), Sylvester.makeFrustumInverse(-1, 3, -2, 2, 1, 10)],
+        [Sylvester.makeOrtho(0, 4, 0, 2, 1, 3, true), Sylvester.makeOrthoInverse(0, 4, 0, 2, 1, 3, true)]
+      ];
+      for (var i = 0; i < pairs.length; i++) {
+        expect(isIdentity(pairs[i][0].x(pairs[i][1]))).toBe(true);
+      }
+    });
+
+    it("should build left-handed projections for a camera looking down +z.", function() {
+      var flip = Matrix.Diagonal([1, 1, -1, 1]);
+      var pairs = [
+        [Sylvester.makePerspectiveLH(60, 1.5, 1, 100, true), Sylvester.makePerspective(60, 1.5, 1, 100, true)],
+        [Sylvester.makeInfinitePerspectiveLH(60, 1.5, 1), Sylvester.makeInfinitePerspective(60, 1.5, 1)],
+        [Sylvester.makeReversedZPerspectiveLH(60, 1.5, 1, 100), Sylvester.makeReversedZPerspective(60, 1.5, 1, 100)],
+        [Sylvester.makeFrustumLH(-1, 3, -2, 2, 1, 10), Sylvester.makeFrustum(-1, 3, -2, 2, 1, 10)],
+        [Sylvester.makeOrthoLH(0, 4, 0, 2, 1, 3, true), Sylvester.makeOrtho(0, 4, 0, 2, 1, 3, true)]
+      ];
+      for (var i = 0; i < pairs.length; i++) {
+        expect(pairs[i][0]).toEql(pairs[i][1].x(flip));
+      }
+      var P = Sylvester.makePerspectiveLH(60, 1.5, 1, 100);
+      expect(P.transformPoint([0, 0, 1]).e(3)).toBeCloseTo(-1, 10);
+      expect(P.transformPoint([0, 0, 100]).e(3)).toBeCloseTo(1, 10);
+      var view = Sylvester.makeLookAtLH(0, 0, 10, 0, 0, 0, 0, 1, 0);
+      expect(P.x(view).transformPoint([0, 0, 9]).e(3)).toBeCloseTo(-1, 10);
+      var F = Sylvester.makeFrustumLH(-1, 3, -2, 2, 1, 10);
+      expect(F.transformPoint([3, 2, 1])).toEql([1, 1, -1]);
+      expect(Sylvester.makeOrthoLH(0, 4, 0, 2, 1, 3).transformPoint([4, 2, 3])).toEql([1, 1, 1]);
+    });
+
+    it("should build the left-handed inverses directly.", function() {
+      var pairs = [
+        [Sylvester.makePerspectiveLH(60, 1.5, 1, 100), Sylvester.makePerspectiveLHInverse(60, 1.5, 1, 100)],
+        [Sylvester.makeInfinitePerspectiveLH(60, 1.5, 1, true), Sylvester.makeInfinitePerspectiveLHInverse(60, 1.5, 1, true)],
+        [Sylvester.makeReversedZPerspectiveLH(60, 1.5, 1), Sylvester.makeReversedZPerspectiveLHInverse(60, 1.5, 1)],
+        [Sylvester.makeFrustumLH(-1, 3, -2, 2, 1, 10), Sylvester.makeFrustumLHInverse(-1, 3, -2, 2, 1, 10)],
+        [Sylvester.makeOrthoLH(0, 4, 0, 2, 1, 3), Sylvester.makeOrthoLHInverse(0, 4, 0, 2, 1, 3)]
+      ];
+      for (var i = 0; i < pairs.length; i++) {
+        expect(isIdentity(pairs[i][0].x(pairs[i][1]))).toBe(true);
+      }
+    });
+  });
+
+  describe("projection of points", function() {
+    var view = Sylvester.makeLookAt(0, 0, 5, 0, 0, 0, 0, 1, 0);
+    var proj = Sylvester.makePerspective(90, 2, 1, 10);
+    var viewport = [10, 20, 200, 100];
+
+    it("should project into window coordinates.", function() {
+      var centre = Sylvester.project([0, 0, 0], view, proj, viewport);
+      expect(centre.e(1)).toBeCloseTo(110, 10);
+      expect(centre.e(2)).toBeCloseTo(70, 10);
+      expect(Sylvester.project([0, 0, 4], view, proj, viewport).e(3)).toBeCloseTo(0, 10);
+      expect(Sylvester.project([20, 10, -5], view, proj, viewport)).toEql([210, 120, 1]);
+      expect(Sylvester.project([0, 0, 4], view, Sylvester.makePerspective(90, 2, 1, 10, true), viewport, true).e(3)).toBeCloseTo(0, 10);
+    });
+
+    it("should return null for points at the eye plane.", function() {
+      expect(Sylvester.project([1, 1, 5], view, proj, viewport)).toBeNull();
+    });
+
+    it("should unproject back to the original point.", function() {
+      var points = [[1, 2, 3], [-2, 0.5, -4], [0, 0, 0]];
+      for (var i = 0; i < points.length; i++) {
+        var win = Sylvester.project(points[i], view, proj, viewport, false).elements;
+        expect(Sylvester.unproject(win[0], win[1], win[2], view, proj, viewport)).toEql(points[i]);
+      }
+      var zeroToOne = Sylvester.makePerspective(90, 2, 1, 10, true);
+      var win = Sylvester.project([1, 2, 3], view, zeroToOne, viewport, true).elements;
+      expect(Sylvester.unproject(win[0], win[1], win[2], view, zeroToOne, viewport, true)).toEql([1, 2, 3]);
+    });
+
+    it("should return null when unprojecting through a singular matrix.", function() {
+      expect(Sylvester.unproject(0, 0, 0, view, Matrix.Zero(4, 4), viewport)).toBeNull();
+    });
+
+    it("should build picking rays from the near plane.", function() {
+      var ray = Sylvester.pickRay(110, 70, view, proj, viewport);
+      expect(ray.anchor).toEql([0, 0, 4]);
+      expect(ray.direction).toEql([0, 0, -1]);
+      var point = $V([1, 2, 3]), win = Sylvester.project(point, view, proj, viewport).elements;
+      expect(Sylvester.pickRay(win[0], win[1], view, proj, viewport).contains(point)).toBe(true);
+    });
+
+    it("should build picking rays for infinite and reversed-Z projections.", function() {
+      var infinite = Sylvester.pickRay(110, 70, view, Sylvester.makeInfinitePerspective(90, 2, 1), viewport);
+      expect(infinite.direction).toEql([0, 0, -1]);
+      var reversed = Sylvester.pickRay(110, 70, view, Sylvester.makeReversedZPerspective(90, 2, 1), viewport, true);
+      expect(reversed.anchor).toEql([0, 0, 4]);
+      expect(reversed.direction).toEql([0, 0, -1]);
+    });
+
+    it("should return null for picking through singular matrices.", function() {
+      expect(Sylvester.pickRay(0, 0, Matrix.Zero(4, 4), proj, viewport)).toBeNull();
+    });
+  });
+});
@@ -1,5 +0,0 @@
-describe("Sylvester", function() {
-  it("should be able to fail.", function() {
-    expect(true).toBe(false);
-  });
-});
@@ -0,0 +1,168 @@
+describe("Tolerance", function() {
+  var Matrix = sylvester.Matrix;
+  var Line = sylvester.Line;
+  var Plane = sylvester.Plane;
+
+  var precision, relative;
+  beforeEach(function() {
+    precision = Sylvester.precision;
+    relative = Sylvester.relative;
+  });
+  afterEach(function() {
+    Sylvester.precision = precision;
+    Sylvester.relative = relative;
+  });
+
+  describe("per call", function() {
+    it("should compare vectors, matrices and quaternions.", function() {
+      expect($V([1, 2]).eql([1.001, 2])).toBe(false);
+      expect($V([1, 2]).eql([1.001, 2], 1e-2)).toBe(true);
+      expect($M([[1, 2], [3, 4]]).eql([[1, 2], [3, 4.01]], 0.1)).toBe(true);
+      expect($M([[1, 2], [3, 4]]).eql([[1, 2], [3, 4.01]], 1e-3)).toBe(false);
+      expect($Q([1, 0, 0, 0]).eql($Q([1, 0, 0, 1e-4]), 1e-3)).toBe(true);
+      expect($Q([1, 0, 0, 0]).eql($Q([1, 0, 0, 1e-4]))).toBe(false);
+    });
+
+    it("should test parallel and perpendicular directions.", function() {
+      var tilted = $V([1, 1e-4, 0]);
+      expect($V([1, 0, 0]).isParallelTo(tilted)).toBe(false);
+      expect($V([1, 0, 0]).isParallelTo(tilted, 1e-3)).toBe(true);
+      expect($V([-1, 0, 0]).isAntiparallelTo(tilted, 1e-3)).toBe(true);
+      expect($V([0, 1, 0]).isPerpendicularTo(tilted, 1e-3)).toBe(true);
+      expect(Line.X.isParallelTo($L([0, 0, 0], tilted), 1e-3)).toBe(true);
+      expect(Plane.XY.isParallelTo($P([0, 0, 0], [1e-4, 0, 1]), 1e-3)).toBe(true);
+      expect(Plane.XY.isParallelTo($P([0, 0, 0], [1e-4, 0, 1]))).toBe(false);
+    });
+
+    it("should test containment.", function() {
+      expect(Line.X.contains([5, 1e-4, 0])).toBe(false);
+      expect(Line.X.contains([5, 1e-4, 0], 1e-3)).toBe(true);
+      expect(Plane.XY.contains([5, 5, 1e-4], 1e-3)).toBe(true);
+      expect(Plane.XY.contains($L([0, 0, 1e-4], [1, 0, 0]), 1e-3)).toBe(true);
+      expect(Line.X.eql($L([0, 1e-4, 0], [1, 0, 0]), 1e-3)).toBe(true);
+      expect(Plane.XY.eql(Plane.XY.translate([0, 0, 1e-4]), 1e-3)).toBe(true);
+      var frustum = sylvester.Frustum.create(Sylvester.makeOrtho(-2, 2, -2, 2, -2, 2));
+      expect(frustum.contains([2.001, 0, 0])).toBe(false);
+      expect(frustum.contains([2.001, 0, 0], 0.01)).toBe(true);
+    });
+
+    it("should snap elements.", function() {
+      expect($V([1e-4, 1, 2]).snapTo(0).elements).toEqual([1e-4, 1, 2]);
+      expect($V([1e-4, 1, 2]).snapTo(0, 1e-3).elements).toEqual([0, 1, 2]);
+      expect($M([[1.01, 2]]).snapTo(1, 0.1).elements).toEqual([[1, 2]]);
+    });
+
+    it("should count singular values above the tolerance as the rank.", function() {
+      var A = Matrix.Diagonal([1, 1e-3, 1e-8]);
+      expect(A.rank()).toEqual(2);
+      expect(A.rank(1e-2)).toEqual(1);
+      expect(A.rank(1e-10)).toEqual(3);
+    });
+
+    it("should scale the default rank tolerance by the largest singular value.", function() {
+      var A = Matrix.Diagonal([1e-3, 1e-8]);
+      expect(A.rank()).toEqual(2);
+      expect(A.rank(1e-6)).toEqual(1);
+      expect(Matrix.Diagonal([1e-3, 1e-10]).rank()).toEqual(1);
+    });
+
+    it("should test singular and symmetric matrices.", function() {
+      var A = $M([[1, 1], [1, 1.001]]);
+      expect(A.isSingular()).toBe(false);
+      expect(A.isSingular(1e-2)).toBe(true);
+      var B = $M([[1, 2], [2.001, 1]]);
+      expect(B.isSymmetric()).toBe(false);
+      expect(B.isSymmetric(1e-2)).toBe(true);
+      expect(Matrix.I(2).isSingular(10)).toBe(true);
+    });
+  });
+
+  describe("in relative mode", function() {
+    it("should scale comparisons by the size of the values.", function() {
+      Sylvester.relative = true;
+      // Kilometre-scale coordinates in metres, off by a millimetre
+      expect($V([6378137, 0, 0]).eql([6378137.001, 0, 0])).toBe(true);
+      expect(Line.X.translate([0, 6378137, 0]).contains([0, 6378137.001, 0])).toBe(true);
+      expect(Plane.XY.translate([0, 0, 6378137]).contains([1, 1, 6378137.001])).toBe(true);
+      // Millimetre-scale values in metres, off by a micrometre
+      expect($V([0.002, 0.003]).eql([0.002001, 0.003])).toBe(false);
+      expect($V([0.002, 0.003]).eql([0.002001, 0.003], 1e-3)).toBe(true);
+      Sylvester.relative = false;
+      expect($V([6378137, 0, 0]).eql([6378137.001, 0, 0])).toBe(false);
+      expect($V([0.002, 0.003]).eql([0.0020005, 0.003])).toBe(true);
+    });
+
+    it("should scale snapping by the largest element.", function() {
+      Sylvester.relative = true;
+      expect($V([1e-3, 1e4]).snapTo(0, 1e-6).elements).toEqual([0, 1e4]);
+      expect($V([1e-3, 1]).snapTo(0, 1e-6).elements).toEqual([1e-3, 1]);
+    });
+
+    it("should scale a given rank tolerance by the largest singular value.", function() {
+      var A = Matrix.Diagonal([1000, 1]);
+      expect(A.rank(10)).toEqual(1);
+      Sylvester.relative = true;
+      expect(A.rank(1e-2)).toEqual(1);
+      expect(A.rank(1e-4)).toEqual(2);
+      expect(A.rank()).toEqual(2);
+    });
+
+    it("should scale a given pivot tolerance by the largest element.", function() {
+      var A = $M([[1000, 1000], [1000, 1001]]);
+      expect(A.isSingular(1e-2)).toBe(false);
+      Sylvester.relative = true;
+      expect(A.isSingular(1e-2)).toBe(true);
+      expect(A.isSingular(1e-4)).toBe(false);
+      expect($M([[1000, 2000], [2001, 1000]]).isSymmetric(1e-2)).toBe(true);
+    });
+
+    it("should compare angles absolutely.", function() {
+      Sylvester.relative = true;
+      expect($V([1000, 0, 0]).isParallelTo([1000, 0.1, 0], 1e-3)).toBe(true);
+      expect($V([1000, 0, 0]).isParallelTo([1000, 10, 0], 1e-3)).toBe(false);
+    });
+  });
+
+  describe("scoped", function() {
+    it("should run a function with a different precision.", function() {
+      var result = Sylvester.withPrecision(1e-2, function() {
+        expect(Sylvester.precision).toEqual(1e-2);
+        return $V([1, 2]).eql([1.001, 2]);
+      });
+      expect(result).toBe(true);
+      expect(Sylvester.precision).toEqual(precision);
+      expect($V([1, 2]).eql([1.001, 2])).toBe(false);
+    });
+
+    it("should switch the mode if asked.", function() {
+      expect(Sylvester.withPrecision(1e-9, function() {
+        return $V([6378137, 0, 0]).eql([6378137.001, 0, 0]);
+      }, true)).toBe(true);
+      expect(Sylvester.relative).toBe(false);
+      Sylvester.relative = true;
+      Sylvester.withPrecision(1e-3, function() {
+        expect(Sylvester.relative).toBe(true);
+      });
+    });
+
+    it("should restore the settings when the function throws.", function() {
+      expect(function() {
+        Sylvester.withPrecision(1, function() {
+          throw new Error('failed');
+        }, true);
+      }).toThrow();
+      expect(Sylvester.precision).toEqual(precision);
+      expect(Sylvester.relative).toBe(false);
+    });
+
+    it("should nest.", function() {
+      Sylvester.withPrecision(1e-2, function() {
+        Sylvester.withPrecision(1e-8, function() {
+          expect(Sylvester.precision).toEqual(1e-8);
+        });
+        expect(Sylvester.precision).toEqual(1e-2);
+      });
+      expect(Sylvester.precision).toEqual(precision);
+    });
+  });
+});
@@ -0,0 +1,285 @@
+describe("Vector", function() {
+  var Vector = sylvester.Vector;
+
+  describe("creation", function() {
+    it("should copy the elements it is given.", function() {
+      var elements = [1, 2, 3];
+      var v = Vector.create(elements);
+      elements[0] = 9;
+      expect(v.elements).toEqual([1, 2, 3]);
+      expect(Vector.create(v).elements).toEqual([1, 2, 3]);
+      expect($V([4, 5]).elements).toEqual([4, 5]);
+    });
+
+    it("should set elements in place.", function() {
+      var v = $V([1, 2]);
+      expect(v.setElements([3, 4, 5])).toBe(v);
+      expect(v.elements).toEqual([3, 4, 5]);
+      expect(v.setElements($V([6])).elements).toEqual([6]);
+    });
+
+    it("should provide the unit vectors.", function() {
+      expect(Vector.i.elements).toEqual([1, 0, 0]);
+      expect(Vector.j.elements).toEqual([0, 1, 0]);
+      expect(Vector.k.elements).toEqual([0, 0, 1]);
+    });
+
+    it("should create zero and random vectors.", function() {
+      expect(Vector.Zero(3).elements).toEqual([0, 0, 0]);
+      var random = Vector.Random(5);
+      expect(random.dimensions()).toEqual(5);
+      random.each(function(x) {
+        expect(x >= 0 && x < 1).toBe(true);
+      });
+    });
+  });
+
+  describe("access", function() {
+    var v = $V([4, 5, 6]);
+
+    it("should return elements by 1-based index.", function() {
+      expect(v.e(1)).toEqual(4);
+      expect(v.e(3)).toEqual(6);
+      expect(v.e(0)).toBeNull();
+      expect(v.e(4)).toBeNull();
+    });
+
+    it("should report its dimensions.", function() {
+      expect(v.dimensions()).toEqual(3);
+      expect($V([1]).dimensions()).toEqual(1);
+    });
+
+    it("should find the element of largest magnitude.", function() {
+      expect($V([1, -7, 3]).max()).toEqual(-7);
+      expect($V([2]).max()).toEqual(2);
+    });
+
+    it("should find the 1-based index of an element.", function() {
+      expect($V([3, 1, 3]).indexOf(3)).toEqual(1);
+      expect($V([3, 1, 3]).indexOf(1)).toEqual(2);
+      expect(v.indexOf(7)).toBeNull();
+    });
+
+    it("should inspect and flatten.", function() {
+      expect(v.inspect()).toEqual('[4, 5, 6]');
+      expect(v.flatten()).toEqual([4, 5, 6]);
+    });
+  });
+
+  describe("comparison", function() {
+    it("should be equal within Sylvester.precision.", function() {
+      var v = $V([1, 2, 3]);
+      expect(v.eql([1, 2, 3 + Sylvester.precision / 2])).toBe(true);
+      expect(v.eql($V([1, 2, 3.001]))).toBe(false);
+      expect(v.eql([1, 2])).toBe(false);
+    });
+
+    it("should duplicate into an independent copy.", function() {
+      var v = $V([1, 2]), w = v.dup();
+      w.elements[0] = 5;
+      expect(v.elements).toEqual([1, 2]);
+    });
+
+    it("should measure angles.", function() {
+      expect($V([1, 0]).angleFrom([0, 3])).toBeCloseTo(Math.PI / 2, 10);
+      expect($V([1, 1]).angleFrom($V([1, 0]))).toBeCloseTo(Math.PI / 4, 10);
+      expect($V([1, 0]).angleFrom([-2, 0])).toBeCloseTo(Math.PI, 10);
+    });
+
+    it("should return null for angles with mismatched or zero vectors.", function() {
+      expect($V([1, 0]).angleFrom([1, 0, 0])).toBeNull();
+      expect($V([0, 0]).angleFrom([1, 0])).toBeNull();
+    });
+
+    it("should detect parallel, antiparallel and perpendicular vectors.", function() {
+      var v = $V([1, 2, 3]);
+      expect(v.isParallelTo([2, 4, 6])).toBe(true);
+      expect(v.isParallelTo([-1, -2, -3])).toBe(false);
+      expect(v.isAntiparallelTo([-1, -2, -3])).toBe(true);
+      expect(v.isAntiparallelTo([2, 4, 6])).toBe(false);
+      expect(v.isPerpendicularTo([3, 0, -1])).toBe(true);
+      expect(v.isPerpendicularTo([1, 0, 0])).toBe(false);
+    });
+
+    it("should return null for those tests on a dimension mismatch.", function() {
+      var v = $V([1, 2, 3]);
+      expect(v.isParallelTo([1, 2])).toBeNull();
+      expect(v.isAntiparallelTo([1, 2])).toBeNull();
+      expect(v.isPerpendicularTo([1, 2])).toBeNull();
+    });
+  });
+
+  describe("arithmetic", function() {
+    var v = $V([1, 2, 3]);
+
+    it("should add and subtract.", function() {
+      expect(v.add([3, 2, 1])).toEql([4, 4, 4]);
+      expect(v.subtract($V([1, 1, 1]))).toEql([0, 1, 2]);
+    });
+
+    it("should return null when adding or subtracting a different size.", function() {
+      expect(v.add([1, 2])).toBeNull();
+      expect(v.subtract([1, 2, 3, 4])).toBeNull();
+    });
+
+    it("should multiply by a scalar.", function() {
+      expect(v.multiply(2)).toEql([2, 4, 6]);
+      expect(v.x(-1)).toEql([-1, -2, -3]);
+    });
+
+    it("should compute dot and cross products.", function() {
+      expect(v.dot([4, 5, 6])).toEqual(32);
+      expect(Vector.i.cross(Vector.j)).toEql(Vector.k);
+      expect(v.cross(v)).toEql([0, 0, 0]);
+    });
+
+    it("should return null for products of the wrong size.", function() {
+      expect(v.dot([1, 2])).toBeNull();
+      expect(v.cross([1, 2])).toBeNull();
+      expect($V([1, 2]).cross([3, 4])).toBeNull();
+    });
+
+    it("should compute the modulus and unit vector.", function() {
+      expect($V([3, 4]).modulus()).toEqual(5);
+      expect($V([3, 4]).toUnitVector()).toEql([0.6, 0.8]);
+      expect($V([0, 0]).toUnitVector()).toEql([0, 0]);
+    });
+
+    it("should map and iterate with 1-based indices.", function() {
+      expect(v.map(function(x, i) { return x * i; })).toEql([1, 4, 9]);
+      var seen = [];
+      v.each(function(x, i) { seen.push([x, i]); });
+      expect(seen).toEqual([[1, 1], [2, 2], [3, 3]]);
+    });
+
+    it("should round and snap.", function() {
+      expect($V([1.4, 1.6, -0.5]).round()).toEql([1, 2, -0]);
+      var snapped = $V([1 + Sylvester.precision / 2, 1.1]).snapTo(1);
+      expect(snapped.elements).toEqual([1, 1.1]);
+    });
+
+    it("should make a diagonal matrix.", function() {
+      expect(v.toDiagonalMatrix()).toEql([[1, 0, 0], [0, 2, 0], [0, 0, 3]]);
+    });
+  });
+
+  describe("in-place arithmetic", function() {
+    it("should write into the given vector.", function() {
+      var out = Vector.Zero(3), v = $V([1, 2, 3]);
+      expect(v.addInto([1, 1, 1], out)).toBe(out);
+      expect(out.elements).toEqual([2, 3, 4]);
+      expect(v.subtractInto([1, 1, 1], out).elements).toEqual([0, 1, 2]);
+      expect(v.multiplyInto(3, out).elements).toEqual([3, 6, 9]);
+      expect($V([0, 3, 4]).normalizeInto(out)).toEql([0, 0.6, 0.8]);
+      expect(Vector.i.crossInto(Vector.j, out).elements).toEqual([0, 0, 1]);
+      expect(v.elements).toEqual([1, 2, 3]);
+    });
+
+    it("should modify the receiver.", function() {
+      var v = $V([1, 2, 3]);
+      expect(v.addInPlace([1, 1, 1])).toBe(v);
+      expect(v.elements).toEqual([2, 3, 4]);
+      expect(v.subtractInPlace([2, 3, 4]).elements).toEqual([0, 0, 0]);
+      v = $V([3, 0, 4]);
+      expect(v.multiplyInPlace(2).elements).toEqual([6, 0, 8]);
+      expect(v.normalizeInPlace()).toEql([0.6, 0, 0.8]);
+      expect(Vector.Zero(2).normalizeInPlace().elements).toEqual([0, 0]);
+    });
+
+    it("should return null on a dimension mismatch.", function() {
+      var v = $V([1, 2, 3]);
+      expect(v.addInto([1, 2], Vector.Zero(3))).toBeNull();
+      expect(v.addInto([1, 2, 3], Vector.Zero(2))).toBeNull();
+      expect(v.subtractInPlace([1])).toBeNull();
+      expect(v.multiplyInto(2, Vector.Zero(4))).toBeNull();
+      expect(v.crossInto([1, 2], Vector.Zero(3))).toBeNull();
+      expect($V([1, 2]).crossInto([1, 2, 3], Vector.Zero(3))).toBeNull();
+      expect(v.elements).toEqual([1, 2, 3]);
+    });
+  });
+
+  describe("geometry", function() {
+    it("should measure distances to points, lines and planes.", function() {
+      expect($V([1, 1]).distanceFrom([4, 5])).toEqual(5);
+      expect($V([0, 3, 0]).distanceFrom(sylvester.Line.X)).toBeCloseTo(3, 10);
+      expect($V([0, 0, -2]).distanceFrom(sylvester.Plane.XY)).toBeCloseTo(2, 10);
+      expect($V([1, 1]).distanceFrom([1, 1, 1])).toBeNull();
+    });
+
+    it("should test whether it lies on a line or in a plane.", function() {
+      expect($V([5, 0, 0]).liesOn(sylvester.Line.X)).toBe(true);
+      expect($V([5, 1, 0]).liesOn(sylvester.Line.X)).toBe(false);
+      expect($V([5, 1, 0]).liesIn(sylvester.Plane.XY)).toBe(true);
+      expect($V([5, 1, 1]).liesIn(sylvester.Plane.XY)).toBe(false);
+    });
+
+    it("should rotate in 2D about a point.", function() {
+      expect($V([2, 1]).rotate(Math.PI / 2, [1, 1])).toEql([1, 2]);
+      expect($V([2, 1]).rotate(Math.PI / 2, [1, 1, 1])).toBeNull();
+    });
+
+    it("should rotate in 3D about a line.", function() {
+      var axis = $L([1, 0, 0], [0, 0, 1]);
+      expect($V([2, 0, 5]).rotate(Math.PI / 2, axis)).toEql([1, 1, 5]);
+      expect($V([2, 0, 5]).rotate(Math.PI / 2, [0, 0, 0])).toBeNull();
+      expect($V([1, 2, 3, 4]).rotate(Math.PI, axis)).toBeNull();
+    });
+
+    it("should rotate by a quaternion about the origin or a point.", function() {
+      var q = sylvester.Quaternion.fromAxisAngle([0, 0, 1], Math.PI / 2);
+      expect($V([1, 0, 0]).rotate(q)).toEql([0, 1, 0]);
+      expect($V([2, 0, 0]).rotate(q, [1, 0, 0])).toEql([1, 1, 0]);
+      expect($V([1, 0]).rotate(q)).toBeNull();
+    });
+
+    it("should reflect in points, lines and planes.", function() {
+      expect($V([1, 2]).reflectionIn([2, 2])).toEql([3, 2]);
+      expect($V([1, 2, 3]).reflectionIn(sylvester.Line.Z)).toEql([-1, -2, 3]);
+      expect($V([1, 2, 3]).reflectionIn(sylvester.Plane.XY)).toEql([1, 2, -3]);
+      expect($V([1, 2]).reflectionIn([1, 2, 3])).toBeNull();
+    });
+
+    it("should convert to 3D.", function() {
+      expect($V([1, 2]).to3D()).toEql([1, 2, 0]);
+      expect($V([1, 2, 3]).to3D()).toEql([1, 2, 3]);
+      expect($V([1, 2, 3, 4]).to3D()).toBeNull();
+    });
+  });
+
+  describe("typed storage", function() {
+    it("should create vectors backed by typed arrays.", function() {
+      var v = Vector.createTyped([1, 2, 3]);
+      expect(v.isTyped()).toBe(true);
+      expect(v.elements instanceof Float64Array).toBe(true);
+      expect(Vector.createTyped([1, 2], Float32Array).elements instanceof Float32Array).toBe(true);
+      expect($V([1, 2]).isTyped()).toBe(false);
+    });
+
+    it("should convert between storage types.", function() {
+      var v = $V([1, 2, 3]).toTyped(Float32Array);
+      expect(v.isTyped()).toBe(true);
+      expect(v).toEql([1, 2, 3]);
+      var w = v.toUntyped();
+      expect(w.isTyped()).toBe(false);
+      expect(w.elements).toEqual([1, 2, 3]);
+    });
+
+    it("should keep the storage type through operations.", function() {
+      var v = Vector.createTyped([1, 2, 3], Float32Array);
+      var results = [v.dup(), v.map(Math.abs), v.add([1, 1, 1]), v.x(2), v.toUnitVector(),
+        v.cross([0, 0, 1]), $V([1, 2]).toTyped().to3D()];
+      for (var i = 0; i < results.length; i++) {
+        expect(results[i].isTyped()).toBe(true);
+      }
+      expect(results[0].elements instanceof Float32Array).toBe(true);
+      expect(results[5]).toEql([2, -1, 0]);
+      expect(results[6]).toEql([1, 2, 0]);
+    });
+
+    it("should copy on dup.", function() {
+      var v = Vector.createTyped([1, 2]), w = v.dup();
+      w.elements[0] = 7;
+      expect(v.elements[0]).toEqual(1);
+    });
+  });
+});